@@ -1,219 +1,758 @@
-import express, { Request, Response } from 'express';
-import { db } from '../server/db';
+import express, { Request, Response, NextFunction } from 'express';
+import { randomUUID } from 'crypto';
+import { ready } from '../server/db';
+import {
+    storage,
+    DEVOLUTION_SORT_FIELDS,
+    VersionConflictError,
+    DuplicateRecordError,
+    type ChangeActor,
+    type BranchSummaryCriteria,
+    type DevolutionSearchCriteria,
+    type SyncChange,
+} from '../server/storage';
 import * as schema from '../shared/schema';
-import { eq, or, and, gt, sql } from 'drizzle-orm';
+import { toPersonValues, toSyncPerson } from '../server/sync-mapping';
+import { ValidationError, StatusChangeError, assertValid, validateRecord, toFilialValues, toFornecedorValues, toGarantiaValues, toEmpresaValues } from '../server/validation';
+import {
+    AuthError,
+    SESSION_DAYS,
+    hashPassword,
+    verifyPassword,
+    newSessionToken,
+    hashToken,
+    hasRole,
+    toUserResponse,
+    type UserRole,
+} from '../server/auth';
 
 const app = express();
-app.use(express.json());
+// Company settings carry their logo as a data: URL
+app.use(express.json({ limit: '1mb' }));
+
+// Routes only reach the storage once the database is up (the embedded
+// database applies its migrations on start)
+app.use('/api', (req: Request, res: Response, next) => {
+    ready.then(() => next(), next);
+});
+
+// Routes open without a session (paths under /api): the health check,
+// signing in and creating the first admin
+const PUBLIC_ROUTES = ['/', '/auth/status', '/auth/login', '/auth/setup'];
+
+// Every other route needs "Authorization: Bearer <token>" with the token of
+// a session (see /api/auth/login); the user is kept in res.locals
+app.use('/api', async (req: Request, res: Response, next: NextFunction) => {
+    if (PUBLIC_ROUTES.includes(req.path)) {
+        return next();
+    }
+    try {
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            throw new AuthError(401, 'Faça login para continuar');
+        }
+        const tokenHash = hashToken(token);
+        const usuario = await storage.getSessionUser(tokenHash);
+        if (!usuario) {
+            throw new AuthError(401, 'Sessão expirada ou inválida, faça login novamente');
+        }
+        res.locals.usuario = usuario;
+        res.locals.tokenHash = tokenHash;
+        next();
+    } catch (error) {
+        sendError(res, error, 'Falha ao verificar a sessão');
+    }
+});
+
+// Only let users with at least this role through
+const requireRole = (minimo: UserRole) => (req: Request, res: Response, next: NextFunction) => {
+    if (hasRole(res.locals.usuario, minimo)) {
+        next();
+    } else {
+        sendError(res, new AuthError(403, 'Seu perfil não permite esta ação'), 'Falha ao verificar as permissões');
+    }
+};
+
+// The signed-in user making a change, stamped on the records it writes,
+// and the branch of the device it comes from, if any
+const actorOf = (res: Response, deviceId: string | null = null, filialId: number | null = null): ChangeActor => ({
+    usuario: res.locals.usuario.usuario,
+    deviceId,
+    filialId,
+});
+
+// The id of the active branch a request names by code, or null when it
+// names none
+async function requestFilialId(codigo: unknown): Promise<number | null> {
+    if (typeof codigo !== 'string' || !codigo.trim()) {
+        return null;
+    }
+    const filial = await storage.getFilialByCode(codigo);
+    if (!filial || !filial.ativo) {
+        throw new ValidationError([`Filial "${codigo}" não encontrada`], { filial: `Filial "${codigo}" não encontrada` });
+    }
+    return filial.id;
+}
 
 // Default API route
 app.get('/api', (req: Request, res: Response) => {
-  res.status(200).json({ message: 'API is running.' });
+  res.status(200).json({ message: 'API em funcionamento' });
+});
+
+// --- Auth Routes ---
+
+// Start a session for a user: the token is only ever sent in this answer
+async function startSession(res: Response, usuario: schema.Usuario, status: number) {
+    const token = newSessionToken();
+    const expiresAt = new Date(Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000);
+    await storage.createSession(usuario.id, hashToken(token), expiresAt);
+    res.status(status).json({ token, expira_em: expiresAt.toISOString(), usuario: toUserResponse(usuario) });
+}
+
+// Validate a user account and hash its password, if one was sent. New
+// accounts must have a password.
+async function toUserValues(registro: any, isNew: boolean) {
+    const campos = validateRecord('usuario', registro);
+    if (isNew && !registro?.senha && !campos.senha) {
+        campos.senha = 'Senha é obrigatória';
+    }
+    assertValid(campos);
+
+    return {
+        usuario: String(registro.usuario).trim(),
+        nome: String(registro.nome).trim(),
+        papel: registro.papel,
+        ...(registro.ativo !== undefined ? { ativo: Boolean(registro.ativo) } : {}),
+        ...(registro.senha ? { senhaHash: await hashPassword(String(registro.senha)) } : {}),
+    };
+}
+
+// Whether any account exists yet; until one does, /api/auth/setup is open
+app.get('/api/auth/status', async (req: Request, res: Response) => {
+    try {
+        res.status(200).json({ configurado: (await storage.countUsers()) > 0 });
+    } catch (error) {
+        sendError(res, error, 'Falha ao obter o estado da autenticação');
+    }
+});
+
+// Create the first account, an admin, and sign it in. Only works while
+// there are no accounts.
+app.post('/api/auth/setup', async (req: Request, res: Response) => {
+    try {
+        if ((await storage.countUsers()) > 0) {
+            throw new ApiError(409, 'A configuração inicial já foi feita');
+        }
+        const login = String(req.body?.usuario || '').trim().toLowerCase();
+        const values = await toUserValues({ ...req.body, usuario: login, papel: 'admin', ativo: true }, true);
+        const usuario = await storage.createUser(values as schema.InsertUsuario);
+        await startSession(res, usuario, 201);
+    } catch (error) {
+        sendError(res, error, 'Falha ao criar o primeiro usuário');
+    }
+});
+
+app.post('/api/auth/login', async (req: Request, res: Response) => {
+    try {
+        const login = String(req.body?.usuario || '').trim().toLowerCase();
+        const usuario = login ? await storage.getUserByLogin(login) : undefined;
+        // The same answer for unknown users and wrong passwords
+        if (!usuario || !usuario.ativo || !(await verifyPassword(String(req.body?.senha || ''), usuario.senhaHash))) {
+            throw new AuthError(401, 'Usuário ou senha inválidos');
+        }
+        await startSession(res, usuario, 200);
+    } catch (error) {
+        sendError(res, error, 'Falha ao entrar');
+    }
+});
+
+app.post('/api/auth/logout', async (req: Request, res: Response) => {
+    try {
+        await storage.deleteSession(res.locals.tokenHash);
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error, 'Falha ao sair');
+    }
+});
+
+app.get('/api/auth/me', (req: Request, res: Response) => {
+    res.status(200).json(toUserResponse(res.locals.usuario));
+});
+
+// Change the signed-in user's own password; the current one must be sent
+app.post('/api/auth/senha', async (req: Request, res: Response) => {
+    try {
+        const usuario: schema.Usuario = res.locals.usuario;
+        if (!(await verifyPassword(String(req.body?.senha_atual || ''), usuario.senhaHash))) {
+            throw new ValidationError(['Senha atual incorreta'], { senha_atual: 'Senha atual incorreta' });
+        }
+        const values = await toUserValues({ ...toUserResponse(usuario), senha: req.body?.senha }, true);
+        await storage.updateUser(usuario.id, { senhaHash: values.senhaHash });
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error, 'Falha ao alterar a senha');
+    }
+});
+
+// --- Usuários Routes (admins only) ---
+app.get('/api/usuarios', requireRole('admin'), async (req: Request, res: Response) => {
+    try {
+        res.status(200).json((await storage.listUsers()).map(toUserResponse));
+    } catch (error) {
+        sendError(res, error, 'Falha ao listar os usuários');
+    }
+});
+
+app.post('/api/usuarios', requireRole('admin'), async (req: Request, res: Response) => {
+    try {
+        const values = await toUserValues({ ...req.body, usuario: String(req.body?.usuario || '').trim().toLowerCase() }, true);
+        if (await storage.getUserByLogin(values.usuario)) {
+            throw new DuplicateRecordError('Já existe um usuário com este nome de usuário', { usuario: values.usuario });
+        }
+        res.status(201).json(toUserResponse(await storage.createUser(values as schema.InsertUsuario)));
+    } catch (error) {
+        sendError(res, error, 'Falha ao criar o usuário');
+    }
+});
+
+// Change the name, role, password or whether the account is active. A new
+// password or a deactivated account ends the user's sessions.
+app.patch('/api/usuarios/:id', requireRole('admin'), async (req: Request, res: Response) => {
+    try {
+        const existing = await storage.getUser(Number(req.params.id) || 0);
+        if (!existing) {
+            throw new ApiError(404, 'Usuário não encontrado');
+        }
+        const values = await toUserValues({ ...toUserResponse(existing), ...req.body, usuario: existing.usuario }, false);
+
+        const staysAdmin = values.papel === 'admin' && values.ativo !== false;
+        if (existing.papel === 'admin' && existing.ativo && !staysAdmin) {
+            const admins = (await storage.listUsers()).filter(usuario => usuario.papel === 'admin' && usuario.ativo);
+            if (admins.length <= 1) {
+                throw new ApiError(409, 'É necessário ao menos um administrador ativo');
+            }
+        }
+
+        const updated = await storage.updateUser(existing.id, values);
+        if (values.senhaHash || values.ativo === false) {
+            await storage.deleteUserSessions(existing.id);
+        }
+        res.status(200).json(toUserResponse(updated!));
+    } catch (error) {
+        sendError(res, error, 'Falha ao atualizar o usuário');
+    }
 });
 
 // --- Devoluções Routes ---
 app.get('/api/devolucoes', async (req: Request, res: Response) => {
     try {
-        const devolucoes = await db.select().from(schema.devolutions);
+        const devolucoes = await storage.getAllDevolutions();
         res.status(200).json(devolucoes);
     } catch (error) {
-        console.error('Failed to get devolucoes:', error);
-        res.status(500).json({ error: 'Failed to get devolucoes.' });
+        sendError(res, error, 'Falha ao obter as devoluções');
+    }
+});
+
+// An error with the HTTP status to answer with
+class ApiError extends Error {
+    status: number;
+    details: Record<string, unknown>;
+
+    constructor(status: number, message: string, details: Record<string, unknown> = {}) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Answer a failed request: 400 for status changes the workflow does not
+// allow, 422 with the list of problems for invalid records, 409 for version
+// conflicts and duplicates, 401/403 for requests without a session or
+// permission, the status of an ApiError, 500 for anything else
+function sendError(res: Response, error: unknown, fallbackMessage: string) {
+    if (error instanceof StatusChangeError) {
+        res.status(400).json({ error: error.message, erros: error.erros, campos: error.campos });
+    } else if (error instanceof ValidationError) {
+        res.status(422).json({ error: 'Registro inválido', erros: error.erros, campos: error.campos });
+    } else if (error instanceof VersionConflictError) {
+        res.status(409).json({ error: error.message, versao: error.versao });
+    } else if (error instanceof DuplicateRecordError) {
+        res.status(409).json({ error: error.message, ...error.details });
+    } else if (error instanceof AuthError) {
+        res.status(error.status).json({ error: error.message });
+    } else if (error instanceof ApiError) {
+        res.status(error.status).json({ error: error.message, ...error.details });
+    } else {
+        console.error(`${fallbackMessage}:`, error);
+        res.status(500).json({ error: fallbackMessage });
+    }
+}
+
+const SEARCH_TEXT_CRITERIA = [
+    'codigo_peca', 'descricao_peca', 'tipo_acao', 'cliente', 'mecanico',
+    'requisicao_venda', 'acao_requisicao', 'status', 'filial',
+] as const;
+const SEARCH_DATE_CRITERIA = [
+    'data_venda_inicio', 'data_venda_fim', 'data_devolucao_inicio', 'data_devolucao_fim',
+] as const;
+
+// Search with the criteria of the client's searchDevolutions, plus page,
+// pageSize and sort. Registered before /:id so "search" is not taken for an id.
+app.get('/api/devolucoes/search', async (req: Request, res: Response) => {
+    const criteria: DevolutionSearchCriteria = {
+        page: toPositiveInt(req.query.page, 1),
+        pageSize: Math.min(toPositiveInt(req.query.pageSize, 50), 200),
+    };
+    const campos: Record<string, string> = {};
+
+    for (const name of SEARCH_TEXT_CRITERIA) {
+        if (typeof req.query[name] === 'string' && req.query[name]) {
+            criteria[name] = req.query[name] as string;
+        }
+    }
+    for (const name of SEARCH_DATE_CRITERIA) {
+        const value = req.query[name];
+        if (typeof value === 'string' && value) {
+            if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime())) {
+                criteria[name] = value;
+            } else {
+                campos[name] = `Data inválida em ${name}: ${value}`;
+            }
+        }
+    }
+    for (const name of ['cliente_id', 'mecanico_id'] as const) {
+        if (req.query[name] !== undefined) {
+            criteria[name] = toPositiveInt(req.query[name], 0) || undefined;
+        }
+    }
+    if (typeof req.query.sort === 'string' && req.query.sort) {
+        if (req.query.sort.replace(/^-/, '') in DEVOLUTION_SORT_FIELDS) {
+            criteria.sort = req.query.sort;
+        } else {
+            campos.sort = `Ordenação inválida: ${req.query.sort}`;
+        }
+    }
+
+    try {
+        assertValid(campos);
+
+        const result = await storage.searchDevolutions(criteria);
+        res.status(200).json({
+            data: result.devolutions,
+            total: result.total,
+            totalItens: result.totalItens,
+            totalQuantidade: result.totalQuantidade,
+            page: criteria.page,
+            pageSize: criteria.pageSize,
+        });
+    } catch (error) {
+        sendError(res, error, 'Falha ao pesquisar as devoluções');
+    }
+});
+
+app.get('/api/devolucoes/:id', async (req: Request, res: Response) => {
+    try {
+        const devolution = await storage.getDevolutionRecord(req.params.id);
+        if (!devolution) {
+            throw new ApiError(404, 'Devolução não encontrada');
+        }
+        res.status(200).json(devolution);
+    } catch (error) {
+        sendError(res, error, 'Falha ao obter a devolução');
+    }
+});
+
+app.post('/api/devolucoes', async (req: Request, res: Response) => {
+    try {
+        res.status(201).json(await storage.createDevolutionRecord(req.body, actorOf(res)));
+    } catch (error) {
+        sendError(res, error, 'Falha ao criar a devolução');
+    }
+});
+
+// Sending versao makes the change fail with 409 if the devolution changed since
+app.put('/api/devolucoes/:id', async (req: Request, res: Response) => {
+    try {
+        const updated = await storage.replaceDevolutionRecord(req.params.id, req.body, actorOf(res));
+        if (!updated) {
+            throw new ApiError(404, 'Devolução não encontrada');
+        }
+        res.status(200).json(updated);
+    } catch (error) {
+        sendError(res, error, 'Falha ao atualizar a devolução');
     }
 });
 
+app.patch('/api/devolucoes/:id', async (req: Request, res: Response) => {
+    try {
+        const updated = await storage.patchDevolutionRecord(req.params.id, req.body, actorOf(res));
+        if (!updated) {
+            throw new ApiError(404, 'Devolução não encontrada');
+        }
+        res.status(200).json(updated);
+    } catch (error) {
+        sendError(res, error, 'Falha ao atualizar a devolução');
+    }
+});
+
+app.delete('/api/devolucoes/:id', requireRole('gerente'), async (req: Request, res: Response) => {
+    try {
+        if (!(await storage.deleteDevolutionRecord(req.params.id, actorOf(res)))) {
+            throw new ApiError(404, 'Devolução não encontrada');
+        }
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error, 'Falha ao excluir a devolução');
+    }
+});
+
+
+// --- Pessoas Routes ---
+const toPersonResponse = (person: schema.Person) => ({ id: person.id, ...toSyncPerson(person) });
+
+// Read a positive integer query parameter, falling back to a default
+const toPositiveInt = (value: unknown, fallback: number) => {
+    const parsed = parseInt(String(value ?? ''), 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+app.get('/api/pessoas', async (req: Request, res: Response) => {
+    const page = toPositiveInt(req.query.page, 1);
+    const pageSize = Math.min(toPositiveInt(req.query.pageSize, 50), 200);
+    try {
+        const { people, total } = await storage.listPeople({
+            tipo: req.query.tipo as string | undefined,
+            status: req.query.status as string | undefined,
+            nome: req.query.nome as string | undefined,
+            page,
+            pageSize,
+        });
+        res.status(200).json({ data: people.map(toPersonResponse), total, page, pageSize });
+    } catch (error) {
+        sendError(res, error, 'Falha ao listar as pessoas');
+    }
+});
+
+// Hand out a person code no other device will get
+app.post('/api/pessoas/codigo', async (req: Request, res: Response) => {
+    try {
+        res.status(201).json({ codigo: await storage.generatePersonCode() });
+    } catch (error) {
+        sendError(res, error, 'Falha ao gerar o código da pessoa');
+    }
+});
+
+app.get('/api/pessoas/:codigo', async (req: Request, res: Response) => {
+    try {
+        const person = await storage.getPersonByCode(req.params.codigo);
+        if (!person || person.deletedAt) {
+            throw new ApiError(404, 'Pessoa não encontrada');
+        }
+        res.status(200).json(toPersonResponse(person));
+    } catch (error) {
+        sendError(res, error, 'Falha ao obter a pessoa');
+    }
+});
+
+// Without a codigo, the person gets the next server code. The record is
+// checked first, so rejected requests do not use up codes. With a filial
+// (branch code) the person is linked to that branch, like people synced
+// from a branch's device.
+app.post('/api/pessoas', async (req: Request, res: Response) => {
+    try {
+        const campos = validateRecord('pessoa', req.body);
+        if (!req.body?.codigo) {
+            delete campos.codigo;
+        }
+        assertValid(campos);
+        const filialId = await requestFilialId(req.body?.filial);
+
+        const codigo = req.body?.codigo || await storage.generatePersonCode();
+        if (await storage.getPersonByCode(codigo)) {
+            throw new ApiError(409, 'Já existe uma pessoa com este código', { codigo });
+        }
+
+        const values = toPersonValues({ ...req.body, codigo, uuid: req.body?.uuid || randomUUID() });
+        const { usuario } = actorOf(res);
+        const person = await storage.createPerson({ ...values, createdBy: usuario, updatedBy: usuario }, filialId);
+        res.status(201).json(toPersonResponse(person));
+    } catch (error) {
+        sendError(res, error, 'Falha ao criar a pessoa');
+    }
+});
+
+// Sending versao makes the change fail with 409 if the person changed since
+app.put('/api/pessoas/:codigo', async (req: Request, res: Response) => {
+    try {
+        const existing = await storage.getPersonByCode(req.params.codigo);
+        if (!existing || existing.deletedAt) {
+            throw new ApiError(404, 'Pessoa não encontrada');
+        }
+        if (req.body?.versao !== undefined && Number(req.body.versao) !== existing.version) {
+            throw new ApiError(409, 'A pessoa foi alterada desde a versão enviada', { versao: existing.version });
+        }
+
+        const codigo = req.body?.codigo || existing.codigo;
+        if (codigo !== existing.codigo && await storage.getPersonByCode(codigo)) {
+            throw new ApiError(409, 'Já existe uma pessoa com este código', { codigo });
+        }
+
+        const values = toPersonValues({ ...req.body, codigo, uuid: existing.uuid || randomUUID() });
+        const person = await storage.updatePerson(existing.id, { ...values, updatedBy: actorOf(res).usuario });
+        res.status(200).json(toPersonResponse(person!));
+    } catch (error) {
+        sendError(res, error, 'Falha ao atualizar a pessoa');
+    }
+});
 
 // --- Fornecedores Routes ---
 app.get('/api/fornecedores', async (req: Request, res: Response) => {
     try {
-        const suppliers = await db.select().from(schema.fornecedores);
+        const suppliers = await storage.getAllFornecedores();
         res.status(200).json(suppliers);
     } catch (error) {
-        console.error('Failed to get suppliers:', error);
-        res.status(500).json({ error: 'Failed to get suppliers.' });
+        sendError(res, error, 'Falha ao obter os fornecedores');
     }
 });
 
+// Without a uuid, the supplier is a new one
 app.post('/api/fornecedores', async (req: Request, res: Response) => {
-    const supplierData = req.body;
-    try {
-        const result = await db.insert(schema.fornecedores)
-            .values({ ...supplierData, updatedAt: new Date() })
-            .onConflictDoUpdate({
-                target: schema.fornecedores.uuid,
-                set: {
-                    name: sql`excluded.name`,
-                    contact: sql`excluded.contact`,
-                    phone: sql`excluded.phone`,
-                    email: sql`excluded.email`,
-                    address: sql`excluded.address`,
-                    doc: sql`excluded.doc`,
-                    updatedAt: new Date(),
-                }
-            })
-            .returning();
-        res.status(201).json(result[0]);
-    } catch (error) {
-        console.error('Failed to save supplier:', error);
-        res.status(500).json({ error: 'Failed to save supplier.' });
+    try {
+        const values = toFornecedorValues({ ...req.body, uuid: req.body?.uuid || randomUUID() });
+        const { usuario } = actorOf(res);
+        res.status(201).json(await storage.saveFornecedor({ ...values, createdBy: usuario, updatedBy: usuario }));
+    } catch (error) {
+        sendError(res, error, 'Falha ao salvar o fornecedor');
     }
 });
 
 // --- Garantias Routes ---
 app.get('/api/garantias', async (req: Request, res: Response) => {
     try {
-        const warranties = await db.select().from(schema.garantias);
+        const warranties = await storage.getAllGarantias();
         res.status(200).json(warranties);
     } catch (error) {
-        console.error('Failed to get warranties:', error);
-        res.status(500).json({ error: 'Failed to get warranties.' });
+        sendError(res, error, 'Falha ao obter as garantias');
     }
 });
 
+// Without a uuid, the warranty claim is a new one
 app.post('/api/garantias', async (req: Request, res: Response) => {
-    const warrantyData = req.body;
-    try {
-        const result = await db.insert(schema.garantias)
-            .values({ ...warrantyData, updatedAt: new Date() })
-            .onConflictDoUpdate({
-                target: schema.garantias.uuid,
-                set: {
-                    productId: sql`excluded.productId`,
-                    productDesc: sql`excluded.productDesc`,
-                    quantity: sql`excluded.quantity`,
-                    defect: sql`excluded.defect`,
-                    purchaseInvoice: sql`excluded.purchaseInvoice`,
-                    value: sql`excluded.value`,
-                    returnInvoice: sql`excluded.returnInvoice`,
-                    salesRequestId: sql`excluded.salesRequestId`,
-                    warrantyRequestId: sql`excluded.warrantyRequestId`,
-                    status: sql`excluded.status`,
-                    notes: sql`excluded.notes`,
-                    supplierId: sql`excluded.supplierId`,
-                    clientId: sql`excluded.clientId`,
-                    mechanicId: sql`excluded.mechanicId`,
-                    purchaseDate: sql`excluded.purchaseDate`,
-                    returnDate: sql`excluded.returnDate`,
-                    warrantyDeadline: sql`excluded.warrantyDeadline`,
-                    updatedAt: new Date(),
-                }
-            })
-            .returning();
-        res.status(201).json(result[0]);
-    } catch (error) {
-        console.error('Failed to save warranty:', error);
-        res.status(500).json({ error: 'Failed to save warranty.' });
+    try {
+        const values = toGarantiaValues({ ...req.body, uuid: req.body?.uuid || randomUUID() });
+        const { usuario } = actorOf(res);
+        res.status(201).json(await storage.saveGarantia({ ...values, createdBy: usuario, updatedBy: usuario }));
+    } catch (error) {
+        sendError(res, error, 'Falha ao salvar a garantia');
+    }
+});
+
+// --- Filiais Routes ---
+// Every signed-in user can list the branches (to pick the device's branch);
+// only admins create and change them. Branches are never deleted, only
+// deactivated, since devolutions keep referring to them.
+app.get('/api/filiais', async (req: Request, res: Response) => {
+    try {
+        res.status(200).json(await storage.getAllFiliais());
+    } catch (error) {
+        sendError(res, error, 'Falha ao listar as filiais');
+    }
+});
+
+app.post('/api/filiais', requireRole('admin'), async (req: Request, res: Response) => {
+    try {
+        res.status(201).json(await storage.createFilial(toFilialValues(req.body)));
+    } catch (error) {
+        sendError(res, error, 'Falha ao criar a filial');
+    }
+});
+
+// The code is the branch's key on the devices, so it cannot be changed
+app.put('/api/filiais/:codigo', requireRole('admin'), async (req: Request, res: Response) => {
+    try {
+        const existing = await storage.getFilialByCode(req.params.codigo);
+        if (!existing) {
+            throw new ApiError(404, 'Filial não encontrada');
+        }
+        const values = toFilialValues({ ...existing, ...req.body, codigo: existing.codigo });
+        res.status(200).json(await storage.updateFilial(existing.id, values));
+    } catch (error) {
+        sendError(res, error, 'Falha ao atualizar a filial');
+    }
+});
+
+// Devolutions, items and parts per branch, with the totals over all of
+// them, for comparing branches or consolidating them. data_inicio and
+// data_fim (YYYY-MM-DD) filter on the return date, or on the sale date with
+// tipo_data=venda.
+app.get('/api/relatorios/filiais', async (req: Request, res: Response) => {
+    const criteria: BranchSummaryCriteria = { tipo_data: req.query.tipo_data === 'venda' ? 'venda' : 'devolucao' };
+    const campos: Record<string, string> = {};
+    for (const name of ['data_inicio', 'data_fim'] as const) {
+        const value = req.query[name];
+        if (typeof value === 'string' && value) {
+            if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime())) {
+                criteria[name] = value;
+            } else {
+                campos[name] = `Data inválida em ${name}: ${value}`;
+            }
+        }
+    }
+
+    try {
+        assertValid(campos);
+
+        const filiais = await storage.getBranchSummary(criteria);
+        const total = { devolucoes: 0, itens: 0, quantidade: 0, valor: 0, reembolso: 0, por_status: {} as Record<string, number> };
+        for (const filial of filiais) {
+            total.devolucoes += filial.devolucoes;
+            total.itens += filial.itens;
+            total.quantidade += filial.quantidade;
+            total.valor = Math.round((total.valor + filial.valor) * 100) / 100;
+            total.reembolso = Math.round((total.reembolso + filial.reembolso) * 100) / 100;
+            for (const [status, quantidade] of Object.entries(filial.por_status)) {
+                total.por_status[status] = (total.por_status[status] || 0) + quantidade;
+            }
+        }
+        res.status(200).json({ filiais, total });
+    } catch (error) {
+        sendError(res, error, 'Falha ao gerar o relatório por filial');
     }
 });
 
 // --- Settings Routes ---
+// With ?filial=<code>, the branch's settings, or the company's when the
+// branch has none of its own
 app.get('/api/settings', async (req: Request, res: Response) => {
     try {
-        const settings = await db.select().from(schema.empresa).where(eq(schema.empresa.id, 1));
-        if (settings.length > 0) {
-            res.status(200).json(settings[0]);
+        const settings = await storage.getEmpresa(await requestFilialId(req.query.filial));
+        if (settings) {
+            res.status(200).json(settings);
         } else {
-            res.status(404).json({ message: 'Settings not found.' });
+            res.status(404).json({ message: 'Configurações não encontradas' });
         }
     } catch (error) {
-        console.error('Failed to get settings:', error);
-        res.status(500).json({ error: 'Failed to get settings.' });
+        sendError(res, error, 'Falha ao obter as configurações');
     }
 });
 
-app.post('/api/settings', async (req: Request, res: Response) => {
-    const settingsData = req.body;
+// With filial in the body, saves that branch's own settings
+app.post('/api/settings', requireRole('gerente'), async (req: Request, res: Response) => {
     try {
-        await db.insert(schema.empresa)
-            .values({
-                id: 1,
-                name: settingsData.name,
-                doc: settingsData.doc,
-                phone: settingsData.phone,
-                email: settingsData.email,
-                address: settingsData.address,
-                logoUrl: settingsData.logoUrl,
-                updatedAt: new Date()
-            })
-            .onConflictDoUpdate({
-                target: schema.empresa.id,
-                set: {
-                    name: settingsData.name,
-                    doc: settingsData.doc,
-                    phone: settingsData.phone,
-                    email: settingsData.email,
-                    address: settingsData.address,
-                    logoUrl: settingsData.logoUrl,
-                    updatedAt: new Date(),
-                }
-            });
-        res.status(200).json({ message: 'Settings saved successfully.' });
+        await storage.saveEmpresa(toEmpresaValues(req.body), await requestFilialId(req.body?.filial));
+        res.status(200).json({ message: 'Configurações salvas com sucesso' });
     } catch (error) {
-        console.error('Failed to save settings:', error);
-        res.status(500).json({ error: 'Failed to save settings.' });
+        sendError(res, error, 'Falha ao salvar as configurações');
     }
 });
 
 // --- Sync Route ---
+
+const SYNC_ENTITIES: SyncChange['entidade'][] = ['devolucao', 'pessoa', 'fornecedor', 'garantia', 'rma'];
+const SYNC_OPERATIONS: SyncChange['operacao'][] = ['upsert', 'delete'];
+
+// A change the storage can apply: an object naming a known entity, the
+// record's uuid and the operation
+function isSyncChange(change: any): change is SyncChange {
+    return typeof change === 'object' && change !== null
+        && SYNC_ENTITIES.includes(change.entidade)
+        && typeof change.uuid === 'string' && change.uuid !== ''
+        && SYNC_OPERATIONS.includes(change.operacao);
+}
+
+// A device sends the code of its branch (filial): new devolutions and people
+// it pushes are filed under that branch, and it pulls only that branch's
+// records. Devices without a branch sync everything.
 app.post('/api/sync', async (req: Request, res: Response) => {
-    const { people, devolutions } = req.body;
+    const changes: unknown[] = Array.isArray(req.body.changes) ? req.body.changes : [];
+    const deviceId: string | null = req.body.device_id || null;
+    let filialId: number | null;
+    try {
+        filialId = await requestFilialId(req.body.filial);
+    } catch (error) {
+        return sendError(res, error, 'Falha na sincronização');
+    }
     const lastSyncTimestamp = req.query.lastSyncTimestamp as string;
+    const acknowledged: { outbox_id: number; versao?: number }[] = [];
+    const rejected: { outbox_id: number; error: string; erros?: string[]; campos?: Record<string, string> }[] = [];
+    const conflicts: { outbox_id: number; uuid: string; versao: number; registro: any }[] = [];
+
+    // Each change is acknowledged, rejected or reported as a conflict on its
+    // own, so one bad record does not hold back the rest of the batch
+    for (const change of changes as any[]) {
+        try {
+            if (!isSyncChange(change)) {
+                throw new ValidationError(['Alteração inválida: informe entidade, uuid e operacao']);
+            }
+            // Deleting is kept to managers, like DELETE /api/devolucoes/:id
+            if (change.operacao === 'delete' && !hasRole(res.locals.usuario, 'gerente')) {
+                rejected.push({ outbox_id: change.outbox_id, error: 'Seu perfil não permite excluir registros' });
+                continue;
+            }
+            const result = await storage.applySyncChange(change, actorOf(res, deviceId, filialId));
+            if (result.status === 'conflict') {
+                conflicts.push({ outbox_id: change.outbox_id, uuid: change.uuid, versao: result.versao, registro: result.registro });
+            } else {
+                acknowledged.push({ outbox_id: change.outbox_id, versao: result.versao });
+            }
+        } catch (error: any) {
+            if (error instanceof ValidationError) {
+                rejected.push({ outbox_id: change?.outbox_id, error: error.message, erros: error.erros, campos: error.campos });
+                continue;
+            }
+            // Unexpected errors (database, driver) are logged, not sent to the device
+            console.error(`Failed to sync ${change.entidade} ${change.uuid}:`, error);
+            rejected.push({ outbox_id: change.outbox_id, error: 'Falha ao gravar o registro no servidor' });
+        }
+    }
 
     try {
-        if (people && people.length > 0) {
-            await db.insert(schema.people)
-                .values(people)
-                .onConflictDoUpdate({
-                    target: schema.people.uuid,
-                    set: {
-                        nome: sql`excluded.nome`,
-                        email: sql`excluded.email`,
-                        telefone: sql`excluded.telefone`,
-                        endereco: sql`excluded.endereco`,
-                        tipo: sql`excluded.tipo`,
-                        status: sql`excluded.status`,
-                        observacoes: sql`excluded.observacoes`,
-                        updatedAt: new Date(),
-                    }
-                });
-        }
-
-        if (devolutions && devolutions.length > 0) {
-            await db.insert(schema.devolutions)
-                .values(devolutions)
-                .onConflictDoUpdate({
-                    target: schema.devolutions.uuid,
-                    set: {
-                        cliente_id: sql`excluded.cliente_id`,
-                        mecanico_id: sql`excluded.mecanico_id`,
-                        numero_pedido: sql`excluded.numero_pedido`,
-                        data_venda: sql`excluded.data_venda`,
-                        data_devolucao: sql`excluded.data_devolucao`,
-                        observacoes: sql`excluded.observacoes`,
-                        updatedAt: new Date(),
-                    }
-                });
-        }
-
-        let serverUpdates = { people: [], devolutions: [] };
-        if (lastSyncTimestamp) {
-            const syncTime = new Date(lastSyncTimestamp);
-            serverUpdates.people = await db.select().from(schema.people).where(gt(schema.people.updatedAt, syncTime));
-            serverUpdates.devolutions = await db.select().from(schema.devolutions).where(gt(schema.devolutions.updatedAt, syncTime));
-        } else {
-            serverUpdates.people = await db.select().from(schema.people);
-            serverUpdates.devolutions = await db.select().from(schema.devolutions);
+        const newSyncTimestamp = new Date().toISOString();
+        const pushedUuids = new Set(changes.filter(isSyncChange).map(change => change.uuid));
+        const syncTime = lastSyncTimestamp ? new Date(lastSyncTimestamp) : null;
+        const updates = await storage.getSyncUpdates(syncTime, filialId);
+
+        // Records sent in this request are not echoed back to their device
+        const serverUpdates = {
+            people: updates.people.filter(person => !pushedUuids.has(person.uuid!)),
+            devolutions: updates.devolutions.filter(devolution => !pushedUuids.has(devolution.uuid!)),
+            fornecedores: updates.fornecedores.filter(fornecedor => !pushedUuids.has(fornecedor.uuid!)),
+            garantias: updates.garantias.filter(garantia => !pushedUuids.has(garantia.uuid!)),
+            rmas: updates.rmas.filter(rma => !pushedUuids.has(rma.uuid!)),
+            tombstones: updates.tombstones.filter(tombstone => !pushedUuids.has(tombstone.uuid)),
+        };
+
+        if (deviceId) {
+            await storage.acknowledgeDeviceSync(deviceId, syncTime);
         }
 
         res.status(200).json({
-            message: 'Sync successful',
+            message: 'Sincronização concluída',
+            acknowledged,
+            rejected,
+            conflicts,
             serverUpdates,
-            newSyncTimestamp: new Date().toISOString()
+            newSyncTimestamp
         });
 
     } catch (error) {
-        console.error('Sync failed:', error);
-        res.status(500).json({ error: 'An error occurred during synchronization.' });
+        sendError(res, error, 'Ocorreu um erro na sincronização');
+    }
+});
+
+// Errors raised before a route runs, such as bodies that are not valid JSON
+// or over the size limit, get a Portuguese message instead of Express's page
+app.use((error: any, req: Request, res: Response, next: NextFunction) => {
+    if (res.headersSent) {
+        return next(error);
+    }
+    if (error?.type === 'entity.parse.failed') {
+        res.status(400).json({ error: 'Corpo da requisição não é um JSON válido' });
+    } else if (error?.type === 'entity.too.large') {
+        res.status(413).json({ error: 'Requisição grande demais' });
+    } else {
+        console.error('Unhandled request error:', error);
+        res.status(500).json({ error: 'Erro interno do servidor' });
     }
 });
 
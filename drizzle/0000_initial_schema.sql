@@ -0,0 +1,126 @@
+CREATE TABLE "devolution_items" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"uuid" varchar(36),
+	"devolution_id" integer NOT NULL,
+	"codigo_peca" varchar(100) NOT NULL,
+	"descricao_peca" text NOT NULL,
+	"quantidade_devolvida" integer NOT NULL,
+	"tipo_acao" varchar(50) NOT NULL,
+	"observacoes_item" text,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "devolution_items_uuid_unique" UNIQUE("uuid")
+);
+--> statement-breakpoint
+CREATE TABLE "devolutions" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"uuid" varchar(36),
+	"cliente_id" integer,
+	"mecanico_id" integer,
+	"numero_pedido" varchar(100),
+	"acao_requisicao" varchar(20),
+	"data_venda" timestamp,
+	"data_devolucao" timestamp NOT NULL,
+	"observacoes" text,
+	"status" varchar(20) DEFAULT 'Aberta' NOT NULL,
+	"resolucao" text,
+	"version" integer DEFAULT 1 NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "devolutions_uuid_unique" UNIQUE("uuid")
+);
+--> statement-breakpoint
+CREATE TABLE "empresa" (
+	"id" integer PRIMARY KEY NOT NULL,
+	"name" varchar(255),
+	"doc" varchar(20),
+	"phone" varchar(20),
+	"email" varchar(255),
+	"address" text,
+	"logo_url" text,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE "fornecedores" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"uuid" varchar(36),
+	"name" varchar(255) NOT NULL,
+	"contact" varchar(255),
+	"phone" varchar(20),
+	"email" varchar(255),
+	"address" text,
+	"doc" varchar(20),
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "fornecedores_uuid_unique" UNIQUE("uuid")
+);
+--> statement-breakpoint
+CREATE TABLE "garantias" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"uuid" varchar(36),
+	"product_id" varchar(100) NOT NULL,
+	"product_desc" text,
+	"quantity" integer DEFAULT 1 NOT NULL,
+	"defect" text,
+	"purchase_invoice" varchar(100),
+	"value" numeric(12, 2),
+	"return_invoice" varchar(100),
+	"sales_request_id" varchar(100),
+	"warranty_request_id" varchar(100),
+	"status" varchar(20) DEFAULT 'aberta' NOT NULL,
+	"notes" text,
+	"supplier_id" integer,
+	"client_id" integer,
+	"mechanic_id" integer,
+	"purchase_date" timestamp,
+	"return_date" timestamp,
+	"warranty_deadline" timestamp,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "garantias_uuid_unique" UNIQUE("uuid")
+);
+--> statement-breakpoint
+CREATE TABLE "people" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"uuid" varchar(36),
+	"codigo" varchar(20) NOT NULL,
+	"nome" varchar(255) NOT NULL,
+	"documento" varchar(20),
+	"email" varchar(255),
+	"telefone" varchar(20),
+	"endereco" text,
+	"tipo" varchar(20) NOT NULL,
+	"status" varchar(20) DEFAULT 'Ativo' NOT NULL,
+	"observacoes" text,
+	"version" integer DEFAULT 1 NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "people_uuid_unique" UNIQUE("uuid"),
+	CONSTRAINT "people_codigo_unique" UNIQUE("codigo")
+);
+--> statement-breakpoint
+CREATE TABLE "sync_devices" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"device_id" varchar(36) NOT NULL,
+	"acknowledged_at" timestamp,
+	"last_seen_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "sync_devices_device_id_unique" UNIQUE("device_id")
+);
+--> statement-breakpoint
+CREATE TABLE "tombstones" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"entidade" varchar(20) NOT NULL,
+	"uuid" varchar(36) NOT NULL,
+	"device_id" varchar(36),
+	"deleted_at" timestamp DEFAULT now() NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "tombstones_uuid_unique" UNIQUE("uuid")
+);
+--> statement-breakpoint
+ALTER TABLE "devolution_items" ADD CONSTRAINT "devolution_items_devolution_id_devolutions_id_fk" FOREIGN KEY ("devolution_id") REFERENCES "public"."devolutions"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "devolutions" ADD CONSTRAINT "devolutions_cliente_id_people_id_fk" FOREIGN KEY ("cliente_id") REFERENCES "public"."people"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "devolutions" ADD CONSTRAINT "devolutions_mecanico_id_people_id_fk" FOREIGN KEY ("mecanico_id") REFERENCES "public"."people"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "garantias" ADD CONSTRAINT "garantias_supplier_id_fornecedores_id_fk" FOREIGN KEY ("supplier_id") REFERENCES "public"."fornecedores"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "garantias" ADD CONSTRAINT "garantias_client_id_people_id_fk" FOREIGN KEY ("client_id") REFERENCES "public"."people"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "garantias" ADD CONSTRAINT "garantias_mechanic_id_people_id_fk" FOREIGN KEY ("mechanic_id") REFERENCES "public"."people"("id") ON DELETE no action ON UPDATE no action;
\ No newline at end of file
@@ -0,0 +1 @@
+CREATE SEQUENCE "public"."person_code_seq" INCREMENT BY 1 MINVALUE 1 MAXVALUE 9223372036854775807 START WITH 1 CACHE 1;
\ No newline at end of file
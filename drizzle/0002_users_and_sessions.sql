@@ -0,0 +1,31 @@
+CREATE TABLE "sessoes" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"token_hash" varchar(64) NOT NULL,
+	"usuario_id" integer NOT NULL,
+	"expires_at" timestamp NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "sessoes_token_hash_unique" UNIQUE("token_hash")
+);
+--> statement-breakpoint
+CREATE TABLE "usuarios" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"usuario" varchar(50) NOT NULL,
+	"nome" varchar(255) NOT NULL,
+	"papel" varchar(20) DEFAULT 'operador' NOT NULL,
+	"senha_hash" text NOT NULL,
+	"ativo" boolean DEFAULT true NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "usuarios_usuario_unique" UNIQUE("usuario")
+);
+--> statement-breakpoint
+ALTER TABLE "devolutions" ADD COLUMN "created_by" varchar(50);--> statement-breakpoint
+ALTER TABLE "devolutions" ADD COLUMN "updated_by" varchar(50);--> statement-breakpoint
+ALTER TABLE "fornecedores" ADD COLUMN "created_by" varchar(50);--> statement-breakpoint
+ALTER TABLE "fornecedores" ADD COLUMN "updated_by" varchar(50);--> statement-breakpoint
+ALTER TABLE "garantias" ADD COLUMN "created_by" varchar(50);--> statement-breakpoint
+ALTER TABLE "garantias" ADD COLUMN "updated_by" varchar(50);--> statement-breakpoint
+ALTER TABLE "people" ADD COLUMN "created_by" varchar(50);--> statement-breakpoint
+ALTER TABLE "people" ADD COLUMN "updated_by" varchar(50);--> statement-breakpoint
+ALTER TABLE "tombstones" ADD COLUMN "deleted_by" varchar(50);--> statement-breakpoint
+ALTER TABLE "sessoes" ADD CONSTRAINT "sessoes_usuario_id_usuarios_id_fk" FOREIGN KEY ("usuario_id") REFERENCES "public"."usuarios"("id") ON DELETE no action ON UPDATE no action;
\ No newline at end of file
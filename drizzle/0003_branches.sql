@@ -0,0 +1,24 @@
+CREATE TABLE "filiais" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"codigo" varchar(20) NOT NULL,
+	"nome" varchar(255) NOT NULL,
+	"ativo" boolean DEFAULT true NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "filiais_codigo_unique" UNIQUE("codigo")
+);
+--> statement-breakpoint
+CREATE TABLE "pessoa_filiais" (
+	"person_id" integer NOT NULL,
+	"filial_id" integer NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "pessoa_filiais_person_id_filial_id_pk" PRIMARY KEY("person_id","filial_id")
+);
+--> statement-breakpoint
+ALTER TABLE "devolutions" ADD COLUMN "filial_id" integer;--> statement-breakpoint
+ALTER TABLE "empresa" ADD COLUMN "filial_id" integer;--> statement-breakpoint
+ALTER TABLE "pessoa_filiais" ADD CONSTRAINT "pessoa_filiais_person_id_people_id_fk" FOREIGN KEY ("person_id") REFERENCES "public"."people"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "pessoa_filiais" ADD CONSTRAINT "pessoa_filiais_filial_id_filiais_id_fk" FOREIGN KEY ("filial_id") REFERENCES "public"."filiais"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "devolutions" ADD CONSTRAINT "devolutions_filial_id_filiais_id_fk" FOREIGN KEY ("filial_id") REFERENCES "public"."filiais"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "empresa" ADD CONSTRAINT "empresa_filial_id_filiais_id_fk" FOREIGN KEY ("filial_id") REFERENCES "public"."filiais"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "empresa" ADD CONSTRAINT "empresa_filial_id_unique" UNIQUE("filial_id");
\ No newline at end of file
@@ -0,0 +1,3 @@
+ALTER TABLE "devolution_items" ADD COLUMN "fornecedor_id" integer;--> statement-breakpoint
+ALTER TABLE "fornecedores" ADD COLUMN "version" integer DEFAULT 1 NOT NULL;--> statement-breakpoint
+ALTER TABLE "devolution_items" ADD CONSTRAINT "devolution_items_fornecedor_id_fornecedores_id_fk" FOREIGN KEY ("fornecedor_id") REFERENCES "public"."fornecedores"("id") ON DELETE no action ON UPDATE no action;
\ No newline at end of file
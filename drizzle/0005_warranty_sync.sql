@@ -0,0 +1,4 @@
+ALTER TABLE "garantias" ADD COLUMN "devolution_item_uuid" varchar(36);--> statement-breakpoint
+ALTER TABLE "garantias" ADD COLUMN "filial_id" integer;--> statement-breakpoint
+ALTER TABLE "garantias" ADD COLUMN "version" integer DEFAULT 1 NOT NULL;--> statement-breakpoint
+ALTER TABLE "garantias" ADD CONSTRAINT "garantias_filial_id_filiais_id_fk" FOREIGN KEY ("filial_id") REFERENCES "public"."filiais"("id") ON DELETE no action ON UPDATE no action;
\ No newline at end of file
@@ -0,0 +1,31 @@
+CREATE TABLE "rma_items" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"rma_id" integer NOT NULL,
+	"devolution_item_uuid" varchar(36) NOT NULL,
+	"product_id" varchar(100) NOT NULL,
+	"product_desc" text,
+	"quantity" integer NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE "rmas" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"uuid" varchar(36),
+	"supplier_id" integer NOT NULL,
+	"status" varchar(20) DEFAULT 'aberto' NOT NULL,
+	"shipping_date" timestamp,
+	"supplier_response" text,
+	"credit_amount" numeric(12, 2),
+	"notes" text,
+	"filial_id" integer,
+	"version" integer DEFAULT 1 NOT NULL,
+	"created_by" varchar(50),
+	"updated_by" varchar(50),
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "rmas_uuid_unique" UNIQUE("uuid")
+);
+--> statement-breakpoint
+ALTER TABLE "devolution_items" ADD COLUMN "rma_uuid" varchar(36);--> statement-breakpoint
+ALTER TABLE "rma_items" ADD CONSTRAINT "rma_items_rma_id_rmas_id_fk" FOREIGN KEY ("rma_id") REFERENCES "public"."rmas"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "rmas" ADD CONSTRAINT "rmas_supplier_id_fornecedores_id_fk" FOREIGN KEY ("supplier_id") REFERENCES "public"."fornecedores"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "rmas" ADD CONSTRAINT "rmas_filial_id_filiais_id_fk" FOREIGN KEY ("filial_id") REFERENCES "public"."filiais"("id") ON DELETE no action ON UPDATE no action;
\ No newline at end of file
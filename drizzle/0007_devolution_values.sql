@@ -0,0 +1,2 @@
+ALTER TABLE "devolution_items" ADD COLUMN "valor_unitario" numeric(12, 2);--> statement-breakpoint
+ALTER TABLE "devolutions" ADD COLUMN "valor_reembolso" numeric(12, 2);
\ No newline at end of file
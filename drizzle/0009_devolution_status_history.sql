@@ -0,0 +1 @@
+ALTER TABLE "devolutions" ADD COLUMN "status_historico" jsonb DEFAULT '[]'::jsonb NOT NULL;
\ No newline at end of file
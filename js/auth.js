@@ -0,0 +1,261 @@
+/**
+ * User session and permissions for the Parts Return Control System
+ * Signs in against the API, keeps the session token on this device and
+ * decides which destructive actions the signed-in user's role (papel) allows.
+ * The pages keep the session in localStorage; a copy goes to the settings
+ * store so the service worker (sw.js) can send the token when it syncs.
+ * The API checks the same roles (server/auth.ts); hiding an action here only
+ * spares the user a request the server would refuse.
+ */
+
+const AUTH_SESSION_KEY = 'authSession';
+
+// Least role allowed to run each action; USER_ROLES (js/validation.js)
+// lists the roles from least to most allowed. Deletions are kept to
+// managers, like DELETE /api/devolucoes/:id and deletions sent through sync.
+const ACTION_ROLES = {
+    excluirDevolucao: 'gerente',
+    excluirPessoa: 'gerente',
+    esvaziarLixeira: 'gerente',
+    restaurarBackup: 'admin',
+    limparDados: 'admin',
+    gerenciarUsuarios: 'admin',
+    gerenciarFiliais: 'admin',
+    configurarEmpresa: 'gerente'
+};
+
+const ROLE_LABELS = {
+    operador: 'Operador',
+    gerente: 'Gerente',
+    admin: 'Administrador'
+};
+
+/**
+ * Get the session of the user signed in on this page
+ * @returns {Object|null} token, expira_em and usuario ({ id, usuario, nome, papel }),
+ *   or null when nobody is signed in or the session expired
+ */
+function getAuthSession() {
+    if (typeof localStorage === 'undefined') {
+        return null;
+    }
+    try {
+        const session = JSON.parse(localStorage.getItem(AUTH_SESSION_KEY) || 'null');
+        if (!session || !session.token || new Date(session.expira_em) <= new Date()) {
+            return null;
+        }
+        return session;
+    } catch (error) {
+        console.warn('Ignoring unreadable session:', error);
+        return null;
+    }
+}
+
+/**
+ * Load the session where localStorage is not available (service worker),
+ * from the copy kept in the settings store
+ * @returns {Promise<Object|null>} Session, or null when nobody is signed in
+ */
+async function loadAuthSession() {
+    if (typeof localStorage !== 'undefined') {
+        return getAuthSession();
+    }
+    const session = await getSetting(AUTH_SESSION_KEY);
+    if (!session || new Date(session.expira_em) <= new Date()) {
+        return null;
+    }
+    return session;
+}
+
+/**
+ * Keep (or, with null, forget) the session on this device
+ * @param {Object|null} session - Session returned by the API
+ */
+async function saveAuthSession(session) {
+    if (session) {
+        localStorage.setItem(AUTH_SESSION_KEY, JSON.stringify(session));
+    } else {
+        localStorage.removeItem(AUTH_SESSION_KEY);
+    }
+    try {
+        await setSetting(AUTH_SESSION_KEY, session);
+    } catch (error) {
+        console.warn('Could not store session for background sync:', error);
+    }
+}
+
+/**
+ * Get the headers that authenticate a request to the API
+ * @returns {Promise<Object>} Authorization header, empty when nobody is signed in
+ */
+async function getAuthHeaders() {
+    const session = await loadAuthSession();
+    return session ? { 'Authorization': `Bearer ${session.token}` } : {};
+}
+
+/**
+ * Send a request to the API as the signed-in user. A 401 answer means the
+ * session is no longer valid, so it is forgotten.
+ * @param {string} url - API path
+ * @param {Object} options - fetch options; a body object is sent as JSON
+ * @returns {Promise<*>} Parsed answer, or null for empty answers
+ */
+async function apiRequest(url, options = {}) {
+    const headers = { ...(await getAuthHeaders()), ...(options.headers || {}) };
+    let body = options.body;
+    if (body !== undefined && typeof body !== 'string') {
+        headers['Content-Type'] = 'application/json';
+        body = JSON.stringify(body);
+    }
+
+    const response = await fetch(url, { ...options, headers, body });
+    const data = response.status === 204 ? null : await response.json().catch(() => null);
+
+    if (response.status === 401 && typeof localStorage !== 'undefined') {
+        await saveAuthSession(null);
+    }
+    if (!response.ok) {
+        const fieldErrors = data && data.campos ? Object.values(data.campos) : [];
+        const error = new Error(fieldErrors.length > 0 ? fieldErrors.join('; ') : (data && data.error) || `Falha na requisição (${response.status})`);
+        error.status = response.status;
+        error.campos = data && data.campos;
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * Sign in and keep the session on this device
+ * @param {string} usuario - Login name
+ * @param {string} senha - Password
+ * @returns {Promise<Object>} The signed-in user
+ */
+async function signIn(usuario, senha) {
+    const session = await apiRequest('/api/auth/login', { method: 'POST', body: { usuario, senha } });
+    await saveAuthSession(session);
+    return session.usuario;
+}
+
+/**
+ * Create the first account (an admin) on a server that has none, and sign in with it
+ * @param {Object} dados - usuario, nome and senha
+ * @returns {Promise<Object>} The signed-in user
+ */
+async function setupFirstUser(dados) {
+    const session = await apiRequest('/api/auth/setup', { method: 'POST', body: dados });
+    await saveAuthSession(session);
+    return session.usuario;
+}
+
+/**
+ * End the session on the server (when it can be reached) and on this device
+ */
+async function signOut() {
+    try {
+        if (navigator.onLine && getAuthSession()) {
+            await apiRequest('/api/auth/logout', { method: 'POST' });
+        }
+    } catch (error) {
+        console.warn('Could not end the session on the server:', error);
+    } finally {
+        await saveAuthSession(null);
+    }
+}
+
+/**
+ * Get the signed-in user
+ * @returns {Object|null} id, usuario, nome and papel, or null when nobody is signed in
+ */
+function getCurrentUser() {
+    const session = getAuthSession();
+    return session ? session.usuario : null;
+}
+
+/**
+ * Whether the signed-in user's role allows an action. Nobody signed in
+ * is allowed none of them.
+ * @param {string} acao - A key of ACTION_ROLES
+ * @returns {boolean} True if allowed
+ */
+function canPerform(acao) {
+    const user = getCurrentUser();
+    const minimo = ACTION_ROLES[acao];
+    if (!user || !minimo) {
+        return false;
+    }
+    return USER_ROLES.indexOf(user.papel) >= USER_ROLES.indexOf(minimo);
+}
+
+/**
+ * Check an action before running it, telling the user when their role
+ * does not allow it
+ * @param {string} acao - A key of ACTION_ROLES
+ * @returns {boolean} True if allowed
+ */
+function checkPermission(acao) {
+    if (canPerform(acao)) {
+        return true;
+    }
+    const message = getCurrentUser()
+        ? 'Seu perfil não permite esta ação.'
+        : 'Entre com um usuário autorizado para realizar esta ação.';
+    if (typeof showAlert === 'function') {
+        showAlert(message, 'warning');
+    } else {
+        alert(message);
+    }
+    return false;
+}
+
+/**
+ * Hide the elements marked with data-permissao="<acao>" that the signed-in
+ * user's role does not allow, and show the user in the navigation bar
+ * @param {ParentNode} root - Where to look for the elements
+ */
+function applyPermissions(root = document) {
+    root.querySelectorAll('[data-permissao]').forEach(element => {
+        element.classList.toggle('d-none', !canPerform(element.dataset.permissao));
+    });
+
+    const authLink = document.getElementById('authNavLink');
+    if (authLink) {
+        const user = getCurrentUser();
+        authLink.innerHTML = user
+            ? `<i class="fas fa-user-circle me-1"></i>${escapeAuthText(user.nome)} (${ROLE_LABELS[user.papel] || user.papel})`
+            : '<i class="fas fa-sign-in-alt me-1"></i>Entrar';
+    }
+}
+
+/**
+ * Escape text shown in the navigation bar
+ * @param {string} text - Text to escape
+ * @returns {string} HTML-safe text
+ */
+function escapeAuthText(text) {
+    return String(text || '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => applyPermissions());
+
+    // Another tab signed in or out
+    window.addEventListener('storage', event => {
+        if (event.key === AUTH_SESSION_KEY) {
+            applyPermissions();
+        }
+    });
+}
+
+// Export functions for global use (in the service worker, window is the global scope)
+window.ROLE_LABELS = ROLE_LABELS;
+window.getAuthSession = getAuthSession;
+window.loadAuthSession = loadAuthSession;
+window.getAuthHeaders = getAuthHeaders;
+window.apiRequest = apiRequest;
+window.signIn = signIn;
+window.setupFirstUser = setupFirstUser;
+window.signOut = signOut;
+window.getCurrentUser = getCurrentUser;
+window.canPerform = canPerform;
+window.checkPermission = checkPermission;
+window.applyPermissions = applyPermissions;
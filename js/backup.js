@@ -16,19 +16,27 @@ async function exportBackup() {
 
         const includeDevolutions = document.getElementById('includeDevolutions').checked;
         const includePeople = document.getElementById('includePeople').checked;
+        const includePecas = document.getElementById('includePecas').checked;
+        const includeFornecedores = document.getElementById('includeFornecedores').checked;
+        const includeGarantias = document.getElementById('includeGarantias').checked;
+        const includeRmas = document.getElementById('includeRmas').checked;
 
-        if (!includeDevolutions && !includePeople) {
+        if (!includeDevolutions && !includePeople && !includePecas && !includeFornecedores && !includeGarantias && !includeRmas) {
             throw new Error('Selecione pelo menos um tipo de dados para backup');
         }
 
         const backupData = {
             metadata: {
                 exportDate: new Date().toISOString(),
-                version: '1.0',
+                version: '2.0',
                 systemName: 'Sistema de Controle de Retorno de Peças',
                 includes: {
                     devolutions: includeDevolutions,
-                    people: includePeople
+                    people: includePeople,
+                    pecas: includePecas,
+                    fornecedores: includeFornecedores,
+                    garantias: includeGarantias,
+                    rmas: includeRmas
                 }
             },
             data: {}
@@ -58,6 +66,54 @@ async function exportBackup() {
             }
         }
 
+        // Export parts catalog
+        if (includePecas) {
+            try {
+                const pecas = await getAllPecas();
+                backupData.data.pecas = pecas;
+                console.log(`Exported ${pecas.length} catalog parts`);
+            } catch (error) {
+                console.warn('Error exporting parts catalog:', error);
+                backupData.data.pecas = [];
+            }
+        }
+
+        // Export suppliers
+        if (includeFornecedores) {
+            try {
+                const fornecedores = await getAllFornecedores();
+                backupData.data.fornecedores = fornecedores;
+                console.log(`Exported ${fornecedores.length} suppliers`);
+            } catch (error) {
+                console.warn('Error exporting suppliers:', error);
+                backupData.data.fornecedores = [];
+            }
+        }
+
+        // Export warranty claims
+        if (includeGarantias) {
+            try {
+                const garantias = await getAllGarantias();
+                backupData.data.garantias = garantias;
+                console.log(`Exported ${garantias.length} warranty claims`);
+            } catch (error) {
+                console.warn('Error exporting warranty claims:', error);
+                backupData.data.garantias = [];
+            }
+        }
+
+        // Export RMA batches
+        if (includeRmas) {
+            try {
+                const rmas = await getAllRmas();
+                backupData.data.rmas = rmas;
+                console.log(`Exported ${rmas.length} RMA batches`);
+            } catch (error) {
+                console.warn('Error exporting RMA batches:', error);
+                backupData.data.rmas = [];
+            }
+        }
+
         // Create and download file
         const jsonString = JSON.stringify(backupData, null, 2);
         const blob = new Blob([jsonString], { type: 'application/json' });
@@ -137,6 +193,22 @@ function validateBackupFile() {
                 details += `<li><strong>Pessoas:</strong> ${data.people.length} registros</li>`;
             }
 
+            if (data.fornecedores) {
+                details += `<li><strong>Fornecedores:</strong> ${data.fornecedores.length} registros</li>`;
+            }
+
+            if (data.pecas) {
+                details += `<li><strong>Catálogo de peças:</strong> ${data.pecas.length} registros</li>`;
+            }
+
+            if (data.garantias) {
+                details += `<li><strong>Garantias:</strong> ${data.garantias.length} registros</li>`;
+            }
+
+            if (data.rmas) {
+                details += `<li><strong>RMA:</strong> ${data.rmas.length} registros</li>`;
+            }
+
             details += '</ul>';
             
             backupDetails.innerHTML = details;
@@ -161,6 +233,8 @@ function validateBackupFile() {
  * Import backup data
  */
 async function importBackup() {
+    if (!checkPermission('restaurarBackup')) return;
+
     if (!window.currentBackupData) {
         showAlert('Nenhum arquivo de backup válido selecionado.', 'warning');
         return;
@@ -186,6 +260,10 @@ async function importBackup() {
         const backupData = window.currentBackupData;
         let importedDevolutions = 0;
         let importedPeople = 0;
+        let importedPecas = 0;
+        let importedFornecedores = 0;
+        let importedGarantias = 0;
+        let importedRmas = 0;
 
         // Clear existing data if requested
         if (clearData) {
@@ -195,6 +273,18 @@ async function importBackup() {
             if (backupData.data.people) {
                 await clearPeopleData();
             }
+            if (backupData.data.pecas) {
+                await clearPecasData();
+            }
+            if (backupData.data.fornecedores) {
+                await clearFornecedoresData();
+            }
+            if (backupData.data.garantias) {
+                await clearGarantiasData();
+            }
+            if (backupData.data.rmas) {
+                await clearRmasData();
+            }
         }
 
         // Import people first (they might be referenced by devolutions)
@@ -205,7 +295,7 @@ async function importBackup() {
                     const { id, ...personData } = person;
                     personData.imported_at = new Date().toISOString();
 
-                    await addPerson(personData);
+                    await addPerson(personData, { origem: 'import' });
                     importedPeople++;
                 } catch (error) {
                     console.warn('Error importing person:', error);
@@ -213,24 +303,71 @@ async function importBackup() {
             }
         }
 
-        // Import devolutions
+        // Import suppliers before the parts and devolutions that refer to
+        // them; a supplier already here (same uuid) is updated
+        if (backupData.data.fornecedores && backupData.data.fornecedores.length > 0) {
+            for (const fornecedor of backupData.data.fornecedores) {
+                try {
+                    const { id, ...fornecedorData } = fornecedor;
+                    const existing = await getFornecedorByUuid(fornecedorData.uuid);
+                    await saveFornecedor(existing ? { ...fornecedorData, id: existing.id } : fornecedorData, { origem: 'import' });
+                    importedFornecedores++;
+                } catch (error) {
+                    console.warn('Error importing supplier:', error);
+                }
+            }
+        }
+
+        // Import the parts catalog; parts with a code already in the catalog
+        // are updated
+        if (backupData.data.pecas && backupData.data.pecas.length > 0) {
+            for (const peca of backupData.data.pecas) {
+                try {
+                    const { id, ...pecaData } = peca;
+                    const existing = await getPecaByCodigo(pecaData.codigo);
+                    await savePeca(existing ? { ...pecaData, id: existing.id } : pecaData);
+                    importedPecas++;
+                } catch (error) {
+                    console.warn('Error importing catalog part:', error);
+                }
+            }
+        }
+
+        // Import devolutions (older backups have one record per part; they are
+        // grouped back into devolutions by importDevolutionRecords)
         if (backupData.data.devolutions && backupData.data.devolutions.length > 0) {
-            for (const devolution of backupData.data.devolutions) {
+            importedDevolutions = await importDevolutionRecords(backupData.data.devolutions);
+        }
+
+        // Import warranty claims after the suppliers and returned parts they
+        // refer to; a claim already here (same uuid) is updated
+        if (backupData.data.garantias && backupData.data.garantias.length > 0) {
+            for (const garantia of backupData.data.garantias) {
                 try {
-                    // Remove ID to allow auto-increment
-                    const { id, ...devolutionData } = devolution;
-                    devolutionData.imported_at = new Date().toISOString();
+                    const { id, ...garantiaData } = garantia;
+                    const existing = await getGarantiaByUuid(garantiaData.uuid);
+                    await saveGarantia(existing ? { ...garantiaData, id: existing.id } : garantiaData, { origem: 'import' });
+                    importedGarantias++;
+                } catch (error) {
+                    console.warn('Error importing warranty claim:', error);
+                }
+            }
+        }
 
-                    await addDevolution(devolutionData);
-                    importedDevolutions++;
+        // Import RMA batches after the devolutions whose parts they group
+        if (backupData.data.rmas && backupData.data.rmas.length > 0) {
+            for (const rma of backupData.data.rmas) {
+                try {
+                    await importRma(rma);
+                    importedRmas++;
                 } catch (error) {
-                    console.warn('Error importing devolution:', error);
+                    console.warn('Error importing RMA batch:', error);
                 }
             }
         }
 
         showAlert(
-            `Backup restaurado com sucesso! Importados: ${importedDevolutions} devoluções, ${importedPeople} pessoas.`,
+            `Backup restaurado com sucesso! Importados: ${importedDevolutions} devoluções, ${importedPeople} pessoas, ${importedFornecedores} fornecedores, ${importedPecas} peças do catálogo, ${importedGarantias} garantias, ${importedRmas} RMAs.`,
             'success'
         );
 
@@ -334,19 +471,21 @@ async function loadDatabaseStatistics() {
 }
 
 /**
- * Clear devolutions data
+ * Move all devolutions to the trash
  */
 async function clearDevolutions() {
+    if (!checkPermission('limparDados')) return;
+
     const confirmed = await confirmDialog(
-        'Tem certeza que deseja apagar todas as devoluções? Esta ação não pode ser desfeita!',
+        'Tem certeza que deseja mover todas as devoluções para a lixeira? Elas poderão ser restauradas na página Lixeira.',
         'Confirmar Exclusão'
     );
     
     if (!confirmed) return;
 
     try {
-        await clearDevolutionsData();
-        showAlert('Todas as devoluções foram apagadas com sucesso.', 'success');
+        await trashAllDevolutions();
+        showAlert('Todas as devoluções foram movidas para a lixeira.', 'success');
         await loadDatabaseStatistics();
     } catch (error) {
         console.error('Error clearing devolutions:', error);
@@ -355,19 +494,21 @@ async function clearDevolutions() {
 }
 
 /**
- * Clear people data
+ * Move all people to the trash
  */
 async function clearPeople() {
+    if (!checkPermission('limparDados')) return;
+
     const confirmed = await confirmDialog(
-        'Tem certeza que deseja apagar todas as pessoas? Esta ação não pode ser desfeita!',
+        'Tem certeza que deseja mover todas as pessoas para a lixeira? Elas poderão ser restauradas na página Lixeira.',
         'Confirmar Exclusão'
     );
     
     if (!confirmed) return;
 
     try {
-        await clearPeopleData();
-        showAlert('Todas as pessoas foram apagadas com sucesso.', 'success');
+        await trashAllPeople();
+        showAlert('Todas as pessoas foram movidas para a lixeira.', 'success');
         await loadDatabaseStatistics();
     } catch (error) {
         console.error('Error clearing people:', error);
@@ -376,11 +517,18 @@ async function clearPeople() {
 }
 
 /**
- * Clear all data
+ * Clear every kind of record from this device: devolutions and people go
+ * to the trash (and are deleted on the other devices through sync); the
+ * parts catalog, suppliers, warranty claims, RMA batches, pending sync
+ * changes, sync conflicts and the company settings are removed from this
+ * device only
  */
 async function clearAllData() {
+    if (!checkPermission('limparDados')) return;
+
     const confirmed = await confirmDialog(
-        'ATENÇÃO: Tem certeza que deseja apagar TODOS os dados do sistema? Esta ação não pode ser desfeita!',
+        'ATENÇÃO: Tem certeza que deseja apagar TODOS os dados deste dispositivo? Devoluções e pessoas vão para a lixeira; ' +
+        'catálogo de peças, fornecedores, garantias, lotes de RMA, alterações ainda não sincronizadas, conflitos e dados da empresa são apagados.',
         'CONFIRMAR EXCLUSÃO TOTAL'
     );
     
@@ -388,16 +536,24 @@ async function clearAllData() {
 
     // Second confirmation
     const doubleConfirmed = await confirmDialog(
-        'Esta é sua última chance! Todos os dados serão perdidos permanentemente. Continuar?',
+        `Os dados ficarão na lixeira por ${getTrashRetentionDays()} dias e depois serão apagados permanentemente. Continuar?`,
         'ÚLTIMA CONFIRMAÇÃO'
     );
     
     if (!doubleConfirmed) return;
 
     try {
-        await clearDevolutionsData();
-        await clearPeopleData();
-        showAlert('Todos os dados foram apagados com sucesso.', 'success');
+        // Pending changes go first, so the deletions queued below are the
+        // only ones sent
+        await clearSyncData();
+        await clearPecasData();
+        await clearFornecedoresData();
+        await clearGarantiasData();
+        await clearRmasData();
+        await clearCompanySettings();
+        await trashAllDevolutions();
+        await trashAllPeople();
+        showAlert('Todos os dados foram apagados; devoluções e pessoas estão na lixeira.', 'success');
         await loadDatabaseStatistics();
     } catch (error) {
         console.error('Error clearing all data:', error);
@@ -406,15 +562,37 @@ async function clearAllData() {
 }
 
 /**
- * Clear devolutions data from database
+ * Move every devolution that is not already in the trash to the trash
+ */
+async function trashAllDevolutions() {
+    const devolutions = await getAllDevolutions();
+    for (const devolution of devolutions) {
+        await deleteDevolution(devolution.id);
+    }
+    console.log(`${devolutions.length} devolutions moved to trash`);
+}
+
+/**
+ * Move every person that is not already in the trash to the trash
+ */
+async function trashAllPeople() {
+    const people = await getAllPeople();
+    for (const person of people) {
+        await deletePerson(person.id);
+    }
+    console.log(`${people.length} people moved to trash`);
+}
+
+/**
+ * Permanently clear devolutions data from database (used when restoring a backup)
  */
 async function clearDevolutionsData() {
     try {
         const db = await getDatabase();
-        const tx = db.transaction('devolucoes', 'readwrite');
-        const store = tx.objectStore('devolucoes');
-        await store.clear();
-        await tx.complete;
+        const tx = db.transaction([STORE_NAME, ITEMS_STORE_NAME], 'readwrite');
+        await tx.objectStore(ITEMS_STORE_NAME).clear();
+        await tx.objectStore(STORE_NAME).clear();
+        await tx.done;
         console.log('Devolutions data cleared');
     } catch (error) {
         console.error('Error clearing devolutions data:', error);
@@ -423,7 +601,7 @@ async function clearDevolutionsData() {
 }
 
 /**
- * Clear people data from database
+ * Permanently clear people data from database (used when restoring a backup)
  */
 async function clearPeopleData() {
     try {
@@ -441,6 +619,80 @@ async function clearPeopleData() {
     }
 }
 
+/**
+ * Permanently clear the parts catalog (used when restoring a backup)
+ */
+async function clearPecasData() {
+    try {
+        const db = await getDatabase();
+        await db.clear(PARTS_CATALOG_STORE_NAME);
+        console.log('Parts catalog cleared');
+    } catch (error) {
+        console.error('Error clearing parts catalog:', error);
+        throw error;
+    }
+}
+
+/**
+ * Permanently clear the suppliers (used when restoring a backup)
+ */
+async function clearFornecedoresData() {
+    try {
+        const db = await getDatabase();
+        await db.clear(SUPPLIERS_STORE_NAME);
+        console.log('Suppliers cleared');
+    } catch (error) {
+        console.error('Error clearing suppliers:', error);
+        throw error;
+    }
+}
+
+/**
+ * Permanently clear the warranty claims (used when restoring a backup)
+ */
+async function clearGarantiasData() {
+    try {
+        const db = await getDatabase();
+        await db.clear(WARRANTIES_STORE_NAME);
+        console.log('Warranty claims cleared');
+    } catch (error) {
+        console.error('Error clearing warranty claims:', error);
+        throw error;
+    }
+}
+
+/**
+ * Permanently clear the RMA batches (used when restoring a backup)
+ */
+async function clearRmasData() {
+    try {
+        const db = await getDatabase();
+        await db.clear(RMAS_STORE_NAME);
+        console.log('RMA batches cleared');
+    } catch (error) {
+        console.error('Error clearing RMA batches:', error);
+        throw error;
+    }
+}
+
+/**
+ * Permanently clear the sync outbox and the sync conflicts waiting for a
+ * decision
+ */
+async function clearSyncData() {
+    try {
+        const db = await getDatabase();
+        const tx = db.transaction([OUTBOX_STORE_NAME, CONFLICTS_STORE_NAME], 'readwrite');
+        await tx.objectStore(OUTBOX_STORE_NAME).clear();
+        await tx.objectStore(CONFLICTS_STORE_NAME).clear();
+        await tx.done;
+        console.log('Sync outbox and conflicts cleared');
+    } catch (error) {
+        console.error('Error clearing sync data:', error);
+        throw error;
+    }
+}
+
 // Export functions for global use
 window.exportBackup = exportBackup;
 window.validateBackupFile = validateBackupFile;
@@ -4,8 +4,67 @@
  */
 
 const DB_NAME = 'dbRetornos';
-const DB_VERSION = 2;
+const DB_VERSION = 13;
 const STORE_NAME = 'devolucoes';
+const ITEMS_STORE_NAME = 'devolucao_itens';
+const LEGACY_STORE_NAME = 'devolucoes_v2';
+const AUDIT_STORE_NAME = 'auditoria';
+const OUTBOX_STORE_NAME = 'sync_outbox';
+const CONFLICTS_STORE_NAME = 'sync_conflitos';
+const SETTINGS_STORE_NAME = 'configuracoes';
+const PARTS_CATALOG_STORE_NAME = 'pecas';
+const SUPPLIERS_STORE_NAME = 'fornecedores';
+const WARRANTIES_STORE_NAME = 'garantias';
+const RMAS_STORE_NAME = 'rmas';
+
+// Every local change writes to the change history and queues the record
+// in the sync outbox, in the same transaction as the change itself
+const CHANGE_LOG_STORES = [AUDIT_STORE_NAME, OUTBOX_STORE_NAME];
+
+// The devolution lifecycle (DEVOLUTION_STATUSES, STATUS_TRANSITIONS and
+// CLOSED_STATUSES) and REQUISITION_ACTIONS are defined in js/validation.js,
+// shared with the API
+
+// Deleted records stay in the trash (Lixeira) for this many days by default
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const TRASH_RETENTION_KEY = 'trashRetentionDays';
+
+// Name of the person operating this device, recorded in the change history
+const OPERATOR_NAME_KEY = 'operatorName';
+
+// Identifier of this device, stamped on every record it creates so data
+// from several counters can be merged without id collisions
+const DEVICE_ID_KEY = 'deviceId';
+
+// Branch (filial) this device works for: new devolutions are filed under it
+// and sync pulls only its records
+const CURRENT_BRANCH_KEY = 'currentBranch';
+
+// Outbox entries that fail to sync are retried with exponential backoff
+const SYNC_RETRY_BASE_MS = 30 * 1000;
+const SYNC_RETRY_MAX_MS = 60 * 60 * 1000;
+
+// Store holding the records of each kind that is synced
+const SYNC_ENTITY_STORES = {
+    devolucao: STORE_NAME,
+    pessoa: 'pessoas',
+    fornecedor: SUPPLIERS_STORE_NAME,
+    garantia: WARRANTIES_STORE_NAME,
+    rma: RMAS_STORE_NAME
+};
+
+// Fields shown side by side when a local change conflicts with the server copy
+const SYNC_CONFLICT_FIELDS = {
+    devolucao: ['cliente', 'mecanico', 'requisicao_venda', 'acao_requisicao', 'data_venda', 'data_devolucao', 'observacao', 'status', 'resolucao', 'valor_reembolso'],
+    pessoa: ['codigo', 'nome', 'tipo', 'telefone', 'email', 'documento', 'endereco', 'observacoes', 'status'],
+    fornecedor: ['name', 'doc', 'contact', 'phone', 'email', 'address'],
+    garantia: ['status', 'productId', 'productDesc', 'quantity', 'defect', 'value', 'warrantyRequestId', 'warrantyDeadline', 'notes'],
+    rma: ['status', 'shippingDate', 'supplierResponse', 'creditAmount', 'notes']
+};
+
+// Bookkeeping fields left out of the change history; criado_por and
+// atualizado_por are the server users who last wrote the record
+const AUDIT_IGNORED_FIELDS = ['id', 'uuid', 'device_id', 'versao', 'itens', 'devolucao_id', 'ordem', 'created_at', 'updated_at', 'status_historico', 'criado_por', 'atualizado_por'];
 
 let dbInstance = null;
 
@@ -22,7 +81,14 @@ async function initDatabase() {
             upgrade(db, oldVersion, newVersion, transaction) {
                 console.log(`Database upgrade from version ${oldVersion} to ${newVersion}`);
 
-                // Create the main store for devolutions if it doesn't exist
+                // Version 3 splits devolutions into a header store and an items
+                // store. Move the old one-row-per-part store aside so its data
+                // can be migrated into the new layout below.
+                if (oldVersion > 0 && oldVersion < 3 && db.objectStoreNames.contains(STORE_NAME)) {
+                    transaction.objectStore(STORE_NAME).name = LEGACY_STORE_NAME;
+                }
+
+                // Create the header store for devolutions if it doesn't exist
                 if (!db.objectStoreNames.contains(STORE_NAME)) {
                     const store = db.createObjectStore(STORE_NAME, {
                         keyPath: 'id',
@@ -30,16 +96,35 @@ async function initDatabase() {
                     });
 
                     // Create indices for fast searching
-                    store.createIndex('codigo_peca', 'codigo_peca', { unique: false });
                     store.createIndex('cliente', 'cliente', { unique: false });
                     store.createIndex('mecanico', 'mecanico', { unique: false });
                     store.createIndex('requisicao_venda', 'requisicao_venda', { unique: false });
                     store.createIndex('acao_requisicao', 'acao_requisicao', { unique: false });
                     store.createIndex('data_venda', 'data_venda', { unique: false });
                     store.createIndex('data_devolucao', 'data_devolucao', { unique: false });
-                    store.createIndex('descricao_peca', 'descricao_peca', { unique: false });
+                    store.createIndex('status', 'status', { unique: false });
+                    store.createIndex('uuid', 'uuid', { unique: true });
 
                     console.log('Devolutions store created with indices');
+                } else if (oldVersion >= 3 && oldVersion < 5) {
+                    // Version 5 adds the status workflow; existing devolutions start as open
+                    transaction.objectStore(STORE_NAME).createIndex('status', 'status', { unique: false });
+                }
+
+                // Create the items store (one record per returned part)
+                if (!db.objectStoreNames.contains(ITEMS_STORE_NAME)) {
+                    const itemsStore = db.createObjectStore(ITEMS_STORE_NAME, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+
+                    itemsStore.createIndex('devolucao_id', 'devolucao_id', { unique: false });
+                    itemsStore.createIndex('codigo_peca', 'codigo_peca', { unique: false });
+                    itemsStore.createIndex('descricao_peca', 'descricao_peca', { unique: false });
+                    itemsStore.createIndex('tipo_acao', 'tipo_acao', { unique: false });
+                    itemsStore.createIndex('uuid', 'uuid', { unique: true });
+
+                    console.log('Devolution items store created with indices');
                 }
 
                 // Create people store if it doesn't exist (version 2+)
@@ -55,15 +140,180 @@ async function initDatabase() {
                     peopleStore.createIndex('tipo', 'tipo', { unique: false });
                     peopleStore.createIndex('status', 'status', { unique: false });
                     peopleStore.createIndex('documento', 'documento', { unique: false });
+                    peopleStore.createIndex('uuid', 'uuid', { unique: true });
 
                     console.log('People store created with indices');
                 }
 
+                // Create the change history store (version 4+)
+                if (!db.objectStoreNames.contains(AUDIT_STORE_NAME)) {
+                    const auditStore = db.createObjectStore(AUDIT_STORE_NAME, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+
+                    auditStore.createIndex('registro', ['entidade', 'registro_id'], { unique: false });
+                    auditStore.createIndex('timestamp', 'timestamp', { unique: false });
+
+                    console.log('Audit store created with indices');
+                }
+
+                // Create the sync outbox (version 7+): one entry per record with
+                // local changes the server has not acknowledged yet
+                if (!db.objectStoreNames.contains(OUTBOX_STORE_NAME)) {
+                    const outboxStore = db.createObjectStore(OUTBOX_STORE_NAME, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+
+                    outboxStore.createIndex('registro', ['entidade', 'registro_id'], { unique: true });
+                    outboxStore.createIndex('proxima_tentativa', 'proxima_tentativa', { unique: false });
+
+                    console.log('Sync outbox store created with indices');
+                }
+
+                // Create the sync conflicts store (version 8+): local changes the
+                // server refused because the record changed there in the meantime
+                if (!db.objectStoreNames.contains(CONFLICTS_STORE_NAME)) {
+                    const conflictsStore = db.createObjectStore(CONFLICTS_STORE_NAME, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+
+                    conflictsStore.createIndex('registro', ['entidade', 'uuid'], { unique: true });
+
+                    console.log('Sync conflicts store created with indices');
+                }
+
+                // Create the settings store (version 9+): values the service worker
+                // needs too, since it has no access to localStorage
+                if (!db.objectStoreNames.contains(SETTINGS_STORE_NAME)) {
+                    db.createObjectStore(SETTINGS_STORE_NAME, { keyPath: 'chave' });
+
+                    console.log('Settings store created');
+                }
+
+                // Create the parts catalog (version 10+): one record per part
+                // code, used to fill in the part fields of devolutions
+                if (!db.objectStoreNames.contains(PARTS_CATALOG_STORE_NAME)) {
+                    const catalogStore = db.createObjectStore(PARTS_CATALOG_STORE_NAME, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+
+                    catalogStore.createIndex('codigo', 'codigo', { unique: true });
+                    catalogStore.createIndex('descricao', 'descricao', { unique: false });
+                    catalogStore.createIndex('uuid', 'uuid', { unique: true });
+
+                    console.log('Parts catalog store created with indices');
+                }
+
+                // Create the suppliers store (version 11+). Records use the
+                // field names of the server (name, contact, phone, email,
+                // address, doc) and are synced like people.
+                if (!db.objectStoreNames.contains(SUPPLIERS_STORE_NAME)) {
+                    const suppliersStore = db.createObjectStore(SUPPLIERS_STORE_NAME, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+
+                    suppliersStore.createIndex('name', 'name', { unique: false });
+                    suppliersStore.createIndex('doc', 'doc', { unique: false });
+                    suppliersStore.createIndex('uuid', 'uuid', { unique: true });
+
+                    console.log('Suppliers store created with indices');
+                }
+
+                // Create the warranty claims store (version 12+). Records use
+                // the field names of the server (productId, defect, status,
+                // warrantyDeadline...) and are synced like suppliers.
+                if (!db.objectStoreNames.contains(WARRANTIES_STORE_NAME)) {
+                    const warrantiesStore = db.createObjectStore(WARRANTIES_STORE_NAME, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+
+                    warrantiesStore.createIndex('status', 'status', { unique: false });
+                    warrantiesStore.createIndex('warrantyDeadline', 'warrantyDeadline', { unique: false });
+                    warrantiesStore.createIndex('item_uuid', 'item_uuid', { unique: false });
+                    warrantiesStore.createIndex('fornecedor_uuid', 'fornecedor_uuid', { unique: false });
+                    warrantiesStore.createIndex('uuid', 'uuid', { unique: true });
+
+                    console.log('Warranty claims store created with indices');
+                }
+
+                // Create the RMA batches store (version 13+): returned parts
+                // sent back to one supplier together, kept in `itens`, with
+                // the server field names like warranty claims
+                if (!db.objectStoreNames.contains(RMAS_STORE_NAME)) {
+                    const rmasStore = db.createObjectStore(RMAS_STORE_NAME, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+
+                    rmasStore.createIndex('status', 'status', { unique: false });
+                    rmasStore.createIndex('fornecedor_uuid', 'fornecedor_uuid', { unique: false });
+                    rmasStore.createIndex('uuid', 'uuid', { unique: true });
+
+                    console.log('RMA batches store created with indices');
+                }
+
+                // Version 6 gives every record a uuid and the id of the device that created it
+                if (oldVersion >= 2 && oldVersion < 6) {
+                    const peopleStore = transaction.objectStore('pessoas');
+                    if (!peopleStore.indexNames.contains('uuid')) {
+                        peopleStore.createIndex('uuid', 'uuid', { unique: true });
+                    }
+                }
+                if (oldVersion >= 3 && oldVersion < 6) {
+                    transaction.objectStore(STORE_NAME).createIndex('uuid', 'uuid', { unique: true });
+                    transaction.objectStore(ITEMS_STORE_NAME).createIndex('uuid', 'uuid', { unique: true });
+                }
+
+                // Fill in the fields added since the stored records were written.
+                // Each store gets a single pass so concurrent cursors never
+                // overwrite each other's changes.
+                if (oldVersion >= 3 && oldVersion < 6) {
+                    backfillStore(transaction, STORE_NAME, () => ({
+                        status: 'Aberta',
+                        status_historico: [],
+                        ...newRecordIdentity()
+                    }));
+                    backfillStore(transaction, ITEMS_STORE_NAME, newRecordIdentity);
+                }
+                if (oldVersion >= 2 && oldVersion < 6) {
+                    backfillStore(transaction, 'pessoas', newRecordIdentity);
+                }
+
+                if (db.objectStoreNames.contains(LEGACY_STORE_NAME)) {
+                    migrateLegacyDevolutions(db, transaction);
+                }
+
                 console.log('Database initialized with proper schema and indices');
             }
         });
 
         console.log('Database connection established successfully');
+
+        // The service worker has no localStorage: it reads the device id from
+        // the settings store and leaves trash retention to the pages
+        if (typeof localStorage === 'undefined') {
+            return dbInstance;
+        }
+
+        try {
+            await setSetting(DEVICE_ID_KEY, getDeviceId());
+        } catch (settingError) {
+            console.warn('Could not store device id:', settingError);
+        }
+
+        // Permanently remove records that stayed in the trash past the retention period
+        try {
+            await purgeExpiredTrash();
+        } catch (purgeError) {
+            console.warn('Could not purge expired trash:', purgeError);
+        }
+
         return dbInstance;
     } catch (error) {
         console.error('Error initializing database:', error);
@@ -72,81 +322,446 @@ async function initDatabase() {
 }
 
 /**
- * Get the database instance
+ * Move version 2 devolution rows (one row per part) into the header/items stores.
+ * Runs inside the upgrade transaction: if anything fails the upgrade is aborted
+ * and the old data is left untouched.
+ * @param {IDBPDatabase} db - Database being upgraded
+ * @param {IDBPTransaction} transaction - The versionchange transaction
  */
-async function getDatabase() {
-    if (!dbInstance) {
-        await initDatabase();
+async function migrateLegacyDevolutions(db, transaction) {
+    const legacyRows = await transaction.objectStore(LEGACY_STORE_NAME).getAll();
+    const groups = groupLegacyRows(legacyRows);
+    const headerStore = transaction.objectStore(STORE_NAME);
+    const itemsStore = transaction.objectStore(ITEMS_STORE_NAME);
+
+    for (const rows of groups) {
+        const { header, itens } = buildFromLegacyRows(rows);
+
+        // Keep the id of the first part so existing links keep working
+        const headerRecord = { ...withRecordIdentity(header), id: rows[0].id };
+        await headerStore.add(headerRecord);
+
+        for (const item of itens) {
+            await itemsStore.add({ ...withRecordIdentity(item), devolucao_id: headerRecord.id });
+        }
     }
-    return dbInstance;
+
+    db.deleteObjectStore(LEGACY_STORE_NAME);
+    console.log(`Migrated ${legacyRows.length} legacy rows into ${groups.length} devolutions`);
 }
 
 /**
- * Add a new devolution record to the database
- * @param {Object} devolutionData - The devolution data to be stored
- * @returns {Promise<number>} The ID of the newly created record
+ * Group version 2 rows that belong to the same devolution
+ * @param {Array} rows - Rows in the old one-row-per-part format
+ * @returns {Array<Array>} Groups of rows, each group being one devolution
  */
-async function addDevolution(devolutionData) {
-    try {
-        const db = await getDatabase();
-        
-        // Validate required fields (mechanic is now optional)
-        const requiredFields = [
-            'codigo_peca', 'descricao_peca', 'quantidade_devolvida',
-            'cliente', 'requisicao_venda', 'acao_requisicao',
-            'data_venda', 'data_devolucao'
-        ];
-
-        for (const field of requiredFields) {
-            if (!devolutionData[field] || devolutionData[field].toString().trim() === '') {
-                throw new Error(`Campo obrigatório não preenchido: ${field}`);
-            }
+function groupLegacyRows(rows) {
+    const groups = [];
+    const groupsByKey = {};
+
+    [...rows].sort((a, b) => (a.id || 0) - (b.id || 0)).forEach(row => {
+        if (!row.is_multi_part || !row.multi_part_group) {
+            groups.push([row]);
+            return;
         }
 
-        // Validate quantity is a positive number
-        const quantity = parseInt(devolutionData.quantidade_devolvida);
-        if (isNaN(quantity) || quantity <= 0) {
-            throw new Error('Quantidade deve ser um número positivo');
+        if (groupsByKey[row.multi_part_group]) {
+            groupsByKey[row.multi_part_group].push(row);
+            return;
         }
 
-        // Validate dates
-        const saleDate = parseLocalDate(devolutionData.data_venda);
-        const returnDate = parseLocalDate(devolutionData.data_devolucao);
-        
-        if (!saleDate || !returnDate) {
-            throw new Error('Datas inválidas fornecidas');
+        // multi_part_group was generated with Date.now() inside the insert loop,
+        // so parts of one devolution may carry different values. A row that
+        // continues the part numbering of the previous row is part of it too.
+        const previous = groups[groups.length - 1];
+        const last = previous && previous[previous.length - 1];
+        const continuesPrevious = last && last.is_multi_part &&
+            row.part_number === (last.part_number || 0) + 1 &&
+            row.total_parts === last.total_parts &&
+            row.cliente === last.cliente &&
+            row.requisicao_venda === last.requisicao_venda &&
+            row.data_devolucao === last.data_devolucao;
+
+        const group = continuesPrevious ? previous : [];
+        if (!continuesPrevious) {
+            groups.push(group);
         }
+        group.push(row);
+        groupsByKey[row.multi_part_group] = group;
+    });
+
+    return groups;
+}
 
-        if (returnDate < saleDate) {
-            throw new Error('Data da devolução não pode ser anterior à data da venda');
+/**
+ * Give records saved by older versions the fields they are missing.
+ * Runs inside the upgrade transaction.
+ * @param {IDBPTransaction} transaction - The versionchange transaction
+ * @param {string} storeName - Store to go through
+ * @param {Function} getDefaults - Returns the default value of each field, called once per record
+ */
+async function backfillStore(transaction, storeName, getDefaults) {
+    let cursor = await transaction.objectStore(storeName).openCursor();
+    let updatedCount = 0;
+
+    while (cursor) {
+        const defaults = getDefaults();
+        const missing = Object.keys(defaults).filter(field => cursor.value[field] === undefined);
+
+        if (missing.length > 0) {
+            const updated = { ...cursor.value };
+            missing.forEach(field => {
+                updated[field] = defaults[field];
+            });
+            await cursor.update(updated);
+            updatedCount++;
         }
+        cursor = await cursor.continue();
+    }
+
+    console.log(`Backfilled ${updatedCount} records in ${storeName}`);
+}
+
+/**
+ * Build a header and its items from a group of version 2 rows
+ * @param {Array} rows - Rows of the same devolution
+ * @returns {{header: Object, itens: Array}} Records in the version 3 format
+ */
+function buildFromLegacyRows(rows) {
+    const first = rows[0];
+
+    // Multi-part rows copied the header observation into every part when the
+    // part had none of its own; only keep it on the header if all parts agree
+    const observations = new Set(rows.map(row => row.observacao || ''));
+    const sharedObservation = observations.size === 1 ? first.observacao || '' : '';
+
+    const header = {
+        cliente: first.cliente || '',
+        mecanico: first.mecanico || first.cliente || '',
+        requisicao_venda: first.requisicao_venda || '',
+        acao_requisicao: REQUISITION_ACTIONS.includes(first.acao_requisicao) ? first.acao_requisicao : '',
+        data_venda: first.data_venda || null,
+        data_devolucao: first.data_devolucao,
+        observacao: sharedObservation,
+        status: 'Aberta',
+        status_historico: [],
+        created_at: first.created_at || new Date().toISOString(),
+        updated_at: first.updated_at || new Date().toISOString()
+    };
+
+    if (first.imported_at) {
+        header.imported_at = first.imported_at;
+    }
 
-        // Validate action type
-        const validActions = ['Alterada', 'Excluída'];
-        if (!validActions.includes(devolutionData.acao_requisicao)) {
-            throw new Error('Ação na requisição deve ser "Alterada" ou "Excluída"');
+    const itens = rows.map((row, index) => ({
+        codigo_peca: row.codigo_peca,
+        descricao_peca: row.descricao_peca,
+        quantidade_devolvida: parseInt(row.quantidade_devolvida) || 0,
+        tipo_acao: REQUISITION_ACTIONS.includes(row.acao_requisicao) ? '' : row.acao_requisicao || '',
+        observacoes_item: sharedObservation ? '' : row.observacao || '',
+        ordem: row.part_number || index + 1,
+        created_at: row.created_at || header.created_at,
+        updated_at: row.updated_at || header.updated_at
+    }));
+
+    return { header, itens };
+}
+
+/**
+ * Generate a random RFC 4122 version 4 UUID
+ * @returns {string} UUID
+ */
+function generateUUID() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+
+    // crypto.randomUUID is only available in secure contexts
+    const bytes = new Uint8Array(16);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        crypto.getRandomValues(bytes);
+    } else {
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = Math.floor(Math.random() * 256);
         }
+    }
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+let cachedDeviceId = null;
+
+/**
+ * Get the identifier of this device, creating it on first use.
+ * In the service worker, loadDeviceId must be called first.
+ * @returns {string} Device UUID
+ */
+function getDeviceId() {
+    if (cachedDeviceId) {
+        return cachedDeviceId;
+    }
+    if (typeof localStorage === 'undefined') {
+        throw new Error('Identificador do dispositivo não carregado');
+    }
+
+    let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+    if (!deviceId) {
+        deviceId = generateUUID();
+        localStorage.setItem(DEVICE_ID_KEY, deviceId);
+    }
+    cachedDeviceId = deviceId;
+    return deviceId;
+}
+
+/**
+ * Load the identifier of this device where localStorage is not available
+ * (service worker), from the copy initDatabase keeps in the settings store
+ * @returns {Promise<string>} Device UUID
+ */
+async function loadDeviceId() {
+    if (cachedDeviceId || typeof localStorage !== 'undefined') {
+        return getDeviceId();
+    }
+
+    const deviceId = await getSetting(DEVICE_ID_KEY);
+    if (!deviceId) {
+        throw new Error('Identificador do dispositivo não encontrado');
+    }
+    cachedDeviceId = deviceId;
+    return deviceId;
+}
+
+let cachedBranch;
+
+/**
+ * Get the branch this device works for.
+ * In the service worker, loadCurrentBranch must be called first.
+ * @returns {Object|null} { codigo, nome }, or null when no branch was chosen
+ */
+function getCurrentBranch() {
+    if (cachedBranch !== undefined) {
+        return cachedBranch;
+    }
+    if (typeof localStorage === 'undefined') {
+        return null;
+    }
+    try {
+        cachedBranch = JSON.parse(localStorage.getItem(CURRENT_BRANCH_KEY) || 'null');
+    } catch (error) {
+        console.warn('Ignoring unreadable branch:', error);
+        cachedBranch = null;
+    }
+    return cachedBranch;
+}
+
+/**
+ * Load the branch of this device where localStorage is not available
+ * (service worker), from the copy kept in the settings store
+ * @returns {Promise<Object|null>} { codigo, nome }, or null when no branch was chosen
+ */
+async function loadCurrentBranch() {
+    if (typeof localStorage !== 'undefined') {
+        return getCurrentBranch();
+    }
+    cachedBranch = (await getSetting(CURRENT_BRANCH_KEY)) || null;
+    return cachedBranch;
+}
+
+/**
+ * Choose the branch this device works for (null for none)
+ * @param {Object|null} filial - Branch from the server ({ codigo, nome })
+ */
+async function setCurrentBranch(filial) {
+    const branch = filial ? { codigo: filial.codigo, nome: filial.nome } : null;
+    if (branch) {
+        localStorage.setItem(CURRENT_BRANCH_KEY, JSON.stringify(branch));
+    } else {
+        localStorage.removeItem(CURRENT_BRANCH_KEY);
+    }
+    cachedBranch = branch;
+    await setSetting(CURRENT_BRANCH_KEY, branch);
+}
+
+/**
+ * Read a value from the settings store
+ * @param {string} chave - Setting name
+ * @returns {Promise<*>} The stored value, or null if not set
+ */
+async function getSetting(chave) {
+    const db = await getDatabase();
+    const setting = await db.get(SETTINGS_STORE_NAME, chave);
+    return setting ? setting.valor : null;
+}
+
+/**
+ * Write a value to the settings store
+ * @param {string} chave - Setting name
+ * @param {*} valor - Value to store
+ */
+async function setSetting(chave, valor) {
+    const db = await getDatabase();
+    await db.put(SETTINGS_STORE_NAME, { chave, valor, updated_at: new Date().toISOString() });
+}
+
+/**
+ * Identity fields of a record created on this device
+ * @returns {{uuid: string, device_id: string}} New uuid and this device's id
+ */
+function newRecordIdentity() {
+    return { uuid: generateUUID(), device_id: getDeviceId() };
+}
+
+/**
+ * Make sure a record carries a uuid and the id of its originating device,
+ * keeping the ones it already has (e.g. records imported from another device)
+ * @param {Object} record - Record to store
+ * @returns {Object} Record with uuid and device_id
+ */
+function withRecordIdentity(record) {
+    return {
+        ...record,
+        uuid: record.uuid || generateUUID(),
+        device_id: record.device_id || getDeviceId()
+    };
+}
+
+/**
+ * Get the database instance
+ */
+async function getDatabase() {
+    if (!dbInstance) {
+        await initDatabase();
+    }
+    return dbInstance;
+}
+
+/**
+ * Status fields of a newly registered devolution
+ * @param {string} timestamp - Registration timestamp
+ * @param {Object} options - Audit options (operador)
+ * @returns {Object} status and status_historico
+ */
+function initialStatusFields(timestamp, options = {}) {
+    return {
+        status: 'Aberta',
+        status_historico: [{
+            de: null,
+            para: 'Aberta',
+            operador: options.operador || getOperatorName() || 'Não identificado',
+            data: timestamp,
+            observacao: ''
+        }]
+    };
+}
+
+/**
+ * Round an amount in reais to cents for storage
+ * @param {number|string|null} value - Amount (already parsed by the form)
+ * @returns {number|null} The amount, or null when it was left blank
+ */
+function toMoneyValue(value) {
+    if (value === undefined || value === null || value.toString().trim() === '') {
+        return null;
+    }
+    return Math.round(Number(value) * 100) / 100;
+}
+
+/**
+ * Prepare a part for the items store
+ * @param {Object} part - Part data (codigo_peca, descricao_peca, quantidade_devolvida,
+ *   valor_unitario, tipo_acao, observacoes_item, fornecedor_uuid)
+ * @param {number} index - Position of the part in the devolution
+ * @param {string} timestamp - Creation timestamp
+ * @returns {Object} Item record without devolucao_id
+ */
+function buildItemRecord(part, index, timestamp) {
+    return {
+        codigo_peca: part.codigo_peca.toString().trim(),
+        descricao_peca: part.descricao_peca.toString().trim(),
+        quantidade_devolvida: parseInt(part.quantidade_devolvida),
+        valor_unitario: toMoneyValue(part.valor_unitario),
+        tipo_acao: part.tipo_acao || '',
+        observacoes_item: part.observacoes_item ? part.observacoes_item.toString().trim() : '',
+        fornecedor_uuid: part.fornecedor_uuid || null,
+        ordem: index + 1,
+        created_at: timestamp,
+        updated_at: timestamp
+    };
+}
+
+/**
+ * Store a devolution header and its items in a single transaction,
+ * recording the creation in the change history
+ * @param {Object} header - Header record (without id)
+ * @param {Array} itens - Item records (without devolucao_id)
+ * @param {Object} options - Audit options (origem, operador)
+ * @returns {Promise<number>} The ID of the new devolution
+ */
+async function insertDevolution(header, itens, options = {}) {
+    const db = await getDatabase();
+    const tx = db.transaction([STORE_NAME, ITEMS_STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
+    const headerRecord = withRecordIdentity(header);
+    const devolucaoId = await tx.objectStore(STORE_NAME).add(headerRecord);
+    const savedItems = [];
+
+    for (const item of itens) {
+        const itemRecord = { ...withRecordIdentity(item), devolucao_id: devolucaoId };
+        itemRecord.id = await tx.objectStore(ITEMS_STORE_NAME).add(itemRecord);
+        savedItems.push(itemRecord);
+    }
+
+    await recordChange(
+        tx, 'devolucao', { ...headerRecord, id: devolucaoId }, 'create',
+        diffDevolutions({ itens: [] }, { ...headerRecord, itens: savedItems }),
+        options
+    );
+
+    await tx.done;
+    return devolucaoId;
+}
+
+/**
+ * Sort items by their position in the devolution
+ * @param {Array} itens - Item records
+ * @returns {Array} Sorted items
+ */
+function sortItems(itens) {
+    return itens.sort((a, b) => (a.ordem || 0) - (b.ordem || 0) || a.id - b.id);
+}
+
+/**
+ * Add a new devolution with a single part to the database
+ * @param {Object} devolutionData - The devolution data to be stored
+ * @param {Object} options - Audit options (origem, operador)
+ * @returns {Promise<number>} The ID of the newly created record
+ */
+async function addDevolution(devolutionData, options = {}) {
+    try {
+        // The single part is checked like any part of a multi-part devolution
+        throwIfInvalid(validateDevolution(devolutionData, [devolutionData]));
 
         // Prepare data for storage
-        const dataToStore = {
-            codigo_peca: devolutionData.codigo_peca.toString().trim(),
-            descricao_peca: devolutionData.descricao_peca.toString().trim(),
-            quantidade_devolvida: quantity,
+        const now = new Date().toISOString();
+        const header = {
             cliente: devolutionData.cliente.toString().trim(),
             mecanico: devolutionData.mecanico ? devolutionData.mecanico.toString().trim() : devolutionData.cliente.toString().trim(),
             requisicao_venda: devolutionData.requisicao_venda.toString().trim(),
-            acao_requisicao: devolutionData.acao_requisicao,
-            data_venda: devolutionData.data_venda,
+            acao_requisicao: devolutionData.acao_requisicao || '',
+            data_venda: devolutionData.data_venda || null,
             data_devolucao: devolutionData.data_devolucao,
             observacao: devolutionData.observacao ? devolutionData.observacao.toString().trim() : '',
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
+            valor_reembolso: toMoneyValue(devolutionData.valor_reembolso),
+            filial: devolutionData.filial || (getCurrentBranch() || {}).codigo || null,
+            ...initialStatusFields(now, options),
+            created_at: now,
+            updated_at: now
         };
 
-        const tx = db.transaction(STORE_NAME, 'readwrite');
-        const store = tx.objectStore(STORE_NAME);
-        const result = await store.add(dataToStore);
-        await tx.complete;
+        const item = buildItemRecord(devolutionData, 0, now);
+        const result = await insertDevolution(header, [item], options);
 
         console.log('Devolution added successfully with ID:', result);
         return result;
@@ -159,16 +774,21 @@ async function addDevolution(devolutionData) {
 /**
  * Get a devolution record by ID
  * @param {number} id - The ID of the devolution record
- * @returns {Promise<Object|null>} The devolution record or null if not found
+ * @param {boolean} includeDeleted - Also return the devolution if it is in the trash
+ * @returns {Promise<Object|null>} The devolution with its itens, or null if not found
  */
-async function getDevolution(id) {
+async function getDevolution(id, includeDeleted = false) {
     try {
         const db = await getDatabase();
-        const tx = db.transaction(STORE_NAME, 'readonly');
-        const store = tx.objectStore(STORE_NAME);
-        const result = await store.get(id);
-        
-        return result || null;
+        const tx = db.transaction([STORE_NAME, ITEMS_STORE_NAME], 'readonly');
+        const header = await tx.objectStore(STORE_NAME).get(id);
+
+        if (!header || (header.deleted_at && !includeDeleted)) {
+            return null;
+        }
+
+        const itens = await tx.objectStore(ITEMS_STORE_NAME).index('devolucao_id').getAll(id);
+        return { ...header, itens: sortItems(itens) };
     } catch (error) {
         console.error('Error getting devolution:', error);
         throw new Error('Erro ao buscar devolução: ' + error.message);
@@ -177,16 +797,29 @@ async function getDevolution(id) {
 
 /**
  * Get all devolution records
- * @returns {Promise<Array>} Array of all devolution records
+ * @param {boolean} includeDeleted - Also return devolutions that are in the trash
+ * @returns {Promise<Array>} Array of all devolutions, each with its itens
  */
-async function getAllDevolutions() {
+async function getAllDevolutions(includeDeleted = false) {
     try {
         const db = await getDatabase();
-        const tx = db.transaction(STORE_NAME, 'readonly');
-        const store = tx.objectStore(STORE_NAME);
-        const result = await store.getAll();
-        
-        return result;
+        const tx = db.transaction([STORE_NAME, ITEMS_STORE_NAME], 'readonly');
+        const headers = (await tx.objectStore(STORE_NAME).getAll())
+            .filter(header => includeDeleted || !header.deleted_at);
+        const allItems = await tx.objectStore(ITEMS_STORE_NAME).getAll();
+
+        const itemsByDevolution = {};
+        allItems.forEach(item => {
+            if (!itemsByDevolution[item.devolucao_id]) {
+                itemsByDevolution[item.devolucao_id] = [];
+            }
+            itemsByDevolution[item.devolucao_id].push(item);
+        });
+
+        return headers.map(header => ({
+            ...header,
+            itens: sortItems(itemsByDevolution[header.id] || [])
+        }));
     } catch (error) {
         console.error('Error getting all devolutions:', error);
         throw new Error('Erro ao buscar devoluções: ' + error.message);
@@ -194,32 +827,47 @@ async function getAllDevolutions() {
 }
 
 /**
- * Update a devolution record
+ * Update the header of a devolution record
  * @param {number} id - The ID of the record to update
- * @param {Object} updateData - The data to update
+ * @param {Object} updateData - The header fields to update (itens are ignored)
+ * @param {Object} options - Audit options (origem, operador)
  * @returns {Promise<boolean>} True if successful
  */
-async function updateDevolution(id, updateData) {
+async function updateDevolution(id, updateData, options = {}) {
     try {
         const db = await getDatabase();
-        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const tx = db.transaction([STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
         const store = tx.objectStore(STORE_NAME);
         
         // Get existing record
         const existingRecord = await store.get(id);
-        if (!existingRecord) {
+        if (!existingRecord || existingRecord.deleted_at) {
             throw new Error('Registro não encontrado');
         }
 
+        // Items live in their own store; only header fields are merged here.
+        // Status only changes through changeDevolutionStatus and the
+        // record's identity (uuid, device_id) never changes.
+        const { id: _id, uuid, device_id, itens, parts, status, status_historico, resolucao, ...headerData } = updateData;
+
         // Merge with update data
         const updatedRecord = {
             ...existingRecord,
-            ...updateData,
+            ...headerData,
             updated_at: new Date().toISOString()
         };
 
+        // Only the fields being changed are checked, in the merged record
+        const erros = validateRecord('devolucao', updatedRecord);
+        throwIfInvalid(Object.fromEntries(Object.entries(erros).filter(([campo]) => campo in headerData)));
+
         await store.put(updatedRecord);
-        await tx.complete;
+
+        const alteracoes = diffRecords(existingRecord, updatedRecord);
+        if (alteracoes.length > 0) {
+            await recordChange(tx, 'devolucao', updatedRecord, 'update', alteracoes, options);
+        }
+        await tx.done;
 
         console.log('Devolution updated successfully:', id);
         return true;
@@ -230,20 +878,33 @@ async function updateDevolution(id, updateData) {
 }
 
 /**
- * Delete a devolution record
+ * Move a devolution to the trash (Lixeira).
+ * The record is only marked with deleted_at; it can be restored until it is
+ * purged manually or by the retention period.
  * @param {number} id - The ID of the record to delete
+ * @param {Object} options - Audit options (origem, operador)
  * @returns {Promise<boolean>} True if successful
  */
-async function deleteDevolution(id) {
+async function deleteDevolution(id, options = {}) {
     try {
         const db = await getDatabase();
-        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const tx = db.transaction([STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
         const store = tx.objectStore(STORE_NAME);
-        
-        await store.delete(id);
-        await tx.complete;
 
-        console.log('Devolution deleted successfully:', id);
+        const existingRecord = await store.get(id);
+        if (!existingRecord || existingRecord.deleted_at) {
+            throw new Error('Registro não encontrado');
+        }
+
+        const now = new Date().toISOString();
+        const deletedRecord = { ...existingRecord, deleted_at: now, updated_at: now };
+        await store.put(deletedRecord);
+        await recordChange(
+            tx, 'devolucao', deletedRecord, 'delete', diffRecords(existingRecord, deletedRecord), options
+        );
+        await tx.done;
+
+        console.log('Devolution moved to trash:', id);
         return true;
     } catch (error) {
         console.error('Error deleting devolution:', error);
@@ -252,44 +913,274 @@ async function deleteDevolution(id) {
 }
 
 /**
- * Search devolutions by various criteria
- * @param {Object} searchCriteria - Object containing search parameters
- * @returns {Promise<Array>} Array of matching devolution records
+ * Get the devolutions that are in the trash
+ * @returns {Promise<Array>} Trashed devolutions with their itens, most recently deleted first
  */
-async function searchDevolutions(searchCriteria) {
+async function getTrashedDevolutions() {
+    try {
+        const allDevolutions = await getAllDevolutions(true);
+        return allDevolutions
+            .filter(dev => dev.deleted_at)
+            .sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+    } catch (error) {
+        console.error('Error getting trashed devolutions:', error);
+        throw new Error('Erro ao buscar devoluções da lixeira: ' + error.message);
+    }
+}
+
+/**
+ * Restore a devolution from the trash
+ * @param {number} id - The ID of the devolution to restore
+ * @param {Object} options - Audit options (origem, operador)
+ * @returns {Promise<boolean>} True if successful
+ */
+async function restoreDevolution(id, options = {}) {
     try {
         const db = await getDatabase();
-        const tx = db.transaction(STORE_NAME, 'readonly');
+        const tx = db.transaction([STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
         const store = tx.objectStore(STORE_NAME);
-        
-        let results = await store.getAll();
 
-        // Apply filters
-        if (searchCriteria.codigo_peca) {
-            const searchTerm = searchCriteria.codigo_peca.toLowerCase();
-            results = results.filter(item => 
-                item.codigo_peca.toLowerCase().includes(searchTerm)
-            );
+        const existingRecord = await store.get(id);
+        if (!existingRecord || !existingRecord.deleted_at) {
+            throw new Error('Registro não encontrado na lixeira');
         }
 
-        if (searchCriteria.cliente) {
-            const searchTerm = searchCriteria.cliente.toLowerCase();
-            results = results.filter(item => 
-                item.cliente.toLowerCase().includes(searchTerm)
-            );
-        }
+        const { deleted_at, ...restoredRecord } = existingRecord;
+        restoredRecord.updated_at = new Date().toISOString();
+        await store.put(restoredRecord);
+        await recordChange(
+            tx, 'devolucao', restoredRecord, 'restore', diffRecords(existingRecord, restoredRecord), options
+        );
+        await tx.done;
 
-        if (searchCriteria.mecanico) {
-            const searchTerm = searchCriteria.mecanico.toLowerCase();
-            results = results.filter(item => 
-                item.mecanico.toLowerCase().includes(searchTerm)
-            );
-        }
+        console.log('Devolution restored from trash:', id);
+        return true;
+    } catch (error) {
+        console.error('Error restoring devolution:', error);
+        throw new Error('Erro ao restaurar devolução: ' + error.message);
+    }
+}
+
+/**
+ * Permanently delete a devolution together with all of its items.
+ * Its change history is kept.
+ * @param {number} id - The ID of the record to delete
+ * @param {Object} options - Audit options (origem, operador)
+ * @returns {Promise<boolean>} True if successful
+ */
+async function purgeDevolution(id, options = {}) {
+    try {
+        const db = await getDatabase();
+        const tx = db.transaction([STORE_NAME, ITEMS_STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
+        const itemsStore = tx.objectStore(ITEMS_STORE_NAME);
+        const itemIds = await itemsStore.index('devolucao_id').getAllKeys(id);
+        const header = await tx.objectStore(STORE_NAME).get(id);
+
+        for (const itemId of itemIds) {
+            await itemsStore.delete(itemId);
+        }
+        await tx.objectStore(STORE_NAME).delete(id);
+        await recordChange(tx, 'devolucao', header || { id }, 'purge', [], options);
+        await tx.done;
+
+        console.log('Devolution permanently deleted:', id);
+        return true;
+    } catch (error) {
+        console.error('Error purging devolution:', error);
+        throw new Error('Erro ao excluir devolução definitivamente: ' + error.message);
+    }
+}
+
+/**
+ * Get how many days deleted records are kept in the trash
+ * @returns {number} Retention period in days
+ */
+function getTrashRetentionDays() {
+    const days = parseInt(localStorage.getItem(TRASH_RETENTION_KEY));
+    return days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Set how many days deleted records are kept in the trash
+ * @param {number} days - Retention period in days
+ */
+function setTrashRetentionDays(days) {
+    const value = parseInt(days);
+    if (!value || value < 1) {
+        throw new Error('O período de retenção deve ser de pelo menos 1 dia');
+    }
+    localStorage.setItem(TRASH_RETENTION_KEY, value.toString());
+}
+
+/**
+ * Permanently delete devolutions and people that have been in the trash
+ * for longer than the retention period
+ * @returns {Promise<Object>} Number of purged devolutions and people
+ */
+async function purgeExpiredTrash() {
+    const db = await getDatabase();
+    const cutoff = Date.now() - getTrashRetentionDays() * 24 * 60 * 60 * 1000;
+    const isExpired = record => record.deleted_at && new Date(record.deleted_at).getTime() < cutoff;
+    const result = { devolutions: 0, people: 0 };
+
+    const expiredDevolutions = (await db.getAll(STORE_NAME)).filter(isExpired);
+    for (const devolution of expiredDevolutions) {
+        await purgeDevolution(devolution.id, { origem: 'sistema' });
+        result.devolutions++;
+    }
+
+    if (db.objectStoreNames.contains('pessoas')) {
+        const expiredPeople = (await db.getAll('pessoas')).filter(isExpired);
+        for (const person of expiredPeople) {
+            const tx = db.transaction(['pessoas', ...CHANGE_LOG_STORES], 'readwrite');
+            await tx.objectStore('pessoas').delete(person.id);
+            await recordChange(tx, 'pessoa', person, 'purge', [], { origem: 'sistema' });
+            await tx.done;
+            result.people++;
+        }
+    }
+
+    if (result.devolutions > 0 || result.people > 0) {
+        console.log(`Purged expired trash: ${result.devolutions} devolutions, ${result.people} people`);
+    }
+    return result;
+}
+
+/**
+ * Move a devolution to another status of the workflow.
+ * Only the transitions in STATUS_TRANSITIONS are allowed, and closing a
+ * devolution requires resolution notes. Each transition is appended to
+ * status_historico with who made it and when.
+ * @param {number} id - The ID of the devolution
+ * @param {string} newStatus - Target status
+ * @param {string} notes - Transition notes (the resolution when closing)
+ * @param {Object} options - Audit options (origem, operador)
+ * @returns {Promise<Object>} The updated header
+ */
+async function changeDevolutionStatus(id, newStatus, notes = '', options = {}) {
+    try {
+        const db = await getDatabase();
+        const tx = db.transaction([STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+
+        const existingRecord = await store.get(id);
+        if (!existingRecord || existingRecord.deleted_at) {
+            throw new Error('Registro não encontrado');
+        }
+
+        const currentStatus = existingRecord.status || 'Aberta';
+        const trimmedNotes = (notes || '').toString().trim();
+        throwIfInvalid(validateStatusChange(currentStatus, newStatus, trimmedNotes));
+
+        const now = new Date().toISOString();
+        const updatedRecord = {
+            ...existingRecord,
+            status: newStatus,
+            status_historico: [
+                ...(existingRecord.status_historico || []),
+                {
+                    de: currentStatus,
+                    para: newStatus,
+                    operador: options.operador || getOperatorName() || 'Não identificado',
+                    data: now,
+                    observacao: trimmedNotes
+                }
+            ],
+            updated_at: now
+        };
+
+        if (CLOSED_STATUSES.includes(newStatus)) {
+            updatedRecord.resolucao = trimmedNotes;
+            updatedRecord.encerrada_em = now;
+        }
+
+        await store.put(updatedRecord);
+        await recordChange(
+            tx, 'devolucao', updatedRecord, 'update', diffRecords(existingRecord, updatedRecord), options
+        );
+        await tx.done;
+
+        console.log(`Devolution ${id} status changed from ${currentStatus} to ${newStatus}`);
+        return updatedRecord;
+    } catch (error) {
+        console.error('Error changing devolution status:', error);
+        throw new Error('Erro ao alterar status da devolução: ' + error.message);
+    }
+}
+
+/**
+ * Count devolutions per status and list the oldest ones still open
+ * @param {number} limit - How many open devolutions to list
+ * @returns {Promise<Object>} counts keyed by status and oldestOpen devolutions
+ */
+async function getDevolutionStatusSummary(limit = 5) {
+    try {
+        const allDevolutions = await getAllDevolutions();
+        const counts = {};
+        DEVOLUTION_STATUSES.forEach(status => {
+            counts[status] = 0;
+        });
+
+        allDevolutions.forEach(dev => {
+            const status = dev.status || 'Aberta';
+            counts[status] = (counts[status] || 0) + 1;
+        });
+
+        const oldestOpen = allDevolutions
+            .filter(dev => !CLOSED_STATUSES.includes(dev.status || 'Aberta'))
+            .sort((a, b) => (a.data_devolucao || '').localeCompare(b.data_devolucao || '') || a.id - b.id)
+            .slice(0, limit);
+
+        return { counts, oldestOpen };
+    } catch (error) {
+        console.error('Error getting status summary:', error);
+        throw new Error('Erro ao obter resumo de status: ' + error.message);
+    }
+}
+
+/**
+ * Search devolutions by various criteria
+ * Part criteria (codigo_peca, descricao_peca) match when any item of the devolution matches.
+ * @param {Object} searchCriteria - Object containing search parameters
+ * @returns {Promise<Array>} Array of matching devolutions, each with its itens
+ */
+async function searchDevolutions(searchCriteria) {
+    try {
+        let results = await getAllDevolutions();
+
+        // Apply filters
+        if (searchCriteria.codigo_peca) {
+            const searchTerm = searchCriteria.codigo_peca.toLowerCase();
+            results = results.filter(devolution => 
+                devolution.itens.some(item => (item.codigo_peca || '').toLowerCase().includes(searchTerm))
+            );
+        }
+
+        if (searchCriteria.descricao_peca) {
+            const searchTerm = searchCriteria.descricao_peca.toLowerCase();
+            results = results.filter(devolution => 
+                devolution.itens.some(item => (item.descricao_peca || '').toLowerCase().includes(searchTerm))
+            );
+        }
+
+        if (searchCriteria.cliente) {
+            const searchTerm = searchCriteria.cliente.toLowerCase();
+            results = results.filter(item => 
+                (item.cliente || '').toLowerCase().includes(searchTerm)
+            );
+        }
+
+        if (searchCriteria.mecanico) {
+            const searchTerm = searchCriteria.mecanico.toLowerCase();
+            results = results.filter(item => 
+                (item.mecanico || '').toLowerCase().includes(searchTerm)
+            );
+        }
 
         if (searchCriteria.requisicao_venda) {
             const searchTerm = searchCriteria.requisicao_venda.toLowerCase();
             results = results.filter(item => 
-                item.requisicao_venda.toLowerCase().includes(searchTerm)
+                (item.requisicao_venda || '').toLowerCase().includes(searchTerm)
             );
         }
 
@@ -299,6 +1190,12 @@ async function searchDevolutions(searchCriteria) {
             );
         }
 
+        if (searchCriteria.status) {
+            results = results.filter(item => 
+                (item.status || 'Aberta') === searchCriteria.status
+            );
+        }
+
         if (searchCriteria.data_venda_inicio) {
             results = results.filter(item => 
                 item.data_venda >= searchCriteria.data_venda_inicio
@@ -330,16 +1227,56 @@ async function searchDevolutions(searchCriteria) {
     }
 }
 
+/**
+ * Total value of a returned part: its quantity times its unit price
+ * @param {Object} item - Devolution item
+ * @returns {number|null} The total, or null when the part has no price
+ */
+function getItemTotalValue(item) {
+    if (item.valor_unitario === undefined || item.valor_unitario === null) {
+        return null;
+    }
+    return Math.round((parseInt(item.quantidade_devolvida) || 0) * item.valor_unitario * 100) / 100;
+}
+
+/**
+ * Expand devolutions into one row per returned part, combining header and item fields.
+ * Reports and statistics work at part level. valor_total is the part's
+ * quantity times its unit price (null without a price); valor_reembolso
+ * belongs to the devolution and is repeated on each of its rows, so totals
+ * must count it once per devolucao_id.
+ * @param {Array} devolutions - Devolutions with their itens
+ * @returns {Array} One row per item, with devolucao_id and item_id
+ */
+function flattenDevolutions(devolutions) {
+    return devolutions.flatMap(devolution => {
+        const { itens = [], ...header } = devolution;
+        return itens.map(item => ({
+            ...header,
+            devolucao_id: header.id,
+            item_id: item.id,
+            codigo_peca: item.codigo_peca,
+            descricao_peca: item.descricao_peca,
+            quantidade_devolvida: item.quantidade_devolvida,
+            valor_unitario: item.valor_unitario === undefined ? null : item.valor_unitario,
+            valor_total: getItemTotalValue(item),
+            valor_reembolso: header.valor_reembolso === undefined ? null : header.valor_reembolso,
+            tipo_acao: item.tipo_acao,
+            observacoes_item: item.observacoes_item,
+            fornecedor_uuid: item.fornecedor_uuid || null
+        }));
+    });
+}
+
 /**
  * Get devolutions grouped by a specific field
- * @param {string} groupByField - Field to group by
- * @returns {Promise<Object>} Object with grouped results
+ * @param {string} groupByField - Field to group by (header or item field)
+ * @returns {Promise<Object>} Object with grouped results (one entry per part)
  */
 async function getDevolutionsGroupedBy(groupByField) {
     try {
-        const allDevolutions = await getAllDevolutions();
+        const allDevolutions = flattenDevolutions(await getAllDevolutions());
         const grouped = {};
-
         allDevolutions.forEach(devolution => {
             const key = devolution[groupByField];
             if (!grouped[key]) {
@@ -382,7 +1319,7 @@ async function exportData() {
 /**
  * Import data from JSON format
  * @param {string} jsonData - JSON string containing data to import
- * @returns {Promise<number>} Number of records imported
+ * @returns {Promise<number>} Number of devolutions imported
  */
 async function importData(jsonData) {
     try {
@@ -392,25 +1329,7 @@ async function importData(jsonData) {
             throw new Error('Formato de dados inválido');
         }
 
-        const db = await getDatabase();
-        const tx = db.transaction(STORE_NAME, 'readwrite');
-        const store = tx.objectStore(STORE_NAME);
-
-        let importedCount = 0;
-        
-        for (const record of importData.data) {
-            // Remove ID to allow auto-increment
-            const { id, ...recordData } = record;
-            recordData.imported_at = new Date().toISOString();
-            
-            await store.add(recordData);
-            importedCount++;
-        }
-
-        await tx.complete;
-        
-        console.log(`Successfully imported ${importedCount} records`);
-        return importedCount;
+        return await importDevolutionRecords(importData.data);
     } catch (error) {
         console.error('Error importing data:', error);
         throw new Error('Erro ao importar dados: ' + error.message);
@@ -418,24 +1337,62 @@ async function importData(jsonData) {
 }
 
 /**
- * Clear all data from the database
- * @returns {Promise<boolean>} True if successful
+ * Import exported devolution records in a single transaction.
+ * Accepts the current format (header with itens) as well as version 2
+ * rows (one row per part), which are grouped into devolutions first.
+ * @param {Array} records - Exported devolution records
+ * @param {Object} options - Audit options (origem defaults to 'import', operador)
+ * @returns {Promise<number>} Number of devolutions imported
  */
-async function clearAllData() {
-    try {
-        const db = await getDatabase();
-        const tx = db.transaction(STORE_NAME, 'readwrite');
-        const store = tx.objectStore(STORE_NAME);
-        
-        await store.clear();
-        await tx.complete;
+async function importDevolutionRecords(records, options = {}) {
+    const importedAt = new Date().toISOString();
+    const devolutions = records
+        .filter(record => Array.isArray(record.itens))
+        .map(record => {
+            // Remove IDs to allow auto-increment
+            const { id, itens, ...header } = record;
+            return {
+                header: { status: 'Aberta', status_historico: [], ...header },
+                itens: itens.map(({ id: itemId, devolucao_id, ...item }) => item)
+            };
+        });
 
-        console.log('All data cleared successfully');
-        return true;
-    } catch (error) {
-        console.error('Error clearing data:', error);
-        throw new Error('Erro ao limpar dados: ' + error.message);
+    groupLegacyRows(records.filter(record => !Array.isArray(record.itens)))
+        .forEach(rows => devolutions.push(buildFromLegacyRows(rows)));
+
+    const db = await getDatabase();
+    const tx = db.transaction([STORE_NAME, ITEMS_STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
+    const headerStore = tx.objectStore(STORE_NAME);
+    const itemsStore = tx.objectStore(ITEMS_STORE_NAME);
+
+    let importedCount = 0;
+
+    for (const { header, itens } of devolutions) {
+        // A devolution already on this device (same uuid) is not imported twice
+        if (header.uuid && await headerStore.index('uuid').getKey(header.uuid) !== undefined) {
+            continue;
+        }
+
+        const headerRecord = { ...withRecordIdentity(header), imported_at: importedAt };
+        const devolucaoId = await headerStore.add(headerRecord);
+        const savedItems = [];
+        for (const item of itens) {
+            const itemRecord = { ...withRecordIdentity(item), devolucao_id: devolucaoId };
+            itemRecord.id = await itemsStore.add(itemRecord);
+            savedItems.push(itemRecord);
+        }
+        await recordChange(
+            tx, 'devolucao', { ...headerRecord, id: devolucaoId }, 'create',
+            diffDevolutions({ itens: [] }, { ...headerRecord, itens: savedItems }),
+            { origem: 'import', ...options }
+        );
+        importedCount++;
     }
+
+    await tx.done;
+
+    console.log(`Successfully imported ${importedCount} of ${devolutions.length} devolutions`);
+    return importedCount;
 }
 
 /**
@@ -445,11 +1402,13 @@ async function clearAllData() {
 async function getDatabaseStats() {
     try {
         const allDevolutions = await getAllDevolutions();
+        const allParts = flattenDevolutions(allDevolutions);
         
         const stats = {
             totalRecords: allDevolutions.length,
-            totalQuantity: allDevolutions.reduce((sum, dev) => sum + dev.quantidade_devolvida, 0),
-            uniqueParts: new Set(allDevolutions.map(dev => dev.codigo_peca)).size,
+            totalItems: allParts.length,
+            totalQuantity: allParts.reduce((sum, part) => sum + part.quantidade_devolvida, 0),
+            uniqueParts: new Set(allParts.map(part => part.codigo_peca)).size,
             uniqueCustomers: new Set(allDevolutions.map(dev => dev.cliente)).size,
             uniqueMechanics: new Set(allDevolutions.map(dev => dev.mecanico)).size,
             dateRange: {
@@ -485,134 +1444,855 @@ async function getDatabaseStats() {
     }
 }
 
-// Export functions for use in other modules
-window.initDatabase = initDatabase;
+/**
+ * Validate a devolution with its parts before it is saved
+ * @param {Object} devolutionData - Header fields plus a parts array
+ * @throws {Error} When a required field is missing or invalid
+ */
+function validateDevolutionWithParts(devolutionData) {
+    throwIfInvalid(validateDevolution(devolutionData, devolutionData.parts));
+}
+
 /**
  * Add a new devolution with multiple parts
  * @param {Object} devolutionData - The devolution data with parts array
- * @returns {Promise<number>} The ID of the newly created record
+ * @param {Object} options - Audit options (origem, operador)
+ * @returns {Promise<number>} The ID of the newly created devolution
  */
-async function addDevolutionWithParts(devolutionData) {
+async function addDevolutionWithParts(devolutionData, options = {}) {
     try {
+        validateDevolutionWithParts(devolutionData);
+
+        // One header record for the devolution, one item record per part
+        const now = new Date().toISOString();
+        const header = {
+            cliente: devolutionData.cliente.toString().trim(),
+            mecanico: devolutionData.mecanico ? devolutionData.mecanico.toString().trim() : devolutionData.cliente.toString().trim(),
+            requisicao_venda: devolutionData.requisicao_venda.toString().trim(),
+            acao_requisicao: devolutionData.acao_requisicao || '',
+            data_venda: devolutionData.data_venda || null,
+            data_devolucao: devolutionData.data_devolucao,
+            observacao: devolutionData.observacao ? devolutionData.observacao.toString().trim() : '',
+            valor_reembolso: toMoneyValue(devolutionData.valor_reembolso),
+            filial: devolutionData.filial || (getCurrentBranch() || {}).codigo || null,
+            ...initialStatusFields(now, options),
+            created_at: now,
+            updated_at: now
+        };
+
+        const itens = devolutionData.parts.map((part, index) => buildItemRecord(part, index, now));
+        const devolucaoId = await insertDevolution(header, itens, options);
+
+        console.log(`Devolution added successfully with ID ${devolucaoId} and ${itens.length} parts`);
+        return devolucaoId;
+    } catch (error) {
+        console.error('Error adding multi-part devolution:', error);
+        throw new Error('Erro ao salvar devolução: ' + error.message);
+    }
+}
+
+/**
+ * Update a devolution and its parts as one unit.
+ * Parts carrying the id of an existing item are updated, parts without an id
+ * are inserted and existing items missing from the list are deleted, all in a
+ * single transaction together with the header changes.
+ * @param {number} id - The ID of the devolution to update
+ * @param {Object} devolutionData - Header fields plus the full parts array
+ * @param {Object} options - Audit options (origem, operador)
+ * @returns {Promise<boolean>} True if successful
+ */
+async function updateDevolutionWithParts(id, devolutionData, options = {}) {
+    try {
+        validateDevolutionWithParts(devolutionData);
+
         const db = await getDatabase();
+        const tx = db.transaction([STORE_NAME, ITEMS_STORE_NAME, WARRANTIES_STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
+        const headerStore = tx.objectStore(STORE_NAME);
+        const itemsStore = tx.objectStore(ITEMS_STORE_NAME);
+
+        const existingHeader = await headerStore.get(id);
+        if (!existingHeader || existingHeader.deleted_at) {
+            throw new Error('Registro não encontrado');
+        }
+
+        // Checked before anything is written, so a refused edit changes nothing
+        const existingItems = await itemsStore.index('devolucao_id').getAll(id);
+        const partIds = new Set(devolutionData.parts.map(part => part.id).filter(Boolean));
+        for (const item of existingItems.filter(item => !partIds.has(item.id))) {
+            const motivo = await getItemRemovalBlocker(tx, item);
+            if (motivo) {
+                throw new Error(`A peça ${item.codigo_peca} não pode ser removida: ${motivo}`);
+            }
+        }
+
+        const now = new Date().toISOString();
+        const updatedHeader = {
+            ...existingHeader,
+            cliente: devolutionData.cliente.toString().trim(),
+            mecanico: devolutionData.mecanico ? devolutionData.mecanico.toString().trim() : devolutionData.cliente.toString().trim(),
+            requisicao_venda: devolutionData.requisicao_venda.toString().trim(),
+            acao_requisicao: devolutionData.acao_requisicao || '',
+            data_venda: devolutionData.data_venda || null,
+            data_devolucao: devolutionData.data_devolucao,
+            observacao: devolutionData.observacao ? devolutionData.observacao.toString().trim() : '',
+            valor_reembolso: toMoneyValue(devolutionData.valor_reembolso),
+            updated_at: now
+        };
+        await headerStore.put(updatedHeader);
+
+        const existingById = new Map(existingItems.map(item => [item.id, item]));
+        const keptIds = new Set();
+        const savedItems = [];
+
+        for (const [index, part] of devolutionData.parts.entries()) {
+            const record = { ...buildItemRecord(part, index, now), devolucao_id: id };
+            const existingItem = part.id ? existingById.get(part.id) : null;
+
+            if (existingItem) {
+                keptIds.add(existingItem.id);
+                const updatedItem = { ...existingItem, ...record, created_at: existingItem.created_at };
+                await itemsStore.put(updatedItem);
+                savedItems.push(updatedItem);
+            } else {
+                const newItem = withRecordIdentity(record);
+                newItem.id = await itemsStore.add(newItem);
+                savedItems.push(newItem);
+            }
+        }
+
+        for (const item of existingItems) {
+            if (!keptIds.has(item.id)) {
+                await itemsStore.delete(item.id);
+            }
+        }
+
+        const alteracoes = diffDevolutions(
+            { ...existingHeader, itens: existingItems },
+            { ...updatedHeader, itens: savedItems }
+        );
+        if (alteracoes.length > 0) {
+            await recordChange(tx, 'devolucao', updatedHeader, 'update', alteracoes, options);
+        }
+
+        await tx.done;
+
+        console.log(`Devolution ${id} updated with ${devolutionData.parts.length} parts`);
+        return true;
+    } catch (error) {
+        console.error('Error updating multi-part devolution:', error);
+        throw new Error('Erro ao atualizar devolução: ' + error.message);
+    }
+}
+
+/**
+ * Tell why a returned part cannot be taken out of its devolution: RMA
+ * batches and warranty claims refer to their parts by uuid
+ * @param {IDBPTransaction} tx - Transaction including WARRANTIES_STORE_NAME
+ * @param {Object} item - Item record
+ * @returns {Promise<string|null>} The reason, or null if it can be removed
+ */
+async function getItemRemovalBlocker(tx, item) {
+    if (item.rma_uuid) {
+        return 'ela está em um lote de RMA';
+    }
+    if (item.uuid && await tx.objectStore(WARRANTIES_STORE_NAME).index('item_uuid').count(item.uuid) > 0) {
+        return 'há uma garantia registrada para ela';
+    }
+    return null;
+}
+
+/**
+ * Find the parts of a devolution that cannot be taken out of it (see
+ * getItemRemovalBlocker)
+ * @param {Array} itens - Item records of the devolution
+ * @returns {Promise<Map<number, string>>} Reason per item id
+ */
+async function getItemRemovalBlockers(itens) {
+    const db = await getDatabase();
+    const tx = db.transaction(WARRANTIES_STORE_NAME);
+    const blockers = new Map();
+    for (const item of itens) {
+        const motivo = await getItemRemovalBlocker(tx, item);
+        if (motivo) {
+            blockers.set(item.id, motivo);
+        }
+    }
+    await tx.done;
+    return blockers;
+}
+
+/**
+ * Get the name of the operator using this device: the signed-in user
+ * (js/auth.js), or else the name typed on this device
+ * @returns {string} Operator name, or an empty string if not set
+ */
+function getOperatorName() {
+    if (typeof localStorage === 'undefined') {
+        return '';
+    }
+    const user = typeof getCurrentUser === 'function' ? getCurrentUser() : null;
+    if (user) {
+        return user.nome;
+    }
+    return localStorage.getItem(OPERATOR_NAME_KEY) || '';
+}
+
+/**
+ * Remember the name of the operator using this device
+ * @param {string} name - Operator name
+ */
+function setOperatorName(name) {
+    const value = (name || '').toString().trim();
+    if (value) {
+        localStorage.setItem(OPERATOR_NAME_KEY, value);
+    } else {
+        localStorage.removeItem(OPERATOR_NAME_KEY);
+    }
+}
+
+/**
+ * Build a change history entry
+ * @param {string} entidade - Kind of record ('devolucao', 'pessoa', 'fornecedor', 'garantia' or 'rma')
+ * @param {number} registroId - ID of the changed record
+ * @param {string} acao - create, update, delete, restore or purge
+ * @param {Array} alteracoes - Field changes (see diffRecords)
+ * @param {Object} options - origem (form, import, sync, conflito, sistema) and operador
+ * @returns {Object} Entry for the audit store
+ */
+function buildAuditEntry(entidade, registroId, acao, alteracoes, options = {}) {
+    return {
+        entidade: entidade,
+        registro_id: registroId,
+        acao: acao,
+        alteracoes: alteracoes,
+        origem: options.origem || 'form',
+        operador: options.operador || getOperatorName() || 'Não identificado',
+        timestamp: new Date().toISOString()
+    };
+}
 
-        // Validate required fields
-        if (!devolutionData.cliente || devolutionData.cliente.trim() === '') {
-            throw new Error('Cliente é obrigatório');
+/**
+ * List the fields that differ between two versions of a record
+ * @param {Object} before - Previous version (empty object for a new record)
+ * @param {Object} after - New version
+ * @returns {Array} Changes as { campo, antes, depois }
+ */
+function diffRecords(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+
+    fields.forEach(field => {
+        if (AUDIT_IGNORED_FIELDS.includes(field)) return;
+
+        const oldValue = before && before[field] !== undefined ? before[field] : null;
+        const newValue = after && after[field] !== undefined ? after[field] : null;
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes.push({ campo: field, antes: oldValue, depois: newValue });
         }
+    });
+
+    return changes;
+}
 
-        if (!devolutionData.requisicao_venda || devolutionData.requisicao_venda.trim() === '') {
-            throw new Error('Número da requisição de venda é obrigatório');
+/**
+ * List the changes between two versions of a devolution, including its parts.
+ * Part changes carry the part code in `item`; added and removed parts are
+ * recorded with campo 'item' and the whole part as value.
+ * @param {Object} before - Previous version with itens
+ * @param {Object} after - New version with itens
+ * @returns {Array} Changes as { campo, antes, depois, item? }
+ */
+function diffDevolutions(before, after) {
+    const changes = diffRecords(before, after);
+    const beforeItems = new Map((before.itens || []).map(item => [item.id, item]));
+    const afterIds = new Set((after.itens || []).map(item => item.id));
+    const summarize = item => {
+        const { id, uuid, device_id, devolucao_id, ordem, created_at, updated_at, ...fields } = item;
+        return fields;
+    };
+
+    (after.itens || []).forEach(item => {
+        const previous = beforeItems.get(item.id);
+        if (!previous) {
+            changes.push({ campo: 'item', item: item.codigo_peca, antes: null, depois: summarize(item) });
+            return;
         }
+        diffRecords(previous, item).forEach(change => {
+            changes.push({ ...change, item: previous.codigo_peca });
+        });
+    });
 
-        if (!devolutionData.data_devolucao) {
-            throw new Error('Data da devolução é obrigatória');
+    beforeItems.forEach(item => {
+        if (!afterIds.has(item.id)) {
+            changes.push({ campo: 'item', item: item.codigo_peca, antes: summarize(item), depois: null });
         }
+    });
+
+    return changes;
+}
+
+/**
+ * Get the change history of a record
+ * @param {string} entidade - Kind of record ('devolucao', 'pessoa', 'fornecedor', 'garantia' or 'rma')
+ * @param {number} registroId - ID of the record
+ * @returns {Promise<Array>} History entries, most recent first
+ */
+async function getAuditHistory(entidade, registroId) {
+    try {
+        const db = await getDatabase();
+        const entries = await db.getAllFromIndex(AUDIT_STORE_NAME, 'registro', [entidade, registroId]);
+        return entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp) || b.id - a.id);
+    } catch (error) {
+        console.error('Error getting audit history:', error);
+        throw new Error('Erro ao buscar histórico: ' + error.message);
+    }
+}
+
+/**
+ * Record a local change: add it to the change history and queue the record
+ * for the next sync. Must be called inside a transaction that includes
+ * CHANGE_LOG_STORES.
+ * @param {IDBPTransaction} tx - Transaction of the change
+ * @param {string} entidade - Kind of record ('devolucao', 'pessoa', 'fornecedor', 'garantia' or 'rma')
+ * @param {Object} record - The changed record (id and uuid are used)
+ * @param {string} acao - create, update, delete, restore or purge
+ * @param {Array} alteracoes - Field changes (see diffRecords)
+ * @param {Object} options - origem (form, import, sync, conflito, sistema) and operador
+ */
+async function recordChange(tx, entidade, record, acao, alteracoes, options = {}) {
+    await tx.objectStore(AUDIT_STORE_NAME).add(buildAuditEntry(entidade, record.id, acao, alteracoes, options));
+
+    // Changes received from the server are not sent back to it. Moving a
+    // record to the trash deletes it on the other devices as well.
+    if (options.origem !== 'sync') {
+        const operacao = acao === 'delete' || acao === 'purge' ? 'delete' : 'upsert';
+        await queueOutboxChange(tx.objectStore(OUTBOX_STORE_NAME), entidade, record, operacao);
+        tx.done.then(notifyOutboxChange, () => {});
+    }
+}
+
+/**
+ * Let the page know the outbox has new changes to send (see sync.js)
+ */
+function notifyOutboxChange() {
+    if (typeof document !== 'undefined') {
+        window.dispatchEvent(new CustomEvent('outboxchange'));
+    }
+}
+
+/**
+ * Queue a record in the sync outbox. A record has at most one entry: further
+ * changes before the next sync bump its revision instead of adding entries,
+ * so only the latest state is sent.
+ * @param {IDBPObjectStore} outboxStore - Outbox store of the current transaction
+ * @param {string} entidade - Kind of record ('devolucao', 'pessoa', 'fornecedor', 'garantia' or 'rma')
+ * @param {Object} record - The changed record (id and uuid are used)
+ * @param {string} operacao - 'upsert' or 'delete'
+ */
+async function queueOutboxChange(outboxStore, entidade, record, operacao) {
+    const now = new Date().toISOString();
+    const existing = await outboxStore.index('registro').get([entidade, record.id]);
+
+    await outboxStore.put({
+        ...existing,
+        entidade,
+        registro_id: record.id,
+        uuid: record.uuid || (existing && existing.uuid) || null,
+        operacao,
+        revisao: existing ? existing.revisao + 1 : 1,
+        tentativas: 0,
+        proxima_tentativa: now,
+        ultimo_erro: null,
+        created_at: existing ? existing.created_at : now,
+        updated_at: now
+    });
+}
 
-        if (!devolutionData.parts || !Array.isArray(devolutionData.parts) || devolutionData.parts.length === 0) {
-            throw new Error('Pelo menos uma peça deve ser informada');
+/**
+ * Queue every stored devolution, person, supplier, warranty claim and RMA
+ * batch for sync. Used before the first sync of a device, so records
+ * created before the outbox existed reach the server.
+ * @returns {Promise<number>} Number of queued records
+ */
+async function queueAllRecordsForSync() {
+    try {
+        const db = await getDatabase();
+        const tx = db.transaction([...Object.values(SYNC_ENTITY_STORES), OUTBOX_STORE_NAME], 'readwrite');
+        const outboxStore = tx.objectStore(OUTBOX_STORE_NAME);
+        let queued = 0;
+
+        // Suppliers and people first, since devolutions, warranty claims and
+        // RMA batches refer to them
+        for (const entidade of ['fornecedor', 'pessoa', 'devolucao', 'garantia', 'rma']) {
+            const storeName = SYNC_ENTITY_STORES[entidade];
+            const records = await tx.objectStore(storeName).getAll();
+            // Records in the trash go as deletions, so they are not brought
+            // back to life on the server
+            for (const record of records) {
+                await queueOutboxChange(outboxStore, entidade, record, record.deleted_at ? 'delete' : 'upsert');
+                queued++;
+            }
         }
 
-        // Validate each part
-        devolutionData.parts.forEach((part, index) => {
-            if (!part.codigo_peca || part.codigo_peca.trim() === '') {
-                throw new Error(`Código da peça ${index + 1} é obrigatório`);
+        await tx.done;
+        console.log(`Queued ${queued} records for sync`);
+        return queued;
+    } catch (error) {
+        console.error('Error queueing records for sync:', error);
+        throw new Error('Erro ao preparar registros para sincronização: ' + error.message);
+    }
+}
+
+/**
+ * Get the outbox entries that are due to be sent, oldest first
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<Array>} Outbox entries
+ */
+async function getPendingOutboxEntries(limit) {
+    try {
+        const db = await getDatabase();
+        const now = new Date().toISOString();
+        const entries = [];
+        let cursor = await db.transaction(OUTBOX_STORE_NAME).store.openCursor();
+
+        while (cursor && entries.length < limit) {
+            // Entries in conflict wait until the user resolves them
+            if (!cursor.value.conflito && cursor.value.proxima_tentativa <= now) {
+                entries.push(cursor.value);
             }
-            if (!part.descricao_peca || part.descricao_peca.trim() === '') {
-                throw new Error(`Descrição da peça ${index + 1} é obrigatória`);
+            cursor = await cursor.continue();
+        }
+
+        return entries;
+    } catch (error) {
+        console.error('Error getting pending outbox entries:', error);
+        throw new Error('Erro ao buscar alterações pendentes: ' + error.message);
+    }
+}
+
+/**
+ * Remove outbox entries the server acknowledged and store the server
+ * version each record now has. An entry whose record changed again while
+ * it was being sent (newer revision) stays queued, based on the new version.
+ * @param {Array} entries - The entries as they were sent
+ * @param {Map} versions - Server version of each record, keyed by outbox entry id
+ * @returns {Promise<number>} Number of removed entries
+ */
+async function acknowledgeOutboxEntries(entries, versions = new Map()) {
+    try {
+        const db = await getDatabase();
+        const tx = db.transaction([OUTBOX_STORE_NAME, ...Object.values(SYNC_ENTITY_STORES)], 'readwrite');
+        const outboxStore = tx.objectStore(OUTBOX_STORE_NAME);
+        let removed = 0;
+
+        for (const entry of entries) {
+            const versao = versions.get(entry.id);
+            if (versao) {
+                const recordStore = tx.objectStore(SYNC_ENTITY_STORES[entry.entidade]);
+                const record = await recordStore.get(entry.registro_id);
+                if (record) {
+                    await recordStore.put({ ...record, versao });
+                }
             }
-            if (!part.quantidade_devolvida || part.quantidade_devolvida < 1) {
-                throw new Error(`Quantidade da peça ${index + 1} deve ser maior que zero`);
+
+            const current = await outboxStore.get(entry.id);
+            if (current && current.revisao === entry.revisao) {
+                await outboxStore.delete(entry.id);
+                removed++;
             }
-            if (!part.tipo_acao || part.tipo_acao.trim() === '') {
-                throw new Error(`Tipo de ação da peça ${index + 1} é obrigatório`);
+        }
+
+        await tx.done;
+        return removed;
+    } catch (error) {
+        console.error('Error acknowledging outbox entries:', error);
+        throw new Error('Erro ao confirmar alterações sincronizadas: ' + error.message);
+    }
+}
+
+/**
+ * Schedule failed outbox entries for a later attempt, doubling the wait
+ * after each failure up to SYNC_RETRY_MAX_MS
+ * @param {Array} entries - The entries as they were sent
+ * @param {string} message - Why the sync failed
+ * @returns {Promise<string|null>} When the earliest of them will be retried
+ */
+async function rescheduleOutboxEntries(entries, message) {
+    try {
+        const db = await getDatabase();
+        const tx = db.transaction(OUTBOX_STORE_NAME, 'readwrite');
+        let nextAttempt = null;
+
+        for (const entry of entries) {
+            const current = await tx.store.get(entry.id);
+            // Changed again meanwhile: it is already due for a fresh attempt
+            if (!current || current.revisao !== entry.revisao) {
+                continue;
             }
-        });
 
-        // Validate dates
-        const returnDate = parseLocalDate(devolutionData.data_devolucao);
-        if (devolutionData.data_venda) {
-            const saleDate = parseLocalDate(devolutionData.data_venda);
-            if (returnDate < saleDate) {
-                throw new Error('Data da devolução não pode ser anterior à data da venda');
+            const tentativas = (current.tentativas || 0) + 1;
+            const delay = Math.min(SYNC_RETRY_BASE_MS * Math.pow(2, tentativas - 1), SYNC_RETRY_MAX_MS);
+            const proximaTentativa = new Date(Date.now() + delay).toISOString();
+
+            await tx.store.put({ ...current, tentativas, proxima_tentativa: proximaTentativa, ultimo_erro: message });
+            if (!nextAttempt || proximaTentativa < nextAttempt) {
+                nextAttempt = proximaTentativa;
             }
         }
 
-        // For compatibility with existing system, create separate records for each part
-        // This maintains backward compatibility while supporting multiple parts
-        const devolutionIds = [];
-        
-        for (let i = 0; i < devolutionData.parts.length; i++) {
-            const part = devolutionData.parts[i];
-            
-            const dataToStore = {
-                codigo_peca: part.codigo_peca.toString().trim(),
-                descricao_peca: part.descricao_peca.toString().trim(),
-                quantidade_devolvida: parseInt(part.quantidade_devolvida),
-                cliente: devolutionData.cliente.toString().trim(),
-                mecanico: devolutionData.mecanico ? devolutionData.mecanico.toString().trim() : devolutionData.cliente.toString().trim(),
-                requisicao_venda: devolutionData.requisicao_venda.toString().trim(),
-                acao_requisicao: part.tipo_acao, // Map tipo_acao to acao_requisicao for compatibility
-                data_venda: devolutionData.data_venda || null,
-                data_devolucao: devolutionData.data_devolucao,
-                observacao: part.observacoes_item || devolutionData.observacao || '',
-                // Add metadata to identify related parts
-                is_multi_part: true,
-                part_number: i + 1,
-                total_parts: devolutionData.parts.length,
-                multi_part_group: Date.now().toString(), // Unique identifier for this devolution group
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-            };
+        await tx.done;
+        return nextAttempt;
+    } catch (error) {
+        console.error('Error rescheduling outbox entries:', error);
+        throw new Error('Erro ao reagendar alterações pendentes: ' + error.message);
+    }
+}
 
-            const tx = db.transaction(STORE_NAME, 'readwrite');
-            const store = tx.objectStore(STORE_NAME);
-            const result = await store.add(dataToStore);
-            await tx.complete;
-            
-            devolutionIds.push(result);
+/**
+ * Summarize the sync outbox
+ * @returns {Promise<Object>} pending (entries waiting to be sent), failing
+ *   (entries that already failed at least once) and nextAttempt
+ */
+async function getOutboxSummary() {
+    try {
+        const db = await getDatabase();
+        const entries = await db.getAll(OUTBOX_STORE_NAME);
+        const failing = entries.filter(entry => entry.tentativas > 0);
+        const nextAttempt = entries.reduce(
+            (earliest, entry) => (!earliest || entry.proxima_tentativa < earliest ? entry.proxima_tentativa : earliest),
+            null
+        );
+
+        return { pending: entries.length, failing: failing.length, nextAttempt };
+    } catch (error) {
+        console.error('Error getting outbox summary:', error);
+        throw new Error('Erro ao buscar resumo da sincronização: ' + error.message);
+    }
+}
+
+/**
+ * Load what an outbox entry has to send: the current state of the record
+ * (a devolution with its itens, a person or a supplier)
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<Object|null>} The record, or null if it no longer exists
+ */
+async function getOutboxRecord(entry) {
+    const db = await getDatabase();
+
+    if (entry.entidade === 'devolucao') {
+        return await getDevolution(entry.registro_id, true);
+    }
+    return (await db.get(SYNC_ENTITY_STORES[entry.entidade], entry.registro_id)) || null;
+}
+
+/**
+ * Replace the items of a devolution with another list, matching items by
+ * uuid so unchanged items keep their local id
+ * @param {IDBPObjectStore} itemsStore - Items store of the current transaction
+ * @param {number} devolucaoId - ID of the devolution
+ * @param {Array} itens - The new list of items
+ * @returns {Promise<{oldItems: Array, savedItems: Array}>} Items before and after
+ */
+async function replaceDevolutionItems(itemsStore, devolucaoId, itens) {
+    const oldItems = await itemsStore.index('devolucao_id').getAll(devolucaoId);
+    const oldByUuid = new Map(oldItems.map(item => [item.uuid, item]));
+    const keptIds = new Set();
+    const savedItems = [];
+
+    for (const item of itens) {
+        const { id: itemId, ...itemFields } = item;
+        const oldItem = item.uuid ? oldByUuid.get(item.uuid) : null;
+        const itemRecord = oldItem
+            ? { ...oldItem, ...itemFields, id: oldItem.id, devolucao_id: devolucaoId }
+            : { ...withRecordIdentity(itemFields), devolucao_id: devolucaoId };
+
+        if (oldItem) {
+            keptIds.add(oldItem.id);
+            await itemsStore.put(itemRecord);
+        } else {
+            itemRecord.id = await itemsStore.add(itemRecord);
+        }
+        savedItems.push(itemRecord);
+    }
+
+    for (const item of oldItems) {
+        if (!keptIds.has(item.id)) {
+            await itemsStore.delete(item.id);
+        }
+    }
+
+    return { oldItems, savedItems };
+}
+
+/**
+ * Store a record received from the server, matching it to the local record
+ * by uuid. Records with local changes still waiting in the outbox are left
+ * alone; they are sent to the server first.
+ * @param {string} entidade - Kind of record ('devolucao', 'pessoa', 'fornecedor', 'garantia' or 'rma')
+ * @param {Object} remote - The record as sent by the server (devolutions with itens)
+ * @returns {Promise<boolean>} True if the local database changed
+ */
+async function applyServerRecord(entidade, remote) {
+    const db = await getDatabase();
+    const storeName = SYNC_ENTITY_STORES[entidade];
+    const tx = db.transaction([storeName, ITEMS_STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
+    const store = tx.objectStore(storeName);
+    const existing = await store.index('uuid').get(remote.uuid);
+
+    if (existing && await tx.objectStore(OUTBOX_STORE_NAME).index('registro').getKey([entidade, existing.id]) !== undefined) {
+        await tx.done;
+        return false;
+    }
+
+    // Already have this version (or a newer one)
+    if (existing && remote.versao && existing.versao >= remote.versao) {
+        await tx.done;
+        return false;
+    }
+
+    // Records on the server are never deleted ones (those arrive as tombstones).
+    // Devolution parts go to the items store; RMA batches keep theirs.
+    const { id, itens, ...fields } = remote;
+    if (entidade !== 'devolucao' && itens !== undefined) {
+        fields.itens = itens;
+    }
+    const record = existing ? { ...existing, ...fields, id: existing.id } : withRecordIdentity(fields);
+    delete record.deleted_at;
+    record.id = await store.put(record);
+
+    let before = existing || {};
+    let after = record;
+
+    if (entidade === 'devolucao' && Array.isArray(itens)) {
+        const { oldItems, savedItems } = await replaceDevolutionItems(tx.objectStore(ITEMS_STORE_NAME), record.id, itens);
+        before = { ...before, itens: oldItems };
+        after = { ...record, itens: savedItems };
+    }
+
+    const alteracoes = entidade === 'devolucao' ? diffDevolutions(before, after) : diffRecords(before, after);
+    if (alteracoes.length > 0) {
+        await recordChange(tx, entidade, record, existing ? 'update' : 'create', alteracoes, { origem: 'sync' });
+    }
+
+    await tx.done;
+    return alteracoes.length > 0;
+}
+
+/**
+ * Apply a deletion made on another device. Devolutions and people are moved
+ * to the trash, so they can still be restored here; items are removed from
+ * their devolution. Records with local changes waiting in the outbox are left
+ * alone, like in applyServerRecord.
+ * @param {Object} tombstone - entidade ('devolucao', 'item' or 'pessoa'), uuid and deleted_at
+ * @returns {Promise<boolean>} True if the local database changed
+ */
+async function applyServerTombstone(tombstone) {
+    const db = await getDatabase();
+    const storeName = tombstone.entidade === 'pessoa' ? 'pessoas' : STORE_NAME;
+    const tx = db.transaction([storeName, ITEMS_STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
+    const outboxIndex = tx.objectStore(OUTBOX_STORE_NAME).index('registro');
+    const entidade = tombstone.entidade === 'pessoa' ? 'pessoa' : 'devolucao';
+    const now = new Date().toISOString();
+
+    if (tombstone.entidade === 'item') {
+        const itemsStore = tx.objectStore(ITEMS_STORE_NAME);
+        const item = await itemsStore.index('uuid').get(tombstone.uuid);
+        const header = item ? await tx.objectStore(STORE_NAME).get(item.devolucao_id) : null;
+
+        if (!item || !header || await outboxIndex.getKey(['devolucao', header.id]) !== undefined) {
+            await tx.done;
+            return false;
+        }
+
+        await itemsStore.delete(item.id);
+        await recordChange(
+            tx, 'devolucao', header, 'update', diffDevolutions({ itens: [item] }, { itens: [] }), { origem: 'sync' }
+        );
+        await tx.done;
+        return true;
+    }
+
+    const store = tx.objectStore(storeName);
+    const record = await store.index('uuid').get(tombstone.uuid);
+
+    if (!record || record.deleted_at || await outboxIndex.getKey([entidade, record.id]) !== undefined) {
+        await tx.done;
+        return false;
+    }
+
+    const deletedRecord = { ...record, deleted_at: tombstone.deleted_at || now, updated_at: now };
+    await store.put(deletedRecord);
+    await recordChange(tx, entidade, deletedRecord, 'delete', diffRecords(record, deletedRecord), { origem: 'sync' });
+    await tx.done;
+    return true;
+}
+
+/**
+ * Keep a change the server refused because the record changed there since
+ * this device last saw it. The outbox entry is held back until the conflict
+ * is resolved.
+ * @param {Object} entry - The outbox entry that was sent
+ * @param {Object} conflict - Server copy of the record (registro) and its version (versao)
+ */
+async function storeSyncConflict(entry, conflict) {
+    try {
+        const db = await getDatabase();
+        const tx = db.transaction([CONFLICTS_STORE_NAME, OUTBOX_STORE_NAME], 'readwrite');
+        const conflictsStore = tx.objectStore(CONFLICTS_STORE_NAME);
+        const existing = await conflictsStore.index('registro').get([entry.entidade, conflict.uuid]);
+
+        await conflictsStore.put({
+            ...existing,
+            entidade: entry.entidade,
+            registro_id: entry.registro_id,
+            uuid: conflict.uuid,
+            servidor: conflict.registro,
+            versao: conflict.versao,
+            detectado_em: new Date().toISOString()
+        });
+
+        const current = await tx.objectStore(OUTBOX_STORE_NAME).get(entry.id);
+        if (current) {
+            await tx.objectStore(OUTBOX_STORE_NAME).put({ ...current, conflito: true });
         }
 
-        console.log('Multi-part devolution added successfully with IDs:', devolutionIds);
-        return devolutionIds[0]; // Return the first ID as primary
+        await tx.done;
     } catch (error) {
-        console.error('Error adding multi-part devolution:', error);
-        throw new Error('Erro ao salvar devolução: ' + error.message);
+        console.error('Error storing sync conflict:', error);
+        throw new Error('Erro ao registrar conflito de sincronização: ' + error.message);
+    }
+}
+
+/**
+ * Get all unresolved sync conflicts
+ * @returns {Promise<Array>} Conflicts, oldest first
+ */
+async function getSyncConflicts() {
+    try {
+        const db = await getDatabase();
+        const conflicts = await db.getAll(CONFLICTS_STORE_NAME);
+        return conflicts.sort((a, b) => new Date(a.detectado_em) - new Date(b.detectado_em));
+    } catch (error) {
+        console.error('Error getting sync conflicts:', error);
+        throw new Error('Erro ao buscar conflitos: ' + error.message);
+    }
+}
+
+/**
+ * Get a sync conflict together with the current local record
+ * @param {number} id - ID of the conflict
+ * @returns {Promise<Object|null>} The conflict with local (devolutions with itens), or null
+ */
+async function getSyncConflict(id) {
+    try {
+        const db = await getDatabase();
+        const conflict = await db.get(CONFLICTS_STORE_NAME, id);
+        if (!conflict) {
+            return null;
+        }
+
+        const local = conflict.entidade === 'devolucao'
+            ? await getDevolution(conflict.registro_id, true)
+            : await db.get(SYNC_ENTITY_STORES[conflict.entidade], conflict.registro_id);
+
+        return { ...conflict, local: local || null };
+    } catch (error) {
+        console.error('Error getting sync conflict:', error);
+        throw new Error('Erro ao buscar conflito: ' + error.message);
+    }
+}
+
+/**
+ * Resolve a sync conflict: store the version chosen by the user on top of
+ * the server version and queue it to be sent again
+ * @param {number} id - ID of the conflict
+ * @param {Object} resolved - Field values to keep (itens too, for devolutions)
+ * @param {Object} options - Audit options (operador)
+ * @returns {Promise<boolean>} True if successful
+ */
+async function resolveSyncConflict(id, resolved, options = {}) {
+    try {
+        const db = await getDatabase();
+        const conflict = await db.get(CONFLICTS_STORE_NAME, id);
+        if (!conflict) {
+            throw new Error('Conflito não encontrado');
+        }
+
+        const storeName = SYNC_ENTITY_STORES[conflict.entidade];
+        const tx = db.transaction([storeName, ITEMS_STORE_NAME, CONFLICTS_STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
+        const store = tx.objectStore(storeName);
+        const local = await store.get(conflict.registro_id);
+        if (!local) {
+            throw new Error('Registro não encontrado');
+        }
+
+        const { id: _id, uuid, device_id, itens, ...fields } = resolved;
+        const updated = {
+            ...local,
+            ...fields,
+            versao: conflict.versao,
+            updated_at: new Date().toISOString()
+        };
+        await store.put(updated);
+
+        let before = local;
+        let after = updated;
+        if (conflict.entidade === 'devolucao' && Array.isArray(itens)) {
+            const { oldItems, savedItems } = await replaceDevolutionItems(tx.objectStore(ITEMS_STORE_NAME), local.id, itens);
+            before = { ...local, itens: oldItems };
+            after = { ...updated, itens: savedItems };
+        }
+
+        const alteracoes = conflict.entidade === 'devolucao' ? diffDevolutions(before, after) : diffRecords(before, after);
+        if (alteracoes.length > 0) {
+            await tx.objectStore(AUDIT_STORE_NAME).add(
+                buildAuditEntry(conflict.entidade, updated.id, 'update', alteracoes, { origem: 'conflito', ...options })
+            );
+        }
+        // A record this device moved to the trash is deleted again, now on
+        // top of the server version
+        await queueOutboxChange(tx.objectStore(OUTBOX_STORE_NAME), conflict.entidade, updated, updated.deleted_at ? 'delete' : 'upsert');
+        tx.done.then(notifyOutboxChange, () => {});
+
+        // Release the outbox entry so the resolved version is sent
+        const outboxStore = tx.objectStore(OUTBOX_STORE_NAME);
+        const entry = await outboxStore.index('registro').get([conflict.entidade, local.id]);
+        if (entry) {
+            await outboxStore.put({ ...entry, conflito: false });
+        }
+
+        await tx.objectStore(CONFLICTS_STORE_NAME).delete(id);
+        await tx.done;
+
+        console.log(`Sync conflict ${id} resolved`);
+        return true;
+    } catch (error) {
+        console.error('Error resolving sync conflict:', error);
+        throw new Error('Erro ao resolver conflito: ' + error.message);
     }
 }
 
 /**
  * Get grouped devolutions (for displaying multi-part devolutions together)
- * @returns {Promise<Array>} Array of grouped devolution records
+ * @returns {Promise<Object>} Part rows of multi-part devolutions keyed by
+ *   devolution ID (grouped) and part rows of single-part devolutions (single)
  */
 async function getGroupedDevolutions() {
     try {
-        const db = await getDatabase();
-        const tx = db.transaction(STORE_NAME, 'readonly');
-        const store = tx.objectStore(STORE_NAME);
-        const allDevolutions = await store.getAll();
-        await tx.complete;
+        const allDevolutions = await getAllDevolutions();
 
-        // Group devolutions by multi_part_group
         const grouped = {};
         const singleDevolutions = [];
 
-        allDevolutions.forEach(dev => {
-            if (dev.is_multi_part && dev.multi_part_group) {
-                if (!grouped[dev.multi_part_group]) {
-                    grouped[dev.multi_part_group] = [];
-                }
-                grouped[dev.multi_part_group].push(dev);
+        allDevolutions.forEach(devolution => {
+            const rows = flattenDevolutions([devolution]);
+            if (rows.length > 1) {
+                grouped[devolution.id] = rows;
             } else {
-                singleDevolutions.push(dev);
+                singleDevolutions.push(...rows);
             }
         });
 
-        // Sort grouped devolutions by part_number
-        Object.keys(grouped).forEach(groupId => {
-            grouped[groupId].sort((a, b) => (a.part_number || 0) - (b.part_number || 0));
-        });
-
         return {
             grouped: grouped,
             single: singleDevolutions
@@ -623,17 +2303,57 @@ async function getGroupedDevolutions() {
     }
 }
 
+// Export functions for use in other modules
+window.initDatabase = initDatabase;
 window.getDatabase = getDatabase;
 window.addDevolution = addDevolution;
 window.addDevolutionWithParts = addDevolutionWithParts;
+window.updateDevolutionWithParts = updateDevolutionWithParts;
+window.getItemRemovalBlockers = getItemRemovalBlockers;
 window.getGroupedDevolutions = getGroupedDevolutions;
 window.getDevolution = getDevolution;
 window.getAllDevolutions = getAllDevolutions;
 window.updateDevolution = updateDevolution;
 window.deleteDevolution = deleteDevolution;
+window.getTrashedDevolutions = getTrashedDevolutions;
+window.restoreDevolution = restoreDevolution;
+window.purgeDevolution = purgeDevolution;
+window.getTrashRetentionDays = getTrashRetentionDays;
+window.setTrashRetentionDays = setTrashRetentionDays;
+window.purgeExpiredTrash = purgeExpiredTrash;
+window.generateUUID = generateUUID;
+window.getDeviceId = getDeviceId;
+window.loadDeviceId = loadDeviceId;
+window.getCurrentBranch = getCurrentBranch;
+window.loadCurrentBranch = loadCurrentBranch;
+window.setCurrentBranch = setCurrentBranch;
+window.getSetting = getSetting;
+window.setSetting = setSetting;
+window.withRecordIdentity = withRecordIdentity;
+window.getOperatorName = getOperatorName;
+window.setOperatorName = setOperatorName;
+window.buildAuditEntry = buildAuditEntry;
+window.diffRecords = diffRecords;
+window.getAuditHistory = getAuditHistory;
+window.queueAllRecordsForSync = queueAllRecordsForSync;
+window.getPendingOutboxEntries = getPendingOutboxEntries;
+window.acknowledgeOutboxEntries = acknowledgeOutboxEntries;
+window.rescheduleOutboxEntries = rescheduleOutboxEntries;
+window.getOutboxSummary = getOutboxSummary;
+window.getOutboxRecord = getOutboxRecord;
+window.applyServerRecord = applyServerRecord;
+window.applyServerTombstone = applyServerTombstone;
+window.storeSyncConflict = storeSyncConflict;
+window.getSyncConflicts = getSyncConflicts;
+window.getSyncConflict = getSyncConflict;
+window.resolveSyncConflict = resolveSyncConflict;
 window.searchDevolutions = searchDevolutions;
+window.changeDevolutionStatus = changeDevolutionStatus;
+window.getDevolutionStatusSummary = getDevolutionStatusSummary;
+window.flattenDevolutions = flattenDevolutions;
+window.getItemTotalValue = getItemTotalValue;
 window.getDevolutionsGroupedBy = getDevolutionsGroupedBy;
 window.exportData = exportData;
 window.importData = importData;
-window.clearAllData = clearAllData;
+window.importDevolutionRecords = importDevolutionRecords;
 window.getDatabaseStats = getDatabaseStats;
@@ -0,0 +1,254 @@
+/**
+ * Company Settings Module for Parts Return Control System
+ * Keeps the company identity printed on reports and receipts and written
+ * at the top of CSV exports: name, CNPJ (doc), phone, email, address and
+ * logo. The server keeps them in the `empresa` table (GET/POST
+ * /api/settings); this device keeps a copy in the settings store, so
+ * documents carry them offline too. The logo is kept here as a blob and
+ * sent to the server as a data: URL.
+ *
+ * Settings saved while offline are marked pendente and sent the next time
+ * refreshCompanySettings runs with the server in reach.
+ */
+
+const COMPANY_SETTINGS_KEY = 'empresa';
+
+// Largest logo accepted; the API takes JSON bodies of up to 1 MB
+const COMPANY_LOGO_MAX_BYTES = 256 * 1024;
+
+let cachedCompanySettings = null;
+
+/**
+ * Read a blob as a data: URL
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<string>} The data: URL
+ */
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Keep settings in memory for the documents built without waiting
+ * (getCompanySettings), with the logo read as a data: URL so it can be
+ * written into a print window
+ * @param {Object|null} settings - Settings from the settings store
+ * @returns {Promise<Object|null>} The settings kept
+ */
+async function cacheCompanySettings(settings) {
+    if (!settings) {
+        cachedCompanySettings = null;
+        return null;
+    }
+    let logoDataUrl = null;
+    if (settings.logo) {
+        try {
+            logoDataUrl = await blobToDataURL(settings.logo);
+        } catch (error) {
+            console.warn('Could not read the company logo:', error);
+        }
+    }
+    cachedCompanySettings = { ...settings, logoDataUrl };
+    return cachedCompanySettings;
+}
+
+/**
+ * Load the company settings kept on this device. Pages that print or
+ * export call this on start; when the server can be reached, the copy is
+ * then brought up to date in the background.
+ * @param {boolean} refresh - Also refresh the copy from the server
+ * @returns {Promise<Object|null>} The settings, or null when none were saved
+ */
+async function loadCompanySettings(refresh = true) {
+    const settings = await cacheCompanySettings(await getSetting(COMPANY_SETTINGS_KEY));
+    if (refresh && navigator.onLine && getAuthSession()) {
+        refreshCompanySettings().catch(error => console.warn('Could not refresh company settings:', error));
+    }
+    return settings;
+}
+
+/**
+ * Get the company settings loaded by loadCompanySettings
+ * @returns {Object|null} name, doc, phone, email, address and logoDataUrl,
+ *   or null when none were saved
+ */
+function getCompanySettings() {
+    return cachedCompanySettings;
+}
+
+/**
+ * Save the company settings on this device and send them to the server
+ * when it can be reached
+ * @param {Object} dados - name, doc, phone, email, address and propriaFilial
+ *   (the settings belong to this device's branch only)
+ * @param {Blob|null|undefined} logo - New logo, null to remove it, or
+ *   undefined to keep the current one
+ * @returns {Promise<boolean>} True if the server has them, false if they
+ *   are waiting to be sent
+ */
+async function saveCompanySettings(dados, logo = undefined) {
+    throwIfInvalid(validateRecord('empresa', dados));
+    if (logo) {
+        if (!logo.type || !logo.type.startsWith('image/')) {
+            throw new Error('O logotipo deve ser uma imagem');
+        }
+        if (logo.size > COMPANY_LOGO_MAX_BYTES) {
+            throw new Error(`O logotipo deve ter até ${COMPANY_LOGO_MAX_BYTES / 1024} KB`);
+        }
+    }
+
+    const current = (await getSetting(COMPANY_SETTINGS_KEY)) || {};
+    const text = value => (value ? value.toString().trim() : '');
+    const doc = text(dados.doc);
+    const settings = {
+        name: text(dados.name),
+        doc: doc ? formatCNPJ(doc) : '',
+        phone: text(dados.phone),
+        email: text(dados.email),
+        address: text(dados.address),
+        logo: logo === undefined ? current.logo || null : logo,
+        logoUrl: logo === undefined ? current.logoUrl || null : null,
+        propriaFilial: Boolean(dados.propriaFilial && getCurrentBranch()),
+        pendente: true,
+        updated_at: new Date().toISOString()
+    };
+    await setSetting(COMPANY_SETTINGS_KEY, settings);
+    await cacheCompanySettings(settings);
+
+    if (!navigator.onLine) {
+        return false;
+    }
+    try {
+        await pushCompanySettings();
+        return true;
+    } catch (error) {
+        console.warn('Company settings kept on this device to be sent later:', error);
+        return false;
+    }
+}
+
+/**
+ * Send the settings saved on this device to the server
+ */
+async function pushCompanySettings() {
+    const settings = await getSetting(COMPANY_SETTINGS_KEY);
+    if (!settings || !settings.pendente) {
+        return;
+    }
+
+    const logoUrl = settings.logo ? await blobToDataURL(settings.logo) : null;
+    const branch = getCurrentBranch();
+    await apiRequest('/api/settings', {
+        method: 'POST',
+        body: {
+            name: settings.name,
+            doc: settings.doc,
+            phone: settings.phone,
+            email: settings.email,
+            address: settings.address,
+            logoUrl,
+            filial: settings.propriaFilial && branch ? branch.codigo : undefined
+        }
+    });
+
+    const sent = { ...settings, logoUrl, pendente: false };
+    await setSetting(COMPANY_SETTINGS_KEY, sent);
+    await cacheCompanySettings(sent);
+}
+
+/**
+ * Bring the copy on this device up to date with the server: settings
+ * waiting to be sent are sent first (when the user may change them), then
+ * this device's branch settings, or the company's, are pulled. A logo
+ * that did not change is not downloaded again.
+ * @returns {Promise<Object|null>} The settings now kept
+ */
+async function refreshCompanySettings() {
+    const local = await getSetting(COMPANY_SETTINGS_KEY);
+    if (local && local.pendente) {
+        if (!canPerform('configurarEmpresa')) {
+            return cachedCompanySettings;
+        }
+        await pushCompanySettings();
+    }
+
+    const branch = getCurrentBranch();
+    let remote;
+    try {
+        remote = await apiRequest(`/api/settings${branch ? `?filial=${encodeURIComponent(branch.codigo)}` : ''}`);
+    } catch (error) {
+        if (error.status === 404) {
+            return cachedCompanySettings;
+        }
+        throw error;
+    }
+
+    const current = (await getSetting(COMPANY_SETTINGS_KEY)) || {};
+    let logo = null;
+    if (remote.logoUrl && remote.logoUrl === current.logoUrl) {
+        logo = current.logo || null;
+    } else if (remote.logoUrl) {
+        try {
+            logo = await (await fetch(remote.logoUrl)).blob();
+        } catch (error) {
+            console.warn('Could not download the company logo:', error);
+        }
+    }
+
+    const settings = {
+        name: remote.name || '',
+        doc: remote.doc || '',
+        phone: remote.phone || '',
+        email: remote.email || '',
+        address: remote.address || '',
+        logo,
+        logoUrl: remote.logoUrl || null,
+        propriaFilial: Boolean(remote.filialId),
+        pendente: false,
+        updated_at: remote.updatedAt || new Date().toISOString()
+    };
+    await setSetting(COMPANY_SETTINGS_KEY, settings);
+    return await cacheCompanySettings(settings);
+}
+
+/**
+ * Forget the company settings kept on this device. The server keeps its
+ * copy, which pages download again the next time they refresh.
+ */
+async function clearCompanySettings() {
+    const db = await getDatabase();
+    await db.delete(SETTINGS_STORE_NAME, COMPANY_SETTINGS_KEY);
+    cachedCompanySettings = null;
+}
+
+/**
+ * Lines with the company identity to put above the header row of a CSV
+ * export, followed by a blank line
+ * @returns {string} The lines, or an empty string when no settings were saved
+ */
+function getCompanyCSVHeader() {
+    const settings = getCompanySettings();
+    if (!settings || !settings.name) {
+        return '';
+    }
+    const quote = value => `"${value.replace(/"/g, '""')}"`;
+    const lines = [
+        settings.name,
+        settings.doc ? `CNPJ: ${settings.doc}` : '',
+        settings.address,
+        [settings.phone, settings.email].filter(Boolean).join(' - ')
+    ].filter(Boolean);
+    return lines.map(quote).join('\n') + '\n\n';
+}
+
+// Export functions for global use
+window.loadCompanySettings = loadCompanySettings;
+window.getCompanySettings = getCompanySettings;
+window.saveCompanySettings = saveCompanySettings;
+window.refreshCompanySettings = refreshCompanySettings;
+window.getCompanyCSVHeader = getCompanyCSVHeader;
+window.clearCompanySettings = clearCompanySettings;
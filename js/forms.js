@@ -10,6 +10,12 @@ function initFormValidation() {
     const form = document.getElementById('devolutionForm');
     if (!form) return;
 
+    // Prefill the operator remembered on this device
+    const operadorField = document.getElementById('operador');
+    if (operadorField) {
+        operadorField.value = getOperatorName();
+    }
+
     // Add custom validation styles
     form.addEventListener('submit', async function(event) {
         event.preventDefault();
@@ -31,95 +37,99 @@ function initFormValidation() {
     addRealTimeValidation();
 }
 
+// Devolution form fields (element ids) by the schema field they hold
+// (VALIDATION_SCHEMAS in js/validation.js)
+const DEVOLUTION_FORM_FIELDS = {
+    cliente: 'cliente',
+    mecanico: 'mecanico',
+    requisicao_venda: 'requisicaoVenda',
+    acao_requisicao: 'acaoRequisicao',
+    data_venda: 'dataVenda',
+    data_devolucao: 'dataDevolucao',
+    valor_reembolso: 'valorReembolso'
+};
+
+// Part row fields (selectors within a .part-row) by schema field
+const PART_FORM_FIELDS = {
+    codigo_peca: '.codigo-peca',
+    descricao_peca: '.descricao-peca',
+    quantidade_devolvida: '.quantidade-devolvida',
+    valor_unitario: '.valor-unitario',
+    tipo_acao: '.tipo-acao'
+};
+
+// Amounts are typed like catalog prices ("1.234,56") and checked once parsed
+const MONEY_FORM_FIELDS = ['valor_reembolso', 'valor_unitario'];
+
+/**
+ * Read a form field value, parsing amounts
+ * @param {string} campo - Schema field
+ * @param {HTMLElement} field - Form field
+ * @returns {string|number|null} The value
+ */
+function readFormField(campo, field) {
+    const value = field.value.trim();
+    // parseCatalogPrice is in js/pecas.js
+    return MONEY_FORM_FIELDS.includes(campo) ? parseCatalogPrice(value) : value;
+}
+
+/**
+ * Show an amount in a form field, the way it is typed
+ * @param {number|null} value - Amount
+ * @returns {string} The amount with two decimals, or '' without one
+ */
+function formatMoneyInput(value) {
+    return value === null || value === undefined ? '' : formatNumber(value, 2);
+}
+
+/**
+ * Read the devolution header fields of the form, by schema field
+ * @returns {Object} Header values
+ */
+function getDevolutionFormValues() {
+    const values = {};
+    for (const [campo, id] of Object.entries(DEVOLUTION_FORM_FIELDS)) {
+        const field = document.getElementById(id);
+        if (field) values[campo] = readFormField(campo, field);
+    }
+    return values;
+}
+
+/**
+ * Read the fields of a part row, by schema field
+ * @param {HTMLElement} row - The .part-row element
+ * @returns {Object} Part values
+ */
+function getPartRowValues(row) {
+    const values = {};
+    for (const [campo, selector] of Object.entries(PART_FORM_FIELDS)) {
+        const field = row.querySelector(selector);
+        if (field) values[campo] = readFormField(campo, field);
+    }
+    return values;
+}
+
 /**
  * Validate the entire form
  * @returns {Promise<boolean>} True if form is valid
  */
 async function validateForm() {
-    const form = document.getElementById('devolutionForm');
-    let isValid = true;
-
     // Clear previous validation messages
     clearValidationMessages();
 
     // Validate parts first
-    const partsValid = validateParts();
-    if (!partsValid) {
-        isValid = false;
-    }
-
-    // Get common form fields
-    const fields = {
-        cliente: document.getElementById('cliente'),
-        mecanico: document.getElementById('mecanico'),
-        requisicaoVenda: document.getElementById('requisicaoVenda'),
-        dataVenda: document.getElementById('dataVenda'),
-        dataDevolucao: document.getElementById('dataDevolucao')
-    };
-
-    // Validate required fields
-    for (const [fieldName, field] of Object.entries(fields)) {
-        if (!field) continue;
-
-        const value = field.value.trim();
-        
-        // Clear previous custom validation
-        field.setCustomValidity('');
-        
-        // Skip mechanic field for required validation since it's now optional
-        if (field.hasAttribute('required') && fieldName !== 'mecanico' && !value) {
-            field.setCustomValidity('Este campo é obrigatório.');
+    let isValid = validateParts();
+
+    // Header fields, checked with the shared devolution schema
+    const erros = validateRecord('devolucao', getDevolutionFormValues());
+    for (const [campo, id] of Object.entries(DEVOLUTION_FORM_FIELDS)) {
+        const field = document.getElementById(id);
+        if (field && erros[campo]) {
+            field.setCustomValidity(erros[campo] + '.');
             isValid = false;
-            continue;
-        }
-
-        // Field-specific validations
-        switch (fieldName) {
-            case 'dataVenda':
-            case 'dataDevolucao':
-                if (value && !isValidDate(value)) {
-                    field.setCustomValidity('Data inválida.');
-                    isValid = false;
-                }
-                break;
-                if (value && value.length < 3) {
-                    field.setCustomValidity('Descrição deve ter pelo menos 3 caracteres.');
-                    isValid = false;
-                }
-                break;
-
-            case 'cliente':
-            case 'mecanico':
-                if (value && value.length < 2) {
-                    field.setCustomValidity('Nome deve ter pelo menos 2 caracteres.');
-                    isValid = false;
-                }
-                break;
-
-            case 'requisicaoVenda':
-                if (value && value.length < 2) {
-                    field.setCustomValidity('Código da requisição deve ter pelo menos 2 caracteres.');
-                    isValid = false;
-                }
-                break;
         }
     }
 
-    // Cross-field validation: return date should not be before sale date
-    const dataVenda = fields.dataVenda.value;
-    const dataDevolucao = fields.dataDevolucao.value;
-    
-    if (dataVenda && dataDevolucao && parseLocalDate(dataDevolucao) < parseLocalDate(dataVenda)) {
-        fields.dataDevolucao.setCustomValidity('Data da devolução não pode ser anterior à data da venda.');
-        isValid = false;
-    }
-
-    // Check if return date is not in the future
-    if (dataDevolucao && parseLocalDate(dataDevolucao) > new Date()) {
-        fields.dataDevolucao.setCustomValidity('Data da devolução não pode ser no futuro.');
-        isValid = false;
-    }
-
     return isValid;
 }
 
@@ -151,16 +161,24 @@ async function submitForm() {
             cliente: document.getElementById('cliente').value.trim(),
             mecanico: document.getElementById('mecanico').value.trim() || document.getElementById('cliente').value.trim(),
             requisicao_venda: document.getElementById('requisicaoVenda').value.trim(),
+            acao_requisicao: document.getElementById('acaoRequisicao').value,
             data_venda: document.getElementById('dataVenda').value,
             data_devolucao: document.getElementById('dataDevolucao').value,
             observacao: document.getElementById('observacao').value.trim(),
+            valor_reembolso: parseCatalogPrice(document.getElementById('valorReembolso').value),
             parts: partsData
         };
 
+        // Remember who is operating this device for the change history
+        const operadorField = document.getElementById('operador');
+        if (operadorField) {
+            setOperatorName(operadorField.value);
+        }
+
         // Check if editing or creating
         if (window.editingDevolutionId) {
-            // Update existing devolution
-            await updateDevolution(window.editingDevolutionId, formData);
+            // Update the devolution and all of its parts together
+            await updateDevolutionWithParts(window.editingDevolutionId, formData);
             showAlert('Devolução atualizada com sucesso!', 'success');
             
             // Redirect back to search page after successful update
@@ -176,15 +194,24 @@ async function submitForm() {
             document.getElementById('devolutionForm').reset();
             document.getElementById('devolutionForm').classList.remove('was-validated');
             
-            // Reset date to today
+            // Reset date to today and keep the operator
             document.getElementById('dataDevolucao').value = getTodayDate();
+            if (operadorField) {
+                operadorField.value = getOperatorName();
+            }
 
             // Clear any validation messages
             clearValidationMessages();
+            updatePartTotals();
 
             console.log('Devolution saved successfully with ID:', newId);
         }
 
+        // Codes not in the catalog yet are added, so they are suggested next time
+        if (typeof addMissingPecas === 'function') {
+            addMissingPecas(partsData).catch(error => console.warn('Could not add parts to the catalog:', error));
+        }
+
     } catch (error) {
         console.error('Error saving devolution:', error);
         showAlert('Erro ao salvar devolução: ' + error.message, 'danger');
@@ -261,56 +288,30 @@ function addRealTimeValidation() {
  * @param {HTMLElement} field - The field to validate
  */
 function validateField(field) {
-    const value = field.value.trim();
-    
     // Clear previous validation
     field.setCustomValidity('');
-    
-    // Check required fields
-    if (field.hasAttribute('required') && !value) {
-        field.setCustomValidity('Este campo é obrigatório.');
-        return false;
-    }
-
-    // Field-specific validation
-    switch (field.id) {
-        case 'quantidadeDevolvida':
-            if (value && (isNaN(value) || parseInt(value) <= 0)) {
-                field.setCustomValidity('A quantidade deve ser um número maior que zero.');
-                return false;
-            }
-            break;
-
-        case 'codigoPeca':
-            if (value && value.length < 2) {
-                field.setCustomValidity('Código da peça deve ter pelo menos 2 caracteres.');
-                return false;
-            }
-            break;
-
-        case 'descricaoPeca':
-            if (value && value.length < 3) {
-                field.setCustomValidity('Descrição deve ter pelo menos 3 caracteres.');
-                return false;
-            }
-            break;
-
-        case 'cliente':
-        case 'mecanico':
-            if (value && value.length < 2) {
-                field.setCustomValidity('Nome deve ter pelo menos 2 caracteres.');
-                return false;
-            }
-            break;
 
-        case 'requisicaoVenda':
-            if (value && value.length < 2) {
-                field.setCustomValidity('Código da requisição deve ter pelo menos 2 caracteres.');
-                return false;
-            }
-            break;
+    // Part fields are checked within their row, header fields within the form
+    let mensagem = null;
+    const partRow = field.closest('.part-row');
+    if (partRow) {
+        const campo = Object.keys(PART_FORM_FIELDS).find(c => field.matches(PART_FORM_FIELDS[c]));
+        if (campo) {
+            mensagem = validateRecord('item', getPartRowValues(partRow))[campo];
+        }
+    } else {
+        const campo = Object.keys(DEVOLUTION_FORM_FIELDS).find(c => DEVOLUTION_FORM_FIELDS[c] === field.id);
+        if (campo) {
+            mensagem = validateRecord('devolucao', getDevolutionFormValues())[campo];
+        } else if (field.hasAttribute('required') && !field.value.trim()) {
+            mensagem = 'Este campo é obrigatório';
+        }
     }
 
+    if (mensagem) {
+        field.setCustomValidity(mensagem + '.');
+        return false;
+    }
     return field.checkValidity();
 }
 
@@ -323,22 +324,9 @@ function validateDateFields() {
     
     if (!dataVenda || !dataDevolucao) return;
 
-    const saleDate = dataVenda.value;
-    const returnDate = dataDevolucao.value;
-
-    // Clear previous validations
-    dataVenda.setCustomValidity('');
-    dataDevolucao.setCustomValidity('');
-
-    if (saleDate && returnDate) {
-        if (parseLocalDate(returnDate) < parseLocalDate(saleDate)) {
-            dataDevolucao.setCustomValidity('Data da devolução não pode ser anterior à data da venda.');
-        }
-    }
-
-    if (returnDate && parseLocalDate(returnDate) > new Date()) {
-        dataDevolucao.setCustomValidity('Data da devolução não pode ser no futuro.');
-    }
+    const erros = validateRecord('devolucao', getDevolutionFormValues());
+    dataVenda.setCustomValidity(erros.data_venda ? erros.data_venda + '.' : '');
+    dataDevolucao.setCustomValidity(erros.data_devolucao ? erros.data_devolucao + '.' : '');
 
     // Update visual validation state
     [dataVenda, dataDevolucao].forEach(field => {
@@ -380,16 +368,6 @@ function clearValidationMessages() {
     });
 }
 
-/**
- * Validate a date string
- * @param {string} dateString - Date string to validate
- * @returns {boolean} True if valid date
- */
-function isValidDate(dateString) {
-    const date = parseLocalDate(dateString);
-    return date instanceof Date && !isNaN(date.getTime());
-}
-
 /**
  * Get today's date in YYYY-MM-DD format
  * @returns {string} Today's date
@@ -473,25 +451,106 @@ function prefillForm(data) {
 }
 
 /**
- * Auto-complete functionality for form fields
+ * Suggest parts from the catalog (js/pecas.js) while a part code or
+ * description is typed in partsContainer, and fill in the description of a
+ * code found in the catalog (or the code of a description picked from the
+ * list). The listeners sit on the container, so rows added later are covered.
  */
 function initAutoComplete() {
-    // This could be enhanced to provide auto-complete suggestions
-    // based on previously entered data from the database
-    const textFields = [
-        'codigoPeca', 'descricaoPeca', 'cliente', 
-        'mecanico', 'requisicaoVenda'
-    ];
+    const container = document.getElementById('partsContainer');
+    if (!container || typeof searchPecas !== 'function') return;
+
+    // One list of suggestions for the code fields and one for the descriptions
+    for (const id of ['pecasCodigos', 'pecasDescricoes']) {
+        if (!document.getElementById(id)) {
+            const datalist = document.createElement('datalist');
+            datalist.id = id;
+            document.body.appendChild(datalist);
+        }
+    }
+    container.querySelectorAll('.codigo-peca').forEach(field => field.setAttribute('list', 'pecasCodigos'));
+    container.querySelectorAll('.descricao-peca').forEach(field => field.setAttribute('list', 'pecasDescricoes'));
+
+    const suggest = debounce(async (field) => {
+        const pecas = await searchPecas(field.value);
+        const byCode = field.classList.contains('codigo-peca');
+        const datalist = document.getElementById(byCode ? 'pecasCodigos' : 'pecasDescricoes');
+        datalist.innerHTML = '';
+        pecas.forEach(peca => {
+            const option = document.createElement('option');
+            option.value = byCode ? peca.codigo : peca.descricao;
+            option.label = byCode ? peca.descricao : `${peca.codigo}${peca.marca ? ' - ' + peca.marca : ''}`;
+            datalist.appendChild(option);
+        });
+    }, 150);
 
-    textFields.forEach(fieldId => {
-        const field = document.getElementById(fieldId);
-        if (field) {
-            field.addEventListener('input', function() {
-                // Future enhancement: implement auto-complete dropdown
-                // with suggestions from existing database records
-            });
+    container.addEventListener('input', (event) => {
+        const field = event.target;
+        if (field.classList.contains('codigo-peca') || field.classList.contains('descricao-peca')) {
+            suggest(field);
+            fillPartFromCatalog(field);
         }
     });
+    container.addEventListener('change', (event) => fillPartFromCatalog(event.target));
+}
+
+// Suppliers offered in the part rows, loaded by initPartSuppliers
+let partSuppliers = [];
+
+/**
+ * Fill the supplier select of every part row with the registered suppliers
+ */
+async function initPartSuppliers() {
+    if (typeof getAllFornecedores !== 'function') return;
+
+    partSuppliers = await getAllFornecedores();
+    document.querySelectorAll('.part-row .fornecedor-peca').forEach(select => fillSupplierSelect(select, partSuppliers));
+}
+
+/**
+ * Fill in the other part field when a code or description typed (or picked
+ * from the suggestions) matches a catalog part. A description is only
+ * replaced when it is empty or was filled in from the catalog before, so
+ * descriptions typed by hand are kept.
+ * @param {HTMLElement} field - Code or description field of a part row
+ */
+async function fillPartFromCatalog(field) {
+    const row = field.closest('.part-row');
+    if (!row) return;
+
+    const codigoField = row.querySelector('.codigo-peca');
+    const descricaoField = row.querySelector('.descricao-peca');
+    const fornecedorField = row.querySelector('.fornecedor-peca');
+    const valorField = row.querySelector('.valor-unitario');
+
+    if (field === codigoField) {
+        const peca = await getPecaByCodigo(codigoField.value);
+        const autoFilled = descricaoField.value === '' || descricaoField.value === descricaoField.dataset.catalogo;
+        if (peca && peca.ativo && autoFilled) {
+            descricaoField.value = peca.descricao;
+            descricaoField.dataset.catalogo = peca.descricao;
+            descricaoField.classList.remove('is-invalid');
+        }
+        // The part's supplier, unless one was already picked for this row
+        if (peca && peca.fornecedor_uuid && fornecedorField && fornecedorField.value === '') {
+            fornecedorField.value = peca.fornecedor_uuid;
+        }
+        // The catalog price, kept apart from prices typed by hand like the description
+        const priceAutoFilled = valorField && (valorField.value === '' || valorField.value === valorField.dataset.catalogo);
+        if (peca && peca.ativo && priceAutoFilled && peca.preco_unitario !== null && peca.preco_unitario !== undefined) {
+            valorField.value = formatMoneyInput(peca.preco_unitario);
+            valorField.dataset.catalogo = valorField.value;
+            valorField.classList.remove('is-invalid');
+            updatePartTotals();
+        }
+    } else if (field === descricaoField && codigoField.value.trim() === '') {
+        const peca = (await getAllPecas(false)).find(p => p.descricao === descricaoField.value.trim());
+        if (peca) {
+            codigoField.value = peca.codigo;
+            descricaoField.dataset.catalogo = peca.descricao;
+            codigoField.classList.remove('is-invalid');
+        }
+    }
 }
 
 /**
@@ -510,6 +569,16 @@ function initMultipleParts() {
         addPartBtn.addEventListener('click', addNewPart);
     }
     
+    // Keep the part totals in step with quantities and prices
+    const container = document.getElementById('partsContainer');
+    if (container) {
+        container.addEventListener('input', (event) => {
+            if (event.target.matches('.quantidade-devolvida, .valor-unitario')) {
+                updatePartTotals();
+            }
+        });
+    }
+
     // Setup event delegation for remove buttons
     document.addEventListener('click', function(e) {
         if (e.target.classList.contains('remove-part-btn') || e.target.closest('.remove-part-btn')) {
@@ -546,7 +615,7 @@ function addNewPart() {
                 <label class="form-label">
                     Código da Peça <span class="text-danger">*</span>
                 </label>
-                <input type="text" class="form-control codigo-peca" name="parts[${partCounter - 1}][codigo_peca]" required>
+                <input type="text" class="form-control codigo-peca" name="parts[${partCounter - 1}][codigo_peca]" list="pecasCodigos" autocomplete="off" required>
                 <div class="invalid-feedback">
                     Por favor, informe o código da peça.
                 </div>
@@ -578,12 +647,29 @@ function addNewPart() {
             </div>
             <div class="col-md-3 mb-3">
                 <label class="form-label">Descrição da Peça <span class="text-danger">*</span></label>
-                <input type="text" class="form-control descricao-peca" name="parts[${partCounter - 1}][descricao_peca]" required>
+                <input type="text" class="form-control descricao-peca" name="parts[${partCounter - 1}][descricao_peca]" list="pecasDescricoes" autocomplete="off" required>
                 <div class="invalid-feedback">
                     Por favor, informe a descrição.
                 </div>
             </div>
-            <div class="col-12 mb-3">
+            <div class="col-md-4 mb-3">
+                <label class="form-label">Fornecedor</label>
+                <select class="form-select fornecedor-peca" name="parts[${partCounter - 1}][fornecedor_uuid]">
+                    <option value="">Sem fornecedor</option>
+                </select>
+            </div>
+            <div class="col-md-2 mb-3">
+                <label class="form-label">Valor Unit. (R$)</label>
+                <input type="text" class="form-control valor-unitario" name="parts[${partCounter - 1}][valor_unitario]" inputmode="decimal" placeholder="0,00">
+                <div class="invalid-feedback">
+                    Informe um valor válido.
+                </div>
+            </div>
+            <div class="col-md-2 mb-3">
+                <label class="form-label">Total</label>
+                <input type="text" class="form-control-plaintext valor-total" value="-" readonly tabindex="-1">
+            </div>
+            <div class="col-md-4 mb-3">
                 <label class="form-label">Observações da Peça</label>
                 <textarea class="form-control observacoes-item" name="parts[${partCounter - 1}][observacoes_item]" rows="2" placeholder="Observações específicas desta peça..."></textarea>
             </div>
@@ -591,6 +677,9 @@ function addNewPart() {
     `;
     
     container.appendChild(partRow);
+    if (typeof fillSupplierSelect === 'function') {
+        fillSupplierSelect(partRow.querySelector('.fornecedor-peca'), partSuppliers);
+    }
     
     // Add animation
     partRow.style.opacity = '0';
@@ -616,6 +705,12 @@ function removePart(partRow) {
         showAlert('Deve haver pelo menos uma peça na devolução.', 'warning');
         return;
     }
+
+    // Parts in an RMA batch or under warranty stay (see loadPartsForEdit)
+    if (partRow.dataset.bloqueio) {
+        showAlert(`Esta peça não pode ser removida: ${partRow.dataset.bloqueio}.`, 'warning');
+        return;
+    }
     
     // Animate removal
     partRow.style.transition = 'all 0.3s ease';
@@ -626,6 +721,7 @@ function removePart(partRow) {
         partRow.remove();
         updatePartButtons();
         updatePartNumbers();
+        updatePartTotals();
     }, 300);
 }
 
@@ -686,14 +782,20 @@ function getPartsData() {
         const quantidadeDevolvida = parseInt(row.querySelector('.quantidade-devolvida').value);
         const tipoAcao = row.querySelector('.tipo-acao').value;
         const observacoesItem = row.querySelector('.observacoes-item').value.trim();
+        const fornecedorField = row.querySelector('.fornecedor-peca');
+        const valorUnitario = parseCatalogPrice(row.querySelector('.valor-unitario').value);
+        const itemId = parseInt(row.getAttribute('data-item-id'));
         
         if (codigoPeca && descricaoPeca && quantidadeDevolvida && tipoAcao) {
             parts.push({
+                ...(itemId ? { id: itemId } : {}),
                 codigo_peca: codigoPeca,
                 descricao_peca: descricaoPeca,
                 quantidade_devolvida: quantidadeDevolvida,
+                valor_unitario: valorUnitario,
                 tipo_acao: tipoAcao,
-                observacoes_item: observacoesItem || null
+                observacoes_item: observacoesItem || null,
+                fornecedor_uuid: (fornecedorField && fornecedorField.value) || null
             });
         }
     });
@@ -701,6 +803,87 @@ function getPartsData() {
     return parts;
 }
 
+/**
+ * Load the items of an existing devolution into the parts container.
+ * Each row keeps the id of its item so the save can tell updated parts
+ * from new ones; rows removed by the user are deleted on save. Rows of
+ * parts in an RMA batch or under warranty keep why they cannot be removed.
+ * @param {Array} itens - Item records of the devolution
+ */
+function loadPartsForEdit(itens) {
+    const container = document.getElementById('partsContainer');
+    const rows = container.querySelectorAll('.part-row');
+
+    // Keep only the first row, then add one row per remaining item
+    rows.forEach((row, index) => {
+        if (index > 0) row.remove();
+    });
+    for (let i = 1; i < itens.length; i++) {
+        addNewPart();
+    }
+
+    container.querySelectorAll('.part-row').forEach((row, index) => {
+        const item = itens[index];
+        if (!item) return;
+
+        row.setAttribute('data-item-id', item.id);
+        delete row.dataset.bloqueio;
+        row.querySelector('.codigo-peca').value = item.codigo_peca || '';
+        row.querySelector('.descricao-peca').value = item.descricao_peca || '';
+        row.querySelector('.quantidade-devolvida').value = item.quantidade_devolvida || '';
+        row.querySelector('.valor-unitario').value = formatMoneyInput(item.valor_unitario);
+        row.querySelector('.tipo-acao').value = item.tipo_acao || '';
+        row.querySelector('.observacoes-item').value = item.observacoes_item || '';
+        const fornecedorField = row.querySelector('.fornecedor-peca');
+        if (fornecedorField && typeof fillSupplierSelect === 'function') {
+            fillSupplierSelect(fornecedorField, partSuppliers, item.fornecedor_uuid);
+        }
+    });
+
+    updatePartButtons();
+    updatePartNumbers();
+    updatePartTotals();
+
+    getItemRemovalBlockers(itens)
+        .then(blockers => {
+            container.querySelectorAll('.part-row').forEach((row, index) => {
+                const motivo = itens[index] && blockers.get(itens[index].id);
+                if (motivo) {
+                    row.dataset.bloqueio = motivo;
+                }
+            });
+        })
+        .catch(error => console.warn('Could not check which parts can be removed:', error));
+}
+
+/**
+ * Show the total of each part row (quantity times unit price) and the
+ * total of all parts under the refund field
+ */
+function updatePartTotals() {
+    let total = 0;
+    let priced = false;
+
+    document.querySelectorAll('.part-row').forEach(row => {
+        const quantidade = parseInt(row.querySelector('.quantidade-devolvida').value) || 0;
+        const valor = parseCatalogPrice(row.querySelector('.valor-unitario').value);
+        const totalField = row.querySelector('.valor-total');
+        if (valor === null || isNaN(valor)) {
+            totalField.value = '-';
+            return;
+        }
+        const rowTotal = Math.round(quantidade * valor * 100) / 100;
+        totalField.value = formatCurrency(rowTotal);
+        total += rowTotal;
+        priced = true;
+    });
+
+    const partsTotal = document.getElementById('partsTotal');
+    if (partsTotal) {
+        partsTotal.textContent = priced ? formatCurrency(total) : '-';
+    }
+}
+
 /**
  * Validate all parts
  */
@@ -708,36 +891,18 @@ function validateParts() {
     const partRows = document.querySelectorAll('.part-row');
     let isValid = true;
     
-    partRows.forEach((row, index) => {
-        const codigoPeca = row.querySelector('.codigo-peca');
-        const descricaoPeca = row.querySelector('.descricao-peca');
-        const quantidadeDevolvida = row.querySelector('.quantidade-devolvida');
-        const tipoAcao = row.querySelector('.tipo-acao');
-        
-        // Clear previous validation
-        [codigoPeca, descricaoPeca, quantidadeDevolvida, tipoAcao].forEach(field => {
-            field.classList.remove('is-invalid');
-        });
-        
-        // Validate required fields
-        if (!codigoPeca.value.trim()) {
-            codigoPeca.classList.add('is-invalid');
-            isValid = false;
-        }
-        
-        if (!descricaoPeca.value.trim()) {
-            descricaoPeca.classList.add('is-invalid');
-            isValid = false;
-        }
-        
-        if (!quantidadeDevolvida.value || parseInt(quantidadeDevolvida.value) < 1) {
-            quantidadeDevolvida.classList.add('is-invalid');
-            isValid = false;
-        }
-        
-        if (!tipoAcao.value) {
-            tipoAcao.classList.add('is-invalid');
-            isValid = false;
+    partRows.forEach(row => {
+        const erros = validateRecord('item', getPartRowValues(row));
+
+        for (const [campo, selector] of Object.entries(PART_FORM_FIELDS)) {
+            const field = row.querySelector(selector);
+            if (!field) continue;
+
+            field.setCustomValidity(erros[campo] ? erros[campo] + '.' : '');
+            field.classList.toggle('is-invalid', Boolean(erros[campo]));
+            if (erros[campo]) {
+                isValid = false;
+            }
         }
     });
     
@@ -753,6 +918,11 @@ window.showAlert = showAlert;
 window.clearValidationMessages = clearValidationMessages;
 window.getTodayDate = getTodayDate;
 window.initMultipleParts = initMultipleParts;
+window.initAutoComplete = initAutoComplete;
+window.initPartSuppliers = initPartSuppliers;
 window.getPartsData = getPartsData;
+window.loadPartsForEdit = loadPartsForEdit;
+window.updatePartTotals = updatePartTotals;
+window.formatMoneyInput = formatMoneyInput;
 window.validateParts = validateParts;
 
@@ -0,0 +1,155 @@
+/**
+ * Suppliers Module for Parts Return Control System
+ * Keeps the suppliers (fornecedores) parts are bought from and returned to,
+ * in the `fornecedores` store. Records use the server field names (name,
+ * contact, phone, email, address, doc) and are synced like people; catalog
+ * parts and returned items refer to a supplier by its uuid (fornecedor_uuid).
+ * Suppliers are never deleted, since parts keep referring to them.
+ */
+
+/**
+ * Keep only the digits of a CNPJ, for comparing
+ * @param {string} doc - CNPJ as typed
+ * @returns {string} Digits of the CNPJ
+ */
+function cnpjDigits(doc) {
+    return (doc || '').toString().replace(/\D/g, '');
+}
+
+/**
+ * Get every supplier, ordered by name
+ * @returns {Promise<Array>} Suppliers
+ */
+async function getAllFornecedores() {
+    try {
+        const db = await getDatabase();
+        const fornecedores = await db.getAll(SUPPLIERS_STORE_NAME);
+        return fornecedores.sort((a, b) => a.name.localeCompare(b.name, 'pt-BR'));
+    } catch (error) {
+        console.error('Error getting suppliers:', error);
+        return [];
+    }
+}
+
+/**
+ * Get the supplier with a uuid
+ * @param {string} uuid - Supplier uuid
+ * @returns {Promise<Object|null>} The supplier, or null if unknown here
+ */
+async function getFornecedorByUuid(uuid) {
+    if (!uuid) {
+        return null;
+    }
+    const db = await getDatabase();
+    return (await db.getFromIndex(SUPPLIERS_STORE_NAME, 'uuid', uuid)) || null;
+}
+
+/**
+ * Add a supplier, or update the one with the same id (when editing). The
+ * CNPJ is checked with isValidCNPJ through the shared schema, and may not
+ * belong to another supplier.
+ * @param {Object} fornecedorData - name, contact, phone, email, address and doc
+ * @param {Object} options - Audit options (origem, operador)
+ * @returns {Promise<number>} The id of the supplier
+ */
+async function saveFornecedor(fornecedorData, options = {}) {
+    try {
+        throwIfInvalid(validateRecord('fornecedor', fornecedorData));
+
+        const db = await getDatabase();
+        const tx = db.transaction([SUPPLIERS_STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
+        const store = tx.objectStore(SUPPLIERS_STORE_NAME);
+
+        const existing = fornecedorData.id ? await store.get(fornecedorData.id) : null;
+        if (fornecedorData.id && !existing) {
+            throw new Error('Fornecedor não encontrado');
+        }
+
+        const doc = cnpjDigits(fornecedorData.doc);
+        if (doc) {
+            const sameDoc = (await store.getAll()).find(fornecedor =>
+                cnpjDigits(fornecedor.doc) === doc && (!existing || fornecedor.id !== existing.id));
+            if (sameDoc) {
+                throw new Error(`O CNPJ ${formatCNPJ(doc)} já está cadastrado para ${sameDoc.name}`);
+            }
+        }
+
+        const now = new Date().toISOString();
+        const text = value => (value ? value.toString().trim() : '');
+        const fields = {
+            name: text(fornecedorData.name),
+            contact: text(fornecedorData.contact),
+            phone: text(fornecedorData.phone),
+            email: text(fornecedorData.email),
+            address: text(fornecedorData.address),
+            doc: doc ? formatCNPJ(doc) : '',
+            updated_at: now
+        };
+
+        const record = existing
+            ? { ...existing, ...fields }
+            : { ...fields, ...withRecordIdentity({ uuid: fornecedorData.uuid }), created_at: now };
+        const id = await store.put(record);
+
+        const alteracoes = diffRecords(existing || {}, record);
+        if (!existing || alteracoes.length > 0) {
+            await recordChange(tx, 'fornecedor', { ...record, id }, existing ? 'update' : 'create', alteracoes, options);
+        }
+        await tx.done;
+
+        console.log('Supplier saved successfully with ID:', id);
+        return id;
+    } catch (error) {
+        console.error('Error saving supplier:', error);
+        throw new Error('Erro ao salvar fornecedor: ' + error.message);
+    }
+}
+
+/**
+ * Find suppliers by name, contact or CNPJ
+ * @param {string} termo - Text typed
+ * @returns {Promise<Array>} Matching suppliers, ordered by name
+ */
+async function searchFornecedores(termo) {
+    const fornecedores = await getAllFornecedores();
+    const busca = normalizeSupplierText(termo);
+    if (!busca) {
+        return fornecedores;
+    }
+
+    const digits = cnpjDigits(termo);
+    return fornecedores.filter(fornecedor =>
+        normalizeSupplierText(fornecedor.name).includes(busca) ||
+        normalizeSupplierText(fornecedor.contact).includes(busca) ||
+        (digits.length >= 3 && cnpjDigits(fornecedor.doc).includes(digits))
+    );
+}
+
+/**
+ * Normalize text for searching: no accents, lower-case, trimmed
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeSupplierText(text) {
+    return (text || '').toString().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+/**
+ * Fill a select with the suppliers, keeping the one chosen
+ * @param {HTMLSelectElement} select - Select to fill
+ * @param {Array} fornecedores - Suppliers (from getAllFornecedores)
+ * @param {string} selectedUuid - uuid of the supplier to select
+ */
+function fillSupplierSelect(select, fornecedores, selectedUuid = select.value) {
+    select.innerHTML = '<option value="">Sem fornecedor</option>' + fornecedores.map(fornecedor =>
+        `<option value="${fornecedor.uuid}">${sanitizeString(fornecedor.name)}</option>`
+    ).join('');
+    select.value = selectedUuid && fornecedores.some(fornecedor => fornecedor.uuid === selectedUuid) ? selectedUuid : '';
+}
+
+// Export functions for global use
+window.getAllFornecedores = getAllFornecedores;
+window.getFornecedorByUuid = getFornecedorByUuid;
+window.saveFornecedor = saveFornecedor;
+window.searchFornecedores = searchFornecedores;
+window.fillSupplierSelect = fillSupplierSelect;
@@ -0,0 +1,306 @@
+/**
+ * Warranty Claims Module for Parts Return Control System
+ * Keeps the warranty claims (garantias) filed against suppliers for returned
+ * parts, in the `garantias` store. Records use the server field names
+ * (productId, productDesc, quantity, defect, value, status,
+ * warrantyDeadline...) and are synced like suppliers; a claim names its
+ * customer and mechanic like a devolution, and refers to its supplier
+ * (fornecedor_uuid) and to the returned part it was opened from (item_uuid)
+ * by uuid. Claims are never deleted: they end as negada or creditada.
+ */
+
+// Claim lifecycle: each status (WARRANTY_STATUSES, js/validation.js) lists
+// the statuses it can move to
+const WARRANTY_STATUS_TRANSITIONS = {
+    aberta: ['enviada'],
+    enviada: ['aprovada', 'negada'],
+    aprovada: ['creditada'],
+    negada: [],
+    creditada: []
+};
+const CLOSED_WARRANTY_STATUSES = ['negada', 'creditada'];
+
+const WARRANTY_STATUS_LABELS = {
+    aberta: 'Aberta',
+    enviada: 'Enviada',
+    aprovada: 'Aprovada',
+    negada: 'Negada',
+    creditada: 'Creditada'
+};
+
+// Open claims whose deadline is at most this many days away are listed on
+// the dashboard
+const WARRANTY_DEADLINE_ALERT_DAYS = 15;
+
+/**
+ * Get the Bootstrap color of a claim status badge
+ * @param {string} status - Claim status
+ * @returns {string} Bootstrap color name
+ */
+function getWarrantyStatusColor(status) {
+    const colors = {
+        aberta: 'primary',
+        enviada: 'info',
+        aprovada: 'success',
+        negada: 'danger',
+        creditada: 'dark'
+    };
+    return colors[status] || 'secondary';
+}
+
+/**
+ * Get every warranty claim, the latest first
+ * @returns {Promise<Array>} Warranty claims
+ */
+async function getAllGarantias() {
+    try {
+        const db = await getDatabase();
+        const garantias = await db.getAll(WARRANTIES_STORE_NAME);
+        return garantias.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+    } catch (error) {
+        console.error('Error getting warranty claims:', error);
+        return [];
+    }
+}
+
+/**
+ * Get the warranty claim with a uuid
+ * @param {string} uuid - Claim uuid
+ * @returns {Promise<Object|null>} The claim, or null if unknown here
+ */
+async function getGarantiaByUuid(uuid) {
+    if (!uuid) {
+        return null;
+    }
+    const db = await getDatabase();
+    return (await db.getFromIndex(WARRANTIES_STORE_NAME, 'uuid', uuid)) || null;
+}
+
+/**
+ * Get the warranty claims opened from a returned part
+ * @param {string} itemUuid - uuid of the devolution item
+ * @returns {Promise<Array>} Warranty claims
+ */
+async function getGarantiasByItem(itemUuid) {
+    if (!itemUuid) {
+        return [];
+    }
+    const db = await getDatabase();
+    return await db.getAllFromIndex(WARRANTIES_STORE_NAME, 'item_uuid', itemUuid);
+}
+
+/**
+ * Get a returned part and its devolution, to open a warranty claim from it
+ * @param {string} itemUuid - uuid of the devolution item
+ * @returns {Promise<{item: Object, devolucao: Object}|null>} The part and its
+ *   devolution, or null when the part is not on this device
+ */
+async function getReturnedItem(itemUuid) {
+    if (!itemUuid) {
+        return null;
+    }
+    const db = await getDatabase();
+    const item = await db.getFromIndex(ITEMS_STORE_NAME, 'uuid', itemUuid);
+    const devolucao = item ? await getDevolution(item.devolucao_id) : null;
+    return devolucao ? { item, devolucao } : null;
+}
+
+/**
+ * Build the fields of a new claim from a returned part: the part, its
+ * supplier, the people and the sale of its devolution
+ * @param {Object} item - Devolution item
+ * @param {Object} devolucao - Its devolution
+ * @returns {Object} Claim fields
+ */
+function buildGarantiaFromItem(item, devolucao) {
+    return {
+        productId: item.codigo_peca,
+        productDesc: item.descricao_peca,
+        quantity: item.quantidade_devolvida,
+        defect: item.observacoes_item || '',
+        salesRequestId: devolucao.requisicao_venda || '',
+        returnDate: devolucao.data_devolucao || '',
+        cliente: devolucao.cliente || '',
+        mecanico: devolucao.mecanico || '',
+        fornecedor_uuid: item.fornecedor_uuid || null,
+        item_uuid: item.uuid
+    };
+}
+
+/**
+ * Add a warranty claim, or update the one with the same id (when editing).
+ * A claim needs a supplier; the status of an existing claim is changed
+ * with changeGarantiaStatus, not here.
+ * @param {Object} garantiaData - Claim fields (server names, plus
+ *   fornecedor_uuid, cliente, mecanico and item_uuid)
+ * @param {Object} options - Audit options (origem, operador)
+ * @returns {Promise<number>} The id of the claim
+ */
+async function saveGarantia(garantiaData, options = {}) {
+    try {
+        // Typed like catalog prices ("1.234,56"); parseCatalogPrice is in js/pecas.js
+        const value = parseCatalogPrice(garantiaData.value);
+        const dados = { ...garantiaData, value };
+        throwIfInvalid(validateRecord('garantia', dados));
+        if (!dados.fornecedor_uuid) {
+            throw new Error('Fornecedor é obrigatório');
+        }
+
+        const db = await getDatabase();
+        const tx = db.transaction([WARRANTIES_STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
+        const store = tx.objectStore(WARRANTIES_STORE_NAME);
+
+        const existing = dados.id ? await store.get(dados.id) : null;
+        if (dados.id && !existing) {
+            throw new Error('Garantia não encontrada');
+        }
+
+        const now = new Date().toISOString();
+        const text = field => (dados[field] ? dados[field].toString().trim() : '');
+        const fields = {
+            productId: text('productId'),
+            productDesc: text('productDesc'),
+            quantity: parseInt(dados.quantity, 10),
+            defect: text('defect'),
+            purchaseInvoice: text('purchaseInvoice'),
+            value: value === null ? null : Math.round(value * 100) / 100,
+            returnInvoice: text('returnInvoice'),
+            salesRequestId: text('salesRequestId'),
+            warrantyRequestId: text('warrantyRequestId'),
+            notes: text('notes'),
+            fornecedor_uuid: dados.fornecedor_uuid,
+            cliente: text('cliente'),
+            mecanico: text('mecanico'),
+            purchaseDate: text('purchaseDate'),
+            returnDate: text('returnDate'),
+            warrantyDeadline: text('warrantyDeadline'),
+            updated_at: now
+        };
+
+        const operador = options.operador || getOperatorName() || 'Não identificado';
+        const record = existing
+            ? { ...existing, ...fields }
+            : {
+                ...fields,
+                ...withRecordIdentity({ uuid: dados.uuid }),
+                item_uuid: dados.item_uuid || null,
+                filial: (getCurrentBranch() || {}).codigo || null,
+                // Claims restored from a backup keep their status
+                status: dados.status || 'aberta',
+                status_historico: dados.status_historico || [{ de: null, para: 'aberta', operador, data: now, observacao: '' }],
+                created_at: now
+            };
+        const id = await store.put(record);
+
+        const alteracoes = diffRecords(existing || {}, record);
+        if (!existing || alteracoes.length > 0) {
+            await recordChange(tx, 'garantia', { ...record, id }, existing ? 'update' : 'create', alteracoes, options);
+        }
+        await tx.done;
+
+        console.log('Warranty claim saved successfully with ID:', id);
+        return id;
+    } catch (error) {
+        console.error('Error saving warranty claim:', error);
+        throw new Error('Erro ao salvar garantia: ' + error.message);
+    }
+}
+
+/**
+ * Move a warranty claim to another status. Only the transitions in
+ * WARRANTY_STATUS_TRANSITIONS are allowed; each one is appended to
+ * status_historico with who made it and when.
+ * @param {number} id - The id of the claim
+ * @param {string} newStatus - Target status
+ * @param {string} notes - Transition notes
+ * @param {Object} options - Audit options (origem, operador)
+ * @returns {Promise<Object>} The updated claim
+ */
+async function changeGarantiaStatus(id, newStatus, notes = '', options = {}) {
+    try {
+        const db = await getDatabase();
+        const tx = db.transaction([WARRANTIES_STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
+        const store = tx.objectStore(WARRANTIES_STORE_NAME);
+
+        const existing = await store.get(id);
+        if (!existing) {
+            throw new Error('Garantia não encontrada');
+        }
+
+        const currentStatus = existing.status || 'aberta';
+        if (!(WARRANTY_STATUS_TRANSITIONS[currentStatus] || []).includes(newStatus)) {
+            throw new Error(`Não é possível passar de "${WARRANTY_STATUS_LABELS[currentStatus]}" para "${WARRANTY_STATUS_LABELS[newStatus] || newStatus}"`);
+        }
+
+        const now = new Date().toISOString();
+        const updated = {
+            ...existing,
+            status: newStatus,
+            status_historico: [
+                ...(existing.status_historico || []),
+                {
+                    de: currentStatus,
+                    para: newStatus,
+                    operador: options.operador || getOperatorName() || 'Não identificado',
+                    data: now,
+                    observacao: (notes || '').toString().trim()
+                }
+            ],
+            updated_at: now
+        };
+
+        await store.put(updated);
+        await recordChange(tx, 'garantia', updated, 'update', diffRecords(existing, updated), options);
+        await tx.done;
+
+        console.log(`Warranty claim ${id} status changed from ${currentStatus} to ${newStatus}`);
+        return updated;
+    } catch (error) {
+        console.error('Error changing warranty claim status:', error);
+        throw new Error('Erro ao alterar status da garantia: ' + error.message);
+    }
+}
+
+/**
+ * Days from today until a claim's deadline
+ * @param {Object} garantia - Warranty claim
+ * @returns {number|null} Days left (negative once it has passed), or null without a deadline
+ */
+function getWarrantyDaysLeft(garantia) {
+    const deadline = parseLocalDate(garantia.warrantyDeadline);
+    if (!deadline) {
+        return null;
+    }
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return Math.round((deadline - today) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * List the open claims whose deadline has passed or is at most `days` days
+ * away, the nearest deadline first
+ * @param {number} days - How many days ahead to look
+ * @returns {Promise<Array>} Claims, each with diasRestantes
+ */
+async function getGarantiasNearDeadline(days = WARRANTY_DEADLINE_ALERT_DAYS) {
+    const garantias = await getAllGarantias();
+    return garantias
+        .filter(garantia => !CLOSED_WARRANTY_STATUSES.includes(garantia.status))
+        .map(garantia => ({ ...garantia, diasRestantes: getWarrantyDaysLeft(garantia) }))
+        .filter(garantia => garantia.diasRestantes !== null && garantia.diasRestantes <= days)
+        .sort((a, b) => a.diasRestantes - b.diasRestantes);
+}
+
+// Export functions for global use
+window.WARRANTY_STATUS_TRANSITIONS = WARRANTY_STATUS_TRANSITIONS;
+window.WARRANTY_STATUS_LABELS = WARRANTY_STATUS_LABELS;
+window.getWarrantyStatusColor = getWarrantyStatusColor;
+window.getAllGarantias = getAllGarantias;
+window.getGarantiaByUuid = getGarantiaByUuid;
+window.getGarantiasByItem = getGarantiasByItem;
+window.getReturnedItem = getReturnedItem;
+window.buildGarantiaFromItem = buildGarantiaFromItem;
+window.saveGarantia = saveGarantia;
+window.changeGarantiaStatus = changeGarantiaStatus;
+window.getWarrantyDaysLeft = getWarrantyDaysLeft;
+window.getGarantiasNearDeadline = getGarantiasNearDeadline;
@@ -0,0 +1,321 @@
+/**
+ * Parts Catalog Module for Parts Return Control System
+ * Keeps one record per part code (codigo, descricao, marca, preco_unitario,
+ * ativo and the uuid of its supplier, fornecedor_uuid) in the `pecas` store, so the devolution form can suggest parts and
+ * fill in their description. The catalog is kept on this device; it is
+ * filled in by hand, from a CSV file or from the parts of saved devolutions.
+ */
+
+// Most suggestions shown while a part code or description is typed
+const PARTS_SUGGESTION_LIMIT = 10;
+
+// CSV column names accepted for each catalog field (compared without accents
+// or case)
+const PARTS_CSV_COLUMNS = {
+    codigo: ['codigo', 'codigo_peca', 'cod', 'referencia'],
+    descricao: ['descricao', 'descricao_peca', 'nome'],
+    marca: ['marca', 'fabricante'],
+    preco_unitario: ['preco_unitario', 'preco', 'valor', 'valor_unitario'],
+    ativo: ['ativo', 'situacao']
+};
+
+/**
+ * Normalize text for searching: no accents, lower-case, trimmed
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeCatalogText(text) {
+    return (text || '').toString().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+/**
+ * Read a price typed in Brazilian format ("1.234,56") or with a decimal
+ * point ("1234.56")
+ * @param {*} value - Price as typed
+ * @returns {number|null} The price, NaN when it is not a number, or null when blank
+ */
+function parseCatalogPrice(value) {
+    if (value === undefined || value === null || value.toString().trim() === '') {
+        return null;
+    }
+    if (typeof value === 'number') {
+        return value;
+    }
+    let text = value.toString().replace(/[R$\s]/g, '');
+    if (text.includes(',')) {
+        text = text.replace(/\./g, '').replace(',', '.');
+    }
+    return text === '' ? NaN : Number(text);
+}
+
+/**
+ * Get every part in the catalog, ordered by code
+ * @param {boolean} includeInactive - Also return inactive parts
+ * @returns {Promise<Array>} Catalog parts
+ */
+async function getAllPecas(includeInactive = true) {
+    try {
+        const db = await getDatabase();
+        const pecas = await db.getAll(PARTS_CATALOG_STORE_NAME);
+        return pecas
+            .filter(peca => includeInactive || peca.ativo)
+            .sort((a, b) => a.codigo.localeCompare(b.codigo, 'pt-BR', { numeric: true }));
+    } catch (error) {
+        console.error('Error getting parts catalog:', error);
+        return [];
+    }
+}
+
+/**
+ * Get the catalog part with a code
+ * @param {string} codigo - Part code
+ * @returns {Promise<Object|null>} The part, or null if the code is not in the catalog
+ */
+async function getPecaByCodigo(codigo) {
+    if (!codigo || !codigo.toString().trim()) {
+        return null;
+    }
+    const db = await getDatabase();
+    return (await db.getFromIndex(PARTS_CATALOG_STORE_NAME, 'codigo', codigo.toString().trim())) || null;
+}
+
+/**
+ * Build the record stored for a part, keeping the identity of the stored one
+ * @param {Object} pecaData - Part fields
+ * @param {Object|undefined} existing - Stored part with the same id or code
+ * @returns {Object} Record to store
+ */
+function buildPecaRecord(pecaData, existing) {
+    const now = new Date().toISOString();
+    const preco = parseCatalogPrice(pecaData.preco_unitario);
+    const record = {
+        ...(existing || {}),
+        codigo: pecaData.codigo.toString().trim(),
+        descricao: pecaData.descricao.toString().trim(),
+        marca: pecaData.marca ? pecaData.marca.toString().trim() : '',
+        preco_unitario: preco === null ? null : Math.round(preco * 100) / 100,
+        ativo: pecaData.ativo === undefined ? (existing ? existing.ativo : true) : Boolean(pecaData.ativo),
+        fornecedor_uuid: pecaData.fornecedor_uuid === undefined
+            ? (existing && existing.fornecedor_uuid) || null
+            : pecaData.fornecedor_uuid || null,
+        updated_at: now
+    };
+    return existing ? record : { ...record, ...newRecordIdentity(), created_at: now };
+}
+
+/**
+ * Add a part to the catalog, or update the part with the same id (when
+ * editing) or code
+ * @param {Object} pecaData - codigo, descricao, marca, preco_unitario, ativo and fornecedor_uuid
+ * @returns {Promise<number>} The id of the part
+ */
+async function savePeca(pecaData) {
+    try {
+        throwIfInvalid(validateRecord('peca', { ...pecaData, preco_unitario: parseCatalogPrice(pecaData.preco_unitario) }));
+
+        const db = await getDatabase();
+        const tx = db.transaction(PARTS_CATALOG_STORE_NAME, 'readwrite');
+        const store = tx.objectStore(PARTS_CATALOG_STORE_NAME);
+
+        const codigo = pecaData.codigo.toString().trim();
+        const sameCode = await store.index('codigo').get(codigo);
+        const existing = pecaData.id ? await store.get(pecaData.id) : sameCode;
+        if (sameCode && existing && sameCode.id !== existing.id) {
+            throw new Error(`O código ${codigo} já está no catálogo`);
+        }
+
+        const id = await store.put(buildPecaRecord(pecaData, existing));
+        await tx.done;
+        return id;
+    } catch (error) {
+        console.error('Error saving catalog part:', error);
+        throw new Error('Erro ao salvar peça: ' + error.message);
+    }
+}
+
+/**
+ * Activate or deactivate a catalog part. Inactive parts are not suggested.
+ * @param {number} id - Part id
+ * @param {boolean} ativo - Whether the part is active
+ */
+async function setPecaAtiva(id, ativo) {
+    const db = await getDatabase();
+    const tx = db.transaction(PARTS_CATALOG_STORE_NAME, 'readwrite');
+    const store = tx.objectStore(PARTS_CATALOG_STORE_NAME);
+    const peca = await store.get(id);
+    if (!peca) {
+        throw new Error('Peça não encontrada no catálogo');
+    }
+    await store.put({ ...peca, ativo: Boolean(ativo), updated_at: new Date().toISOString() });
+    await tx.done;
+}
+
+/**
+ * Find active catalog parts by code or description. Parts whose code starts
+ * with the text come first, then the other matches by code or description.
+ * @param {string} termo - Text typed
+ * @param {number} limit - Most parts returned
+ * @returns {Promise<Array>} Matching parts
+ */
+async function searchPecas(termo, limit = PARTS_SUGGESTION_LIMIT) {
+    const busca = normalizeCatalogText(termo);
+    if (!busca) {
+        return [];
+    }
+
+    const pecas = await getAllPecas(false);
+    const prefixo = [];
+    const contem = [];
+    pecas.forEach(peca => {
+        const codigo = normalizeCatalogText(peca.codigo);
+        if (codigo.startsWith(busca)) {
+            prefixo.push(peca);
+        } else if (codigo.includes(busca) || normalizeCatalogText(peca.descricao).includes(busca)) {
+            contem.push(peca);
+        }
+    });
+    return [...prefixo, ...contem].slice(0, limit);
+}
+
+/**
+ * Add the parts of a saved devolution that are not in the catalog yet, so
+ * their description is suggested next time. Parts already in the catalog
+ * are left as they are.
+ * @param {Array} parts - Parts with codigo_peca, descricao_peca and fornecedor_uuid
+ * @returns {Promise<number>} Number of parts added
+ */
+async function addMissingPecas(parts) {
+    const db = await getDatabase();
+    const tx = db.transaction(PARTS_CATALOG_STORE_NAME, 'readwrite');
+    const store = tx.objectStore(PARTS_CATALOG_STORE_NAME);
+    let added = 0;
+
+    for (const part of parts) {
+        const peca = {
+            codigo: (part.codigo_peca || '').toString().trim(),
+            descricao: part.descricao_peca || '',
+            fornecedor_uuid: part.fornecedor_uuid || null
+        };
+        if (Object.keys(validateRecord('peca', peca)).length > 0 || await store.index('codigo').get(peca.codigo)) {
+            continue;
+        }
+        await store.add(buildPecaRecord(peca));
+        added++;
+    }
+    await tx.done;
+    return added;
+}
+
+/**
+ * Split CSV text into rows of fields. Fields may be quoted ("a; b"), with
+ * doubled quotes inside; the separator is ; or , whichever the header uses.
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCSV(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const header = content.split(/\r?\n/, 1)[0];
+    const separator = (header.match(/;/g) || []).length >= (header.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Import parts from a CSV file with a header row. Columns are matched by
+ * name (see PARTS_CSV_COLUMNS); codigo and descricao are required. Parts
+ * already in the catalog are updated with the values of the file.
+ * @param {string} text - CSV content
+ * @returns {Promise<{criadas: number, atualizadas: number, erros: Array<string>}>}
+ *   Parts added and updated, and one message per line left out
+ */
+async function importPecasFromCSV(text) {
+    const [header, ...rows] = parseCSV(text);
+    if (!header) {
+        throw new Error('Arquivo vazio');
+    }
+
+    const columns = {};
+    header.forEach((name, index) => {
+        const key = normalizeCatalogText(name).replace(/[\s-]+/g, '_');
+        for (const [campo, nomes] of Object.entries(PARTS_CSV_COLUMNS)) {
+            if (nomes.includes(key) && columns[campo] === undefined) {
+                columns[campo] = index;
+            }
+        }
+    });
+    if (columns.codigo === undefined || columns.descricao === undefined) {
+        throw new Error('O arquivo precisa das colunas "codigo" e "descricao"');
+    }
+
+    const result = { criadas: 0, atualizadas: 0, erros: [] };
+    for (const [index, fields] of rows.entries()) {
+        const value = campo => (columns[campo] === undefined ? undefined : (fields[columns[campo]] || '').trim());
+        const ativo = value('ativo');
+        const peca = {
+            codigo: value('codigo'),
+            descricao: value('descricao'),
+            marca: value('marca'),
+            preco_unitario: value('preco_unitario'),
+            ...(ativo ? { ativo: !['nao', 'n', '0', 'false', 'inativo', 'inativa'].includes(normalizeCatalogText(ativo)) } : {})
+        };
+
+        try {
+            const existing = await getPecaByCodigo(peca.codigo);
+            await savePeca(existing ? { ...peca, id: existing.id } : peca);
+            result[existing ? 'atualizadas' : 'criadas']++;
+        } catch (error) {
+            // Line numbers as in a spreadsheet, the header being line 1
+            result.erros.push(`Linha ${index + 2}: ${error.message.replace(/^Erro ao salvar peça: /, '')}`);
+        }
+    }
+    return result;
+}
+
+// Export functions for global use
+window.getAllPecas = getAllPecas;
+window.getPecaByCodigo = getPecaByCodigo;
+window.savePeca = savePeca;
+window.setPecaAtiva = setPecaAtiva;
+window.searchPecas = searchPecas;
+window.addMissingPecas = addMissingPecas;
+window.parseCatalogPrice = parseCatalogPrice;
+window.parseCSV = parseCSV;
+window.importPecasFromCSV = importPecasFromCSV;
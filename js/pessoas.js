@@ -28,40 +28,24 @@ async function initPeopleDatabase() {
 /**
  * Add a new person to the database
  * @param {Object} personData - The person data to be stored
+ * @param {Object} options - Audit options (origem, operador)
  * @returns {Promise<number>} The ID of the newly created record
  */
-async function addPerson(personData) {
+async function addPerson(personData, options = {}) {
     try {
         const db = await getDatabase();
         
-        // Validate required fields
-        if (!personData.nome || personData.nome.trim() === '') {
-            throw new Error('Nome é obrigatório');
-        }
-        
-        if (!personData.tipo || personData.tipo === '') {
-            throw new Error('Tipo é obrigatório');
-        }
-
-        // Validate email format if provided
-        if (personData.email && !isValidEmail(personData.email)) {
-            throw new Error('Formato de e-mail inválido');
-        }
-
-        // Validate document if provided
-        if (personData.documento && personData.documento.trim() !== '') {
-            const cleanDoc = personData.documento.replace(/\D/g, '');
-            if (cleanDoc.length === 11 && !isValidCPF(personData.documento)) {
-                throw new Error('CPF inválido');
-            } else if (cleanDoc.length === 14 && !isValidCNPJ(personData.documento)) {
-                throw new Error('CNPJ inválido');
-            } else if (cleanDoc.length !== 11 && cleanDoc.length !== 14 && cleanDoc.length > 0) {
-                throw new Error('Documento deve ser um CPF (11 dígitos) ou CNPJ (14 dígitos)');
-            }
+        // Validate against the shared schema; without a code, one is
+        // generated below
+        const erros = validateRecord('pessoa', personData);
+        if (!personData.codigo) {
+            delete erros.codigo;
         }
+        throwIfInvalid(erros);
 
         // Prepare data for storage
         const dataToStore = {
+            codigo: personData.codigo ? personData.codigo.toString().trim() : await generatePersonCode(),
             nome: personData.nome.toString().trim(),
             tipo: personData.tipo,
             telefone: personData.telefone ? personData.telefone.toString().trim() : '',
@@ -70,14 +54,17 @@ async function addPerson(personData) {
             endereco: personData.endereco ? personData.endereco.toString().trim() : '',
             observacoes: personData.observacoes ? personData.observacoes.toString().trim() : '',
             status: personData.status || 'Ativo',
+            uuid: personData.uuid || generateUUID(),
+            device_id: personData.device_id || getDeviceId(),
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
         };
 
-        const tx = db.transaction(PEOPLE_STORE_NAME, 'readwrite');
+        const tx = db.transaction([PEOPLE_STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
         const store = tx.objectStore(PEOPLE_STORE_NAME);
         const result = await store.add(dataToStore);
-        await tx.complete;
+        await recordChange(tx, 'pessoa', { ...dataToStore, id: result }, 'create', diffRecords({}, dataToStore), options);
+        await tx.done;
 
         console.log('Person added successfully with ID:', result);
         return result;
@@ -89,9 +76,10 @@ async function addPerson(personData) {
 
 /**
  * Get all people from database
+ * @param {boolean} includeDeleted - Also return people that are in the trash
  * @returns {Promise<Array>} Array of all people records
  */
-async function getAllPeople() {
+async function getAllPeople(includeDeleted = false) {
     try {
         const db = await getDatabase();
         
@@ -105,7 +93,7 @@ async function getAllPeople() {
         const store = tx.objectStore(PEOPLE_STORE_NAME);
         const result = await store.getAll();
         
-        return result;
+        return result.filter(person => includeDeleted || !person.deleted_at);
     } catch (error) {
         console.error('Error getting all people:', error);
         return [];
@@ -164,15 +152,47 @@ async function getActiveMechanics() {
 }
 
 /**
- * Initialize form validation for the person registration form
+ * Ask the server for a person code, so codes stay unique across devices
+ * @param {Array<string>} existingCodes - Codes already used on this device
+ * @returns {Promise<string|null>} The code, or null when the server cannot be reached
  */
+async function requestServerPersonCode(existingCodes) {
+    if (!navigator.onLine) {
+        return null;
+    }
+
+    try {
+        // A code taken offline on this device may not have reached the server yet
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const response = await fetch('/api/pessoas/codigo', { method: 'POST', headers: await getAuthHeaders() });
+            if (!response.ok) {
+                return null;
+            }
+            const { codigo } = await response.json();
+            if (codigo && !existingCodes.includes(codigo)) {
+                return codigo;
+            }
+        }
+    } catch (error) {
+        console.warn('Could not get person code from server:', error);
+    }
+    return null;
+}
+
 /**
- * Generate next person code
+ * Generate next person code. Online, the server hands it out; offline, the
+ * first code not used on this device is taken.
  */
 async function generatePersonCode() {
     try {
-        const allPeople = await getAllPeople();
+        // Trashed people keep their codes until they are purged
+        const allPeople = await getAllPeople(true);
         const existingCodes = allPeople.map(p => p.codigo).filter(c => c);
+
+        const serverCode = await requestServerPersonCode(existingCodes);
+        if (serverCode) {
+            return serverCode;
+        }
         
         let newCode = '';
         let counter = 1;
@@ -189,10 +209,19 @@ async function generatePersonCode() {
     }
 }
 
+/**
+ * Initialize form validation for the person registration form
+ */
 function initPersonFormValidation() {
     const form = document.getElementById('personForm');
     if (!form) return;
 
+    // Prefill the operator remembered on this device
+    const operadorField = document.getElementById('operador');
+    if (operadorField) {
+        operadorField.value = getOperatorName();
+    }
+
     // Generate automatic code when form loads
     generatePersonCode().then(codigo => {
         const codigoField = document.getElementById('codigo');
@@ -244,37 +273,15 @@ async function validatePersonForm() {
         if (field) field.setCustomValidity('');
     });
 
-    // Validate required fields
-    if (!fields.nome.value.trim()) {
-        fields.nome.setCustomValidity('Nome é obrigatório.');
-        isValid = false;
-    } else if (fields.nome.value.trim().length < 2) {
-        fields.nome.setCustomValidity('Nome deve ter pelo menos 2 caracteres.');
-        isValid = false;
-    }
-
-    if (!fields.tipo.value) {
-        fields.tipo.setCustomValidity('Tipo é obrigatório.');
-        isValid = false;
-    }
-
-    // Validate email if provided
-    if (fields.email.value && !isValidEmail(fields.email.value)) {
-        fields.email.setCustomValidity('Formato de e-mail inválido.');
-        isValid = false;
+    // The code is generated on save, so only the fields on the form are checked
+    const record = {};
+    for (const [name, field] of Object.entries(fields)) {
+        if (field) record[name] = field.value.trim();
     }
-
-    // Validate document if provided
-    if (fields.documento.value.trim()) {
-        const cleanDoc = fields.documento.value.replace(/\D/g, '');
-        if (cleanDoc.length === 11 && !isValidCPF(fields.documento.value)) {
-            fields.documento.setCustomValidity('CPF inválido.');
-            isValid = false;
-        } else if (cleanDoc.length === 14 && !isValidCNPJ(fields.documento.value)) {
-            fields.documento.setCustomValidity('CNPJ inválido.');
-            isValid = false;
-        } else if (cleanDoc.length !== 11 && cleanDoc.length !== 14 && cleanDoc.length > 0) {
-            fields.documento.setCustomValidity('Documento deve ser um CPF ou CNPJ válido.');
+    const erros = validateRecord('pessoa', record);
+    for (const [name, field] of Object.entries(fields)) {
+        if (field && erros[name]) {
+            field.setCustomValidity(erros[name] + '.');
             isValid = false;
         }
     }
@@ -307,6 +314,12 @@ async function submitPersonForm() {
             status: document.getElementById('status').value
         };
 
+        // Remember who is operating this device for the change history
+        const operadorField = document.getElementById('operador');
+        if (operadorField) {
+            setOperatorName(operadorField.value);
+        }
+
         let personId;
         
         // Check if we're editing or creating
@@ -419,46 +432,16 @@ function addPersonRealTimeValidation() {
  * @param {HTMLElement} field - The field to validate
  */
 function validatePersonField(field) {
-    const value = field.value.trim();
-    
     // Clear previous validation
     field.setCustomValidity('');
-    
-    // Field-specific validation
-    switch (field.id) {
-        case 'nome':
-            if (field.hasAttribute('required') && !value) {
-                field.setCustomValidity('Nome é obrigatório.');
-                return false;
-            }
-            if (value && value.length < 2) {
-                field.setCustomValidity('Nome deve ter pelo menos 2 caracteres.');
-                return false;
-            }
-            break;
 
-        case 'email':
-            if (value && !isValidEmail(value)) {
-                field.setCustomValidity('Formato de e-mail inválido.');
-                return false;
-            }
-            break;
-
-        case 'documento':
-            if (value) {
-                const cleanDoc = value.replace(/\D/g, '');
-                if (cleanDoc.length === 11 && !isValidCPF(value)) {
-                    field.setCustomValidity('CPF inválido.');
-                    return false;
-                } else if (cleanDoc.length === 14 && !isValidCNPJ(value)) {
-                    field.setCustomValidity('CNPJ inválido.');
-                    return false;
-                } else if (cleanDoc.length !== 11 && cleanDoc.length !== 14 && cleanDoc.length > 0) {
-                    field.setCustomValidity('Documento deve ser um CPF ou CNPJ válido.');
-                    return false;
-                }
-            }
-            break;
+    // Form fields have the ids of the schema fields; the code is generated on save
+    if (VALIDATION_SCHEMAS.pessoa[field.id] && field.id !== 'codigo') {
+        const erros = validateRecord('pessoa', { [field.id]: field.value.trim() });
+        if (erros[field.id]) {
+            field.setCustomValidity(erros[field.id] + '.');
+            return false;
+        }
     }
 
     return field.checkValidity();
@@ -522,16 +505,41 @@ window.loadRecentPeople = loadRecentPeople;
  * Update a person record in the database
  * @param {number} id - The ID of the person to update
  * @param {Object} personData - The person data to update
+ * @param {Object} options - Audit options (origem, operador)
  * @returns {Promise<boolean>} True if successful
  */
-async function updatePerson(id, personData) {
+async function updatePerson(id, personData, options = {}) {
     try {
         const db = await getDatabase();
+        const tx = db.transaction([PEOPLE_STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
+        const store = tx.objectStore(PEOPLE_STORE_NAME);
 
-        // Add updated timestamp
-        personData.updated_at = new Date().toISOString();
+        const existingPerson = await store.get(id);
+        if (!existingPerson || existingPerson.deleted_at) {
+            throw new Error('Pessoa não encontrada');
+        }
 
-        await db.put(PEOPLE_STORE_NAME, { ...personData, id });
+        // Merge over the stored record and add updated timestamp
+        const updatedPerson = {
+            ...existingPerson,
+            ...personData,
+            id,
+            uuid: existingPerson.uuid,
+            device_id: existingPerson.device_id,
+            updated_at: new Date().toISOString()
+        };
+
+        // Only the fields being changed are checked, in the merged record
+        const erros = validateRecord('pessoa', updatedPerson);
+        throwIfInvalid(Object.fromEntries(Object.entries(erros).filter(([campo]) => campo in personData)));
+
+        await store.put(updatedPerson);
+
+        const alteracoes = diffRecords(existingPerson, updatedPerson);
+        if (alteracoes.length > 0) {
+            await recordChange(tx, 'pessoa', updatedPerson, 'update', alteracoes, options);
+        }
+        await tx.done;
         console.log('Person updated successfully with ID:', id);
         return true;
     } catch (error) {
@@ -541,4 +549,101 @@ async function updatePerson(id, personData) {
 }
 
 // Make updatePerson available globally
-window.updatePerson = updatePerson;
\ No newline at end of file
+window.updatePerson = updatePerson;
+
+/**
+ * Move a person to the trash (Lixeira)
+ * @param {number} id - The ID of the person to delete
+ * @param {Object} options - Audit options (origem, operador)
+ * @returns {Promise<boolean>} True if successful
+ */
+async function deletePerson(id, options = {}) {
+    try {
+        const db = await getDatabase();
+        const tx = db.transaction([PEOPLE_STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
+        const store = tx.objectStore(PEOPLE_STORE_NAME);
+        const person = await store.get(id);
+        if (!person || person.deleted_at) {
+            throw new Error('Pessoa não encontrada');
+        }
+
+        const now = new Date().toISOString();
+        const deletedPerson = { ...person, deleted_at: now, updated_at: now };
+        await store.put(deletedPerson);
+        await recordChange(tx, 'pessoa', deletedPerson, 'delete', diffRecords(person, deletedPerson), options);
+        await tx.done;
+        console.log('Person moved to trash:', id);
+        return true;
+    } catch (error) {
+        console.error('Error deleting person:', error);
+        throw new Error('Erro ao excluir pessoa: ' + error.message);
+    }
+}
+
+/**
+ * Get the people that are in the trash
+ * @returns {Promise<Array>} Trashed people, most recently deleted first
+ */
+async function getTrashedPeople() {
+    const allPeople = await getAllPeople(true);
+    return allPeople
+        .filter(person => person.deleted_at)
+        .sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+}
+
+/**
+ * Restore a person from the trash
+ * @param {number} id - The ID of the person to restore
+ * @param {Object} options - Audit options (origem, operador)
+ * @returns {Promise<boolean>} True if successful
+ */
+async function restorePerson(id, options = {}) {
+    try {
+        const db = await getDatabase();
+        const tx = db.transaction([PEOPLE_STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
+        const store = tx.objectStore(PEOPLE_STORE_NAME);
+        const person = await store.get(id);
+        if (!person || !person.deleted_at) {
+            throw new Error('Pessoa não encontrada na lixeira');
+        }
+
+        const { deleted_at, ...restoredPerson } = person;
+        restoredPerson.updated_at = new Date().toISOString();
+        await store.put(restoredPerson);
+        await recordChange(tx, 'pessoa', restoredPerson, 'restore', diffRecords(person, restoredPerson), options);
+        await tx.done;
+        console.log('Person restored from trash:', id);
+        return true;
+    } catch (error) {
+        console.error('Error restoring person:', error);
+        throw new Error('Erro ao restaurar pessoa: ' + error.message);
+    }
+}
+
+/**
+ * Permanently delete a person. Their change history is kept.
+ * @param {number} id - The ID of the person to delete
+ * @param {Object} options - Audit options (origem, operador)
+ * @returns {Promise<boolean>} True if successful
+ */
+async function purgePerson(id, options = {}) {
+    try {
+        const db = await getDatabase();
+        const tx = db.transaction([PEOPLE_STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
+        const store = tx.objectStore(PEOPLE_STORE_NAME);
+        const person = await store.get(id);
+        await store.delete(id);
+        await recordChange(tx, 'pessoa', person || { id }, 'purge', [], options);
+        await tx.done;
+        console.log('Person permanently deleted:', id);
+        return true;
+    } catch (error) {
+        console.error('Error purging person:', error);
+        throw new Error('Erro ao excluir pessoa definitivamente: ' + error.message);
+    }
+}
+
+window.deletePerson = deletePerson;
+window.getTrashedPeople = getTrashedPeople;
+window.restorePerson = restorePerson;
+window.purgePerson = purgePerson;
@@ -1,11 +1,13 @@
 /**
  * Reports and Analytics Module for Parts Return Control System
- * Handles report generation, data aggregation, and export functionality
+ * Handles report generation, data aggregation, and export functionality.
+ * Printed documents and CSV exports carry the company identity, so pages
+ * loading this file load js/empresa.js too and call loadCompanySettings.
  */
 
 /**
  * Generate comprehensive reports based on filtered data
- * @param {Array} data - Array of devolution records
+ * @param {Array} data - Array of devolution part rows (see flattenDevolutions)
  * @param {Object} options - Report generation options
  */
 function generateReports(data, options = {}) {
@@ -22,6 +24,22 @@ function generateReports(data, options = {}) {
     return reports;
 }
 
+/**
+ * Add the values of a part row to a report group: the total of the part,
+ * and the refund of its devolution, counted once per devolution since every
+ * part row repeats it (see flattenDevolutions)
+ * @param {Object} group - Group with totalValue, totalRefund and devolutions (a Set)
+ * @param {Object} item - Devolution part row
+ */
+function addRowValues(group, item) {
+    group.totalValue = Math.round((group.totalValue + (item.valor_total || 0)) * 100) / 100;
+    const devolucaoId = item.devolucao_id || item.id;
+    if (!group.devolutions.has(devolucaoId)) {
+        group.devolutions.add(devolucaoId);
+        group.totalRefund = Math.round((group.totalRefund + (Number(item.valor_reembolso) || 0)) * 100) / 100;
+    }
+}
+
 /**
  * Generate summary statistics
  * @param {Array} data - Devolution data
@@ -36,6 +54,8 @@ function generateSummaryReport(data) {
             uniqueCustomers: 0,
             uniqueMechanics: 0,
             averageQuantityPerDevolution: 0,
+            totalValue: 0,
+            totalRefund: 0,
             dateRange: null
         };
     }
@@ -44,6 +64,8 @@ function generateSummaryReport(data) {
     const uniqueParts = new Set(data.map(item => item.codigo_peca)).size;
     const uniqueCustomers = new Set(data.map(item => item.cliente)).size;
     const uniqueMechanics = new Set(data.map(item => item.mecanico)).size;
+    const values = { totalValue: 0, totalRefund: 0, devolutions: new Set() };
+    data.forEach(item => addRowValues(values, item));
 
     // Calculate date range
     const dates = data.map(item => new Date(item.data_devolucao));
@@ -51,12 +73,14 @@ function generateSummaryReport(data) {
     const maxDate = new Date(Math.max(...dates));
 
     return {
-        totalDevolutions: data.length,
+        totalDevolutions: values.devolutions.size,
         totalQuantity: totalQuantity,
         uniqueParts: uniqueParts,
         uniqueCustomers: uniqueCustomers,
         uniqueMechanics: uniqueMechanics,
         averageQuantityPerDevolution: data.length > 0 ? (totalQuantity / data.length).toFixed(2) : 0,
+        totalValue: values.totalValue,
+        totalRefund: values.totalRefund,
         dateRange: {
             start: minDate.toISOString().split('T')[0],
             end: maxDate.toISOString().split('T')[0]
@@ -79,6 +103,7 @@ function generatePartReport(data) {
                 codigo: item.codigo_peca,
                 descricao: item.descricao_peca,
                 totalQuantity: 0,
+                totalValue: 0,
                 occurrences: 0,
                 customers: new Set(),
                 mechanics: new Set(),
@@ -91,6 +116,8 @@ function generatePartReport(data) {
 
         const group = partGroups[key];
         group.totalQuantity += item.quantidade_devolvida;
+        // A refund belongs to the whole devolution, so parts only add up their own value
+        group.totalValue = Math.round((group.totalValue + (item.valor_total || 0)) * 100) / 100;
         group.occurrences++;
         group.customers.add(item.cliente);
         group.mechanics.add(item.mecanico);
@@ -134,6 +161,9 @@ function generateCustomerReport(data) {
             customerGroups[key] = {
                 name: item.cliente,
                 totalQuantity: 0,
+                totalValue: 0,
+                totalRefund: 0,
+                devolutions: new Set(),
                 occurrences: 0,
                 parts: new Set(),
                 mechanics: new Set(),
@@ -146,6 +176,7 @@ function generateCustomerReport(data) {
 
         const group = customerGroups[key];
         group.totalQuantity += item.quantidade_devolvida;
+        addRowValues(group, item);
         group.occurrences++;
         group.parts.add(item.codigo_peca);
         group.mechanics.add(item.mecanico);
@@ -170,7 +201,8 @@ function generateCustomerReport(data) {
         uniqueSalesOrders: group.salesOrders.size,
         averageQuantityPerOccurrence: (group.totalQuantity / group.occurrences).toFixed(2),
         parts: Array.from(group.parts),
-        mechanics: Array.from(group.mechanics)
+        mechanics: Array.from(group.mechanics),
+        devolutions: Array.from(group.devolutions)
     }));
 
     // Sort by total quantity descending
@@ -191,6 +223,9 @@ function generateMechanicReport(data) {
             mechanicGroups[key] = {
                 name: item.mecanico,
                 totalQuantity: 0,
+                totalValue: 0,
+                totalRefund: 0,
+                devolutions: new Set(),
                 occurrences: 0,
                 customers: new Set(),
                 parts: new Set(),
@@ -203,6 +238,7 @@ function generateMechanicReport(data) {
 
         const group = mechanicGroups[key];
         group.totalQuantity += item.quantidade_devolvida;
+        addRowValues(group, item);
         group.occurrences++;
         group.customers.add(item.cliente);
         group.parts.add(item.codigo_peca);
@@ -227,7 +263,8 @@ function generateMechanicReport(data) {
         uniqueSalesOrders: group.salesOrders.size,
         averageQuantityPerOccurrence: (group.totalQuantity / group.occurrences).toFixed(2),
         customers: Array.from(group.customers),
-        parts: Array.from(group.parts)
+        parts: Array.from(group.parts),
+        devolutions: Array.from(group.devolutions)
     }));
 
     // Sort by total quantity descending
@@ -248,6 +285,9 @@ function generateActionReport(data) {
             actionGroups[key] = {
                 action: key,
                 totalQuantity: 0,
+                totalValue: 0,
+                totalRefund: 0,
+                devolutions: new Set(),
                 occurrences: 0,
                 customers: new Set(),
                 parts: new Set(),
@@ -257,6 +297,7 @@ function generateActionReport(data) {
 
         const group = actionGroups[key];
         group.totalQuantity += item.quantidade_devolvida;
+        addRowValues(group, item);
         group.occurrences++;
         group.customers.add(item.cliente);
         group.parts.add(item.codigo_peca);
@@ -272,6 +313,7 @@ function generateActionReport(data) {
         uniqueCustomers: group.customers.size,
         uniqueParts: group.parts.size,
         uniqueMechanics: group.mechanics.size,
+        devolutions: Array.from(group.devolutions),
         percentageOfOccurrences: totalOccurrences > 0 ? ((group.occurrences / totalOccurrences) * 100).toFixed(1) : 0,
         percentageOfQuantity: totalQuantity > 0 ? ((group.totalQuantity / totalQuantity) * 100).toFixed(1) : 0,
         averageQuantityPerOccurrence: (group.totalQuantity / group.occurrences).toFixed(2)
@@ -364,12 +406,16 @@ function generateTrendReport(data) {
                 month: monthKey,
                 count: 0,
                 quantity: 0,
+                totalValue: 0,
+                totalRefund: 0,
+                devolutions: new Set(),
                 parts: new Set(),
                 customers: new Set()
             };
         }
         monthlyData[monthKey].count++;
         monthlyData[monthKey].quantity += item.quantidade_devolvida;
+        addRowValues(monthlyData[monthKey], item);
         monthlyData[monthKey].parts.add(item.codigo_peca);
         monthlyData[monthKey].customers.add(item.cliente);
     });
@@ -380,15 +426,16 @@ function generateTrendReport(data) {
         .map(month => ({
             ...month,
             uniqueParts: month.parts.size,
-            uniqueCustomers: month.customers.size
+            uniqueCustomers: month.customers.size,
+            devolutions: Array.from(month.devolutions)
         }));
 
     // Analyze seasonal patterns
     const seasonalPatterns = {
-        Q1: { months: ['01', '02', '03'], count: 0, quantity: 0 },
-        Q2: { months: ['04', '05', '06'], count: 0, quantity: 0 },
-        Q3: { months: ['07', '08', '09'], count: 0, quantity: 0 },
-        Q4: { months: ['10', '11', '12'], count: 0, quantity: 0 }
+        Q1: { months: ['01', '02', '03'], count: 0, quantity: 0, totalValue: 0, totalRefund: 0, devolutions: new Set() },
+        Q2: { months: ['04', '05', '06'], count: 0, quantity: 0, totalValue: 0, totalRefund: 0, devolutions: new Set() },
+        Q3: { months: ['07', '08', '09'], count: 0, quantity: 0, totalValue: 0, totalRefund: 0, devolutions: new Set() },
+        Q4: { months: ['10', '11', '12'], count: 0, quantity: 0, totalValue: 0, totalRefund: 0, devolutions: new Set() }
     };
 
     data.forEach(item => {
@@ -397,6 +444,7 @@ function generateTrendReport(data) {
             if (seasonalPatterns[quarter].months.includes(month)) {
                 seasonalPatterns[quarter].count++;
                 seasonalPatterns[quarter].quantity += item.quantidade_devolvida;
+                addRowValues(seasonalPatterns[quarter], item);
             }
         });
     });
@@ -429,7 +477,7 @@ function exportReportToCSV(reportData, reportType, filename = null) {
             headers = [
                 'Código da Peça', 'Descrição', 'Quantidade Total', 'Ocorrências',
                 'Clientes Únicos', 'Mecânicos Únicos', 'Média por Ocorrência',
-                'Primeira Devolução', 'Última Devolução'
+                'Valor Total', 'Primeira Devolução', 'Última Devolução'
             ];
             rows = reportData.map(item => [
                 `"${item.codigo}"`,
@@ -439,6 +487,7 @@ function exportReportToCSV(reportData, reportType, filename = null) {
                 item.uniqueCustomers,
                 item.uniqueMechanics,
                 item.averageQuantityPerOccurrence,
+                `"${formatCurrency(item.totalValue)}"`,
                 item.earliestReturn,
                 item.latestReturn
             ]);
@@ -447,7 +496,8 @@ function exportReportToCSV(reportData, reportType, filename = null) {
         case 'customers':
             headers = [
                 'Cliente', 'Quantidade Total', 'Ocorrências', 'Peças Distintas',
-                'Mecânicos Únicos', 'Média por Ocorrência', 'Primeira Devolução', 'Última Devolução'
+                'Mecânicos Únicos', 'Média por Ocorrência', 'Valor Total', 'Valor Reembolsado',
+                'Primeira Devolução', 'Última Devolução'
             ];
             rows = reportData.map(item => [
                 `"${item.name}"`,
@@ -456,6 +506,8 @@ function exportReportToCSV(reportData, reportType, filename = null) {
                 item.uniqueParts,
                 item.uniqueMechanics,
                 item.averageQuantityPerOccurrence,
+                `"${formatCurrency(item.totalValue)}"`,
+                `"${formatCurrency(item.totalRefund)}"`,
                 item.earliestReturn,
                 item.latestReturn
             ]);
@@ -464,7 +516,8 @@ function exportReportToCSV(reportData, reportType, filename = null) {
         case 'mechanics':
             headers = [
                 'Mecânico', 'Quantidade Total', 'Ocorrências', 'Clientes Únicos',
-                'Peças Distintas', 'Média por Ocorrência', 'Primeira Devolução', 'Última Devolução'
+                'Peças Distintas', 'Média por Ocorrência', 'Valor Total', 'Valor Reembolsado',
+                'Primeira Devolução', 'Última Devolução'
             ];
             rows = reportData.map(item => [
                 `"${item.name}"`,
@@ -473,6 +526,8 @@ function exportReportToCSV(reportData, reportType, filename = null) {
                 item.uniqueCustomers,
                 item.uniqueParts,
                 item.averageQuantityPerOccurrence,
+                `"${formatCurrency(item.totalValue)}"`,
+                `"${formatCurrency(item.totalRefund)}"`,
                 item.earliestReturn,
                 item.latestReturn
             ]);
@@ -481,7 +536,8 @@ function exportReportToCSV(reportData, reportType, filename = null) {
         case 'actions':
             headers = [
                 'Ação na Requisição', 'Quantidade Total', 'Ocorrências',
-                '% das Ocorrências', '% da Quantidade', 'Média por Ocorrência'
+                '% das Ocorrências', '% da Quantidade', 'Média por Ocorrência',
+                'Valor Total', 'Valor Reembolsado'
             ];
             rows = reportData.map(item => [
                 `"${item.action}"`,
@@ -489,18 +545,25 @@ function exportReportToCSV(reportData, reportType, filename = null) {
                 item.occurrences,
                 `${item.percentageOfOccurrences}%`,
                 `${item.percentageOfQuantity}%`,
-                item.averageQuantityPerOccurrence
+                item.averageQuantityPerOccurrence,
+                `"${formatCurrency(item.totalValue)}"`,
+                `"${formatCurrency(item.totalRefund)}"`
             ]);
             break;
 
         case 'monthly':
-            headers = ['Mês', 'Devoluções', 'Quantidade Total', 'Peças Únicas', 'Clientes Únicos'];
+            headers = [
+                'Mês', 'Devoluções', 'Quantidade Total', 'Peças Únicas', 'Clientes Únicos',
+                'Valor Total', 'Valor Reembolsado'
+            ];
             rows = reportData.map(item => [
                 item.month,
                 item.count,
                 item.quantity,
                 item.uniqueParts,
-                item.uniqueCustomers
+                item.uniqueCustomers,
+                `"${formatCurrency(item.totalValue)}"`,
+                `"${formatCurrency(item.totalRefund)}"`
             ]);
             break;
 
@@ -508,7 +571,7 @@ function exportReportToCSV(reportData, reportType, filename = null) {
             throw new Error('Tipo de relatório não suportado para exportação');
     }
 
-    const csvContent = [
+    const csvContent = getCompanyCSVHeader() + [
         headers.join(','),
         ...rows.map(row => row.join(','))
     ].join('\n');
@@ -597,6 +660,8 @@ function generateDashboardSummary(reports) {
         totalQuantity: formatNumber(summary.totalQuantity),
         uniqueParts: formatNumber(summary.uniqueParts),
         uniqueCustomers: formatNumber(summary.uniqueCustomers),
+        totalValue: formatCurrency(summary.totalValue),
+        totalRefund: formatCurrency(summary.totalRefund),
         averageReturnTime: timeAnalysis.averageDaysBetweenSaleAndReturn,
         topPart: reports.byParts.length > 0 ? reports.byParts[0] : null,
         topCustomer: reports.byCustomers.length > 0 ? reports.byCustomers[0] : null,
@@ -675,6 +740,14 @@ function generatePrintHTML(reportType, reportData, options = {}) {
             title = 'Relatório Detalhado';
             content = generateDetailedPrintContent(reportData);
             break;
+        case 'receipt':
+            title = `Comprovante de Devolução Nº ${reportData.id}`;
+            content = generateReceiptPrintContent(reportData);
+            break;
+        case 'rma':
+            title = `Documento de RMA ${getRmaCode(reportData)}`;
+            content = generateRmaPrintContent(reportData);
+            break;
         default:
             content = '<p>Tipo de relatório não suportado para impressão.</p>';
     }
@@ -709,6 +782,28 @@ function generatePrintHTML(reportType, reportData, options = {}) {
                     color: #666;
                     font-size: 14px;
                 }
+                .header .company-logo {
+                    max-height: 70px;
+                    max-width: 220px;
+                    margin-bottom: 10px;
+                }
+                .header .company-info {
+                    margin: 2px 0;
+                    color: #666;
+                    font-size: 12px;
+                }
+                .signatures {
+                    display: flex;
+                    gap: 40px;
+                    margin-top: 60px;
+                }
+                .signature {
+                    flex: 1;
+                    border-top: 1px solid #333;
+                    padding-top: 5px;
+                    text-align: center;
+                    font-size: 12px;
+                }
                 .print-info {
                     text-align: right;
                     margin-bottom: 20px;
@@ -778,7 +873,7 @@ function generatePrintHTML(reportType, reportData, options = {}) {
         </head>
         <body>
             <div class="header">
-                <h1>Sistema de Controle de Retorno de Peças</h1>
+                ${generateCompanyPrintHeader()}
                 <div class="subtitle">${title}</div>
             </div>
             
@@ -796,6 +891,27 @@ function generatePrintHTML(reportType, reportData, options = {}) {
     `;
 }
 
+/**
+ * Generate the company identity at the top of printed documents, from the
+ * settings loaded by loadCompanySettings (js/empresa.js)
+ * @returns {string} Header HTML; the system name when no settings were saved
+ */
+function generateCompanyPrintHeader() {
+    const settings = getCompanySettings();
+    if (!settings || !settings.name) {
+        return '<h1>Sistema de Controle de Retorno de Peças</h1>';
+    }
+
+    const contacts = [settings.phone, settings.email].filter(Boolean).map(sanitizeString).join(' | ');
+    return `
+        ${settings.logoDataUrl ? `<img class="company-logo" src="${settings.logoDataUrl}" alt="">` : ''}
+        <h1>${sanitizeString(settings.name)}</h1>
+        ${settings.doc ? `<div class="company-info">CNPJ: ${sanitizeString(settings.doc)}</div>` : ''}
+        ${settings.address ? `<div class="company-info">${sanitizeString(settings.address)}</div>` : ''}
+        ${contacts ? `<div class="company-info">${contacts}</div>` : ''}
+    `;
+}
+
 /**
  * Generate summary print content
  */
@@ -820,11 +936,50 @@ function generateSummaryPrintContent(data) {
                     <div class="summary-value">${data.uniqueCustomers || 0}</div>
                     <div class="summary-label">Clientes Únicos</div>
                 </div>
+                <div class="summary-item">
+                    <div class="summary-value">${formatCurrency(data.totalValue || 0)}</div>
+                    <div class="summary-label">Valor das Peças</div>
+                </div>
+                <div class="summary-item">
+                    <div class="summary-value">${formatCurrency(data.totalRefund || 0)}</div>
+                    <div class="summary-label">Valor Reembolsado</div>
+                </div>
             </div>
         </div>
     `;
 }
 
+/**
+ * Add up the values of report groups (parts, customers, months...)
+ * @param {Array} data - Report groups with totalValue and totalRefund
+ * @returns {{totalValue: number, totalRefund: number}} Totals
+ */
+function sumReportValues(data) {
+    return data.reduce((totals, item) => ({
+        totalValue: Math.round((totals.totalValue + (item.totalValue || 0)) * 100) / 100,
+        totalRefund: Math.round((totals.totalRefund + (item.totalRefund || 0)) * 100) / 100
+    }), { totalValue: 0, totalRefund: 0 });
+}
+
+/**
+ * Footer row with the value totals of a printed report
+ * @param {Array} data - Report groups with totalValue and totalRefund
+ * @param {number} labelColumns - Columns before the value columns
+ * @returns {string} The tfoot element
+ */
+function printValuesFooter(data, labelColumns) {
+    const totals = sumReportValues(data);
+    return `
+        <tfoot>
+            <tr>
+                <th colspan="${labelColumns}">Total</th>
+                <th class="number">${formatCurrency(totals.totalValue)}</th>
+                <th class="number">${formatCurrency(totals.totalRefund)}</th>
+            </tr>
+        </tfoot>
+    `;
+}
+
 /**
  * Generate parts print content
  */
@@ -837,8 +992,10 @@ function generatePartsPrintContent(data) {
             <td class="number">${item.occurrences}</td>
             <td class="number">${item.percentageOfTotal}%</td>
             <td class="number">${item.averageQuantityPerOccurrence}</td>
+            <td class="number">${formatCurrency(item.totalValue || 0)}</td>
         </tr>
     `).join('');
+    const totals = sumReportValues(data);
     
     return `
         <table>
@@ -850,11 +1007,18 @@ function generatePartsPrintContent(data) {
                     <th>Ocorrências</th>
                     <th>% do Total</th>
                     <th>Média/Ocorrência</th>
+                    <th>Valor Total</th>
                 </tr>
             </thead>
             <tbody>
                 ${tableRows}
             </tbody>
+            <tfoot>
+                <tr>
+                    <th colspan="6">Total</th>
+                    <th class="number">${formatCurrency(totals.totalValue)}</th>
+                </tr>
+            </tfoot>
         </table>
     `;
 }
@@ -870,6 +1034,8 @@ function generateCustomersPrintContent(data) {
             <td class="number">${item.occurrences}</td>
             <td class="number">${item.uniqueParts}</td>
             <td class="number">${item.percentageOfTotal}%</td>
+            <td class="number">${formatCurrency(item.totalValue || 0)}</td>
+            <td class="number">${formatCurrency(item.totalRefund || 0)}</td>
         </tr>
     `).join('');
     
@@ -882,11 +1048,14 @@ function generateCustomersPrintContent(data) {
                     <th>Devoluções</th>
                     <th>Peças Únicas</th>
                     <th>% do Total</th>
+                    <th>Valor Total</th>
+                    <th>Reembolsado</th>
                 </tr>
             </thead>
             <tbody>
                 ${tableRows}
             </tbody>
+            ${printValuesFooter(data, 5)}
         </table>
     `;
 }
@@ -902,6 +1071,8 @@ function generateMechanicsPrintContent(data) {
             <td class="number">${item.occurrences}</td>
             <td class="number">${item.uniqueParts}</td>
             <td class="number">${item.percentageOfTotal}%</td>
+            <td class="number">${formatCurrency(item.totalValue || 0)}</td>
+            <td class="number">${formatCurrency(item.totalRefund || 0)}</td>
         </tr>
     `).join('');
     
@@ -914,11 +1085,14 @@ function generateMechanicsPrintContent(data) {
                     <th>Devoluções</th>
                     <th>Peças Únicas</th>
                     <th>% do Total</th>
+                    <th>Valor Total</th>
+                    <th>Reembolsado</th>
                 </tr>
             </thead>
             <tbody>
                 ${tableRows}
             </tbody>
+            ${printValuesFooter(data, 5)}
         </table>
     `;
 }
@@ -934,6 +1108,8 @@ function generateActionsPrintContent(data) {
             <td class="number">${item.occurrences}</td>
             <td class="number">${item.percentageOfOccurrences}%</td>
             <td class="number">${item.averageQuantityPerOccurrence}</td>
+            <td class="number">${formatCurrency(item.totalValue || 0)}</td>
+            <td class="number">${formatCurrency(item.totalRefund || 0)}</td>
         </tr>
     `).join('');
     
@@ -946,11 +1122,14 @@ function generateActionsPrintContent(data) {
                     <th>Ocorrências</th>
                     <th>% das Ocorrências</th>
                     <th>Média/Ocorrência</th>
+                    <th>Valor Total</th>
+                    <th>Reembolsado</th>
                 </tr>
             </thead>
             <tbody>
                 ${tableRows}
             </tbody>
+            ${printValuesFooter(data, 5)}
         </table>
     `;
 }
@@ -966,6 +1145,8 @@ function generateMonthlyPrintContent(data) {
             <td class="number">${item.quantity}</td>
             <td class="number">${item.uniqueParts}</td>
             <td class="number">${item.uniqueCustomers}</td>
+            <td class="number">${formatCurrency(item.totalValue || 0)}</td>
+            <td class="number">${formatCurrency(item.totalRefund || 0)}</td>
         </tr>
     `).join('');
     
@@ -978,11 +1159,14 @@ function generateMonthlyPrintContent(data) {
                     <th>Qtd. Total</th>
                     <th>Peças Únicas</th>
                     <th>Clientes Únicos</th>
+                    <th>Valor Total</th>
+                    <th>Reembolsado</th>
                 </tr>
             </thead>
             <tbody>
                 ${tableRows}
             </tbody>
+            ${printValuesFooter(data, 5)}
         </table>
     `;
 }
@@ -997,12 +1181,17 @@ function generateDetailedPrintContent(data) {
             <td>${item.codigo_peca}</td>
             <td>${item.descricao_peca}</td>
             <td class="number">${item.quantidade_devolvida}</td>
+            <td class="number">${formatOptionalCurrency(item.valor_unitario)}</td>
+            <td class="number">${formatOptionalCurrency(item.valor_total)}</td>
             <td>${item.cliente}</td>
             <td>${item.mecanico}</td>
             <td>${item.acao_requisicao}</td>
             <td>${item.requisicao_venda}</td>
         </tr>
     `).join('');
+    // Part rows repeat the refund of their devolution; addRowValues counts it once
+    const totals = { totalValue: 0, totalRefund: 0, devolutions: new Set() };
+    data.forEach(item => addRowValues(totals, item));
     
     return `
         <table>
@@ -1012,6 +1201,8 @@ function generateDetailedPrintContent(data) {
                     <th>Código</th>
                     <th>Descrição</th>
                     <th>Qtd.</th>
+                    <th>Valor Unit.</th>
+                    <th>Valor Total</th>
                     <th>Cliente</th>
                     <th>Mecânico</th>
                     <th>Ação</th>
@@ -1021,7 +1212,129 @@ function generateDetailedPrintContent(data) {
             <tbody>
                 ${tableRows}
             </tbody>
+            <tfoot>
+                <tr>
+                    <th colspan="5">Total</th>
+                    <th class="number">${formatCurrency(totals.totalValue)}</th>
+                    <th colspan="4">Reembolsado: ${formatCurrency(totals.totalRefund)}</th>
+                </tr>
+            </tfoot>
+        </table>
+    `;
+}
+
+/**
+ * Generate the receipt of a devolution, signed by the customer and by
+ * whoever received the parts
+ * @param {Object} devolucao - Devolution with its itens
+ */
+function generateReceiptPrintContent(devolucao) {
+    const itens = devolucao.itens || [];
+    const totalValue = itens.reduce((total, item) => Math.round((total + (getItemTotalValue(item) || 0)) * 100) / 100, 0);
+    const tableRows = itens.map(item => `
+        <tr>
+            <td>${sanitizeString(item.codigo_peca)}</td>
+            <td>${sanitizeString(item.descricao_peca)}</td>
+            <td class="number">${item.quantidade_devolvida}</td>
+            <td class="number">${formatOptionalCurrency(item.valor_unitario)}</td>
+            <td class="number">${formatOptionalCurrency(getItemTotalValue(item))}</td>
+            <td>${sanitizeString(item.observacoes_item || '')}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <div class="summary-card">
+            <p><strong>Data da devolução:</strong> ${formatDate(devolucao.data_devolucao)}</p>
+            <p><strong>Cliente:</strong> ${sanitizeString(devolucao.cliente)}</p>
+            <p><strong>Mecânico:</strong> ${sanitizeString(devolucao.mecanico)}</p>
+            <p><strong>Requisição de venda:</strong> ${sanitizeString(devolucao.requisicao_venda)}
+                ${devolucao.data_venda ? ` (venda em ${formatDate(devolucao.data_venda)})` : ''}</p>
+            ${devolucao.observacao ? `<p><strong>Observação:</strong> ${sanitizeString(devolucao.observacao)}</p>` : ''}
+            ${devolucao.valor_reembolso !== null && devolucao.valor_reembolso !== undefined
+                ? `<p><strong>Reembolso/crédito ao cliente:</strong> ${formatOptionalCurrency(devolucao.valor_reembolso)}</p>`
+                : ''}
+        </div>
+        <table>
+            <thead>
+                <tr>
+                    <th>Código</th>
+                    <th>Descrição</th>
+                    <th>Qtd.</th>
+                    <th>Valor Unit.</th>
+                    <th>Valor Total</th>
+                    <th>Observação</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${tableRows}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <th colspan="4">Total</th>
+                    <th class="number">${formatCurrency(totalValue)}</th>
+                    <th></th>
+                </tr>
+            </tfoot>
         </table>
+        <div class="signatures">
+            <div class="signature">Cliente</div>
+            <div class="signature">Recebido por</div>
+        </div>
+    `;
+}
+
+/**
+ * Generate the RMA document sent with the parts to the supplier, signed by
+ * whoever shipped them and by the supplier on receipt
+ * @param {Object} rma - RMA batch with its itens (each with the requisicao_venda
+ *   of its devolution, when known) and its supplier (fornecedor)
+ */
+function generateRmaPrintContent(rma) {
+    const fornecedor = rma.fornecedor || {};
+    const itens = rma.itens || [];
+    const totalQuantidade = itens.reduce((total, item) => total + (parseInt(item.quantity, 10) || 0), 0);
+    const tableRows = itens.map(item => `
+        <tr>
+            <td>${sanitizeString(item.productId)}</td>
+            <td>${sanitizeString(item.productDesc || '')}</td>
+            <td>${sanitizeString(item.requisicao_venda || '')}</td>
+            <td class="number">${item.quantity}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <div class="summary-card">
+            <p><strong>Fornecedor:</strong> ${sanitizeString(fornecedor.name || '-')}
+                ${fornecedor.doc ? ` (CNPJ ${sanitizeString(fornecedor.doc)})` : ''}</p>
+            ${fornecedor.contact ? `<p><strong>Contato:</strong> ${sanitizeString(fornecedor.contact)}</p>` : ''}
+            ${fornecedor.address ? `<p><strong>Endereço:</strong> ${sanitizeString(fornecedor.address)}</p>` : ''}
+            <p><strong>Aberto em:</strong> ${formatDate(rma.created_at)}
+                ${rma.shippingDate ? ` | <strong>Enviado em:</strong> ${formatDate(rma.shippingDate)}` : ''}</p>
+            ${rma.notes ? `<p><strong>Observações:</strong> ${sanitizeString(rma.notes)}</p>` : ''}
+        </div>
+        <table>
+            <thead>
+                <tr>
+                    <th>Código</th>
+                    <th>Descrição</th>
+                    <th>Req. de Venda</th>
+                    <th>Qtd.</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${tableRows}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <th colspan="3">Total (${itens.length} ${itens.length === 1 ? 'peça' : 'peças'})</th>
+                    <th class="number">${totalQuantidade}</th>
+                </tr>
+            </tfoot>
+        </table>
+        <div class="signatures">
+            <div class="signature">Enviado por</div>
+            <div class="signature">Recebido pelo fornecedor</div>
+        </div>
     `;
 }
 
@@ -1111,6 +1424,7 @@ window.generateMechanicReport = generateMechanicReport;
 window.generateActionReport = generateActionReport;
 window.generateTimeAnalysisReport = generateTimeAnalysisReport;
 window.generateTrendReport = generateTrendReport;
+window.addRowValues = addRowValues;
 window.exportReportToCSV = exportReportToCSV;
 window.downloadCSV = downloadCSV;
 window.formatNumber = formatNumber;
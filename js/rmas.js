@@ -0,0 +1,371 @@
+/**
+ * RMA Batches Module for Parts Return Control System
+ * An RMA batch (rma) groups returned parts sent back to one supplier, in the
+ * `rmas` store. Only parts returned for "Troca" or "Análise" whose supplier
+ * is known can go in a batch, and each part goes in one batch at most. The
+ * batch keeps its parts in `itens` ({ item_uuid, productId, productDesc,
+ * quantity }); each devolution item sent back names its batch in rma_uuid,
+ * so it shows as sent to the supplier. Batches are never deleted: they end
+ * as respondido, with the supplier's response and the credit given.
+ */
+
+// Batch lifecycle: each status (RMA_STATUSES, js/validation.js) lists the
+// statuses it can move to
+const RMA_STATUS_TRANSITIONS = {
+    aberto: ['enviado'],
+    enviado: ['respondido'],
+    respondido: []
+};
+
+const RMA_STATUS_LABELS = {
+    aberto: 'Aberto',
+    enviado: 'Enviado',
+    respondido: 'Respondido'
+};
+
+// Part actions (tipo_acao) whose parts go back to the supplier
+const RMA_ELIGIBLE_ACTIONS = ['Troca', 'Análise'];
+
+/**
+ * Get the Bootstrap color of a batch status badge
+ * @param {string} status - Batch status
+ * @returns {string} Bootstrap color name
+ */
+function getRmaStatusColor(status) {
+    const colors = {
+        aberto: 'primary',
+        enviado: 'info',
+        respondido: 'success'
+    };
+    return colors[status] || 'secondary';
+}
+
+/**
+ * Get the code printed on a batch and shown to the user
+ * @param {Object} rma - RMA batch
+ * @returns {string} "RMA-" and the start of the batch uuid
+ */
+function getRmaCode(rma) {
+    return `RMA-${(rma.uuid || '').slice(0, 8).toUpperCase()}`;
+}
+
+/**
+ * Get every RMA batch, the latest first
+ * @returns {Promise<Array>} RMA batches
+ */
+async function getAllRmas() {
+    try {
+        const db = await getDatabase();
+        const rmas = await db.getAll(RMAS_STORE_NAME);
+        return rmas.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+    } catch (error) {
+        console.error('Error getting RMA batches:', error);
+        return [];
+    }
+}
+
+/**
+ * Get the RMA batch with a uuid
+ * @param {string} uuid - Batch uuid
+ * @returns {Promise<Object|null>} The batch, or null if unknown here
+ */
+async function getRmaByUuid(uuid) {
+    if (!uuid) {
+        return null;
+    }
+    const db = await getDatabase();
+    return (await db.getFromIndex(RMAS_STORE_NAME, 'uuid', uuid)) || null;
+}
+
+/**
+ * List the returned parts that can go in a new batch for a supplier: parts
+ * of that supplier returned for one of RMA_ELIGIBLE_ACTIONS, not in a batch
+ * yet, from devolutions not in the trash
+ * @param {string} fornecedorUuid - Supplier uuid
+ * @returns {Promise<Array>} Parts, each with its devolution (devolucao)
+ */
+async function getEligibleRmaItems(fornecedorUuid) {
+    if (!fornecedorUuid) {
+        return [];
+    }
+    const db = await getDatabase();
+    const itens = await db.getAll(ITEMS_STORE_NAME);
+    const result = [];
+
+    for (const item of itens) {
+        if (item.fornecedor_uuid !== fornecedorUuid || item.rma_uuid || !RMA_ELIGIBLE_ACTIONS.includes(item.tipo_acao)) {
+            continue;
+        }
+        const devolucao = await db.get(STORE_NAME, item.devolucao_id);
+        if (devolucao && !devolucao.deleted_at) {
+            result.push({ ...item, devolucao });
+        }
+    }
+    return result.sort((a, b) => (a.devolucao.data_devolucao || '').localeCompare(b.devolucao.data_devolucao || ''));
+}
+
+/**
+ * Mark devolution parts as sent in a batch, or clear the mark, and record
+ * the change on their devolutions so it reaches the other devices.
+ * @param {IDBPTransaction} tx - Transaction with STORE_NAME, ITEMS_STORE_NAME and CHANGE_LOG_STORES
+ * @param {Array<string>} itemUuids - uuids of the parts
+ * @param {string|null} rmaUuid - Batch uuid, or null to clear the mark
+ * @param {Object} options - Audit options (origem, operador)
+ */
+async function markRmaItems(tx, itemUuids, rmaUuid, options) {
+    const headerStore = tx.objectStore(STORE_NAME);
+    const itemsStore = tx.objectStore(ITEMS_STORE_NAME);
+    const devolucaoIds = new Set();
+
+    for (const uuid of itemUuids) {
+        const item = await itemsStore.index('uuid').get(uuid);
+        if (item) {
+            devolucaoIds.add(item.devolucao_id);
+        }
+    }
+
+    const now = new Date().toISOString();
+    for (const devolucaoId of devolucaoIds) {
+        const header = await headerStore.get(devolucaoId);
+        const before = await itemsStore.index('devolucao_id').getAll(devolucaoId);
+        const after = before.map(item => (itemUuids.includes(item.uuid)
+            ? { ...item, rma_uuid: rmaUuid, updated_at: now }
+            : item));
+
+        for (const item of after) {
+            if (itemUuids.includes(item.uuid)) {
+                await itemsStore.put(item);
+            }
+        }
+        const updatedHeader = { ...header, updated_at: now };
+        await headerStore.put(updatedHeader);
+        await recordChange(tx, 'devolucao', updatedHeader, 'update',
+            diffDevolutions({ ...header, itens: before }, { ...updatedHeader, itens: after }), options);
+    }
+}
+
+/**
+ * Create an RMA batch, or update the open one with the same id (when
+ * editing). The parts of a batch can only change while it is aberto; its
+ * status is changed with changeRmaStatus, not here.
+ * @param {Object} rmaData - fornecedor_uuid, notes and itemUuids (uuids of
+ *   the devolution parts in the batch)
+ * @param {Object} options - Audit options (origem, operador)
+ * @returns {Promise<number>} The id of the batch
+ */
+async function saveRma(rmaData, options = {}) {
+    try {
+        const db = await getDatabase();
+        const tx = db.transaction([RMAS_STORE_NAME, STORE_NAME, ITEMS_STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
+        const store = tx.objectStore(RMAS_STORE_NAME);
+
+        const existing = rmaData.id ? await store.get(rmaData.id) : null;
+        if (rmaData.id && !existing) {
+            throw new Error('RMA não encontrado');
+        }
+        if (existing && existing.status !== 'aberto') {
+            throw new Error('Só é possível alterar as peças de um RMA aberto');
+        }
+
+        const fornecedorUuid = existing ? existing.fornecedor_uuid : rmaData.fornecedor_uuid;
+        if (!fornecedorUuid) {
+            throw new Error('Fornecedor é obrigatório');
+        }
+
+        const rmaUuid = existing ? existing.uuid : generateUUID();
+        const itemUuids = [...new Set(rmaData.itemUuids || [])];
+        const itemsStore = tx.objectStore(ITEMS_STORE_NAME);
+        const itens = [];
+        for (const uuid of itemUuids) {
+            const item = await itemsStore.index('uuid').get(uuid);
+            // A part already in the batch stays in it even when its
+            // devolution was since changed without it
+            const kept = existing && (existing.itens || []).find(entry => entry.item_uuid === uuid);
+            if (!item && kept) {
+                itens.push(kept);
+                continue;
+            }
+            if (!item) {
+                throw new Error('Peça não encontrada');
+            }
+            if (item.rma_uuid && item.rma_uuid !== rmaUuid) {
+                throw new Error(`A peça ${item.codigo_peca} já está em outro RMA`);
+            }
+            if (item.fornecedor_uuid !== fornecedorUuid) {
+                throw new Error(`A peça ${item.codigo_peca} é de outro fornecedor`);
+            }
+            if (item.rma_uuid !== rmaUuid && !RMA_ELIGIBLE_ACTIONS.includes(item.tipo_acao)) {
+                throw new Error(`A peça ${item.codigo_peca} não foi devolvida para ${RMA_ELIGIBLE_ACTIONS.join(' ou ')}`);
+            }
+            itens.push({
+                item_uuid: item.uuid,
+                productId: item.codigo_peca,
+                productDesc: item.descricao_peca || '',
+                quantity: item.quantidade_devolvida
+            });
+        }
+
+        const now = new Date().toISOString();
+        const fields = {
+            notes: rmaData.notes ? rmaData.notes.toString().trim() : '',
+            itens,
+            updated_at: now
+        };
+        const operador = options.operador || getOperatorName() || 'Não identificado';
+        const record = existing
+            ? { ...existing, ...fields }
+            : {
+                ...fields,
+                ...withRecordIdentity({ uuid: rmaUuid }),
+                fornecedor_uuid: fornecedorUuid,
+                filial: (getCurrentBranch() || {}).codigo || null,
+                status: 'aberto',
+                shippingDate: '',
+                supplierResponse: '',
+                creditAmount: null,
+                status_historico: [{ de: null, para: 'aberto', operador, data: now, observacao: '' }],
+                created_at: now
+            };
+        throwIfInvalid(validateRma(record, record.itens));
+        const id = await store.put(record);
+
+        // Parts left out of the batch are free again for another one
+        const previousUuids = existing ? (existing.itens || []).map(item => item.item_uuid) : [];
+        const removed = previousUuids.filter(uuid => !itemUuids.includes(uuid));
+        const added = itemUuids.filter(uuid => !previousUuids.includes(uuid));
+        if (removed.length > 0) {
+            await markRmaItems(tx, removed, null, options);
+        }
+        if (added.length > 0) {
+            await markRmaItems(tx, added, rmaUuid, options);
+        }
+
+        const alteracoes = diffRecords(existing || {}, record);
+        if (removed.length > 0 || added.length > 0) {
+            alteracoes.push({
+                campo: 'itens',
+                antes: (existing ? existing.itens : []).map(item => item.productId),
+                depois: itens.map(item => item.productId)
+            });
+        }
+        if (!existing || alteracoes.length > 0) {
+            await recordChange(tx, 'rma', { ...record, id }, existing ? 'update' : 'create', alteracoes, options);
+        }
+        await tx.done;
+
+        console.log('RMA batch saved successfully with ID:', id);
+        return id;
+    } catch (error) {
+        console.error('Error saving RMA batch:', error);
+        throw new Error('Erro ao salvar RMA: ' + error.message);
+    }
+}
+
+/**
+ * Move an RMA batch to another status: to enviado with its shipping date,
+ * to respondido with the supplier's response and the credit given. Only the
+ * transitions in RMA_STATUS_TRANSITIONS are allowed; each one is appended
+ * to status_historico with who made it and when.
+ * @param {number} id - The id of the batch
+ * @param {string} newStatus - Target status
+ * @param {Object} dados - shippingDate, supplierResponse and creditAmount
+ *   (typed like catalog prices, "1.234,56")
+ * @param {Object} options - Audit options (origem, operador)
+ * @returns {Promise<Object>} The updated batch
+ */
+async function changeRmaStatus(id, newStatus, dados = {}, options = {}) {
+    try {
+        const db = await getDatabase();
+        const tx = db.transaction([RMAS_STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
+        const store = tx.objectStore(RMAS_STORE_NAME);
+
+        const existing = await store.get(id);
+        if (!existing) {
+            throw new Error('RMA não encontrado');
+        }
+
+        const currentStatus = existing.status || 'aberto';
+        if (!(RMA_STATUS_TRANSITIONS[currentStatus] || []).includes(newStatus)) {
+            throw new Error(`Não é possível passar de "${RMA_STATUS_LABELS[currentStatus]}" para "${RMA_STATUS_LABELS[newStatus] || newStatus}"`);
+        }
+
+        const now = new Date().toISOString();
+        const text = field => (dados[field] ? dados[field].toString().trim() : '');
+        const fields = newStatus === 'enviado'
+            ? { shippingDate: text('shippingDate') }
+            : { supplierResponse: text('supplierResponse'), creditAmount: parseCatalogPrice(dados.creditAmount) };
+        const updated = {
+            ...existing,
+            ...fields,
+            status: newStatus,
+            status_historico: [
+                ...(existing.status_historico || []),
+                {
+                    de: currentStatus,
+                    para: newStatus,
+                    operador: options.operador || getOperatorName() || 'Não identificado',
+                    data: now,
+                    observacao: ''
+                }
+            ],
+            updated_at: now
+        };
+        throwIfInvalid(validateRma(updated, updated.itens));
+        if (typeof updated.creditAmount === 'number') {
+            updated.creditAmount = Math.round(updated.creditAmount * 100) / 100;
+        }
+
+        await store.put(updated);
+        await recordChange(tx, 'rma', updated, 'update', diffRecords(existing, updated), options);
+        await tx.done;
+
+        console.log(`RMA batch ${id} status changed from ${currentStatus} to ${newStatus}`);
+        return updated;
+    } catch (error) {
+        console.error('Error changing RMA batch status:', error);
+        throw new Error('Erro ao alterar status do RMA: ' + error.message);
+    }
+}
+
+/**
+ * Store an RMA batch from a backup as it was, status and parts included,
+ * updating the batch with the same uuid. The marks on its parts come with
+ * the devolutions of the backup.
+ * @param {Object} rmaData - Batch as exported by the backup
+ * @param {Object} options - Audit options (origem, operador)
+ * @returns {Promise<number>} The id of the batch
+ */
+async function importRma(rmaData, options = {}) {
+    const { id: _id, ...fields } = rmaData;
+    throwIfInvalid(validateRma(fields, fields.itens));
+    if (!fields.fornecedor_uuid) {
+        throw new Error('Fornecedor é obrigatório');
+    }
+
+    const db = await getDatabase();
+    const tx = db.transaction([RMAS_STORE_NAME, ...CHANGE_LOG_STORES], 'readwrite');
+    const store = tx.objectStore(RMAS_STORE_NAME);
+    const existing = fields.uuid ? await store.index('uuid').get(fields.uuid) : null;
+    const record = existing ? { ...existing, ...fields, id: existing.id } : withRecordIdentity(fields);
+    const id = await store.put(record);
+
+    const alteracoes = diffRecords(existing || {}, record);
+    if (!existing || alteracoes.length > 0) {
+        await recordChange(tx, 'rma', { ...record, id }, existing ? 'update' : 'create', alteracoes, { origem: 'import', ...options });
+    }
+    await tx.done;
+    return id;
+}
+
+// Export functions for global use
+window.RMA_STATUS_TRANSITIONS = RMA_STATUS_TRANSITIONS;
+window.RMA_STATUS_LABELS = RMA_STATUS_LABELS;
+window.RMA_ELIGIBLE_ACTIONS = RMA_ELIGIBLE_ACTIONS;
+window.getRmaStatusColor = getRmaStatusColor;
+window.getRmaCode = getRmaCode;
+window.getAllRmas = getAllRmas;
+window.getRmaByUuid = getRmaByUuid;
+window.getEligibleRmaItems = getEligibleRmaItems;
+window.saveRma = saveRma;
+window.changeRmaStatus = changeRmaStatus;
+window.importRma = importRma;
@@ -0,0 +1,630 @@
+/**
+ * Mapping between the local IndexedDB records and the server schema
+ * (shared/schema.ts), used by js/sync.js in both directions.
+ *
+ * Locally a devolution names its customer and mechanic (`cliente`,
+ * `mecanico`) and older rows keep their part on the header; on the server it
+ * refers to people and keeps its parts in a separate items table. Records
+ * are sent in the server shape:
+ *
+ *   pessoa:    { uuid, codigo, nome, documento, email, telefone, endereco,
+ *                tipo, status, observacoes }
+ *   devolucao: { uuid, filial, cliente: {uuid, codigo, nome}, mecanico: {...},
+ *                numero_pedido, acao_requisicao, data_venda, data_devolucao,
+ *                observacoes, status, resolucao, status_historico,
+ *                valor_reembolso, itens: [{ uuid, codigo_peca, descricao_peca,
+ *                quantidade_devolvida, valor_unitario, tipo_acao,
+ *                observacoes_item, fornecedor, rma }] }
+ *   fornecedor: { uuid, name, contact, phone, email, address, doc }
+ *   garantia:  { uuid, filial, productId, productDesc, quantity, defect,
+ *                purchaseInvoice, value, returnInvoice, salesRequestId,
+ *                warrantyRequestId, status, notes, fornecedor, cliente: {...},
+ *                mecanico: {...}, item, purchaseDate, returnDate,
+ *                warrantyDeadline }
+ *   rma:       { uuid, filial, fornecedor, status, shippingDate,
+ *                supplierResponse, creditAmount, notes, itens: [{ item,
+ *                productId, productDesc, quantity }] }
+ *
+ * A devolution's branch (filial) is the code of the branch it was filed
+ * under, the same code on every device. The supplier of a part (fornecedor)
+ * is the supplier's uuid, kept locally in fornecedor_uuid; suppliers and
+ * warranty claims already use the server field names locally. A warranty
+ * claim names its people like a devolution, and the returned part it was
+ * opened from (item) by the item's uuid, kept locally in item_uuid. An RMA
+ * batch refers to its parts the same way, and each part sent back names
+ * its batch (rma), kept locally in rma_uuid.
+ *
+ * Every mapping returns the converted record together with the list of
+ * validation errors found in it, so an invalid record is reported on its own
+ * instead of failing the whole sync. Records going to the server are checked
+ * with the shared schemas (js/validation.js), the same rules the API applies.
+ */
+
+/**
+ * Normalize a person name for lookups
+ * @param {string} nome - Person name
+ * @returns {string} Trimmed, lower-case name
+ */
+function normalizePersonName(nome) {
+    return (nome || '').toString().trim().toLocaleLowerCase('pt-BR');
+}
+
+/**
+ * Load the local people indexed by uuid, code and name, used to resolve the
+ * people a devolution refers to. Trashed people are included so devolutions
+ * keep pointing at them until they are purged.
+ * @returns {Promise<Object>} Maps byUuid, byCodigo and byName (name -> list of people)
+ */
+async function loadSyncPeopleIndex() {
+    const db = await getDatabase();
+    const people = await db.getAll('pessoas');
+    const index = { byUuid: new Map(), byCodigo: new Map(), byName: new Map() };
+
+    people.forEach(person => {
+        if (person.uuid) {
+            index.byUuid.set(person.uuid, person);
+        }
+        if (person.codigo) {
+            index.byCodigo.set(person.codigo, person);
+        }
+        const key = normalizePersonName(person.nome);
+        if (key) {
+            index.byName.set(key, [...(index.byName.get(key) || []), person]);
+        }
+    });
+
+    return index;
+}
+
+/**
+ * Find the local person a devolution names. When several people share the
+ * name, the active ones are preferred.
+ * @param {Object} peopleIndex - Index from loadSyncPeopleIndex
+ * @param {string} nome - Name stored on the devolution
+ * @returns {{person: Object|null, ambiguous: boolean}} The person, or whether the name is ambiguous
+ */
+function findPersonByName(peopleIndex, nome) {
+    const matches = peopleIndex.byName.get(normalizePersonName(nome)) || [];
+    const live = matches.filter(person => !person.deleted_at);
+    const candidates = live.length > 0 ? live : matches;
+
+    if (candidates.length > 1) {
+        return { person: null, ambiguous: true };
+    }
+    return { person: candidates[0] || null, ambiguous: false };
+}
+
+/**
+ * Build the reference to a person sent to the server, reporting names that
+ * do not match exactly one registered person
+ * @param {Object} peopleIndex - Index from loadSyncPeopleIndex
+ * @param {string} nome - Name stored on the devolution
+ * @param {string} label - Field label used in error messages
+ * @param {Array<string>} erros - List the errors are added to
+ * @returns {Object|null} { uuid, codigo, nome } or null
+ */
+function toServerPersonReference(peopleIndex, nome, label, erros) {
+    const { person, ambiguous } = findPersonByName(peopleIndex, nome);
+
+    if (ambiguous) {
+        erros.push(`${label} "${nome}": mais de uma pessoa cadastrada com este nome`);
+        return null;
+    }
+    if (!person) {
+        erros.push(`${label} "${nome}" não está no cadastro de pessoas`);
+        return null;
+    }
+    if (!person.uuid && !person.codigo) {
+        erros.push(`${label} "${nome}" não tem código nem identificador`);
+        return null;
+    }
+
+    return { uuid: person.uuid || null, codigo: person.codigo || null, nome: person.nome };
+}
+
+/**
+ * Get the parts of a local devolution. Rows from before devolutions had
+ * several parts keep their single part on the header; it becomes one item.
+ * @param {Object} devolucao - Local devolution, with its itens when it has them
+ * @returns {Array} Local items
+ */
+function splitDevolutionItems(devolucao) {
+    if (Array.isArray(devolucao.itens) && devolucao.itens.length > 0) {
+        return devolucao.itens;
+    }
+    if (devolucao.codigo_peca) {
+        return [{
+            codigo_peca: devolucao.codigo_peca,
+            descricao_peca: devolucao.descricao_peca,
+            quantidade_devolvida: devolucao.quantidade_devolvida,
+            tipo_acao: devolucao.tipo_acao,
+            observacoes_item: devolucao.observacoes_item
+        }];
+    }
+    return [];
+}
+
+/**
+ * Convert a local person to the server schema
+ * @param {Object} pessoa - Local person record
+ * @returns {{registro: Object, erros: Array<string>}} Server record and validation errors
+ */
+function mapPersonToServer(pessoa) {
+    const erros = [];
+    const registro = {
+        uuid: pessoa.uuid,
+        codigo: (pessoa.codigo || '').toString().trim(),
+        nome: (pessoa.nome || '').toString().trim(),
+        documento: pessoa.documento || null,
+        email: pessoa.email || null,
+        telefone: pessoa.telefone || null,
+        endereco: pessoa.endereco || null,
+        tipo: pessoa.tipo,
+        status: pessoa.status || 'Ativo',
+        observacoes: pessoa.observacoes || null
+    };
+
+    if (!registro.uuid) {
+        erros.push('Registro sem identificador (uuid)');
+    }
+    erros.push(...listValidationErrors(validateRecord('pessoa', registro)));
+
+    return { registro, erros };
+}
+
+/**
+ * Convert a local devolution to the server schema: people are referenced by
+ * uuid and code instead of name, and the parts go in itens
+ * @param {Object} devolucao - Local devolution, with its itens
+ * @param {Object} peopleIndex - Index from loadSyncPeopleIndex
+ * @returns {{registro: Object, erros: Array<string>}} Server record and validation errors
+ */
+function mapDevolutionToServer(devolucao, peopleIndex) {
+    const erros = [];
+
+    if (!devolucao.uuid) {
+        erros.push('Registro sem identificador (uuid)');
+    }
+
+    const itensLocais = splitDevolutionItems(devolucao);
+    erros.push(...listValidationErrors(validateDevolution(devolucao, itensLocais)));
+
+    let cliente = null;
+    if (devolucao.cliente && devolucao.cliente.toString().trim() !== '') {
+        cliente = toServerPersonReference(peopleIndex, devolucao.cliente, 'Cliente', erros);
+    }
+
+    // Without a mechanic of its own, the customer brought the part back
+    const sameAsCustomer = !devolucao.mecanico ||
+        normalizePersonName(devolucao.mecanico) === normalizePersonName(devolucao.cliente);
+    const mecanico = sameAsCustomer
+        ? cliente
+        : toServerPersonReference(peopleIndex, devolucao.mecanico, 'Mecânico', erros);
+
+    const itens = itensLocais.map(item => ({
+        uuid: item.uuid || null,
+        codigo_peca: (item.codigo_peca || '').toString().trim(),
+        descricao_peca: (item.descricao_peca || '').toString().trim(),
+        quantidade_devolvida: parseInt(item.quantidade_devolvida, 10),
+        valor_unitario: item.valor_unitario === undefined ? null : item.valor_unitario,
+        tipo_acao: item.tipo_acao || '',
+        observacoes_item: item.observacoes_item || null,
+        fornecedor: item.fornecedor_uuid || null,
+        rma: item.rma_uuid || null
+    }));
+
+    const registro = {
+        uuid: devolucao.uuid,
+        filial: devolucao.filial || null,
+        cliente,
+        mecanico,
+        numero_pedido: devolucao.requisicao_venda || null,
+        acao_requisicao: devolucao.acao_requisicao || null,
+        data_venda: devolucao.data_venda || null,
+        data_devolucao: devolucao.data_devolucao,
+        observacoes: devolucao.observacao || null,
+        status: devolucao.status || null,
+        resolucao: devolucao.resolucao || null,
+        status_historico: devolucao.status_historico || [],
+        valor_reembolso: devolucao.valor_reembolso === undefined ? null : devolucao.valor_reembolso,
+        itens
+    };
+
+    return { registro, erros };
+}
+
+/**
+ * Convert a local supplier to the server schema
+ * @param {Object} fornecedor - Local supplier record
+ * @returns {{registro: Object, erros: Array<string>}} Server record and validation errors
+ */
+function mapSupplierToServer(fornecedor) {
+    const erros = [];
+    const registro = {
+        uuid: fornecedor.uuid,
+        name: (fornecedor.name || '').toString().trim(),
+        contact: fornecedor.contact || null,
+        phone: fornecedor.phone || null,
+        email: fornecedor.email || null,
+        address: fornecedor.address || null,
+        doc: fornecedor.doc || null
+    };
+
+    if (!registro.uuid) {
+        erros.push('Registro sem identificador (uuid)');
+    }
+    erros.push(...listValidationErrors(validateRecord('fornecedor', registro)));
+
+    return { registro, erros };
+}
+
+/**
+ * Convert a supplier sent by the server to the local format
+ * @param {Object} registro - Supplier in the server schema
+ * @returns {{registro: Object, erros: Array<string>}} Local record and validation errors
+ */
+function mapSupplierFromServer(registro) {
+    const erros = [];
+    const fornecedor = {
+        uuid: registro.uuid,
+        name: registro.name || '',
+        contact: registro.contact || '',
+        phone: registro.phone || '',
+        email: registro.email || '',
+        address: registro.address || '',
+        doc: registro.doc || '',
+        versao: registro.versao,
+        criado_por: registro.criado_por || null,
+        atualizado_por: registro.atualizado_por || null,
+        updated_at: registro.updated_at
+    };
+
+    if (!fornecedor.uuid) {
+        erros.push('Registro sem identificador (uuid)');
+    }
+    if (!fornecedor.name) {
+        erros.push('Nome é obrigatório');
+    }
+
+    return { registro: fornecedor, erros };
+}
+
+/**
+ * Convert a local warranty claim to the server schema: people are referenced
+ * by uuid and code instead of name, like on devolutions
+ * @param {Object} garantia - Local warranty claim
+ * @param {Object} peopleIndex - Index from loadSyncPeopleIndex
+ * @returns {{registro: Object, erros: Array<string>}} Server record and validation errors
+ */
+function mapWarrantyToServer(garantia, peopleIndex) {
+    const erros = [];
+    const reference = (nome, label) => (nome && nome.toString().trim() !== ''
+        ? toServerPersonReference(peopleIndex, nome, label, erros)
+        : null);
+
+    const registro = {
+        uuid: garantia.uuid,
+        filial: garantia.filial || null,
+        productId: (garantia.productId || '').toString().trim(),
+        productDesc: (garantia.productDesc || '').toString().trim(),
+        quantity: parseInt(garantia.quantity, 10),
+        defect: garantia.defect || null,
+        purchaseInvoice: garantia.purchaseInvoice || null,
+        value: garantia.value === undefined || garantia.value === '' ? null : garantia.value,
+        returnInvoice: garantia.returnInvoice || null,
+        salesRequestId: garantia.salesRequestId || null,
+        warrantyRequestId: garantia.warrantyRequestId || null,
+        status: garantia.status || 'aberta',
+        notes: garantia.notes || null,
+        fornecedor: garantia.fornecedor_uuid || null,
+        cliente: reference(garantia.cliente, 'Cliente'),
+        mecanico: reference(garantia.mecanico, 'Mecânico'),
+        item: garantia.item_uuid || null,
+        purchaseDate: garantia.purchaseDate || null,
+        returnDate: garantia.returnDate || null,
+        warrantyDeadline: garantia.warrantyDeadline || null
+    };
+
+    if (!registro.uuid) {
+        erros.push('Registro sem identificador (uuid)');
+    }
+    erros.push(...listValidationErrors(validateRecord('garantia', registro)));
+
+    return { registro, erros };
+}
+
+/**
+ * Convert a warranty claim sent by the server to the local format
+ * @param {Object} registro - Warranty claim in the server schema
+ * @param {Object} peopleIndex - Index from loadSyncPeopleIndex
+ * @returns {{registro: Object, erros: Array<string>}} Local record and validation errors
+ */
+function mapWarrantyFromServer(registro, peopleIndex) {
+    const erros = [];
+    const garantia = {
+        uuid: registro.uuid,
+        filial: registro.filial || null,
+        productId: registro.productId || '',
+        productDesc: registro.productDesc || '',
+        quantity: registro.quantity,
+        defect: registro.defect || '',
+        purchaseInvoice: registro.purchaseInvoice || '',
+        value: registro.value === undefined ? null : registro.value,
+        returnInvoice: registro.returnInvoice || '',
+        salesRequestId: registro.salesRequestId || '',
+        warrantyRequestId: registro.warrantyRequestId || '',
+        status: registro.status || 'aberta',
+        notes: registro.notes || '',
+        fornecedor_uuid: registro.fornecedor || null,
+        cliente: fromServerPersonReference(peopleIndex, registro.cliente),
+        mecanico: fromServerPersonReference(peopleIndex, registro.mecanico),
+        item_uuid: registro.item || null,
+        purchaseDate: registro.purchaseDate || '',
+        returnDate: registro.returnDate || '',
+        warrantyDeadline: registro.warrantyDeadline || '',
+        versao: registro.versao,
+        criado_por: registro.criado_por || null,
+        atualizado_por: registro.atualizado_por || null,
+        updated_at: registro.updated_at
+    };
+
+    if (!garantia.uuid) {
+        erros.push('Registro sem identificador (uuid)');
+    }
+    if (!garantia.productId) {
+        erros.push('Código da peça é obrigatório');
+    }
+
+    return { registro: garantia, erros };
+}
+
+/**
+ * Convert a person sent by the server to the local format
+ * @param {Object} registro - Person in the server schema
+ * @returns {{registro: Object, erros: Array<string>}} Local record and validation errors
+ */
+function mapPersonFromServer(registro) {
+    const erros = [];
+    const pessoa = {
+        uuid: registro.uuid,
+        codigo: registro.codigo || '',
+        nome: registro.nome || '',
+        documento: registro.documento || '',
+        email: registro.email || '',
+        telefone: registro.telefone || '',
+        endereco: registro.endereco || '',
+        tipo: registro.tipo,
+        status: registro.status || 'Ativo',
+        observacoes: registro.observacoes || '',
+        versao: registro.versao,
+        criado_por: registro.criado_por || null,
+        atualizado_por: registro.atualizado_por || null,
+        updated_at: registro.updated_at
+    };
+
+    if (!pessoa.uuid) {
+        erros.push('Registro sem identificador (uuid)');
+    }
+    if (!pessoa.nome) {
+        erros.push('Nome é obrigatório');
+    }
+
+    return { registro: pessoa, erros };
+}
+
+/**
+ * Get the local name of a person the server refers to: the name registered
+ * on this device when the person is known here, otherwise the server's
+ * @param {Object} peopleIndex - Index from loadSyncPeopleIndex
+ * @param {Object|null} referencia - { uuid, codigo, nome } sent by the server
+ * @returns {string} Person name, or '' without a reference
+ */
+function fromServerPersonReference(peopleIndex, referencia) {
+    if (!referencia) {
+        return '';
+    }
+    const person = (referencia.uuid && peopleIndex.byUuid.get(referencia.uuid)) ||
+        (referencia.codigo && peopleIndex.byCodigo.get(referencia.codigo));
+    return (person && person.nome) || referencia.nome || '';
+}
+
+/**
+ * Convert a devolution sent by the server to the local format
+ * @param {Object} registro - Devolution in the server schema
+ * @param {Object} peopleIndex - Index from loadSyncPeopleIndex
+ * @returns {{registro: Object, erros: Array<string>}} Local record and validation errors
+ */
+function mapDevolutionFromServer(registro, peopleIndex) {
+    const erros = [];
+    const cliente = fromServerPersonReference(peopleIndex, registro.cliente);
+    const devolucao = {
+        uuid: registro.uuid,
+        filial: registro.filial || null,
+        cliente,
+        mecanico: fromServerPersonReference(peopleIndex, registro.mecanico) || cliente,
+        requisicao_venda: registro.numero_pedido || '',
+        acao_requisicao: registro.acao_requisicao || '',
+        data_venda: registro.data_venda || '',
+        data_devolucao: registro.data_devolucao || '',
+        observacao: registro.observacoes || '',
+        valor_reembolso: registro.valor_reembolso === undefined ? null : registro.valor_reembolso,
+        versao: registro.versao,
+        criado_por: registro.criado_por || null,
+        atualizado_por: registro.atualizado_por || null,
+        updated_at: registro.updated_at,
+        itens: (registro.itens || []).map((item, index) => ({
+            uuid: item.uuid,
+            codigo_peca: item.codigo_peca,
+            descricao_peca: item.descricao_peca,
+            quantidade_devolvida: item.quantidade_devolvida,
+            valor_unitario: item.valor_unitario === undefined ? null : item.valor_unitario,
+            tipo_acao: item.tipo_acao,
+            observacoes_item: item.observacoes_item || '',
+            fornecedor_uuid: item.fornecedor || null,
+            rma_uuid: item.rma || null,
+            ordem: index + 1
+        }))
+    };
+
+    // Left untouched locally when the server has no value for them
+    if (registro.status) {
+        devolucao.status = registro.status;
+    }
+    if (registro.resolucao) {
+        devolucao.resolucao = registro.resolucao;
+    }
+    if (Array.isArray(registro.status_historico) && registro.status_historico.length > 0) {
+        devolucao.status_historico = registro.status_historico;
+    }
+
+    if (!devolucao.uuid) {
+        erros.push('Registro sem identificador (uuid)');
+    }
+    if (!devolucao.cliente) {
+        erros.push('Cliente é obrigatório');
+    }
+    if (!devolucao.data_devolucao) {
+        erros.push('Data da devolução é obrigatória');
+    }
+    if (devolucao.itens.length === 0) {
+        erros.push('Devolução sem peças');
+    }
+
+    return { registro: devolucao, erros };
+}
+
+/**
+ * Convert a local RMA batch to the server schema
+ * @param {Object} rma - Local RMA batch
+ * @returns {{registro: Object, erros: Array<string>}} Server record and validation errors
+ */
+function mapRmaToServer(rma) {
+    const erros = [];
+    const registro = {
+        uuid: rma.uuid,
+        filial: rma.filial || null,
+        fornecedor: rma.fornecedor_uuid || null,
+        status: rma.status || 'aberto',
+        shippingDate: rma.shippingDate || null,
+        supplierResponse: rma.supplierResponse || null,
+        creditAmount: rma.creditAmount === undefined || rma.creditAmount === '' ? null : rma.creditAmount,
+        notes: rma.notes || null,
+        itens: (rma.itens || []).map(item => ({
+            item: item.item_uuid || null,
+            productId: (item.productId || '').toString().trim(),
+            productDesc: (item.productDesc || '').toString().trim(),
+            quantity: parseInt(item.quantity, 10)
+        }))
+    };
+
+    if (!registro.uuid) {
+        erros.push('Registro sem identificador (uuid)');
+    }
+    if (!registro.fornecedor) {
+        erros.push('Fornecedor é obrigatório');
+    }
+    erros.push(...listValidationErrors(validateRma(registro, registro.itens)));
+
+    return { registro, erros };
+}
+
+/**
+ * Convert an RMA batch sent by the server to the local format
+ * @param {Object} registro - RMA batch in the server schema
+ * @returns {{registro: Object, erros: Array<string>}} Local record and validation errors
+ */
+function mapRmaFromServer(registro) {
+    const erros = [];
+    const rma = {
+        uuid: registro.uuid,
+        filial: registro.filial || null,
+        fornecedor_uuid: registro.fornecedor || null,
+        status: registro.status || 'aberto',
+        shippingDate: registro.shippingDate || '',
+        supplierResponse: registro.supplierResponse || '',
+        creditAmount: registro.creditAmount === undefined ? null : registro.creditAmount,
+        notes: registro.notes || '',
+        versao: registro.versao,
+        criado_por: registro.criado_por || null,
+        atualizado_por: registro.atualizado_por || null,
+        updated_at: registro.updated_at,
+        itens: (registro.itens || []).map(item => ({
+            item_uuid: item.item,
+            productId: item.productId,
+            productDesc: item.productDesc || '',
+            quantity: item.quantity
+        }))
+    };
+
+    if (!rma.uuid) {
+        erros.push('Registro sem identificador (uuid)');
+    }
+    if (!rma.fornecedor_uuid) {
+        erros.push('Fornecedor é obrigatório');
+    }
+    if (rma.itens.length === 0) {
+        erros.push('RMA sem peças');
+    }
+
+    return { registro: rma, erros };
+}
+
+/**
+ * Convert a local record to the server schema
+ * @param {string} entidade - 'devolucao', 'pessoa', 'fornecedor', 'garantia' or 'rma'
+ * @param {Object} registro - Local record
+ * @param {Object} peopleIndex - Index from loadSyncPeopleIndex (devolutions and warranty claims only)
+ * @returns {{registro: Object, erros: Array<string>}} Server record and validation errors
+ */
+function mapRecordToServer(entidade, registro, peopleIndex) {
+    switch (entidade) {
+        case 'devolucao':
+            return mapDevolutionToServer(registro, peopleIndex);
+        case 'fornecedor':
+            return mapSupplierToServer(registro);
+        case 'garantia':
+            return mapWarrantyToServer(registro, peopleIndex);
+        case 'rma':
+            return mapRmaToServer(registro);
+        default:
+            return mapPersonToServer(registro);
+    }
+}
+
+/**
+ * Convert a record sent by the server to the local format
+ * @param {string} entidade - 'devolucao', 'pessoa', 'fornecedor', 'garantia' or 'rma'
+ * @param {Object} registro - Record in the server schema
+ * @param {Object} peopleIndex - Index from loadSyncPeopleIndex (devolutions and warranty claims only)
+ * @returns {{registro: Object, erros: Array<string>}} Local record and validation errors
+ */
+function mapRecordFromServer(entidade, registro, peopleIndex) {
+    switch (entidade) {
+        case 'devolucao':
+            return mapDevolutionFromServer(registro, peopleIndex);
+        case 'fornecedor':
+            return mapSupplierFromServer(registro);
+        case 'garantia':
+            return mapWarrantyFromServer(registro, peopleIndex);
+        case 'rma':
+            return mapRmaFromServer(registro);
+        default:
+            return mapPersonFromServer(registro);
+    }
+}
+
+// Export functions for use in other modules
+window.loadSyncPeopleIndex = loadSyncPeopleIndex;
+window.splitDevolutionItems = splitDevolutionItems;
+window.mapPersonToServer = mapPersonToServer;
+window.mapDevolutionToServer = mapDevolutionToServer;
+window.mapPersonFromServer = mapPersonFromServer;
+window.mapDevolutionFromServer = mapDevolutionFromServer;
+window.mapSupplierToServer = mapSupplierToServer;
+window.mapSupplierFromServer = mapSupplierFromServer;
+window.mapWarrantyToServer = mapWarrantyToServer;
+window.mapWarrantyFromServer = mapWarrantyFromServer;
+window.mapRmaToServer = mapRmaToServer;
+window.mapRmaFromServer = mapRmaFromServer;
+window.mapRecordToServer = mapRecordToServer;
+window.mapRecordFromServer = mapRecordFromServer;
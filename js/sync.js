@@ -1,85 +1,452 @@
-// This file handles the data synchronization between the local IndexedDB and the remote server.
+/**
+ * Synchronization between the local IndexedDB and the remote server.
+ * Local changes are queued in the sync outbox (see recordChange in
+ * database.js); each run pushes the pending entries in batches, removes the
+ * ones the server acknowledged and schedules the rest for a later attempt.
+ * Records are converted to and from the server schema by js/sync-mapping.js.
+ * Requests are sent as the signed-in user (js/auth.js).
+ * Loaded by the pages and by the service worker (sw.js), which flushes the
+ * outbox through Background Sync even when no page is open.
+ */
 
-function getLastSyncTimestamp() { return localStorage.getItem('lastSyncTimestamp'); }
+// Number of outbox entries sent per request
+const SYNC_BATCH_SIZE = 50;
 
-function setLastSyncTimestamp(timestamp) { localStorage.setItem('lastSyncTimestamp', timestamp); }
+// Set once the records created before the outbox existed have been queued
+const SYNC_OUTBOX_SEEDED_KEY = 'syncOutboxSeeded';
+const LAST_SYNC_TIMESTAMP_KEY = 'lastSyncTimestamp';
 
-async function triggerSync() { if (!navigator.onLine) { console.log('Sync deferred: App is offline.'); updateSyncStatus('Offline. Sincronização pendente.'); return; }
+// Branch the last sync timestamp was pulled for: after the device changes
+// branch, it pulls the new branch's records from the start
+const LAST_SYNC_BRANCH_KEY = 'lastSyncBranch';
 
-console.log('Starting synchronization...');
-updateSyncStatus('Sincronizando...');
+// Kinds of records in the order they are sent and applied: devolutions
+// refer to people, and their parts to suppliers; warranty claims refer to
+// all three, and RMA batches to suppliers and returned parts
+const SYNC_ENTITY_ORDER = ['fornecedor', 'pessoa', 'devolucao', 'garantia', 'rma'];
 
-try {
-    const db = await getDatabase();
-    
-    const localPeople = await db.getAll('people');
-    const localDevolutions = await db.getAll('devolucoes');
-    const localGarantias = await db.getAll('garantias');
-    const localFornecedores = await db.getAll('fornecedores');
+// Kinds of records that name people, mapped with loadSyncPeopleIndex
+const PEOPLE_REFERENCING_ENTITIES = ['devolucao', 'garantia'];
 
-    const payload = {
-        people: localPeople,
-        devolutions: localDevolutions,
-        warranties: localGarantias,
-        suppliers: localFornecedores,
-    };
+// Background Sync tag handled by sw.js
+const BACKGROUND_SYNC_TAG = 'background-sync';
+
+// Pages and the service worker share this lock so only one of them sends the outbox at a time
+const SYNC_LOCK_NAME = 'sync-outbox';
 
-    const lastSync = getLastSyncTimestamp();
-    const url = lastSync ? `/api/sync?lastSyncTimestamp=${encodeURIComponent(lastSync)}` : '/api/sync';
+const IS_SERVICE_WORKER = typeof document === 'undefined';
 
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-    });
+let syncInProgress = false;
+let syncRetryTimer = null;
+let syncRequestTimer = null;
 
-    if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `Sync failed with status: ${response.status}`);
+/**
+ * Get when this device last pulled changes from the server. Kept in the
+ * settings store so the service worker can read it; older versions kept it
+ * in localStorage. Null when the timestamp was pulled for another branch.
+ * @returns {Promise<string|null>} ISO timestamp
+ */
+async function getLastSyncTimestamp() {
+    const branch = getCurrentBranch();
+    if ((await getSetting(LAST_SYNC_BRANCH_KEY) || null) !== (branch ? branch.codigo : null)) {
+        return null;
+    }
+    const timestamp = await getSetting(LAST_SYNC_TIMESTAMP_KEY);
+    if (timestamp || typeof localStorage === 'undefined') {
+        return timestamp;
     }
+    return localStorage.getItem(LAST_SYNC_TIMESTAMP_KEY);
+}
 
-    const { serverUpdates, newSyncTimestamp } = await response.json();
+/**
+ * Record when this device last pulled changes from the server
+ * @param {string} timestamp - ISO timestamp returned by the server
+ */
+async function setLastSyncTimestamp(timestamp) {
+    const branch = getCurrentBranch();
+    await setSetting(LAST_SYNC_TIMESTAMP_KEY, timestamp);
+    await setSetting(LAST_SYNC_BRANCH_KEY, branch ? branch.codigo : null);
+}
 
-    if (serverUpdates) {
-        const tx = db.transaction(['people', 'devolucoes', 'garantias', 'fornecedores'], 'readwrite');
-        
-        if (serverUpdates.people && serverUpdates.people.length > 0) {
-            for (const person of serverUpdates.people) {
-                await tx.objectStore('people').put(person);
-            }
+/**
+ * Push pending local changes to the server and apply the changes made
+ * elsewhere since the last sync. Skipped if another page or the service
+ * worker is already syncing.
+ * @returns {Promise<Object|undefined>} Number of sent, acknowledged, failed and
+ *   conflicting changes, plus error when the sync failed
+ */
+async function triggerSync() {
+    if (!navigator.onLine) {
+        console.log('Sync deferred: App is offline.');
+        updateSyncStatus('Offline. Sincronização pendente.');
+        return;
+    }
+
+    if (syncInProgress) {
+        return;
+    }
+
+    // The API only takes changes from a signed-in user (see js/auth.js)
+    if (!(await loadAuthSession())) {
+        updateSyncStatus('Entre com seu usuário para sincronizar.');
+        return;
+    }
+
+    if (navigator.locks) {
+        return await navigator.locks.request(SYNC_LOCK_NAME, { ifAvailable: true }, lock => (lock ? runSync() : undefined));
+    }
+    return await runSync();
+}
+
+/**
+ * Run one synchronization (see triggerSync)
+ * @returns {Promise<Object>} Sync result
+ */
+async function runSync() {
+    syncInProgress = true;
+    console.log('Starting synchronization...');
+    updateSyncStatus('Sincronizando...');
+
+    const result = { sent: 0, acknowledged: 0, failed: 0, conflicts: 0 };
+
+    try {
+        await loadDeviceId();
+        await loadCurrentBranch();
+
+        if (!(await getSetting(SYNC_OUTBOX_SEEDED_KEY))) {
+            await queueAllRecordsForSync();
+            await setSetting(SYNC_OUTBOX_SEEDED_KEY, true);
+        }
+
+        let pulled = false;
+        let entries = await getPendingOutboxEntries(SYNC_BATCH_SIZE);
+
+        // Always make at least one request so server changes are pulled
+        // even when there is nothing to push
+        while (!pulled || entries.length > 0) {
+            const batchResult = await pushOutboxBatch(entries);
+            pulled = pulled || batchResult.pulled;
+
+            result.sent += entries.length;
+            result.acknowledged += batchResult.acknowledged;
+            result.failed += batchResult.failed;
+            result.conflicts += batchResult.conflicts;
+
+            // Rejected entries were rescheduled, so they are not picked up again here
+            entries = await getPendingOutboxEntries(SYNC_BATCH_SIZE);
+        }
+
+        const openConflicts = (await getSyncConflicts()).length;
+        if (openConflicts > 0) {
+            updateSyncStatus(`Sincronizado. ${openConflicts} conflito(s) para resolver em Conflitos.`);
+        } else if (result.failed > 0) {
+            updateSyncStatus(`Sincronizado com ${result.failed} alteração(ões) pendente(s).`);
+        } else {
+            updateSyncStatus('Sincronizado com o servidor.');
         }
-        if (serverUpdates.devolutions && serverUpdates.devolutions.length > 0) {
-            for (const devolution of serverUpdates.devolutions) {
-                await tx.objectStore('devolucoes').put(devolution);
+        console.log('Synchronization complete.', result);
+    } catch (error) {
+        console.error('Error during synchronization:', error);
+        updateSyncStatus(`Erro na sincronização: ${error.message}`);
+        result.error = error.message;
+    } finally {
+        syncInProgress = false;
+        await scheduleSyncRetry();
+    }
+
+    return result;
+}
+
+/**
+ * Send one batch of outbox entries and process the server response.
+ * If the request itself fails, the whole batch is rescheduled and the error
+ * is rethrown.
+ * Records that fail validation are not sent and are retried later with
+ * their errors recorded on the outbox entry.
+ * @param {Array} entries - Outbox entries to send (may be empty)
+ * @returns {Promise<Object>} Number of acknowledged, failed and conflicting
+ *   entries, and whether server changes were pulled
+ */
+async function pushOutboxBatch(entries) {
+    const changes = [];
+    const missing = [];
+    const invalid = [];
+    let peopleIndex = null;
+
+    // Suppliers and people go first so the devolutions and warranty claims in the same batch can refer to them
+    const ordered = [...entries].sort((a, b) => SYNC_ENTITY_ORDER.indexOf(a.entidade) - SYNC_ENTITY_ORDER.indexOf(b.entidade));
+
+    for (const entry of ordered) {
+        const change = {
+            outbox_id: entry.id,
+            entidade: entry.entidade,
+            operacao: entry.operacao,
+            uuid: entry.uuid
+        };
+
+        if (entry.operacao === 'delete') {
+            // Sent as a tombstone: the server deletes the record and tells the other devices
+            change.deleted_at = entry.updated_at;
+            // A record still in the trash says which server version was
+            // deleted, so a newer change made elsewhere becomes a conflict.
+            // Purged records are deleted whatever their version.
+            const record = await getOutboxRecord(entry);
+            if (record) {
+                change.versao_base = record.versao || 0;
+            }
+        } else {
+            const record = await getOutboxRecord(entry);
+            if (!record) {
+                // Purged before it was ever sent: nothing left to upload
+                missing.push(entry);
+                continue;
+            }
+
+            if (PEOPLE_REFERENCING_ENTITIES.includes(entry.entidade) && !peopleIndex) {
+                peopleIndex = await loadSyncPeopleIndex();
+            }
+            const { registro, erros } = mapRecordToServer(entry.entidade, record, peopleIndex);
+            if (erros.length > 0) {
+                // Kept in the outbox with the errors until the record is fixed
+                invalid.push({ entry, erros });
+                continue;
             }
+
+            change.uuid = record.uuid;
+            change.registro = registro;
+            // Server version this change was made on; the server refuses it
+            // if the record has changed there since
+            change.versao_base = record.versao || 0;
+        }
+
+        changes.push(change);
+    }
+
+    for (const { entry, erros } of invalid) {
+        console.warn(`Not sending ${entry.entidade} ${entry.uuid}:`, erros);
+        await rescheduleOutboxEntries([entry], erros.join('; '));
+    }
+
+    if (missing.length > 0) {
+        await acknowledgeOutboxEntries(missing);
+    }
+
+    // Nothing left to send in this batch; server changes are pulled by a later request
+    if (changes.length === 0 && entries.length > 0) {
+        return { acknowledged: missing.length, failed: invalid.length, conflicts: 0, pulled: false };
+    }
+
+    const entriesById = new Map(entries.map(entry => [entry.id, entry]));
+
+    let data;
+    try {
+        const lastSync = await getLastSyncTimestamp();
+        const url = lastSync ? `/api/sync?lastSyncTimestamp=${encodeURIComponent(lastSync)}` : '/api/sync';
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
+            body: JSON.stringify({ device_id: getDeviceId(), filial: (getCurrentBranch() || {}).codigo || null, changes })
+        });
+
+        if (response.status === 401) {
+            throw new Error('Sessão expirada. Entre novamente para sincronizar.');
+        }
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || `Falha na sincronização (status ${response.status})`);
+        }
+
+        data = await response.json();
+    } catch (error) {
+        await rescheduleOutboxEntries(changes.map(change => entriesById.get(change.outbox_id)), error.message);
+        throw error;
+    }
+
+    const acknowledgements = data.acknowledged || [];
+    const acknowledged = acknowledgements.map(ack => entriesById.get(ack.outbox_id)).filter(Boolean);
+    const versions = new Map(acknowledgements.map(ack => [ack.outbox_id, ack.versao]));
+    const rejected = data.rejected || [];
+    const conflicts = data.conflicts || [];
+
+    await acknowledgeOutboxEntries(acknowledged, versions);
+
+    for (const conflict of conflicts) {
+        const entry = entriesById.get(conflict.outbox_id);
+        if (entry) {
+            // The server copy is shown next to the local one in conflitos.html
+            const servidor = conflict.registro
+                ? mapRecordFromServer(entry.entidade, conflict.registro, await loadSyncPeopleIndex()).registro
+                : conflict.registro;
+            await storeSyncConflict(entry, { ...conflict, registro: servidor });
+        }
+    }
+
+    for (const rejection of rejected) {
+        const entry = entriesById.get(rejection.outbox_id);
+        if (entry) {
+            await rescheduleOutboxEntries([entry], rejection.error || 'Rejeitado pelo servidor');
         }
-         if (serverUpdates.warranties && serverUpdates.warranties.length > 0) {
-            for (const warranty of serverUpdates.warranties) {
-                await tx.objectStore('garantias').put(warranty);
+    }
+
+    // Entries the server neither acknowledged nor rejected are retried later
+    const answeredIds = new Set([...acknowledgements, ...rejected, ...conflicts].map(answer => answer.outbox_id));
+    const unanswered = changes
+        .filter(change => !answeredIds.has(change.outbox_id))
+        .map(change => entriesById.get(change.outbox_id));
+    if (unanswered.length > 0) {
+        await rescheduleOutboxEntries(unanswered, 'Sem confirmação do servidor');
+    }
+
+    if (data.serverUpdates) {
+        await applyServerUpdates(data.serverUpdates);
+    }
+    if (data.newSyncTimestamp) {
+        await setLastSyncTimestamp(data.newSyncTimestamp);
+    }
+
+    return {
+        acknowledged: acknowledged.length + missing.length,
+        failed: rejected.length + unanswered.length + invalid.length,
+        conflicts: conflicts.length,
+        pulled: true
+    };
+}
+
+/**
+ * Store the records changed or deleted on the server since the last sync
+ * @param {Object} serverUpdates - fornecedores, people, devolutions, garantias, rmas and tombstones sent by the server
+ */
+async function applyServerUpdates(serverUpdates) {
+    let applied = 0;
+
+    // In SYNC_ENTITY_ORDER: devolutions are matched to their people by uuid
+    // and code, so those are stored first
+    const updatesByEntity = {
+        fornecedor: serverUpdates.fornecedores,
+        pessoa: serverUpdates.people,
+        devolucao: serverUpdates.devolutions,
+        garantia: serverUpdates.garantias,
+        rma: serverUpdates.rmas
+    };
+    for (const entidade of SYNC_ENTITY_ORDER) {
+        const records = updatesByEntity[entidade];
+        const peopleIndex = PEOPLE_REFERENCING_ENTITIES.includes(entidade) ? await loadSyncPeopleIndex() : null;
+
+        for (const remote of records || []) {
+            const { registro, erros } = mapRecordFromServer(entidade, remote, peopleIndex);
+            if (erros.length > 0) {
+                console.warn(`Skipping server ${entidade} ${remote.uuid || ''}:`, erros);
+                continue;
+            }
+            try {
+                if (await applyServerRecord(entidade, registro)) {
+                    applied++;
+                }
+            } catch (error) {
+                console.warn(`Could not apply server ${entidade} ${remote.uuid}:`, error);
             }
         }
-         if (serverUpdates.suppliers && serverUpdates.suppliers.length > 0) {
-            for (const supplier of serverUpdates.suppliers) {
-                await tx.objectStore('fornecedores').put(supplier);
+    }
+
+    for (const tombstone of serverUpdates.tombstones || []) {
+        try {
+            if (await applyServerTombstone(tombstone)) {
+                applied++;
             }
+        } catch (error) {
+            console.warn(`Could not apply server deletion of ${tombstone.entidade} ${tombstone.uuid}:`, error);
         }
+    }
+
+    if (applied > 0) {
+        console.log(`Local database updated with ${applied} server changes.`);
+    }
+}
+
+/**
+ * Schedule the next sync for when the earliest failed change is due again
+ */
+async function scheduleSyncRetry() {
+    // The service worker is not kept alive for timers; the browser retries
+    // a failed Background Sync by itself
+    if (IS_SERVICE_WORKER) {
+        return;
+    }
+
+    clearTimeout(syncRetryTimer);
+    syncRetryTimer = null;
 
-        await tx.done;
-        console.log('Local database updated with server changes.');
+    try {
+        const { pending, nextAttempt } = await getOutboxSummary();
+        if (pending > 0 && nextAttempt) {
+            const delay = Math.max(new Date(nextAttempt).getTime() - Date.now(), 1000);
+            syncRetryTimer = setTimeout(triggerSync, delay);
+        }
+    } catch (error) {
+        console.warn('Could not schedule sync retry:', error);
     }
+}
 
-    setLastSyncTimestamp(newSyncTimestamp);
-    updateSyncStatus('Sincronizado com o servidor.');
-    console.log('Synchronization complete.');
+/**
+ * Ask for the outbox to be sent after a local change. With Background Sync
+ * the service worker sends it as soon as there is a connection, even if the
+ * page is closed by then; otherwise the page sends it itself when online.
+ */
+async function requestBackgroundSync() {
+    try {
+        const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+        if (registration && registration.sync) {
+            await registration.sync.register(BACKGROUND_SYNC_TAG);
+            return;
+        }
+    } catch (error) {
+        console.warn('Could not register background sync:', error);
+    }
 
-} catch (error) {
-    console.error('Error during synchronization:', error);
-    updateSyncStatus(`Erro na sincronização: ${error.message}`);
+    // Offline changes are sent by the 'online' listener below
+    if (navigator.onLine) {
+        clearTimeout(syncRequestTimer);
+        syncRequestTimer = setTimeout(triggerSync, 2000);
+    }
 }
+
+/**
+ * Show the sync status in the page's syncStatus element. In the service
+ * worker, the message is posted to every open page instead.
+ * @param {string} message - Status message
+ */
+function updateSyncStatus(message) {
+    if (IS_SERVICE_WORKER) {
+        self.clients.matchAll({ includeUncontrolled: true }).then(clients => {
+            clients.forEach(client => client.postMessage({ type: 'SYNC_STATUS', message }));
+        });
+        return;
+    }
+
+    const statusElement = document.getElementById('syncStatus');
+    if (statusElement) {
+        statusElement.textContent = message;
+    }
 }
 
-function updateSyncStatus(message) { const statusElement = document.getElementById('syncStatus'); if (statusElement) { statusElement.textContent = message; } }
+if (!IS_SERVICE_WORKER) {
+    window.addEventListener('online', triggerSync);
+    window.addEventListener('offline', () => updateSyncStatus('Offline. Sincronização pendente.'));
+    window.addEventListener('load', triggerSync);
+    window.addEventListener('outboxchange', requestBackgroundSync);
+
+    // Status reported by the service worker during a background sync
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data && event.data.type === 'SYNC_STATUS') {
+                updateSyncStatus(event.data.message);
+            }
+        });
+    }
 
-window.addEventListener('online', triggerSync); window.addEventListener('offline', () => updateSyncStatus('Offline. Sincronização pendente.'));
+    window.triggerSync = triggerSync;
+    window.requestBackgroundSync = requestBackgroundSync;
+}
 
-if (typeof self !== 'undefined') { self.triggerSync = triggerSync; }
+self.triggerSync = triggerSync;
@@ -45,6 +45,18 @@ function formatCurrency(value) {
     }).format(value);
 }
 
+/**
+ * Format an amount that may not have been filled in (a part without a
+ * price, a devolution without a refund)
+ * @param {number|string|null} value - Amount
+ * @returns {string} Formatted currency string, or '-' without an amount
+ */
+function formatOptionalCurrency(value) {
+    if (value === null || value === undefined || value === '') return '-';
+
+    return formatCurrency(Number(value));
+}
+
 /**
  * Format numbers with Brazilian locale
  * @param {number} value - Number to format
@@ -73,93 +85,6 @@ function sanitizeString(str) {
     return div.innerHTML;
 }
 
-/**
- * Validate email format
- * @param {string} email - Email to validate
- * @returns {boolean} True if valid email
- */
-function isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
-}
-
-/**
- * Validate Brazilian CPF format
- * @param {string} cpf - CPF to validate
- * @returns {boolean} True if valid CPF
- */
-function isValidCPF(cpf) {
-    if (typeof cpf !== 'string') return false;
-    
-    // Remove formatting
-    cpf = cpf.replace(/[^\d]/g, '');
-    
-    // Check length
-    if (cpf.length !== 11) return false;
-    
-    // Check for repeated digits
-    if (/^(\d)\1{10}$/.test(cpf)) return false;
-    
-    // Validate checksum
-    let sum = 0;
-    for (let i = 0; i < 9; i++) {
-        sum += parseInt(cpf.charAt(i)) * (10 - i);
-    }
-    let digit1 = 11 - (sum % 11);
-    if (digit1 > 9) digit1 = 0;
-    
-    if (parseInt(cpf.charAt(9)) !== digit1) return false;
-    
-    sum = 0;
-    for (let i = 0; i < 10; i++) {
-        sum += parseInt(cpf.charAt(i)) * (11 - i);
-    }
-    let digit2 = 11 - (sum % 11);
-    if (digit2 > 9) digit2 = 0;
-    
-    return parseInt(cpf.charAt(10)) === digit2;
-}
-
-/**
- * Validate Brazilian CNPJ format
- * @param {string} cnpj - CNPJ to validate
- * @returns {boolean} True if valid CNPJ
- */
-function isValidCNPJ(cnpj) {
-    if (typeof cnpj !== 'string') return false;
-    
-    // Remove formatting
-    cnpj = cnpj.replace(/[^\d]/g, '');
-    
-    // Check length
-    if (cnpj.length !== 14) return false;
-    
-    // Check for repeated digits
-    if (/^(\d)\1{13}$/.test(cnpj)) return false;
-    
-    // Validate first checksum digit
-    let sum = 0;
-    let weight = 2;
-    for (let i = 11; i >= 0; i--) {
-        sum += parseInt(cnpj.charAt(i)) * weight;
-        weight = weight === 9 ? 2 : weight + 1;
-    }
-    let digit1 = sum % 11 < 2 ? 0 : 11 - (sum % 11);
-    
-    if (parseInt(cnpj.charAt(12)) !== digit1) return false;
-    
-    // Validate second checksum digit
-    sum = 0;
-    weight = 2;
-    for (let i = 12; i >= 0; i--) {
-        sum += parseInt(cnpj.charAt(i)) * weight;
-        weight = weight === 9 ? 2 : weight + 1;
-    }
-    let digit2 = sum % 11 < 2 ? 0 : 11 - (sum % 11);
-    
-    return parseInt(cnpj.charAt(13)) === digit2;
-}
-
 /**
  * Format phone number in Brazilian format
  * @param {string} phone - Phone number to format
@@ -584,11 +509,9 @@ const storage = {
 // Export functions for global use
 window.formatDate = formatDate;
 window.formatCurrency = formatCurrency;
+window.formatOptionalCurrency = formatOptionalCurrency;
 window.formatNumber = formatNumber;
 window.sanitizeString = sanitizeString;
-window.isValidEmail = isValidEmail;
-window.isValidCPF = isValidCPF;
-window.isValidCNPJ = isValidCNPJ;
 window.formatPhone = formatPhone;
 window.formatCPF = formatCPF;
 window.formatCNPJ = formatCNPJ;
@@ -626,6 +549,22 @@ function parseLocalDate(dateString) {
 }
 window.parseLocalDate = parseLocalDate;
 
+/**
+ * Get the Bootstrap color used for a devolution status badge
+ * @param {string} status - Devolution status
+ * @returns {string} Bootstrap color name
+ */
+function getStatusBadgeColor(status) {
+    const colors = {
+        'Aberta': 'warning',
+        'Em análise': 'info',
+        'Concluída': 'success',
+        'Recusada': 'secondary'
+    };
+    return colors[status] || 'light';
+}
+window.getStatusBadgeColor = getStatusBadgeColor;
+
 
 /**
  * Initialize backup reminder popup
@@ -0,0 +1,509 @@
+/**
+ * Validation Schemas for Parts Return Control System
+ * One declarative set of rules for people, devolutions, returned parts,
+ * warranty claims, RMA batches, suppliers, user accounts, branches, the
+ * parts catalog and the company settings printed on documents. The browser loads this
+ * file as a plain script (before database.js) and the API loads it with
+ * require() (server/validation.ts), so both check records the same way.
+ *
+ * A schema lists the fields of a record and the rules of each:
+ *
+ *   rotulo       - Field name used in the messages
+ *   feminino     - The label is feminine ("obrigatória", "inválida")
+ *   obrigatorio  - The field must be filled
+ *   tipo         - 'inteiro' or 'numero'
+ *   min          - Smallest number allowed
+ *   minLength    - Fewest characters allowed
+ *   maxLength    - Most characters allowed (the server column size)
+ *   valores      - The only values allowed
+ *   formato      - 'data' (YYYY-MM-DD), 'email', 'cpfCnpj', 'cnpj' or 'usuario'
+ *   naoFutura    - A date that cannot be after today
+ *   naoAntesDe   - A date that cannot be before the date in another field
+ *
+ * Validating returns an object with one Portuguese message per invalid
+ * field; an empty object means the record is valid.
+ */
+
+const PERSON_TYPES = ['Cliente', 'Mecânico', 'Ambos'];
+const PERSON_STATUSES = ['Ativo', 'Inativo'];
+
+// Values of acao_requisicao that describe the sale request itself; anything
+// else found there in version 2 rows is the action taken on the part
+const REQUISITION_ACTIONS = ['Alterada', 'Excluída'];
+
+// Devolution lifecycle: each status lists the statuses it can move to.
+// Closing a devolution (Concluída or Recusada) requires resolution notes.
+const DEVOLUTION_STATUSES = ['Aberta', 'Em análise', 'Concluída', 'Recusada'];
+const STATUS_TRANSITIONS = {
+    'Aberta': ['Em análise'],
+    'Em análise': ['Concluída', 'Recusada'],
+    'Concluída': [],
+    'Recusada': []
+};
+const CLOSED_STATUSES = ['Concluída', 'Recusada'];
+
+const WARRANTY_STATUSES = ['aberta', 'enviada', 'aprovada', 'negada', 'creditada'];
+
+// RMA batch lifecycle: assembled, shipped to the supplier, answered by it
+const RMA_STATUSES = ['aberto', 'enviado', 'respondido'];
+
+// User roles, from least to most allowed (see js/auth.js and server/auth.ts)
+const USER_ROLES = ['operador', 'gerente', 'admin'];
+
+// Login names: lowercase letters, digits, dot, hyphen and underscore
+const USERNAME_PATTERN = /^[a-z0-9._-]+$/;
+
+const VALIDATION_SCHEMAS = {
+    pessoa: {
+        codigo: { rotulo: 'Código', obrigatorio: true, maxLength: 20 },
+        nome: { rotulo: 'Nome', obrigatorio: true, minLength: 2, maxLength: 255 },
+        tipo: { rotulo: 'Tipo', obrigatorio: true, valores: PERSON_TYPES },
+        status: { rotulo: 'Status', valores: PERSON_STATUSES },
+        documento: { rotulo: 'Documento', formato: 'cpfCnpj' },
+        email: { rotulo: 'E-mail', formato: 'email', maxLength: 255 },
+        telefone: { rotulo: 'Telefone', maxLength: 20 }
+    },
+    devolucao: {
+        cliente: { rotulo: 'Cliente', obrigatorio: true, minLength: 2 },
+        mecanico: { rotulo: 'Mecânico', minLength: 2 },
+        requisicao_venda: { rotulo: 'Número da requisição de venda', obrigatorio: true, minLength: 2, maxLength: 100 },
+        acao_requisicao: { rotulo: 'Ação na requisição', feminino: true, valores: REQUISITION_ACTIONS },
+        data_venda: { rotulo: 'Data da venda', feminino: true, formato: 'data' },
+        data_devolucao: {
+            rotulo: 'Data da devolução', feminino: true, obrigatorio: true, formato: 'data',
+            naoFutura: true, naoAntesDe: 'data_venda'
+        },
+        status: { rotulo: 'Status', valores: DEVOLUTION_STATUSES },
+        valor_reembolso: { rotulo: 'Valor do reembolso', tipo: 'numero', min: 0 }
+    },
+    item: {
+        codigo_peca: { rotulo: 'Código da peça', obrigatorio: true, minLength: 2, maxLength: 100 },
+        descricao_peca: { rotulo: 'Descrição da peça', feminino: true, obrigatorio: true, minLength: 3 },
+        quantidade_devolvida: { rotulo: 'Quantidade', feminino: true, obrigatorio: true, tipo: 'inteiro', min: 1 },
+        valor_unitario: { rotulo: 'Valor unitário', tipo: 'numero', min: 0 },
+        tipo_acao: { rotulo: 'Tipo de ação', obrigatorio: true, maxLength: 50 }
+    },
+    garantia: {
+        productId: { rotulo: 'Código da peça', obrigatorio: true, maxLength: 100 },
+        productDesc: { rotulo: 'Descrição da peça', feminino: true, obrigatorio: true },
+        quantity: { rotulo: 'Quantidade', feminino: true, obrigatorio: true, tipo: 'inteiro', min: 1 },
+        value: { rotulo: 'Valor', tipo: 'numero', min: 0 },
+        purchaseInvoice: { rotulo: 'Nota fiscal de compra', feminino: true, maxLength: 100 },
+        returnInvoice: { rotulo: 'Nota fiscal de devolução', feminino: true, maxLength: 100 },
+        salesRequestId: { rotulo: 'Requisição de venda', feminino: true, maxLength: 100 },
+        warrantyRequestId: { rotulo: 'Requisição de garantia', feminino: true, maxLength: 100 },
+        status: { rotulo: 'Status', valores: WARRANTY_STATUSES },
+        supplierId: { rotulo: 'Fornecedor', tipo: 'inteiro', min: 1 },
+        clientId: { rotulo: 'Cliente', tipo: 'inteiro', min: 1 },
+        mechanicId: { rotulo: 'Mecânico', tipo: 'inteiro', min: 1 },
+        purchaseDate: { rotulo: 'Data da compra', feminino: true, formato: 'data' },
+        returnDate: { rotulo: 'Data da devolução', feminino: true, formato: 'data', naoAntesDe: 'purchaseDate' },
+        warrantyDeadline: { rotulo: 'Prazo da garantia', formato: 'data' }
+    },
+    fornecedor: {
+        name: { rotulo: 'Nome', obrigatorio: true, minLength: 2, maxLength: 255 },
+        contact: { rotulo: 'Contato', maxLength: 255 },
+        phone: { rotulo: 'Telefone', maxLength: 20 },
+        email: { rotulo: 'E-mail', formato: 'email', maxLength: 255 },
+        doc: { rotulo: 'CNPJ', formato: 'cnpj' }
+    },
+    usuario: {
+        usuario: { rotulo: 'Usuário', obrigatorio: true, minLength: 3, maxLength: 50, formato: 'usuario' },
+        nome: { rotulo: 'Nome', obrigatorio: true, minLength: 2, maxLength: 255 },
+        papel: { rotulo: 'Perfil', obrigatorio: true, valores: USER_ROLES },
+        senha: { rotulo: 'Senha', feminino: true, minLength: 8, maxLength: 200 }
+    },
+    filial: {
+        codigo: { rotulo: 'Código', obrigatorio: true, maxLength: 20 },
+        nome: { rotulo: 'Nome', obrigatorio: true, minLength: 2, maxLength: 255 }
+    },
+    // Codes and descriptions follow the returned part fields (item)
+    peca: {
+        codigo: { rotulo: 'Código da peça', obrigatorio: true, minLength: 2, maxLength: 100 },
+        descricao: { rotulo: 'Descrição', feminino: true, obrigatorio: true, minLength: 3 },
+        marca: { rotulo: 'Marca', feminino: true, maxLength: 100 },
+        preco_unitario: { rotulo: 'Preço unitário', tipo: 'numero', min: 0 }
+    },
+    rma: {
+        status: { rotulo: 'Status', valores: RMA_STATUSES },
+        shippingDate: { rotulo: 'Data de envio', feminino: true, formato: 'data', naoFutura: true },
+        supplierResponse: { rotulo: 'Resposta do fornecedor', feminino: true },
+        creditAmount: { rotulo: 'Valor do crédito', tipo: 'numero', min: 0 }
+    },
+    rmaItem: {
+        productId: { rotulo: 'Código da peça', obrigatorio: true, maxLength: 100 },
+        quantity: { rotulo: 'Quantidade', feminino: true, obrigatorio: true, tipo: 'inteiro', min: 1 }
+    },
+    // Company identity on printed documents and exports (empresa table)
+    empresa: {
+        name: { rotulo: 'Nome da empresa', obrigatorio: true, minLength: 2, maxLength: 255 },
+        doc: { rotulo: 'CNPJ', formato: 'cnpj' },
+        phone: { rotulo: 'Telefone', maxLength: 20 },
+        email: { rotulo: 'E-mail', formato: 'email', maxLength: 255 }
+    }
+};
+
+const DATE_STRING_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate email format
+ * @param {string} email - Email to validate
+ * @returns {boolean} True if valid email
+ */
+function isValidEmail(email) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+}
+
+/**
+ * Validate Brazilian CPF format
+ * @param {string} cpf - CPF to validate
+ * @returns {boolean} True if valid CPF
+ */
+function isValidCPF(cpf) {
+    if (typeof cpf !== 'string') return false;
+
+    // Remove formatting
+    cpf = cpf.replace(/[^\d]/g, '');
+
+    // Check length
+    if (cpf.length !== 11) return false;
+
+    // Check for repeated digits
+    if (/^(\d)\1{10}$/.test(cpf)) return false;
+
+    // Validate checksum
+    let sum = 0;
+    for (let i = 0; i < 9; i++) {
+        sum += parseInt(cpf.charAt(i)) * (10 - i);
+    }
+    let digit1 = 11 - (sum % 11);
+    if (digit1 > 9) digit1 = 0;
+
+    if (parseInt(cpf.charAt(9)) !== digit1) return false;
+
+    sum = 0;
+    for (let i = 0; i < 10; i++) {
+        sum += parseInt(cpf.charAt(i)) * (11 - i);
+    }
+    let digit2 = 11 - (sum % 11);
+    if (digit2 > 9) digit2 = 0;
+
+    return parseInt(cpf.charAt(10)) === digit2;
+}
+
+/**
+ * Validate Brazilian CNPJ format
+ * @param {string} cnpj - CNPJ to validate
+ * @returns {boolean} True if valid CNPJ
+ */
+function isValidCNPJ(cnpj) {
+    if (typeof cnpj !== 'string') return false;
+
+    // Remove formatting
+    cnpj = cnpj.replace(/[^\d]/g, '');
+
+    // Check length
+    if (cnpj.length !== 14) return false;
+
+    // Check for repeated digits
+    if (/^(\d)\1{13}$/.test(cnpj)) return false;
+
+    // Validate first checksum digit
+    let sum = 0;
+    let weight = 2;
+    for (let i = 11; i >= 0; i--) {
+        sum += parseInt(cnpj.charAt(i)) * weight;
+        weight = weight === 9 ? 2 : weight + 1;
+    }
+    let digit1 = sum % 11 < 2 ? 0 : 11 - (sum % 11);
+
+    if (parseInt(cnpj.charAt(12)) !== digit1) return false;
+
+    // Validate second checksum digit
+    sum = 0;
+    weight = 2;
+    for (let i = 12; i >= 0; i--) {
+        sum += parseInt(cnpj.charAt(i)) * weight;
+        weight = weight === 9 ? 2 : weight + 1;
+    }
+    let digit2 = sum % 11 < 2 ? 0 : 11 - (sum % 11);
+
+    return parseInt(cnpj.charAt(13)) === digit2;
+}
+
+/**
+ * Check a date-only string (YYYY-MM-DD) names a real day
+ * @param {string} value - Date string
+ * @returns {boolean} True if valid date
+ */
+function isValidDateString(value) {
+    if (typeof value !== 'string' || !DATE_STRING_PATTERN.test(value)) return false;
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+/**
+ * Today's date as YYYY-MM-DD in local time
+ * @returns {string} Today's date
+ */
+function getLocalDateString() {
+    const today = new Date();
+    const pad = (n) => n.toString().padStart(2, '0');
+    return `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}`;
+}
+
+/**
+ * Check whether a field value was left empty
+ * @param {*} value - Field value
+ * @returns {boolean} True if empty
+ */
+function isBlankValue(value) {
+    return value === undefined || value === null || value.toString().trim() === '';
+}
+
+/**
+ * Check one field against its rules
+ * @param {Object} regra - Rules of the field
+ * @param {*} value - Field value
+ * @param {Object} record - The whole record, for rules comparing fields
+ * @param {Object} schema - Schema of the record
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkField(regra, value, record, schema) {
+    // "obrigatório" / "obrigatória", "inválido" / "inválida"
+    const flex = (word) => regra.feminino ? word.replace(/o$/, 'a') : word;
+
+    if (isBlankValue(value)) {
+        return regra.obrigatorio ? `${regra.rotulo} é ${flex('obrigatório')}` : null;
+    }
+
+    const text = value.toString().trim();
+
+    if (regra.tipo === 'inteiro' || regra.tipo === 'numero') {
+        const number = Number(text);
+        if (regra.tipo === 'inteiro' ? !Number.isInteger(number) : isNaN(number)) {
+            return `${regra.rotulo} deve ser um número${regra.tipo === 'inteiro' ? ' inteiro' : ''}`;
+        }
+        if (regra.min !== undefined && number < regra.min) {
+            return regra.min === 0
+                ? `${regra.rotulo} não pode ser ${flex('negativo')}`
+                : `${regra.rotulo} deve ser maior que ${regra.min === 1 ? 'zero' : regra.min - 1}`;
+        }
+    }
+
+    if (regra.minLength && text.length < regra.minLength) {
+        return `${regra.rotulo} deve ter pelo menos ${regra.minLength} caracteres`;
+    }
+    if (regra.maxLength && text.length > regra.maxLength) {
+        return `${regra.rotulo} deve ter no máximo ${regra.maxLength} caracteres`;
+    }
+
+    if (regra.valores && !regra.valores.includes(value)) {
+        const opcoes = regra.valores.map(v => `"${v}"`);
+        return `${regra.rotulo} deve ser ${opcoes.slice(0, -1).join(', ')} ou ${opcoes[opcoes.length - 1]}`;
+    }
+
+    switch (regra.formato) {
+        case 'data':
+            if (!isValidDateString(text)) {
+                return `${regra.rotulo} ${flex('inválido')}`;
+            }
+            break;
+        case 'email':
+            if (!isValidEmail(text)) {
+                return 'Formato de e-mail inválido';
+            }
+            break;
+        case 'cpfCnpj': {
+            const digits = text.replace(/\D/g, '');
+            if (digits.length === 11) {
+                if (!isValidCPF(text)) return 'CPF inválido';
+            } else if (digits.length === 14) {
+                if (!isValidCNPJ(text)) return 'CNPJ inválido';
+            } else {
+                return `${regra.rotulo} deve ser um CPF (11 dígitos) ou CNPJ (14 dígitos)`;
+            }
+            break;
+        }
+        case 'cnpj':
+            if (!isValidCNPJ(text)) {
+                return 'CNPJ inválido';
+            }
+            break;
+        case 'usuario':
+            if (!USERNAME_PATTERN.test(text)) {
+                return `${regra.rotulo} deve ter apenas letras minúsculas, números, ponto, hífen ou sublinhado`;
+            }
+            break;
+    }
+
+    if (regra.naoFutura && text > getLocalDateString()) {
+        return `${regra.rotulo} não pode ser no futuro`;
+    }
+    if (regra.naoAntesDe) {
+        const other = record[regra.naoAntesDe];
+        if (isValidDateString(other) && text < other) {
+            return `${regra.rotulo} não pode ser anterior à ${schema[regra.naoAntesDe].rotulo.toLowerCase()}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate a record against one of the schemas
+ * @param {string} schemaName - 'pessoa', 'devolucao', 'item', 'garantia', 'fornecedor', 'usuario', 'filial' or 'peca'
+ * @param {Object} record - Record to validate
+ * @returns {Object<string, string>} Error message per invalid field, empty when valid
+ */
+function validateRecord(schemaName, record) {
+    const schema = VALIDATION_SCHEMAS[schemaName];
+    if (!schema) {
+        throw new Error(`Esquema de validação desconhecido: ${schemaName}`);
+    }
+
+    const erros = {};
+    for (const [campo, regra] of Object.entries(schema)) {
+        const mensagem = checkField(regra, (record || {})[campo], record || {}, schema);
+        if (mensagem) {
+            erros[campo] = mensagem;
+        }
+    }
+    return erros;
+}
+
+/**
+ * Validate a devolution header together with its parts. Part errors are
+ * keyed "itens.<index>.<campo>" and their messages name the part.
+ * @param {Object} devolucao - Header fields (local names: cliente, requisicao_venda, ...)
+ * @param {Array} itens - Parts of the devolution
+ * @returns {Object<string, string>} Error message per invalid field, empty when valid
+ */
+function validateDevolution(devolucao, itens) {
+    const erros = validateRecord('devolucao', devolucao);
+
+    if (!Array.isArray(itens) || itens.length === 0) {
+        erros.itens = 'Pelo menos uma peça deve ser informada';
+        return erros;
+    }
+
+    itens.forEach((item, index) => {
+        const itemErros = validateRecord('item', item);
+        for (const [campo, mensagem] of Object.entries(itemErros)) {
+            erros[`itens.${index}.${campo}`] = `Peça ${index + 1}: ${mensagem}`;
+        }
+    });
+    return erros;
+}
+
+/**
+ * Check a devolution status change against STATUS_TRANSITIONS; closing a
+ * devolution needs resolution notes
+ * @param {string} currentStatus - Status the devolution is in
+ * @param {string} newStatus - Status it moves to
+ * @param {string} resolucao - Resolution notes
+ * @returns {Object<string, string>} Error message per field (status or resolucao), empty when allowed
+ */
+function validateStatusChange(currentStatus, newStatus, resolucao) {
+    const erros = {};
+    if (!(STATUS_TRANSITIONS[currentStatus] || []).includes(newStatus)) {
+        erros.status = `Não é possível passar de "${currentStatus}" para "${newStatus}"`;
+    } else if (CLOSED_STATUSES.includes(newStatus) && !(resolucao || '').toString().trim()) {
+        erros.resolucao = 'Informe a resolução para encerrar a devolução';
+    }
+    return erros;
+}
+
+/**
+ * Validate an RMA batch together with its parts. A shipped batch needs its
+ * shipping date and an answered one the supplier's response; part errors
+ * are keyed "itens.<index>.<campo>" like on devolutions.
+ * @param {Object} rma - Batch fields (status, shippingDate, supplierResponse, creditAmount)
+ * @param {Array} itens - Parts of the batch (productId, quantity)
+ * @returns {Object<string, string>} Error message per invalid field, empty when valid
+ */
+function validateRma(rma, itens) {
+    const erros = validateRecord('rma', rma);
+    const status = rma.status || 'aberto';
+    if (status !== 'aberto' && !rma.shippingDate && !erros.shippingDate) {
+        erros.shippingDate = 'Data de envio é obrigatória';
+    }
+    if (status === 'respondido' && !(rma.supplierResponse || '').toString().trim()) {
+        erros.supplierResponse = 'Resposta do fornecedor é obrigatória';
+    }
+
+    if (!Array.isArray(itens) || itens.length === 0) {
+        erros.itens = 'Pelo menos uma peça deve ser incluída';
+        return erros;
+    }
+
+    itens.forEach((item, index) => {
+        const itemErros = validateRecord('rmaItem', item);
+        for (const [campo, mensagem] of Object.entries(itemErros)) {
+            erros[`itens.${index}.${campo}`] = `Peça ${index + 1}: ${mensagem}`;
+        }
+    });
+    return erros;
+}
+
+/**
+ * List the messages of a validation result
+ * @param {Object<string, string>} erros - Result of validateRecord or validateDevolution
+ * @returns {Array<string>} Error messages
+ */
+function listValidationErrors(erros) {
+    return Object.values(erros);
+}
+
+/**
+ * Throw when a validation result has errors, with every message
+ * @param {Object<string, string>} erros - Result of validateRecord or validateDevolution
+ * @throws {Error} When there is at least one error
+ */
+function throwIfInvalid(erros) {
+    const mensagens = listValidationErrors(erros);
+    if (mensagens.length > 0) {
+        throw new Error(mensagens.join('; '));
+    }
+}
+
+// Export functions for use in other modules (the browser and the service
+// worker read them from window, the API with require)
+if (typeof window !== 'undefined') {
+    window.VALIDATION_SCHEMAS = VALIDATION_SCHEMAS;
+    window.isValidEmail = isValidEmail;
+    window.isValidCPF = isValidCPF;
+    window.isValidCNPJ = isValidCNPJ;
+    window.isValidDateString = isValidDateString;
+    window.validateRecord = validateRecord;
+    window.validateDevolution = validateDevolution;
+    window.validateRma = validateRma;
+    window.validateStatusChange = validateStatusChange;
+    window.listValidationErrors = listValidationErrors;
+    window.throwIfInvalid = throwIfInvalid;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PERSON_TYPES,
+        PERSON_STATUSES,
+        REQUISITION_ACTIONS,
+        DEVOLUTION_STATUSES,
+        STATUS_TRANSITIONS,
+        CLOSED_STATUSES,
+        WARRANTY_STATUSES,
+        RMA_STATUSES,
+        USER_ROLES,
+        VALIDATION_SCHEMAS,
+        isValidEmail,
+        isValidCPF,
+        isValidCNPJ,
+        isValidDateString,
+        validateRecord,
+        validateDevolution,
+        validateRma,
+        validateStatusChange,
+        listValidationErrors
+    };
+}
@@ -0,0 +1,69 @@
+import { randomBytes, scrypt, timingSafeEqual, createHash } from "crypto";
+import { promisify } from "util";
+import type { Usuario } from "../shared/schema";
+import { USER_ROLES } from "./validation";
+
+// Passwords, session tokens and roles of the user accounts
+
+const scryptAsync = promisify(scrypt) as (password: string, salt: Buffer, keylen: number) => Promise<Buffer>;
+
+const KEY_LENGTH = 64;
+
+// Sessions last long enough for a counter to keep working offline between syncs
+export const SESSION_DAYS = 30;
+
+// USER_ROLES lists the roles from least to most allowed; a route open to a
+// role is open to the ones after it too. js/auth.js hides the same actions
+// in the pages.
+export type UserRole = 'operador' | 'gerente' | 'admin';
+
+// A request made without a valid session, or by a user whose role does not
+// allow it
+export class AuthError extends Error {
+  status: 401 | 403;
+
+  constructor(status: 401 | 403, message: string) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// Stored as scrypt$<salt>$<key>, both hex
+export async function hashPassword(senha: string): Promise<string> {
+  const salt = randomBytes(16);
+  const key = await scryptAsync(senha, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+export async function verifyPassword(senha: string, senhaHash: string): Promise<boolean> {
+  const [scheme, salt, stored] = senhaHash.split('$');
+  if (scheme !== 'scrypt' || !salt || !stored) {
+    return false;
+  }
+  const key = await scryptAsync(senha, Buffer.from(salt, 'hex'), KEY_LENGTH);
+  return timingSafeEqual(key, Buffer.from(stored, 'hex'));
+}
+
+// The token goes to the client once; the server keeps only its hash
+export function newSessionToken(): string {
+  return randomBytes(32).toString('hex');
+}
+
+export function hashToken(token: string): string {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+export function hasRole(usuario: Pick<Usuario, 'papel'>, minimo: UserRole): boolean {
+  return USER_ROLES.indexOf(usuario.papel) >= USER_ROLES.indexOf(minimo);
+}
+
+// A user as the API shows it: never the password hash
+export const toUserResponse = (usuario: Usuario) => ({
+  id: usuario.id,
+  usuario: usuario.usuario,
+  nome: usuario.nome,
+  papel: usuario.papel,
+  ativo: usuario.ativo,
+  updated_at: usuario.updatedAt,
+});
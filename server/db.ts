@@ -1,14 +1,50 @@
+import path from "path";
 import { Pool, neonConfig } from '@neondatabase/serverless';
-import { drizzle } from 'drizzle-orm/neon-serverless';
+import { PGlite } from "@electric-sql/pglite";
+import { drizzle as drizzleNeon } from 'drizzle-orm/neon-serverless';
+import { drizzle as drizzlePglite } from "drizzle-orm/pglite";
+import { migrate } from "drizzle-orm/pglite/migrator";
+import type { PgDatabase, PgQueryResultHKT } from "drizzle-orm/pg-core";
 import * as schema from "../shared/schema";
 
-neonConfig.webSocketConstructor = require('ws');
+// The database every storage query goes through, whichever backend it is
+export type Database = PgDatabase<PgQueryResultHKT, typeof schema>;
 
-if (!process.env.DATABASE_URL) {
-  throw new Error(
-    "DATABASE_URL must be set. Did you forget to provision a database?",
-  );
+// DB_DRIVER picks the backend: "neon" (the default when DATABASE_URL is set)
+// or "pglite", an embedded Postgres for running without a cloud database.
+// PGlite keeps its data in PGLITE_DATA_DIR, or only in memory when unset.
+export const driver = process.env.DB_DRIVER || (process.env.DATABASE_URL ? "neon" : "pglite");
+
+function connectNeon() {
+  if (!process.env.DATABASE_URL) {
+    throw new Error(
+      "DATABASE_URL must be set. Did you forget to provision a database?",
+    );
+  }
+
+  neonConfig.webSocketConstructor = require('ws');
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+  const db = drizzleNeon({ client: pool, schema });
+  return { pool, db: db as unknown as Database, ready: Promise.resolve() };
+}
+
+// An embedded database starts empty: bring it up to date with the same
+// migrations drizzle-kit applies to Neon (db:migrate)
+function connectPglite() {
+  const db = drizzlePglite(new PGlite(process.env.PGLITE_DATA_DIR), { schema });
+  const ready = migrate(db, { migrationsFolder: path.join(process.cwd(), "drizzle") });
+  return { pool: null, db: db as unknown as Database, ready };
+}
+
+function connect() {
+  if (driver === "neon") {
+    return connectNeon();
+  }
+  if (driver === "pglite") {
+    return connectPglite();
+  }
+  throw new Error(`Unknown DB_DRIVER: ${driver}. Use "neon" or "pglite".`);
 }
 
-export const pool = new Pool({ connectionString: process.env.DATABASE_URL });
-export const db = drizzle({ client: pool, schema });
+// Queries may only run once ready resolves (migrations applied)
+export const { pool, db, ready } = connect();
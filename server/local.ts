@@ -0,0 +1,30 @@
+import path from "path";
+import express, { Request, Response, NextFunction } from "express";
+import app from "../api/index";
+import { driver } from "./db";
+
+// Run the app and the API from one process, without Vercel: `npm run dev`.
+// With no DATABASE_URL the API uses the embedded database (see server/db.ts).
+
+const root = path.join(__dirname, "..");
+const port = Number(process.env.PORT) || 5000;
+
+// Only the PWA files are served; the rest of the tree (config with
+// credentials, server code) stays private
+const PAGE_FILES = /^\/([\w-]+\.html|manifest\.json|sw\.js)$/;
+
+app.use("/css", express.static(path.join(root, "css")));
+app.use("/js", express.static(path.join(root, "js")));
+app.get("*", (req: Request, res: Response, next: NextFunction) => {
+  if (req.path === "/") {
+    res.sendFile(path.join(root, "index.html"));
+  } else if (PAGE_FILES.test(req.path)) {
+    res.sendFile(path.join(root, req.path));
+  } else {
+    next();
+  }
+});
+
+app.listen(port, () => {
+  console.log(`Serving on http://localhost:${port} (database: ${driver})`);
+});
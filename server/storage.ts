@@ -1,97 +1,570 @@
-import { people, devolutions, type Person, type InsertPerson, type Devolution, type InsertDevolution } from "../shared/schema";
-import { db } from "./db";
-import { eq, like, and, or, desc, asc } from "drizzle-orm";
+import { randomUUID } from "crypto";
+import {
+  people, devolutions, devolutionItems, tombstones, syncDevices, fornecedores, garantias, empresa, usuarios, sessoes,
+  filiais, pessoaFiliais, rmas, rmaItems,
+  type Filial, type InsertFilial, type Person, type InsertPerson, type Devolution, type InsertDevolution,
+  type Fornecedor, type InsertFornecedor, type Garantia, type InsertGarantia, type Empresa,
+  type Usuario, type InsertUsuario,
+} from "../shared/schema";
+import { db, type Database } from "./db";
+import {
+  toPersonValues,
+  toSyncPerson,
+  toDevolutionValues,
+  toSyncDevolution,
+  loadSyncDevolution,
+  loadSyncDevolutions,
+  toSyncTombstone,
+  toSyncFornecedor,
+  toSyncGarantia,
+  toGarantiaSyncValues,
+  loadSyncGarantias,
+  toSyncRma,
+  toRmaSyncValues,
+  loadSyncRmas,
+  resolveFilialCode,
+} from "./sync-mapping";
+import { ValidationError, StatusChangeError, CLOSED_STATUSES, validateStatusChange, toFornecedorValues } from "./validation";
+import { eq, ilike, and, or, desc, asc, gt, lt, gte, lte, inArray, notInArray, isNull, count, sum, sql, type SQL } from "drizzle-orm";
+
+// Filters and paging for listing people
+export interface PeopleFilters {
+  tipo?: string;   // 'Ambos' people are listed under both types
+  status?: string;
+  nome?: string;   // part of the name, case-insensitive
+  page?: number;   // 1-based
+  pageSize?: number;
+}
+
+export interface PeoplePage {
+  people: Person[];
+  total: number;
+}
+
+// Devolution search criteria, named like the client's searchDevolutions.
+// Text criteria match part of the value, case-insensitive; dates are
+// YYYY-MM-DD and the ranges include both ends.
+export interface DevolutionSearchCriteria {
+  codigo_peca?: string;
+  descricao_peca?: string;
+  tipo_acao?: string;
+  cliente?: string;
+  mecanico?: string;
+  cliente_id?: number;
+  mecanico_id?: number;
+  requisicao_venda?: string;
+  acao_requisicao?: string;
+  status?: string;
+  filial?: string;     // branch code
+  data_venda_inicio?: string;
+  data_venda_fim?: string;
+  data_devolucao_inicio?: string;
+  data_devolucao_fim?: string;
+  page?: number;       // 1-based
+  pageSize?: number;
+  sort?: string;       // one of DEVOLUTION_SORT_FIELDS, '-' in front for descending
+}
+
+// A devolution as the REST API sends it: its server id and its sync record
+// (header, items and people)
+export type DevolutionRecord = ReturnType<typeof toSyncDevolution> & { id: number };
+
+export interface DevolutionSearchPage {
+  devolutions: DevolutionRecord[];
+  total: number;            // devolutions matching, over all pages
+  totalItens: number;       // their items
+  totalQuantidade: number;  // parts returned in them
+}
+
+export const DEVOLUTION_SORT_FIELDS = {
+  data_devolucao: devolutions.data_devolucao,
+  data_venda: devolutions.data_venda,
+  numero_pedido: devolutions.numero_pedido,
+  status: devolutions.status,
+  created_at: devolutions.createdAt,
+  updated_at: devolutions.updatedAt,
+};
+export const DEFAULT_DEVOLUTION_SORT = '-data_devolucao';
+
+// Who makes a change: the signed-in user, stamped on the records written,
+// the device it was synced from, if any, and that device's branch, which new
+// devolutions without a branch of their own are filed under
+export interface ChangeActor {
+  usuario: string | null;
+  deviceId: string | null;
+  filialId?: number | null;
+}
+
+// One change from a device's outbox
+export type SyncChange = {
+  outbox_id: number;
+  entidade: 'devolucao' | 'pessoa' | 'fornecedor' | 'garantia' | 'rma';
+  operacao: 'upsert' | 'delete';
+  uuid: string;
+  versao_base?: number;
+  deleted_at?: string;
+  registro?: any;
+};
+
+// Outcome of one change: applied (with the record's new version) or refused
+// because the device based it on an older version than the server has
+export type SyncResult =
+  | { status: 'applied'; versao?: number }
+  | { status: 'conflict'; versao: number; registro: any };
+
+// Per-branch devolution counts for the branch report (GET /api/relatorios/filiais)
+export interface BranchSummaryCriteria {
+  data_inicio?: string;  // YYYY-MM-DD, both ends included
+  data_fim?: string;
+  tipo_data?: 'devolucao' | 'venda';
+}
+
+export interface BranchSummary {
+  filial: string | null;  // branch code; null for devolutions without a branch
+  nome: string;
+  devolucoes: number;
+  itens: number;
+  quantidade: number;
+  valor: number;      // parts' quantity times unit price, in reais
+  reembolso: number;  // refunds given to customers, in reais
+  por_status: Record<string, number>;
+}
+
+// Records changed on the server since a device last pulled, in the sync format
+export interface SyncUpdates {
+  people: ReturnType<typeof toSyncPerson>[];
+  devolutions: ReturnType<typeof toSyncDevolution>[];
+  fornecedores: ReturnType<typeof toSyncFornecedor>[];
+  garantias: ReturnType<typeof toSyncGarantia>[];
+  rmas: ReturnType<typeof toSyncRma>[];
+  tombstones: ReturnType<typeof toSyncTombstone>[];
+}
+
+// A write based on a version of the record other than the stored one
+export class VersionConflictError extends Error {
+  versao: number;
+
+  constructor(message: string, versao: number) {
+    super(message);
+    this.name = 'VersionConflictError';
+    this.versao = versao;
+  }
+}
+
+// A record with the same unique key is already stored
+export class DuplicateRecordError extends Error {
+  details: Record<string, unknown>;
+
+  constructor(message: string, details: Record<string, unknown> = {}) {
+    super(message);
+    this.name = 'DuplicateRecordError';
+    this.details = details;
+  }
+}
 
 // Storage interface for compatibility
 export interface IStorage {
   // Person methods
   getPerson(id: number): Promise<Person | undefined>;
+  // Includes people in the trash, whose codes stay taken
   getPersonByCode(codigo: string): Promise<Person | undefined>;
-  createPerson(insertPerson: InsertPerson): Promise<Person>;
+  // Linked to the branch, when one is given, like people synced from a branch's device
+  createPerson(insertPerson: InsertPerson, filialId?: number | null): Promise<Person>;
   updatePerson(id: number, personData: Partial<Person>): Promise<Person | undefined>;
+  // Listings leave out people in the trash
   getAllPeople(): Promise<Person[]>;
   getPeopleByType(type: string): Promise<Person[]>;
   getActivePeople(type?: string): Promise<Person[]>;
+  listPeople(filters: PeopleFilters): Promise<PeoplePage>;
   
   // Devolution methods
   getDevolution(id: number): Promise<Devolution | undefined>;
   createDevolution(insertDevolution: InsertDevolution): Promise<Devolution>;
   updateDevolution(id: number, devolutionData: Partial<Devolution>): Promise<Devolution | undefined>;
+  // Listings and searches leave out devolutions in the trash
   getAllDevolutions(): Promise<Devolution[]>;
-  searchDevolutions(criteria: any): Promise<Devolution[]>;
-  
+  searchDevolutions(criteria: DevolutionSearchCriteria): Promise<DevolutionSearchPage>;
+
+  // Devolution records (REST API); key is the server id or the uuid.
+  // Devolutions in the trash are not found.
+  getDevolutionRecord(key: string): Promise<DevolutionRecord | undefined>;
+  createDevolutionRecord(registro: any, actor: ChangeActor): Promise<DevolutionRecord>;
+  replaceDevolutionRecord(key: string, registro: any, actor: ChangeActor): Promise<DevolutionRecord | undefined>;
+  patchDevolutionRecord(key: string, changes: any, actor: ChangeActor): Promise<DevolutionRecord | undefined>;
+  deleteDevolutionRecord(key: string, actor: ChangeActor): Promise<boolean>;
+
+  // Sync methods
+  applySyncChange(change: SyncChange, actor: ChangeActor): Promise<SyncResult>;
+  getSyncUpdates(since: Date | null, filialId?: number | null): Promise<SyncUpdates>;
+  acknowledgeDeviceSync(deviceId: string, acknowledgedAt: Date | null): Promise<void>;
+
+  // Branch methods
+  getAllFiliais(): Promise<Filial[]>;
+  getFilialByCode(codigo: string): Promise<Filial | undefined>;
+  createFilial(values: InsertFilial): Promise<Filial>;
+  updateFilial(id: number, values: Partial<InsertFilial>): Promise<Filial | undefined>;
+  getBranchSummary(criteria: BranchSummaryCriteria): Promise<BranchSummary[]>;
+
+  // Supplier, warranty and company methods
+  getAllFornecedores(): Promise<Fornecedor[]>;
+  saveFornecedor(fornecedor: InsertFornecedor): Promise<Fornecedor>;
+  getAllGarantias(): Promise<Garantia[]>;
+  saveGarantia(garantia: InsertGarantia): Promise<Garantia>;
+  getEmpresa(filialId?: number | null): Promise<Empresa | undefined>;
+  saveEmpresa(empresaData: Partial<Empresa>, filialId?: number | null): Promise<Empresa>;
+
+  // User and session methods
+  getUser(id: number): Promise<Usuario | undefined>;
+  getUserByLogin(usuario: string): Promise<Usuario | undefined>;
+  listUsers(): Promise<Usuario[]>;
+  countUsers(): Promise<number>;
+  createUser(values: InsertUsuario): Promise<Usuario>;
+  updateUser(id: number, values: Partial<InsertUsuario>): Promise<Usuario | undefined>;
+  createSession(usuarioId: number, tokenHash: string, expiresAt: Date): Promise<void>;
+  getSessionUser(tokenHash: string): Promise<Usuario | undefined>;
+  deleteSession(tokenHash: string): Promise<void>;
+  deleteUserSessions(usuarioId: number): Promise<void>;
+
   // Utility methods
   generatePersonCode(): Promise<string>;
 }
 
+// Find a devolution by its server id or by its uuid
+async function findDevolution(executor: any, key: string, includeDeleted = false): Promise<Devolution | undefined> {
+  const condition = /^\d+$/.test(key)
+    ? eq(devolutions.id, Number(key))
+    : eq(devolutions.uuid, key);
+  const [devolution] = await executor.select()
+    .from(devolutions)
+    .where(and(condition, includeDeleted ? undefined : isNull(devolutions.deletedAt)));
+  return devolution;
+}
+
+async function loadDevolutionRecord(executor: any, devolution: Devolution): Promise<DevolutionRecord> {
+  return { id: devolution.id, ...await loadSyncDevolution(executor, devolution) };
+}
+
+// Record that a record was deleted so other devices delete it too
+async function addTombstone(executor: any, entidade: string, uuid: string, actor: ChangeActor, deletedAt?: string) {
+  const values = {
+    entidade,
+    uuid,
+    deviceId: actor.deviceId,
+    deletedBy: actor.usuario,
+    deletedAt: deletedAt ? new Date(deletedAt) : new Date(),
+    createdAt: new Date(),
+  };
+  // Already deleted (e.g. moved to the trash, then purged): keep the
+  // original tombstone so devices that pulled it are not sent it again
+  await executor.insert(tombstones)
+    .values(values)
+    .onConflictDoNothing({ target: tombstones.uuid });
+}
+
+// A record written again (e.g. restored from the trash) is no longer deleted
+async function clearTombstones(executor: any, uuids: string[]) {
+  if (uuids.length > 0) {
+    await executor.delete(tombstones).where(inArray(tombstones.uuid, uuids));
+  }
+}
+
+// Refuse to drop returned parts that an RMA batch or a warranty claim refers
+// to (by item uuid), like the devolution form does on the devices
+async function assertItemsRemovable(tx: any, oldItems: { uuid: string | null; codigo_peca: string }[], itens: any[]) {
+  const kept = new Set(itens.map(item => item.uuid).filter(Boolean));
+  const removed = oldItems.filter(item => item.uuid && !kept.has(item.uuid));
+  if (removed.length === 0) {
+    return;
+  }
+  const removedUuids = removed.map(item => item.uuid!);
+  const inRma = new Set((await tx.select({ uuid: rmaItems.devolutionItemUuid })
+    .from(rmaItems)
+    .where(inArray(rmaItems.devolutionItemUuid, removedUuids))).map((row: any) => row.uuid));
+  const underWarranty = new Set((await tx.select({ uuid: garantias.devolutionItemUuid })
+    .from(garantias)
+    .where(inArray(garantias.devolutionItemUuid, removedUuids))).map((row: any) => row.uuid));
+
+  const erros: string[] = [];
+  for (const item of removed) {
+    if (inRma.has(item.uuid)) {
+      erros.push(`A peça ${item.codigo_peca} não pode ser removida: ela está em um lote de RMA`);
+    } else if (underWarranty.has(item.uuid)) {
+      erros.push(`A peça ${item.codigo_peca} não pode ser removida: há uma garantia registrada para ela`);
+    }
+  }
+  if (erros.length > 0) {
+    throw new ValidationError(erros, { itens: erros.join('; ') });
+  }
+}
+
+// Save a devolution header and replace its items, bumping its version so
+// devices pull the change. Items dropped from the devolution get tombstones
+// so devices delete them too, unless an RMA batch or a warranty claim refers
+// to them (ValidationError). New records start after baseVersion.
+async function writeDevolution(
+  tx: any,
+  existing: Devolution | undefined,
+  header: any,
+  itens: any[],
+  actor: ChangeActor,
+  baseVersion = 0
+): Promise<{ id: number; version: number }> {
+  const oldItems = existing
+    ? await tx.select({ uuid: devolutionItems.uuid, codigo_peca: devolutionItems.codigo_peca })
+      .from(devolutionItems)
+      .where(eq(devolutionItems.devolution_id, existing.id))
+    : [];
+  await assertItemsRemovable(tx, oldItems, itens);
+
+  const [saved] = existing
+    ? await tx.update(devolutions)
+      // Writing a devolution again takes it out of the trash
+      .set({ ...header, deletedAt: null, version: existing.version + 1, updatedBy: actor.usuario, updatedAt: new Date() })
+      .where(eq(devolutions.id, existing.id))
+      .returning({ id: devolutions.id, version: devolutions.version })
+    : await tx.insert(devolutions)
+      .values({
+        ...header,
+        filialId: header.filialId ?? actor.filialId ?? null,
+        version: baseVersion + 1,
+        createdBy: actor.usuario,
+        updatedBy: actor.usuario,
+      })
+      .returning({ id: devolutions.id, version: devolutions.version });
+
+  await tx.delete(devolutionItems).where(eq(devolutionItems.devolution_id, saved.id));
+
+  // Devices match items by uuid, so every item gets one
+  const items = itens.map(item => ({ ...item, uuid: item.uuid || randomUUID(), devolution_id: saved.id }));
+  const itemUuids = items.map(item => item.uuid);
+
+  for (const oldItem of oldItems) {
+    if (oldItem.uuid && !itemUuids.includes(oldItem.uuid)) {
+      await addTombstone(tx, 'item', oldItem.uuid, actor);
+    }
+  }
+  await clearTombstones(tx, [header.uuid, ...itemUuids]);
+
+  if (items.length > 0) {
+    await tx.insert(devolutionItems).values(items);
+  }
+  return saved;
+}
+
+// Move a devolution to the trash, leaving a tombstone for the devices. The
+// row and its items stay, marked as deleted, since RMA batches and warranty
+// claims refer to its parts. Answers the devolution's new version.
+async function removeDevolution(
+  tx: any,
+  existing: Devolution | undefined,
+  uuid: string | null,
+  actor: ChangeActor,
+  deletedAt?: string
+): Promise<number | undefined> {
+  let versao: number | undefined;
+  if (existing) {
+    const [saved] = await tx.update(devolutions)
+      .set({
+        deletedAt: existing.deletedAt ?? (deletedAt ? new Date(deletedAt) : new Date()),
+        version: existing.version + 1,
+        updatedBy: actor.usuario,
+        updatedAt: new Date(),
+      })
+      .where(eq(devolutions.id, existing.id))
+      .returning({ version: devolutions.version });
+    versao = saved.version;
+  }
+  // Rows from before devolutions had uuids never reached any device
+  if (uuid) {
+    await addTombstone(tx, 'devolucao', uuid, actor, deletedAt);
+  }
+  return versao;
+}
+
+// Refuse a status change the workflow does not allow (STATUS_TRANSITIONS),
+// or closing a devolution without resolution notes
+function assertStatusChange(currentStatus: string, newStatus: string, resolucao: unknown) {
+  const campos = validateStatusChange(currentStatus, newStatus, resolucao as string | null);
+  if (Object.keys(campos).length > 0) {
+    throw new StatusChangeError(Object.values(campos), campos);
+  }
+}
+
+// Check the status a device syncs for a devolution the server has. Offline,
+// a device may take several steps before it syncs: when the steps it added
+// to the status history lead from the server's status to the new one, each
+// of them is checked; otherwise the move is checked as a single step.
+function assertSyncedStatusChange(existing: Devolution, registro: any) {
+  if (!registro?.status || registro.status === existing.status) {
+    return;
+  }
+  const added: any[] = Array.isArray(registro.status_historico)
+    ? registro.status_historico.slice(existing.status_historico.length)
+    : [];
+  const chained = added.length > 0
+    && added[0]?.de === existing.status
+    && added[added.length - 1]?.para === registro.status
+    && added.every((step, index) => index === 0 || step?.de === added[index - 1]?.para);
+  const steps = chained
+    ? added.map(step => [step.de, step.para])
+    : [[existing.status, registro.status]];
+  for (const [de, para] of steps) {
+    assertStatusChange(de, para, registro.resolucao);
+  }
+}
+
+// Replace a devolution with a validated version of registro. When registro
+// names the version it was based on (versao), it must still be the current one.
+// A new status must follow the workflow of the devices (STATUS_TRANSITIONS),
+// one step at a time, and is added to the status history, which is otherwise
+// kept as it is.
+async function replaceDevolution(tx: any, existing: Devolution, registro: any, actor: ChangeActor): Promise<DevolutionRecord> {
+  if (registro?.versao !== undefined && Number(registro.versao) !== existing.version) {
+    throw new VersionConflictError('A devolução foi alterada desde a versão enviada', existing.version);
+  }
+
+  let statusHistory = existing.status_historico;
+  if (registro?.status && registro.status !== existing.status) {
+    assertStatusChange(existing.status, registro.status, registro.resolucao);
+    statusHistory = [...statusHistory, {
+      de: existing.status,
+      para: registro.status,
+      operador: actor.usuario || 'Não identificado',
+      data: new Date().toISOString(),
+      observacao: CLOSED_STATUSES.includes(registro.status) ? String(registro.resolucao).trim() : '',
+    }];
+  }
+
+  const { header, itens } = await toDevolutionValues(tx, {
+    ...registro,
+    uuid: existing.uuid || randomUUID(),
+    status_historico: statusHistory,
+  });
+  await writeDevolution(tx, existing, header, itens, actor);
+  return await loadDevolutionRecord(tx, (await findDevolution(tx, String(existing.id)))!);
+}
+
+// A write is stale when the record exists on the server with a version other
+// than the one the device started from
+const isStale = (existing: { version: number } | undefined, change: SyncChange) =>
+  existing !== undefined && existing.version !== (change.versao_base || 0);
+
+// Deletions are checked the same way when the device says which version it
+// deleted; records purged on the device before their first sync have none
+const isStaleDelete = (existing: { version: number } | undefined, change: SyncChange) =>
+  change.versao_base !== undefined && isStale(existing, change);
+
+// Storage over a drizzle database: Neon in production, or the embedded PGlite
+// database for local runs (see server/db.ts)
 export class DatabaseStorage implements IStorage {
+  constructor(private readonly db: Database) {}
+
   // Person methods
   async getPerson(id: number): Promise<Person | undefined> {
-    const [person] = await db.select().from(people).where(eq(people.id, id));
+    const [person] = await this.db.select().from(people).where(eq(people.id, id));
     return person || undefined;
   }
 
   async getPersonByCode(codigo: string): Promise<Person | undefined> {
-    const [person] = await db.select().from(people).where(eq(people.codigo, codigo));
+    const [person] = await this.db.select().from(people).where(eq(people.codigo, codigo));
     return person || undefined;
   }
 
-  async createPerson(insertPerson: InsertPerson): Promise<Person> {
-    const [person] = await db
-      .insert(people)
-      .values(insertPerson)
-      .returning();
-    return person;
+  async createPerson(insertPerson: InsertPerson, filialId?: number | null): Promise<Person> {
+    return await this.db.transaction(async (tx) => {
+      const [person] = await tx
+        .insert(people)
+        .values(insertPerson)
+        .returning();
+      if (filialId) {
+        await tx.insert(pessoaFiliais).values({ personId: person.id, filialId });
+      }
+      return person;
+    });
   }
 
   async updatePerson(id: number, personData: Partial<Person>): Promise<Person | undefined> {
-    const [person] = await db
+    // Every change bumps the version so devices pull it on their next sync
+    const [person] = await this.db
       .update(people)
-      .set({ ...personData, updatedAt: new Date() })
+      .set({ ...personData, version: sql`${people.version} + 1`, updatedAt: new Date() })
       .where(eq(people.id, id))
       .returning();
     return person || undefined;
   }
 
   async getAllPeople(): Promise<Person[]> {
-    return await db.select().from(people).orderBy(asc(people.nome));
+    return await this.db.select().from(people).where(isNull(people.deletedAt)).orderBy(asc(people.nome));
   }
 
   async getPeopleByType(type: string): Promise<Person[]> {
-    return await db
+    return await this.db
       .select()
       .from(people)
-      .where(or(eq(people.tipo, type), eq(people.tipo, 'Ambos')))
+      .where(and(
+        isNull(people.deletedAt),
+        or(eq(people.tipo, type), eq(people.tipo, 'Ambos'))
+      ))
       .orderBy(asc(people.nome));
   }
 
   async getActivePeople(type?: string): Promise<Person[]> {
     if (type) {
-      return await db
+      return await this.db
         .select()
         .from(people)
         .where(and(
+          isNull(people.deletedAt),
           eq(people.status, 'Ativo'),
           or(eq(people.tipo, type), eq(people.tipo, 'Ambos'))
         ))
         .orderBy(asc(people.nome));
     }
 
-    return await db
+    return await this.db
       .select()
       .from(people)
-      .where(eq(people.status, 'Ativo'))
+      .where(and(isNull(people.deletedAt), eq(people.status, 'Ativo')))
       .orderBy(asc(people.nome));
   }
 
+  async listPeople(filters: PeopleFilters): Promise<PeoplePage> {
+    const conditions: (SQL | undefined)[] = [isNull(people.deletedAt)];
+
+    if (filters.tipo) {
+      conditions.push(or(eq(people.tipo, filters.tipo), eq(people.tipo, 'Ambos')));
+    }
+    if (filters.status) {
+      conditions.push(eq(people.status, filters.status));
+    }
+    if (filters.nome) {
+      conditions.push(ilike(people.nome, `%${filters.nome}%`));
+    }
+
+    const where = and(...conditions);
+    const page = filters.page || 1;
+    const pageSize = filters.pageSize || 50;
+
+    const [{ total }] = await this.db.select({ total: count() }).from(people).where(where);
+    const rows = await this.db
+      .select()
+      .from(people)
+      .where(where)
+      .orderBy(asc(people.nome), asc(people.id))
+      .limit(pageSize)
+      .offset((page - 1) * pageSize);
+
+    return { people: rows, total };
+  }
+
   // Devolution methods
   async getDevolution(id: number): Promise<Devolution | undefined> {
-    const [devolution] = await db.select().from(devolutions).where(eq(devolutions.id, id));
+    const [devolution] = await this.db.select().from(devolutions).where(eq(devolutions.id, id));
     return devolution || undefined;
   }
 
   async createDevolution(insertDevolution: InsertDevolution): Promise<Devolution> {
-    const [devolution] = await db
+    const [devolution] = await this.db
       .insert(devolutions)
       .values(insertDevolution)
       .returning();
@@ -99,7 +572,7 @@ export class DatabaseStorage implements IStorage {
   }
 
   async updateDevolution(id: number, devolutionData: Partial<Devolution>): Promise<Devolution | undefined> {
-    const [devolution] = await db
+    const [devolution] = await this.db
       .update(devolutions)
       .set({ ...devolutionData, updatedAt: new Date() })
       .where(eq(devolutions.id, id))
@@ -108,17 +581,72 @@ export class DatabaseStorage implements IStorage {
   }
 
   async getAllDevolutions(): Promise<Devolution[]> {
-    return await db.select().from(devolutions).orderBy(desc(devolutions.createdAt));
+    return await this.db.select()
+      .from(devolutions)
+      .where(isNull(devolutions.deletedAt))
+      .orderBy(desc(devolutions.createdAt));
   }
 
-  async searchDevolutions(criteria: any): Promise<Devolution[]> {
-    const conditions = [];
+  async searchDevolutions(criteria: DevolutionSearchCriteria): Promise<DevolutionSearchPage> {
+    const where = this.devolutionSearchConditions(criteria);
+    const page = criteria.page || 1;
+    const pageSize = criteria.pageSize || 50;
+
+    const sort = criteria.sort || DEFAULT_DEVOLUTION_SORT;
+    const descending = sort.startsWith('-');
+    const sortColumn = DEVOLUTION_SORT_FIELDS[sort.replace(/^-/, '') as keyof typeof DEVOLUTION_SORT_FIELDS];
+
+    const [{ total }] = await this.db.select({ total: count() }).from(devolutions).where(where);
+    const [itemTotals] = await this.db
+      .select({ itens: count(), quantidade: sum(devolutionItems.quantidade_devolvida) })
+      .from(devolutionItems)
+      .where(inArray(devolutionItems.devolution_id, this.db.select({ id: devolutions.id }).from(devolutions).where(where)));
+
+    const rows = await this.db
+      .select()
+      .from(devolutions)
+      .where(where)
+      .orderBy(descending ? desc(sortColumn) : asc(sortColumn), desc(devolutions.id))
+      .limit(pageSize)
+      .offset((page - 1) * pageSize);
 
+    return {
+      devolutions: (await loadSyncDevolutions(this.db, rows)).map((record, index) => ({ id: rows[index].id, ...record })),
+      total,
+      totalItens: itemTotals.itens,
+      totalQuantidade: Number(itemTotals.quantidade ?? 0),
+    };
+  }
+
+  private devolutionSearchConditions(criteria: DevolutionSearchCriteria): SQL | undefined {
+    const conditions: (SQL | undefined)[] = [isNull(devolutions.deletedAt)];
+
+    // Part fields live on the items: match devolutions with at least one matching item
+    const itemConditions = [];
     if (criteria.codigo_peca) {
-      conditions.push(like(devolutions.codigo_peca, `%${criteria.codigo_peca}%`));
+      itemConditions.push(ilike(devolutionItems.codigo_peca, `%${criteria.codigo_peca}%`));
     }
     if (criteria.descricao_peca) {
-      conditions.push(like(devolutions.descricao_peca, `%${criteria.descricao_peca}%`));
+      itemConditions.push(ilike(devolutionItems.descricao_peca, `%${criteria.descricao_peca}%`));
+    }
+    if (criteria.tipo_acao) {
+      itemConditions.push(eq(devolutionItems.tipo_acao, criteria.tipo_acao));
+    }
+    if (itemConditions.length > 0) {
+      conditions.push(inArray(
+        devolutions.id,
+        this.db.select({ id: devolutionItems.devolution_id }).from(devolutionItems).where(and(...itemConditions))
+      ));
+    }
+
+    // Devolutions refer to people by id; the criteria name them
+    const peopleNamed = (nome: string) =>
+      this.db.select({ id: people.id }).from(people).where(ilike(people.nome, `%${nome}%`));
+    if (criteria.cliente) {
+      conditions.push(inArray(devolutions.cliente_id, peopleNamed(criteria.cliente)));
+    }
+    if (criteria.mecanico) {
+      conditions.push(inArray(devolutions.mecanico_id, peopleNamed(criteria.mecanico)));
     }
     if (criteria.cliente_id) {
       conditions.push(eq(devolutions.cliente_id, criteria.cliente_id));
@@ -126,39 +654,612 @@ export class DatabaseStorage implements IStorage {
     if (criteria.mecanico_id) {
       conditions.push(eq(devolutions.mecanico_id, criteria.mecanico_id));
     }
-    if (criteria.numero_pedido) {
-      conditions.push(like(devolutions.numero_pedido, `%${criteria.numero_pedido}%`));
+
+    if (criteria.requisicao_venda) {
+      conditions.push(ilike(devolutions.numero_pedido, `%${criteria.requisicao_venda}%`));
+    }
+    if (criteria.acao_requisicao) {
+      conditions.push(eq(devolutions.acao_requisicao, criteria.acao_requisicao));
     }
-    if (criteria.tipo_acao) {
-      conditions.push(eq(devolutions.tipo_acao, criteria.tipo_acao));
+    if (criteria.status) {
+      conditions.push(eq(devolutions.status, criteria.status));
+    }
+    if (criteria.filial) {
+      conditions.push(inArray(
+        devolutions.filialId,
+        this.db.select({ id: filiais.id }).from(filiais).where(eq(filiais.codigo, criteria.filial.toUpperCase()))
+      ));
     }
 
-    if (conditions.length > 0) {
-      return await db
-        .select()
-        .from(devolutions)
-        .where(and(...conditions))
-        .orderBy(desc(devolutions.createdAt));
+    // Dates are stored at midnight UTC, like new Date('YYYY-MM-DD')
+    if (criteria.data_venda_inicio) {
+      conditions.push(gte(devolutions.data_venda, new Date(criteria.data_venda_inicio)));
+    }
+    if (criteria.data_venda_fim) {
+      conditions.push(lte(devolutions.data_venda, new Date(criteria.data_venda_fim)));
+    }
+    if (criteria.data_devolucao_inicio) {
+      conditions.push(gte(devolutions.data_devolucao, new Date(criteria.data_devolucao_inicio)));
+    }
+    if (criteria.data_devolucao_fim) {
+      conditions.push(lte(devolutions.data_devolucao, new Date(criteria.data_devolucao_fim)));
+    }
+
+    return conditions.length > 0 ? and(...conditions) : undefined;
+  }
+
+  // Devolution records
+  async getDevolutionRecord(key: string): Promise<DevolutionRecord | undefined> {
+    const devolution = await findDevolution(this.db, key);
+    return devolution ? await loadDevolutionRecord(this.db, devolution) : undefined;
+  }
+
+  // Without a uuid, the devolution gets a new one
+  async createDevolutionRecord(registro: any, actor: ChangeActor): Promise<DevolutionRecord> {
+    const values = { ...registro, uuid: registro?.uuid || randomUUID() };
+    return await this.db.transaction(async (tx) => {
+      // The uuid stays taken while the devolution is in the trash
+      const existing = await findDevolution(tx, values.uuid, true);
+      if (existing) {
+        throw new DuplicateRecordError('Já existe uma devolução com este uuid', { id: existing.id });
+      }
+
+      const { header, itens } = await toDevolutionValues(tx, values);
+      const saved = await writeDevolution(tx, undefined, header, itens, actor);
+      return await loadDevolutionRecord(tx, (await findDevolution(tx, String(saved.id)))!);
+    });
+  }
+
+  async replaceDevolutionRecord(key: string, registro: any, actor: ChangeActor): Promise<DevolutionRecord | undefined> {
+    return await this.db.transaction(async (tx) => {
+      const existing = await findDevolution(tx, key);
+      return existing ? await replaceDevolution(tx, existing, registro, actor) : undefined;
+    });
+  }
+
+  // Change only the fields sent; the items are replaced only when itens is sent
+  async patchDevolutionRecord(key: string, changes: any, actor: ChangeActor): Promise<DevolutionRecord | undefined> {
+    return await this.db.transaction(async (tx) => {
+      const existing = await findDevolution(tx, key);
+      if (!existing) {
+        return undefined;
+      }
+      const current = await loadSyncDevolution(tx, existing);
+      return await replaceDevolution(tx, existing, { ...current, versao: undefined, ...changes }, actor);
+    });
+  }
+
+  async deleteDevolutionRecord(key: string, actor: ChangeActor): Promise<boolean> {
+    return await this.db.transaction(async (tx) => {
+      const existing = await findDevolution(tx, key);
+      if (!existing) {
+        return false;
+      }
+      await removeDevolution(tx, existing, existing.uuid, actor);
+      return true;
+    });
+  }
+
+  // Sync methods
+  // Apply one change from a device's outbox. Devolution headers and their
+  // items are written in one transaction.
+  async applySyncChange(change: SyncChange, actor: ChangeActor): Promise<SyncResult> {
+    if (!change.uuid) {
+      throw new ValidationError(['Registro sem uuid']);
+    }
+
+    if (change.entidade === 'pessoa') {
+      return await this.db.transaction(async (tx): Promise<SyncResult> => {
+        // Devices only move people to their trash, and devolutions and
+        // warranty claims keep referring to them: the row stays, marked as
+        // deleted, and the tombstone tells the other devices
+        if (change.operacao === 'delete') {
+          const [person] = await tx.select().from(people).where(eq(people.uuid, change.uuid));
+          if (person && !person.deletedAt && isStaleDelete(person, change)) {
+            return { status: 'conflict', versao: person.version, registro: toSyncPerson(person) };
+          }
+          let versao: number | undefined;
+          if (person) {
+            const [saved] = await tx.update(people)
+              .set({
+                deletedAt: person.deletedAt ?? (change.deleted_at ? new Date(change.deleted_at) : new Date()),
+                version: person.version + 1,
+                updatedBy: actor.usuario,
+                updatedAt: new Date(),
+              })
+              .where(eq(people.id, person.id))
+              .returning({ version: people.version });
+            versao = saved.version;
+          }
+          await addTombstone(tx, 'pessoa', change.uuid, actor, change.deleted_at);
+          return { status: 'applied', versao };
+        }
+
+        const [existing] = await tx.select().from(people).where(eq(people.uuid, change.uuid));
+        if (existing && isStale(existing, change)) {
+          return { status: 'conflict', versao: existing.version, registro: toSyncPerson(existing) };
+        }
+
+        const values = toPersonValues(change.registro);
+        const [saved] = existing
+          ? await tx.update(people)
+            // Writing a person again takes them out of the trash
+            .set({ ...values, deletedAt: null, version: existing.version + 1, updatedBy: actor.usuario, updatedAt: new Date() })
+            .where(eq(people.id, existing.id))
+            .returning({ id: people.id, version: people.version })
+          : await tx.insert(people)
+            .values({ ...values, version: (change.versao_base || 0) + 1, createdBy: actor.usuario, updatedBy: actor.usuario })
+            .returning({ id: people.id, version: people.version });
+        // People created on a branch's device are registered at that branch
+        if (!existing && actor.filialId) {
+          await tx.insert(pessoaFiliais)
+            .values({ personId: saved.id, filialId: actor.filialId })
+            .onConflictDoNothing();
+        }
+        await clearTombstones(tx, [change.uuid]);
+        return { status: 'applied', versao: saved.version };
+      });
+    }
+
+    if (change.entidade === 'devolucao') {
+      return await this.db.transaction(async (tx): Promise<SyncResult> => {
+        const [existing] = await tx.select()
+          .from(devolutions)
+          .where(eq(devolutions.uuid, change.uuid));
+
+        if (change.operacao === 'delete') {
+          if (existing && !existing.deletedAt && isStaleDelete(existing, change)) {
+            return { status: 'conflict', versao: existing.version, registro: await loadSyncDevolution(tx, existing) };
+          }
+          const versao = await removeDevolution(tx, existing, change.uuid, actor, change.deleted_at);
+          return { status: 'applied', versao };
+        }
+
+        if (existing && isStale(existing, change)) {
+          return { status: 'conflict', versao: existing.version, registro: await loadSyncDevolution(tx, existing) };
+        }
+
+        // Throw ValidationError, rolling back the transaction
+        if (existing) {
+          assertSyncedStatusChange(existing, change.registro);
+        }
+        const { header, itens } = await toDevolutionValues(tx, change.registro);
+        // A restored record continues from the version it had before
+        const saved = await writeDevolution(tx, existing, header, itens, actor, change.versao_base || 0);
+        return { status: 'applied', versao: saved.version };
+      });
     }
 
-    return await db.select().from(devolutions).orderBy(desc(devolutions.createdAt));
+    // Suppliers are shared by every branch and never deleted, since parts
+    // and warranty claims keep referring to them
+    if (change.entidade === 'fornecedor') {
+      if (change.operacao === 'delete') {
+        throw new ValidationError(['Fornecedores não podem ser excluídos']);
+      }
+      return await this.db.transaction(async (tx): Promise<SyncResult> => {
+        const [existing] = await tx.select().from(fornecedores).where(eq(fornecedores.uuid, change.uuid));
+        if (existing && isStale(existing, change)) {
+          return { status: 'conflict', versao: existing.version, registro: toSyncFornecedor(existing) };
+        }
+
+        const values = toFornecedorValues({ ...change.registro, uuid: change.uuid });
+        const [saved] = existing
+          ? await tx.update(fornecedores)
+            .set({ ...values, version: existing.version + 1, updatedBy: actor.usuario, updatedAt: new Date() })
+            .where(eq(fornecedores.id, existing.id))
+            .returning({ version: fornecedores.version })
+          : await tx.insert(fornecedores)
+            .values({ ...values, version: (change.versao_base || 0) + 1, createdBy: actor.usuario, updatedBy: actor.usuario })
+            .returning({ version: fornecedores.version });
+        return { status: 'applied', versao: saved.version };
+      });
+    }
+
+    // Warranty claims are filed under the device's branch and never
+    // deleted; they end with a status (negada or creditada) instead
+    if (change.entidade === 'garantia') {
+      if (change.operacao === 'delete') {
+        throw new ValidationError(['Garantias não podem ser excluídas']);
+      }
+      return await this.db.transaction(async (tx): Promise<SyncResult> => {
+        const [existing] = await tx.select().from(garantias).where(eq(garantias.uuid, change.uuid));
+        if (existing && isStale(existing, change)) {
+          const [registro] = await loadSyncGarantias(tx, [existing]);
+          return { status: 'conflict', versao: existing.version, registro };
+        }
+
+        const values = await toGarantiaSyncValues(tx, { ...change.registro, uuid: change.uuid });
+        const [saved] = existing
+          ? await tx.update(garantias)
+            .set({ ...values, version: existing.version + 1, updatedBy: actor.usuario, updatedAt: new Date() })
+            .where(eq(garantias.id, existing.id))
+            .returning({ version: garantias.version })
+          : await tx.insert(garantias)
+            .values({
+              ...values,
+              filialId: values.filialId ?? actor.filialId ?? null,
+              version: (change.versao_base || 0) + 1,
+              createdBy: actor.usuario,
+              updatedBy: actor.usuario,
+            })
+            .returning({ version: garantias.version });
+        return { status: 'applied', versao: saved.version };
+      });
+    }
+
+    // RMA batches are filed under the device's branch like warranty claims
+    // and never deleted; their parts are rewritten with every change
+    if (change.entidade === 'rma') {
+      if (change.operacao === 'delete') {
+        throw new ValidationError(['Lotes de RMA não podem ser excluídos']);
+      }
+      return await this.db.transaction(async (tx): Promise<SyncResult> => {
+        const [existing] = await tx.select().from(rmas).where(eq(rmas.uuid, change.uuid));
+        if (existing && isStale(existing, change)) {
+          const [registro] = await loadSyncRmas(tx, [existing]);
+          return { status: 'conflict', versao: existing.version, registro };
+        }
+
+        const { header, itens } = await toRmaSyncValues(tx, { ...change.registro, uuid: change.uuid });
+        const [saved] = existing
+          ? await tx.update(rmas)
+            .set({ ...header, version: existing.version + 1, updatedBy: actor.usuario, updatedAt: new Date() })
+            .where(eq(rmas.id, existing.id))
+            .returning({ id: rmas.id, version: rmas.version })
+          : await tx.insert(rmas)
+            .values({
+              ...header,
+              filialId: header.filialId ?? actor.filialId ?? null,
+              version: (change.versao_base || 0) + 1,
+              createdBy: actor.usuario,
+              updatedBy: actor.usuario,
+            })
+            .returning({ id: rmas.id, version: rmas.version });
+        await tx.delete(rmaItems).where(eq(rmaItems.rmaId, saved.id));
+        await tx.insert(rmaItems).values(itens.map(item => ({ ...item, rmaId: saved.id })));
+        return { status: 'applied', versao: saved.version };
+      });
+    }
+
+    throw new ValidationError([`Entidade desconhecida: ${change.entidade}`]);
+  }
+
+  // Everything changed after since; a device pulling for the first time
+  // (since null) gets live records only. Rows without a uuid cannot be
+  // matched on the devices and are left out. With a branch, only its
+  // devolutions, warranty claims and RMA batches and the people registered
+  // at it (or at no branch) are sent, plus the people those devolutions
+  // refer to; suppliers and tombstones (which carry only uuids) are sent to
+  // every branch.
+  async getSyncUpdates(since: Date | null, filialId?: number | null): Promise<SyncUpdates> {
+    // People and devolutions in the trash reach the devices as tombstones
+    const peopleConditions: (SQL | undefined)[] = [isNull(people.deletedAt), since ? gt(people.updatedAt, since) : undefined];
+    const devolutionConditions: (SQL | undefined)[] = [isNull(devolutions.deletedAt), since ? gt(devolutions.updatedAt, since) : undefined];
+    const garantiaConditions: (SQL | undefined)[] = [since ? gt(garantias.updatedAt, since) : undefined];
+    const rmaConditions: (SQL | undefined)[] = [since ? gt(rmas.updatedAt, since) : undefined];
+    if (filialId) {
+      const branchPeople = (column: typeof devolutions.cliente_id | typeof devolutions.mecanico_id) =>
+        this.db.select({ id: column }).from(devolutions).where(eq(devolutions.filialId, filialId));
+      peopleConditions.push(or(
+        notInArray(people.id, this.db.select({ id: pessoaFiliais.personId }).from(pessoaFiliais)),
+        inArray(people.id, this.db.select({ id: pessoaFiliais.personId }).from(pessoaFiliais).where(eq(pessoaFiliais.filialId, filialId))),
+        inArray(people.id, branchPeople(devolutions.cliente_id)),
+        inArray(people.id, branchPeople(devolutions.mecanico_id))
+      ));
+      devolutionConditions.push(eq(devolutions.filialId, filialId));
+      garantiaConditions.push(eq(garantias.filialId, filialId));
+      rmaConditions.push(eq(rmas.filialId, filialId));
+    }
+
+    const changedPeople = await this.db.select().from(people).where(and(...peopleConditions));
+    const changedDevolutions = await this.db.select().from(devolutions).where(and(...devolutionConditions));
+    const changedFornecedores = await this.db.select().from(fornecedores)
+      .where(since ? gt(fornecedores.updatedAt, since) : undefined);
+    const changedGarantias = await this.db.select().from(garantias).where(and(...garantiaConditions));
+    const changedRmas = await this.db.select().from(rmas).where(and(...rmaConditions));
+    const newTombstones = since
+      ? await this.db.select().from(tombstones).where(gt(tombstones.createdAt, since))
+      : [];
+
+    return {
+      people: changedPeople.filter(person => person.uuid).map(toSyncPerson),
+      devolutions: await loadSyncDevolutions(this.db, changedDevolutions.filter(devolution => devolution.uuid)),
+      fornecedores: changedFornecedores.filter(fornecedor => fornecedor.uuid).map(toSyncFornecedor),
+      garantias: await loadSyncGarantias(this.db, changedGarantias.filter(garantia => garantia.uuid)),
+      rmas: await loadSyncRmas(this.db, changedRmas.filter(rma => rma.uuid)),
+      tombstones: newTombstones.map(toSyncTombstone),
+    };
+  }
+
+  // Remember up to when a device has pulled changes: having sent
+  // lastSyncTimestamp, it has applied everything up to that moment. Tombstones
+  // older than what every known device has acknowledged are no longer needed.
+  async acknowledgeDeviceSync(deviceId: string, acknowledgedAt: Date | null): Promise<void> {
+    await this.db.insert(syncDevices)
+      .values({ deviceId, acknowledgedAt, lastSeenAt: new Date() })
+      .onConflictDoUpdate({
+        target: syncDevices.deviceId,
+        set: { acknowledgedAt, lastSeenAt: new Date() },
+      });
+
+    const devices = await this.db.select().from(syncDevices);
+    if (devices.some(device => !device.acknowledgedAt)) {
+      return;
+    }
+
+    const oldestAcknowledged = new Date(Math.min(...devices.map(device => device.acknowledgedAt!.getTime())));
+    await this.db.delete(tombstones).where(lt(tombstones.createdAt, oldestAcknowledged));
+  }
+
+  // Branch methods
+  async getAllFiliais(): Promise<Filial[]> {
+    return await this.db.select().from(filiais).orderBy(asc(filiais.codigo));
+  }
+
+  async getFilialByCode(codigo: string): Promise<Filial | undefined> {
+    const id = await resolveFilialCode(this.db, codigo);
+    if (id === null) {
+      return undefined;
+    }
+    const [filial] = await this.db.select().from(filiais).where(eq(filiais.id, id));
+    return filial;
+  }
+
+  async createFilial(values: InsertFilial): Promise<Filial> {
+    const existing = await this.getFilialByCode(values.codigo);
+    if (existing) {
+      throw new DuplicateRecordError('Já existe uma filial com este código', { codigo: existing.codigo });
+    }
+    const [filial] = await this.db.insert(filiais).values(values).returning();
+    return filial;
+  }
+
+  async updateFilial(id: number, values: Partial<InsertFilial>): Promise<Filial | undefined> {
+    const [filial] = await this.db
+      .update(filiais)
+      .set({ ...values, updatedAt: new Date() })
+      .where(eq(filiais.id, id))
+      .returning();
+    return filial || undefined;
+  }
+
+  // Devolutions, items, parts and values per branch, by status, for the
+  // devolutions dated within the range. Every branch is listed, even without devolutions;
+  // devolutions from before branches come last, under a null code.
+  async getBranchSummary(criteria: BranchSummaryCriteria): Promise<BranchSummary[]> {
+    const dateColumn = criteria.tipo_data === 'venda' ? devolutions.data_venda : devolutions.data_devolucao;
+    const conditions = [isNull(devolutions.deletedAt)];
+    if (criteria.data_inicio) {
+      conditions.push(gte(dateColumn, new Date(criteria.data_inicio)));
+    }
+    if (criteria.data_fim) {
+      conditions.push(lte(dateColumn, new Date(criteria.data_fim)));
+    }
+    const where = and(...conditions);
+
+    const statusCounts = await this.db
+      .select({
+        filialId: devolutions.filialId,
+        status: devolutions.status,
+        devolucoes: count(),
+        reembolso: sum(devolutions.valor_reembolso),
+      })
+      .from(devolutions)
+      .where(where)
+      .groupBy(devolutions.filialId, devolutions.status);
+    const itemTotals = await this.db
+      .select({
+        filialId: devolutions.filialId,
+        itens: count(),
+        quantidade: sum(devolutionItems.quantidade_devolvida),
+        valor: sum(sql`${devolutionItems.quantidade_devolvida} * ${devolutionItems.valor_unitario}`),
+      })
+      .from(devolutionItems)
+      .innerJoin(devolutions, eq(devolutionItems.devolution_id, devolutions.id))
+      .where(where)
+      .groupBy(devolutions.filialId);
+
+    const summaries = new Map<number | null, BranchSummary>();
+    for (const filial of await this.getAllFiliais()) {
+      summaries.set(filial.id, { filial: filial.codigo, nome: filial.nome, devolucoes: 0, itens: 0, quantidade: 0, valor: 0, reembolso: 0, por_status: {} });
+    }
+    const summaryOf = (filialId: number | null) => {
+      if (!summaries.has(filialId)) {
+        summaries.set(filialId, { filial: null, nome: 'Sem filial', devolucoes: 0, itens: 0, quantidade: 0, valor: 0, reembolso: 0, por_status: {} });
+      }
+      return summaries.get(filialId)!;
+    };
+    for (const row of statusCounts) {
+      const summary = summaryOf(row.filialId);
+      summary.devolucoes += row.devolucoes;
+      summary.reembolso = Math.round((summary.reembolso + Number(row.reembolso ?? 0)) * 100) / 100;
+      summary.por_status[row.status] = row.devolucoes;
+    }
+    for (const row of itemTotals) {
+      const summary = summaryOf(row.filialId);
+      summary.itens = row.itens;
+      summary.quantidade = Number(row.quantidade ?? 0);
+      summary.valor = Number(row.valor ?? 0);
+    }
+    return [...summaries.values()];
+  }
+
+  // Supplier, warranty and company methods
+  async getAllFornecedores(): Promise<Fornecedor[]> {
+    return await this.db.select().from(fornecedores);
+  }
+
+  // Insert, or update the supplier with the same uuid
+  async saveFornecedor(fornecedor: InsertFornecedor): Promise<Fornecedor> {
+    const [saved] = await this.db.insert(fornecedores)
+      .values({ ...fornecedor, updatedAt: new Date() })
+      .onConflictDoUpdate({
+        target: fornecedores.uuid,
+        set: {
+          name: sql`excluded.name`,
+          contact: sql`excluded.contact`,
+          phone: sql`excluded.phone`,
+          email: sql`excluded.email`,
+          address: sql`excluded.address`,
+          doc: sql`excluded.doc`,
+          version: sql`${fornecedores.version} + 1`,
+          updatedBy: sql`excluded.updated_by`,
+          updatedAt: new Date(),
+        }
+      })
+      .returning();
+    return saved;
+  }
+
+  async getAllGarantias(): Promise<Garantia[]> {
+    return await this.db.select().from(garantias);
+  }
+
+  // Insert, or update the warranty with the same uuid
+  async saveGarantia(garantia: InsertGarantia): Promise<Garantia> {
+    const [saved] = await this.db.insert(garantias)
+      .values({ ...garantia, updatedAt: new Date() })
+      .onConflictDoUpdate({
+        target: garantias.uuid,
+        set: {
+          productId: sql`excluded.product_id`,
+          productDesc: sql`excluded.product_desc`,
+          quantity: sql`excluded.quantity`,
+          defect: sql`excluded.defect`,
+          purchaseInvoice: sql`excluded.purchase_invoice`,
+          value: sql`excluded.value`,
+          returnInvoice: sql`excluded.return_invoice`,
+          salesRequestId: sql`excluded.sales_request_id`,
+          warrantyRequestId: sql`excluded.warranty_request_id`,
+          status: sql`excluded.status`,
+          notes: sql`excluded.notes`,
+          supplierId: sql`excluded.supplier_id`,
+          clientId: sql`excluded.client_id`,
+          mechanicId: sql`excluded.mechanic_id`,
+          purchaseDate: sql`excluded.purchase_date`,
+          returnDate: sql`excluded.return_date`,
+          warrantyDeadline: sql`excluded.warranty_deadline`,
+          devolutionItemUuid: sql`excluded.devolution_item_uuid`,
+          version: sql`${garantias.version} + 1`,
+          updatedBy: sql`excluded.updated_by`,
+          updatedAt: new Date(),
+        }
+      })
+      .returning();
+    return saved;
+  }
+
+  // The company's settings are row id 1; a branch without settings of its
+  // own uses them
+  async getEmpresa(filialId?: number | null): Promise<Empresa | undefined> {
+    if (filialId) {
+      const [branchSettings] = await this.db.select().from(empresa).where(eq(empresa.filialId, filialId));
+      if (branchSettings) {
+        return branchSettings;
+      }
+    }
+    const [settings] = await this.db.select().from(empresa).where(eq(empresa.id, 1));
+    return settings || undefined;
+  }
+
+  // With a branch, save that branch's settings; branch rows take ids after
+  // the company's row
+  async saveEmpresa(empresaData: Partial<Empresa>, filialId?: number | null): Promise<Empresa> {
+    const values = {
+      name: empresaData.name,
+      doc: empresaData.doc,
+      phone: empresaData.phone,
+      email: empresaData.email,
+      address: empresaData.address,
+      logoUrl: empresaData.logoUrl,
+      updatedAt: new Date(),
+    };
+    if (filialId) {
+      const [saved] = await this.db.insert(empresa)
+        .values({ id: sql`(select coalesce(max(${empresa.id}), 1) + 1 from ${empresa})`, filialId, ...values })
+        .onConflictDoUpdate({ target: empresa.filialId, set: values })
+        .returning();
+      return saved;
+    }
+    const [saved] = await this.db.insert(empresa)
+      .values({ id: 1, ...values })
+      .onConflictDoUpdate({ target: empresa.id, set: values })
+      .returning();
+    return saved;
+  }
+
+  // User and session methods
+  async getUser(id: number): Promise<Usuario | undefined> {
+    const [usuario] = await this.db.select().from(usuarios).where(eq(usuarios.id, id));
+    return usuario || undefined;
+  }
+
+  async getUserByLogin(usuario: string): Promise<Usuario | undefined> {
+    const [found] = await this.db.select().from(usuarios).where(eq(usuarios.usuario, usuario));
+    return found || undefined;
+  }
+
+  async listUsers(): Promise<Usuario[]> {
+    return await this.db.select().from(usuarios).orderBy(asc(usuarios.nome));
+  }
+
+  async countUsers(): Promise<number> {
+    const [{ total }] = await this.db.select({ total: count() }).from(usuarios);
+    return total;
+  }
+
+  async createUser(values: InsertUsuario): Promise<Usuario> {
+    const [usuario] = await this.db.insert(usuarios).values(values).returning();
+    return usuario;
+  }
+
+  async updateUser(id: number, values: Partial<InsertUsuario>): Promise<Usuario | undefined> {
+    const [usuario] = await this.db
+      .update(usuarios)
+      .set({ ...values, updatedAt: new Date() })
+      .where(eq(usuarios.id, id))
+      .returning();
+    return usuario || undefined;
+  }
+
+  // Expired sessions are dropped whenever a new one starts
+  async createSession(usuarioId: number, tokenHash: string, expiresAt: Date): Promise<void> {
+    await this.db.delete(sessoes).where(lt(sessoes.expiresAt, new Date()));
+    await this.db.insert(sessoes).values({ usuarioId, tokenHash, expiresAt });
+  }
+
+  // The user of a session that has not expired, if the user is still active
+  async getSessionUser(tokenHash: string): Promise<Usuario | undefined> {
+    const [found] = await this.db
+      .select({ usuario: usuarios })
+      .from(sessoes)
+      .innerJoin(usuarios, eq(sessoes.usuarioId, usuarios.id))
+      .where(and(eq(sessoes.tokenHash, tokenHash), gt(sessoes.expiresAt, new Date()), eq(usuarios.ativo, true)));
+    return found?.usuario;
+  }
+
+  async deleteSession(tokenHash: string): Promise<void> {
+    await this.db.delete(sessoes).where(eq(sessoes.tokenHash, tokenHash));
+  }
+
+  async deleteUserSessions(usuarioId: number): Promise<void> {
+    await this.db.delete(sessoes).where(eq(sessoes.usuarioId, usuarioId));
   }
 
   // Utility methods
+  // Take the next code from the server sequence, skipping codes already
+  // used (e.g. people created before codes came from the server)
   async generatePersonCode(): Promise<string> {
-    const allPeople = await db.select().from(people);
-    const existingCodes = allPeople.map(p => p.codigo);
-    
-    let newCode = '';
-    let counter = 1;
-    
-    do {
-      newCode = `P${counter.toString().padStart(4, '0')}`;
-      counter++;
-    } while (existingCodes.includes(newCode));
-    
-    return newCode;
-  }
-}
-
-export const storage = new DatabaseStorage();
\ No newline at end of file
+    while (true) {
+      // Neon and PGlite both answer raw queries with { rows }
+      const result = await this.db.execute(sql`select nextval('person_code_seq') as value`) as { rows: { value: string | number }[] };
+      const value = Number(result.rows[0].value);
+      const codigo = `P${value.toString().padStart(4, '0')}`;
+      if (!(await this.getPersonByCode(codigo))) {
+        return codigo;
+      }
+    }
+  }
+}
+
+export const storage = new DatabaseStorage(db);
@@ -0,0 +1,500 @@
+import { eq, inArray } from "drizzle-orm";
+import * as schema from "../shared/schema";
+import { ValidationError, assertValid, validateRecord, validateDevolution, validateRma, toGarantiaValues, type FieldErrors } from "./validation";
+
+// Mapping between the records devices send through /api/sync and the server
+// tables. Devices send and receive records in the server shape (see
+// js/sync-mapping.js); people are referred to by uuid and code, since server
+// ids are not known on the devices. Records are checked with the schemas
+// shared with the browser (server/validation.ts). Branches are referred to
+// by code (filial), and the supplier of a returned part, of a warranty
+// claim or of an RMA batch by its uuid (fornecedor).
+
+export type PersonReference = { uuid?: string | null; codigo?: string | null; nome?: string | null };
+
+// Convert a date-only string from the client (YYYY-MM-DD) to a timestamp
+const toTimestamp = (value?: string | null) => (value ? new Date(value) : null);
+const toDateString = (value?: Date | null) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+export const toSyncTombstone = (tombstone: schema.Tombstone) => ({
+  entidade: tombstone.entidade,
+  uuid: tombstone.uuid,
+  deleted_at: tombstone.deletedAt,
+});
+
+// Validate a person sent by a device and convert it to table values
+export function toPersonValues(registro: any) {
+  if (!registro || typeof registro !== 'object') {
+    throw new ValidationError(['Registro ausente']);
+  }
+  assertValid(validateRecord('pessoa', registro));
+
+  return {
+    uuid: registro.uuid,
+    codigo: registro.codigo.toString().trim(),
+    nome: registro.nome.toString().trim(),
+    documento: registro.documento || null,
+    email: registro.email || null,
+    telefone: registro.telefone || null,
+    endereco: registro.endereco || null,
+    tipo: registro.tipo,
+    status: registro.status || 'Ativo',
+    observacoes: registro.observacoes || null,
+  };
+}
+
+export const toSyncPerson = (person: any) => ({
+  uuid: person.uuid,
+  codigo: person.codigo,
+  nome: person.nome,
+  documento: person.documento || null,
+  email: person.email || null,
+  telefone: person.telefone || null,
+  endereco: person.endereco || null,
+  tipo: person.tipo,
+  status: person.status,
+  observacoes: person.observacoes || null,
+  versao: person.version,
+  criado_por: person.createdBy || null,
+  atualizado_por: person.updatedBy || null,
+  updated_at: person.updatedAt,
+});
+
+export const toSyncFornecedor = (fornecedor: any) => ({
+  uuid: fornecedor.uuid,
+  name: fornecedor.name,
+  contact: fornecedor.contact || null,
+  phone: fornecedor.phone || null,
+  email: fornecedor.email || null,
+  address: fornecedor.address || null,
+  doc: fornecedor.doc || null,
+  versao: fornecedor.version,
+  criado_por: fornecedor.createdBy || null,
+  atualizado_por: fornecedor.updatedBy || null,
+  updated_at: fornecedor.updatedAt,
+});
+
+const toPersonReference = (person?: any): PersonReference | null =>
+  person ? { uuid: person.uuid, codigo: person.codigo, nome: person.nome } : null;
+
+// Find the person a device refers to, by uuid first and then by code
+async function resolvePersonReference(executor: any, reference: PersonReference): Promise<number | null> {
+  if (reference.uuid) {
+    const [person] = await executor.select({ id: schema.people.id })
+      .from(schema.people)
+      .where(eq(schema.people.uuid, reference.uuid));
+    if (person) {
+      return person.id;
+    }
+  }
+  if (reference.codigo) {
+    const [person] = await executor.select({ id: schema.people.id })
+      .from(schema.people)
+      .where(eq(schema.people.codigo, reference.codigo));
+    if (person) {
+      return person.id;
+    }
+  }
+  return null;
+}
+
+// Find the branch a device refers to by its code
+export async function resolveFilialCode(executor: any, codigo: string): Promise<number | null> {
+  const [filial] = await executor.select({ id: schema.filiais.id })
+    .from(schema.filiais)
+    .where(eq(schema.filiais.codigo, String(codigo).trim().toUpperCase()));
+  return filial ? filial.id : null;
+}
+
+// Find the suppliers devolution items refer to by uuid
+async function resolveSupplierUuids(executor: any, uuids: string[]): Promise<Map<string, number>> {
+  const unique = [...new Set(uuids)];
+  const found = unique.length > 0
+    ? await executor.select({ id: schema.fornecedores.id, uuid: schema.fornecedores.uuid })
+      .from(schema.fornecedores)
+      .where(inArray(schema.fornecedores.uuid, unique))
+    : [];
+  return new Map(found.map((fornecedor: any) => [fornecedor.uuid, fornecedor.id]));
+}
+
+// Amounts go to numeric(12,2) columns as text with two decimals; blank is null
+const toMoney = (value: any) =>
+  value === undefined || value === null || value === '' ? null : Number(value).toFixed(2);
+
+// The shared schema names devolution fields like the local records; errors
+// about those fields are reported under the server names
+const SERVER_DEVOLUTION_FIELDS: Record<string, string> = { requisicao_venda: 'numero_pedido' };
+
+// Status history sent by a device, normalised; undefined when it was not
+// sent (the devolution keeps its own) and null when it is not a list of
+// status changes
+function toStatusHistory(value: unknown): schema.StatusChange[] | null | undefined {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (!Array.isArray(value)) {
+    return null;
+  }
+  const history: schema.StatusChange[] = [];
+  for (const step of value) {
+    if (!step || typeof step !== 'object' || typeof step.para !== 'string' || Number.isNaN(Date.parse(step.data))) {
+      return null;
+    }
+    history.push({
+      de: step.de ? String(step.de) : null,
+      para: step.para,
+      operador: String(step.operador || ''),
+      data: new Date(step.data).toISOString(),
+      observacao: String(step.observacao || ''),
+    });
+  }
+  return history;
+}
+
+const referenceLabel = (reference: PersonReference | null) =>
+  reference ? reference.nome || reference.codigo || reference.uuid || null : null;
+
+// Validate a devolution sent by a device or through the REST API and convert
+// it to header values and items. People and the branch are resolved to their
+// server ids; every problem found is reported together. Without a filial
+// the devolution keeps its branch.
+export async function toDevolutionValues(executor: any, registro: any) {
+  if (!registro || typeof registro !== 'object') {
+    throw new ValidationError(['Registro ausente']);
+  }
+
+  const itens: any[] = Array.isArray(registro.itens) ? registro.itens : [];
+  const sharedErrors = validateDevolution({
+    cliente: referenceLabel(registro.cliente),
+    mecanico: referenceLabel(registro.mecanico),
+    requisicao_venda: registro.numero_pedido,
+    acao_requisicao: registro.acao_requisicao,
+    data_venda: registro.data_venda,
+    data_devolucao: registro.data_devolucao,
+    status: registro.status,
+    valor_reembolso: registro.valor_reembolso,
+  }, itens);
+
+  const campos: FieldErrors = {};
+  for (const [campo, mensagem] of Object.entries(sharedErrors)) {
+    campos[SERVER_DEVOLUTION_FIELDS[campo] || campo] = mensagem;
+  }
+
+  const resolve = async (reference: PersonReference | null, campo: string, label: string) => {
+    if (!reference) {
+      return null;
+    }
+    const id = await resolvePersonReference(executor, reference);
+    if (id === null && !campos[campo]) {
+      campos[campo] = `${label} "${referenceLabel(reference)}" não encontrado no servidor`;
+    }
+    return id;
+  };
+
+  const clienteId = await resolve(registro.cliente, 'cliente', 'Cliente');
+  const mecanicoId = registro.mecanico ? await resolve(registro.mecanico, 'mecanico', 'Mecânico') : clienteId;
+
+  const filialId = registro.filial ? await resolveFilialCode(executor, registro.filial) : undefined;
+  if (filialId === null) {
+    campos.filial = `Filial "${registro.filial}" não encontrada no servidor`;
+  }
+
+  const statusHistory = toStatusHistory(registro.status_historico);
+  if (statusHistory === null) {
+    campos.status_historico = 'Histórico de status inválido';
+  }
+
+  const supplierIds = await resolveSupplierUuids(
+    executor,
+    itens.map(item => item?.fornecedor).filter((uuid): uuid is string => typeof uuid === 'string' && uuid !== '')
+  );
+  itens.forEach((item, index) => {
+    if (item?.fornecedor && !supplierIds.has(item.fornecedor) && !campos[`itens.${index}.fornecedor`]) {
+      campos[`itens.${index}.fornecedor`] = `Peça ${index + 1}: fornecedor não encontrado no servidor`;
+    }
+  });
+
+  assertValid(campos);
+
+  const header = {
+    uuid: registro.uuid,
+    cliente_id: clienteId,
+    mecanico_id: mecanicoId,
+    numero_pedido: registro.numero_pedido.toString().trim(),
+    acao_requisicao: registro.acao_requisicao || null,
+    data_venda: toTimestamp(registro.data_venda),
+    data_devolucao: toTimestamp(registro.data_devolucao) as Date,
+    observacoes: registro.observacoes || null,
+    ...(registro.status ? { status: registro.status } : {}),
+    resolucao: registro.resolucao || null,
+    ...(statusHistory ? { status_historico: statusHistory } : {}),
+    valor_reembolso: toMoney(registro.valor_reembolso),
+    ...(filialId ? { filialId } : {}),
+  };
+
+  return {
+    header,
+    itens: itens.map(item => ({
+      uuid: item.uuid || null,
+      codigo_peca: item.codigo_peca.toString().trim(),
+      descricao_peca: item.descricao_peca.toString().trim(),
+      quantidade_devolvida: Number(item.quantidade_devolvida),
+      valor_unitario: toMoney(item.valor_unitario),
+      tipo_acao: item.tipo_acao.toString().trim(),
+      observacoes_item: item.observacoes_item || null,
+      fornecedorId: item.fornecedor ? supplierIds.get(item.fornecedor)! : null,
+      rmaUuid: item.rma || null,
+    })),
+  };
+}
+
+export const toSyncDevolution = (
+  devolution: any,
+  items: any[],
+  peopleById: Map<number, any>,
+  filiaisById: Map<number, any> = new Map(),
+  fornecedoresById: Map<number, any> = new Map()
+) => ({
+  uuid: devolution.uuid,
+  filial: filiaisById.get(devolution.filialId)?.codigo || null,
+  cliente: toPersonReference(peopleById.get(devolution.cliente_id)),
+  mecanico: toPersonReference(peopleById.get(devolution.mecanico_id)),
+  numero_pedido: devolution.numero_pedido || null,
+  acao_requisicao: devolution.acao_requisicao || null,
+  data_venda: toDateString(devolution.data_venda),
+  data_devolucao: toDateString(devolution.data_devolucao),
+  observacoes: devolution.observacoes || null,
+  status: devolution.status,
+  resolucao: devolution.resolucao || null,
+  status_historico: devolution.status_historico || [],
+  valor_reembolso: devolution.valor_reembolso === null ? null : Number(devolution.valor_reembolso),
+  versao: devolution.version,
+  criado_por: devolution.createdBy || null,
+  atualizado_por: devolution.updatedBy || null,
+  updated_at: devolution.updatedAt,
+  itens: [...items].sort((a, b) => a.id - b.id).map(item => ({
+    uuid: item.uuid,
+    codigo_peca: item.codigo_peca,
+    descricao_peca: item.descricao_peca,
+    quantidade_devolvida: item.quantidade_devolvida,
+    valor_unitario: item.valor_unitario === null ? null : Number(item.valor_unitario),
+    tipo_acao: item.tipo_acao,
+    observacoes_item: item.observacoes_item || null,
+    fornecedor: fornecedoresById.get(item.fornecedorId)?.uuid || null,
+    rma: item.rmaUuid || null,
+  })),
+});
+
+// Read the rows of a table with the given ids (nulls and repeats are
+// skipped), keyed by id
+async function loadRowsById(executor: any, table: any, ids: (number | null)[]): Promise<Map<number, any>> {
+  const unique = [...new Set(ids.filter((id): id is number => id !== null))];
+  const found = unique.length > 0 ? await executor.select().from(table).where(inArray(table.id, unique)) : [];
+  return new Map<number, any>(found.map((row: any) => [row.id, row]));
+}
+
+// Load devolutions in the sync format, with their items, people, branch and
+// the suppliers of the items. Only the records these devolutions refer to
+// are read.
+export async function loadSyncDevolutions(executor: any, devolutions: any[]) {
+  const devolutionIds = devolutions.map(devolution => devolution.id);
+  const items = devolutionIds.length > 0
+    ? await executor.select().from(schema.devolutionItems)
+      .where(inArray(schema.devolutionItems.devolution_id, devolutionIds))
+    : [];
+  const peopleById = await loadRowsById(executor, schema.people, devolutions.flatMap(devolution => [devolution.cliente_id, devolution.mecanico_id]));
+  const filiaisById = await loadRowsById(executor, schema.filiais, devolutions.map(devolution => devolution.filialId));
+  const fornecedoresById = await loadRowsById(executor, schema.fornecedores, items.map((item: any) => item.fornecedorId));
+  return devolutions.map(devolution => toSyncDevolution(
+    devolution,
+    items.filter((item: any) => item.devolution_id === devolution.id),
+    peopleById,
+    filiaisById,
+    fornecedoresById
+  ));
+}
+
+// Validate a warranty claim sent by a device and convert it to table values.
+// The supplier, the people and the branch are resolved to their server ids
+// like on devolutions; the returned part it was opened from (item) is kept
+// by uuid, since items are rewritten whenever their devolution changes.
+export async function toGarantiaSyncValues(executor: any, registro: any) {
+  if (!registro || typeof registro !== 'object') {
+    throw new ValidationError(['Registro ausente']);
+  }
+
+  const campos: FieldErrors = {};
+  const resolve = async (reference: PersonReference | null, campo: string, label: string) => {
+    if (!reference) {
+      return null;
+    }
+    const id = await resolvePersonReference(executor, reference);
+    if (id === null) {
+      campos[campo] = `${label} "${referenceLabel(reference)}" não encontrado no servidor`;
+    }
+    return id;
+  };
+
+  const clientId = await resolve(registro.cliente, 'cliente', 'Cliente');
+  const mechanicId = await resolve(registro.mecanico, 'mecanico', 'Mecânico');
+
+  const supplierIds = registro.fornecedor ? await resolveSupplierUuids(executor, [registro.fornecedor]) : new Map();
+  if (registro.fornecedor && !supplierIds.has(registro.fornecedor)) {
+    campos.fornecedor = 'Fornecedor não encontrado no servidor';
+  }
+
+  const filialId = registro.filial ? await resolveFilialCode(executor, registro.filial) : undefined;
+  if (filialId === null) {
+    campos.filial = `Filial "${registro.filial}" não encontrada no servidor`;
+  }
+
+  assertValid(campos);
+
+  const values = toGarantiaValues({
+    ...registro,
+    supplierId: supplierIds.get(registro.fornecedor) ?? null,
+    clientId,
+    mechanicId,
+    devolutionItemUuid: registro.item,
+  });
+  return { ...values, ...(filialId ? { filialId } : {}) };
+}
+
+export const toSyncGarantia = (
+  garantia: any,
+  peopleById: Map<number, any>,
+  fornecedoresById: Map<number, any>,
+  filiaisById: Map<number, any> = new Map()
+) => ({
+  uuid: garantia.uuid,
+  filial: filiaisById.get(garantia.filialId)?.codigo || null,
+  productId: garantia.productId,
+  productDesc: garantia.productDesc || null,
+  quantity: garantia.quantity,
+  defect: garantia.defect || null,
+  purchaseInvoice: garantia.purchaseInvoice || null,
+  value: garantia.value === null ? null : Number(garantia.value),
+  returnInvoice: garantia.returnInvoice || null,
+  salesRequestId: garantia.salesRequestId || null,
+  warrantyRequestId: garantia.warrantyRequestId || null,
+  status: garantia.status,
+  notes: garantia.notes || null,
+  fornecedor: fornecedoresById.get(garantia.supplierId)?.uuid || null,
+  cliente: toPersonReference(peopleById.get(garantia.clientId)),
+  mecanico: toPersonReference(peopleById.get(garantia.mechanicId)),
+  item: garantia.devolutionItemUuid || null,
+  purchaseDate: toDateString(garantia.purchaseDate),
+  returnDate: toDateString(garantia.returnDate),
+  warrantyDeadline: toDateString(garantia.warrantyDeadline),
+  versao: garantia.version,
+  criado_por: garantia.createdBy || null,
+  atualizado_por: garantia.updatedBy || null,
+  updated_at: garantia.updatedAt,
+});
+
+// Load warranty claims in the sync format, with the people, suppliers and
+// branches they refer to
+export async function loadSyncGarantias(executor: any, rows: any[]) {
+  const peopleById = await loadRowsById(executor, schema.people, rows.flatMap(garantia => [garantia.clientId, garantia.mechanicId]));
+  const fornecedoresById = await loadRowsById(executor, schema.fornecedores, rows.map(garantia => garantia.supplierId));
+  const filiaisById = await loadRowsById(executor, schema.filiais, rows.map(garantia => garantia.filialId));
+  return rows.map(garantia => toSyncGarantia(garantia, peopleById, fornecedoresById, filiaisById));
+}
+
+// Validate an RMA batch sent by a device and convert it to table values and
+// parts. The supplier and the branch are resolved like on warranty claims;
+// parts refer to the returned parts by uuid (item).
+export async function toRmaSyncValues(executor: any, registro: any) {
+  if (!registro || typeof registro !== 'object') {
+    throw new ValidationError(['Registro ausente']);
+  }
+
+  const itens: any[] = Array.isArray(registro.itens) ? registro.itens : [];
+  const campos = validateRma(registro, itens);
+  itens.forEach((item, index) => {
+    if (!item?.item && !campos[`itens.${index}.item`]) {
+      campos[`itens.${index}.item`] = `Peça ${index + 1}: peça devolvida não informada`;
+    }
+  });
+
+  const supplierIds = registro.fornecedor ? await resolveSupplierUuids(executor, [registro.fornecedor]) : new Map();
+  if (!registro.fornecedor) {
+    campos.fornecedor = 'Fornecedor é obrigatório';
+  } else if (!supplierIds.has(registro.fornecedor)) {
+    campos.fornecedor = 'Fornecedor não encontrado no servidor';
+  }
+
+  const filialId = registro.filial ? await resolveFilialCode(executor, registro.filial) : undefined;
+  if (filialId === null) {
+    campos.filial = `Filial "${registro.filial}" não encontrada no servidor`;
+  }
+
+  assertValid(campos);
+
+  return {
+    header: {
+      uuid: registro.uuid,
+      supplierId: supplierIds.get(registro.fornecedor)!,
+      status: registro.status || 'aberto',
+      shippingDate: toTimestamp(registro.shippingDate),
+      supplierResponse: registro.supplierResponse || null,
+      creditAmount: toMoney(registro.creditAmount),
+      notes: registro.notes || null,
+      ...(filialId ? { filialId } : {}),
+    },
+    itens: itens.map(item => ({
+      devolutionItemUuid: String(item.item),
+      productId: String(item.productId).trim(),
+      productDesc: item.productDesc || null,
+      quantity: Number(item.quantity),
+    })),
+  };
+}
+
+export const toSyncRma = (
+  rma: any,
+  items: any[],
+  fornecedoresById: Map<number, any>,
+  filiaisById: Map<number, any> = new Map()
+) => ({
+  uuid: rma.uuid,
+  filial: filiaisById.get(rma.filialId)?.codigo || null,
+  fornecedor: fornecedoresById.get(rma.supplierId)?.uuid || null,
+  status: rma.status,
+  shippingDate: toDateString(rma.shippingDate),
+  supplierResponse: rma.supplierResponse || null,
+  creditAmount: rma.creditAmount === null ? null : Number(rma.creditAmount),
+  notes: rma.notes || null,
+  versao: rma.version,
+  criado_por: rma.createdBy || null,
+  atualizado_por: rma.updatedBy || null,
+  updated_at: rma.updatedAt,
+  itens: [...items].sort((a, b) => a.id - b.id).map(item => ({
+    item: item.devolutionItemUuid,
+    productId: item.productId,
+    productDesc: item.productDesc || null,
+    quantity: item.quantity,
+  })),
+});
+
+// Load RMA batches in the sync format, with their parts, suppliers and branches
+export async function loadSyncRmas(executor: any, rows: any[]) {
+  const rmaIds = rows.map(rma => rma.id);
+  const items = rmaIds.length > 0
+    ? await executor.select().from(schema.rmaItems).where(inArray(schema.rmaItems.rmaId, rmaIds))
+    : [];
+  const fornecedoresById = await loadRowsById(executor, schema.fornecedores, rows.map(rma => rma.supplierId));
+  const filiaisById = await loadRowsById(executor, schema.filiais, rows.map(rma => rma.filialId));
+  return rows.map(rma => toSyncRma(
+    rma,
+    items.filter((item: any) => item.rmaId === rma.id),
+    fornecedoresById,
+    filiaisById
+  ));
+}
+
+// Load one devolution in the sync format
+export async function loadSyncDevolution(executor: any, devolution: any) {
+  const [loaded] = await loadSyncDevolutions(executor, [devolution]);
+  return loaded;
+}
@@ -0,0 +1,135 @@
+import type { Empresa, InsertFilial, InsertFornecedor, InsertGarantia } from "../shared/schema";
+
+// The validation schemas are shared with the browser: js/validation.js is a
+// plain script there and a CommonJS module here, so both check records with
+// the same rules and messages
+const shared = require("../js/validation.js");
+
+export type SchemaName = 'pessoa' | 'devolucao' | 'item' | 'garantia' | 'fornecedor' | 'usuario' | 'filial' | 'peca' | 'empresa' | 'rma' | 'rmaItem';
+
+// Portuguese message per invalid field; empty when the record is valid
+export type FieldErrors = Record<string, string>;
+
+// User roles, from least to most allowed
+export const USER_ROLES: readonly string[] = shared.USER_ROLES;
+
+export const validateRecord: (schemaName: SchemaName, record: any) => FieldErrors = shared.validateRecord;
+export const validateDevolution: (devolucao: any, itens: any[]) => FieldErrors = shared.validateDevolution;
+export const validateRma: (rma: any, itens: any[]) => FieldErrors = shared.validateRma;
+export const validateStatusChange: (currentStatus: string, newStatus: string, resolucao?: string | null) => FieldErrors =
+  shared.validateStatusChange;
+
+// Devolution statuses closing a devolution (see STATUS_TRANSITIONS in js/validation.js)
+export const CLOSED_STATUSES: readonly string[] = shared.CLOSED_STATUSES;
+
+// A record that cannot be stored, with every problem found in it: the
+// messages (erros) and the field each one is about, when there is one (campos)
+export class ValidationError extends Error {
+  erros: string[];
+  campos: FieldErrors;
+
+  constructor(erros: string[], campos: FieldErrors = {}) {
+    super(erros.join('; '));
+    this.name = 'ValidationError';
+    this.erros = erros;
+    this.campos = campos;
+  }
+}
+
+// A status change the devolution workflow does not allow
+export class StatusChangeError extends ValidationError {
+  constructor(erros: string[], campos: FieldErrors = {}) {
+    super(erros, campos);
+    this.name = 'StatusChangeError';
+  }
+}
+
+// Throw a ValidationError when a validation result has errors
+export function assertValid(campos: FieldErrors) {
+  const erros = Object.values(campos);
+  if (erros.length > 0) {
+    throw new ValidationError(erros, campos);
+  }
+}
+
+const orNull = (value: unknown) => (value === undefined || value === null || value === '' ? null : value);
+const toText = (value: unknown) => orNull(value) === null ? null : String(value).trim();
+const toInteger = (value: unknown) => orNull(value) === null ? null : Number(value);
+const toTimestamp = (value: unknown) => orNull(value) === null ? null : new Date(String(value));
+
+// Validate a branch sent to the API and convert it to table values. Codes
+// are kept in capitals, so devices can match them as typed.
+export function toFilialValues(registro: any): InsertFilial {
+  assertValid(validateRecord('filial', registro));
+  return {
+    codigo: String(registro.codigo).trim().toUpperCase(),
+    nome: String(registro.nome).trim(),
+    ativo: registro.ativo === undefined ? true : Boolean(registro.ativo),
+  };
+}
+
+// Validate a supplier sent to the API and convert it to table values
+export function toFornecedorValues(registro: any): InsertFornecedor {
+  if (!registro || typeof registro !== 'object') {
+    throw new ValidationError(['Registro ausente']);
+  }
+  assertValid(validateRecord('fornecedor', registro));
+  return {
+    uuid: registro.uuid,
+    name: String(registro.name).trim(),
+    contact: toText(registro.contact),
+    phone: toText(registro.phone),
+    email: toText(registro.email),
+    address: toText(registro.address),
+    doc: toText(registro.doc),
+  };
+}
+
+// Validate company settings sent to the API. The logo is a data: URL (the
+// devices keep it as a blob) or an http(s) address.
+export function toEmpresaValues(registro: any): Partial<Empresa> {
+  if (!registro || typeof registro !== 'object') {
+    throw new ValidationError(['Registro ausente']);
+  }
+  const campos = validateRecord('empresa', registro);
+  const logoUrl = toText(registro.logoUrl);
+  if (logoUrl && !/^(data:image\/[a-z+.-]+;base64,|https?:\/\/)/i.test(logoUrl)) {
+    campos.logoUrl = 'Logotipo inválido';
+  }
+  assertValid(campos);
+  return {
+    name: String(registro.name).trim(),
+    doc: toText(registro.doc),
+    phone: toText(registro.phone),
+    email: toText(registro.email),
+    address: toText(registro.address),
+    logoUrl,
+  };
+}
+
+// Validate a warranty claim sent to the API and convert it to table values.
+// Dates are YYYY-MM-DD, like the devolution dates.
+export function toGarantiaValues(registro: any): InsertGarantia {
+  assertValid(validateRecord('garantia', registro));
+  return {
+    uuid: registro.uuid,
+    productId: String(registro.productId).trim(),
+    productDesc: toText(registro.productDesc),
+    quantity: Number(registro.quantity),
+    defect: toText(registro.defect),
+    purchaseInvoice: toText(registro.purchaseInvoice),
+    value: orNull(registro.value) === null ? null : Number(registro.value).toFixed(2),
+    returnInvoice: toText(registro.returnInvoice),
+    salesRequestId: toText(registro.salesRequestId),
+    warrantyRequestId: toText(registro.warrantyRequestId),
+    status: registro.status || 'aberta',
+    notes: toText(registro.notes),
+    supplierId: toInteger(registro.supplierId),
+    clientId: toInteger(registro.clientId),
+    mechanicId: toInteger(registro.mechanicId),
+    purchaseDate: toTimestamp(registro.purchaseDate),
+    returnDate: toTimestamp(registro.returnDate),
+    warrantyDeadline: toTimestamp(registro.warrantyDeadline),
+    devolutionItemUuid: toText(registro.devolutionItemUuid),
+  };
+}
@@ -1,51 +1,258 @@
-import { pgTable, serial, varchar, text, integer, timestamp, boolean } from 'drizzle-orm/pg-core';
+import { pgTable, pgSequence, primaryKey, serial, varchar, text, integer, numeric, timestamp, boolean, jsonb } from 'drizzle-orm/pg-core';
 import { relations } from 'drizzle-orm';
 
+// Branches (filiais): the stores sharing this server. Devices pick one and
+// sync only its devolutions; branches are referred to by code on the devices.
+export const filiais = pgTable('filiais', {
+  id: serial('id').primaryKey(),
+  codigo: varchar('codigo', { length: 20 }).notNull().unique(),
+  nome: varchar('nome', { length: 255 }).notNull(),
+  ativo: boolean('ativo').default(true).notNull(),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+});
+
 // People table
 export const people = pgTable('people', {
   id: serial('id').primaryKey(),
+  uuid: varchar('uuid', { length: 36 }).unique(),
   codigo: varchar('codigo', { length: 20 }).notNull().unique(),
   nome: varchar('nome', { length: 255 }).notNull(),
+  documento: varchar('documento', { length: 20 }), // CPF or CNPJ
   email: varchar('email', { length: 255 }),
   telefone: varchar('telefone', { length: 20 }),
   endereco: text('endereco'),
   tipo: varchar('tipo', { length: 20 }).notNull(), // 'Cliente', 'Mecânico', 'Ambos'
   status: varchar('status', { length: 20 }).default('Ativo').notNull(), // 'Ativo', 'Inativo'
   observacoes: text('observacoes'),
+  version: integer('version').default(1).notNull(), // bumped on every change; sync rejects writes based on an older version
+  createdBy: varchar('created_by', { length: 50 }), // username of the user who created / last changed it
+  updatedBy: varchar('updated_by', { length: 50 }),
   createdAt: timestamp('created_at').defaultNow().notNull(),
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
+  // Set when a device moves the person to its trash; devolutions and
+  // warranty claims keep referring to them, so the row stays
+  deletedAt: timestamp('deleted_at'),
 });
 
+// Person codes (P0001, P0002, ...) handed out by the server, so devices
+// creating people at the same time never get the same code
+export const personCodeSequence = pgSequence('person_code_seq', { startWith: 1 });
+
+// One status change of a devolution: who moved it (operador), from which
+// status to which, when, and the notes given
+export type StatusChange = { de: string | null; para: string; operador: string; data: string; observacao: string };
+
 // Devolutions table (header)
 export const devolutions = pgTable('devolutions', {
   id: serial('id').primaryKey(),
+  uuid: varchar('uuid', { length: 36 }).unique(),
   cliente_id: integer('cliente_id').references(() => people.id),
   mecanico_id: integer('mecanico_id').references(() => people.id),
   numero_pedido: varchar('numero_pedido', { length: 100 }),
+  acao_requisicao: varchar('acao_requisicao', { length: 20 }), // 'Alterada', 'Excluída'
   data_venda: timestamp('data_venda'),
   data_devolucao: timestamp('data_devolucao').notNull(),
   observacoes: text('observacoes'),
+  status: varchar('status', { length: 20 }).default('Aberta').notNull(), // 'Aberta', 'Em análise', 'Concluída', 'Recusada'
+  resolucao: text('resolucao'),
+  status_historico: jsonb('status_historico').$type<StatusChange[]>().default([]).notNull(), // oldest first
+  valor_reembolso: numeric('valor_reembolso', { precision: 12, scale: 2 }), // refund or credit given to the customer
+  filialId: integer('filial_id').references(() => filiais.id), // null for devolutions from before branches
+  version: integer('version').default(1).notNull(), // bumped on every change; sync rejects writes based on an older version
+  createdBy: varchar('created_by', { length: 50 }), // username of the user who created / last changed it
+  updatedBy: varchar('updated_by', { length: 50 }),
   createdAt: timestamp('created_at').defaultNow().notNull(),
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
+  // Set when the devolution is moved to the trash; RMA batches and warranty
+  // claims keep referring to its parts, so the row and its items stay
+  deletedAt: timestamp('deleted_at'),
 });
 
+// Branches each person is registered at. A person with no links is shared
+// by every branch.
+export const pessoaFiliais = pgTable('pessoa_filiais', {
+  personId: integer('person_id').references(() => people.id).notNull(),
+  filialId: integer('filial_id').references(() => filiais.id).notNull(),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => [primaryKey({ columns: [table.personId, table.filialId] })]);
+
 // Devolution items table (details)
 export const devolutionItems = pgTable('devolution_items', {
   id: serial('id').primaryKey(),
+  uuid: varchar('uuid', { length: 36 }).unique(),
   devolution_id: integer('devolution_id').references(() => devolutions.id).notNull(),
   codigo_peca: varchar('codigo_peca', { length: 100 }).notNull(),
   descricao_peca: text('descricao_peca').notNull(),
   quantidade_devolvida: integer('quantidade_devolvida').notNull(),
+  valor_unitario: numeric('valor_unitario', { precision: 12, scale: 2 }),
   tipo_acao: varchar('tipo_acao', { length: 50 }).notNull(),
   observacoes_item: text('observacoes_item'),
+  fornecedorId: integer('fornecedor_id').references(() => fornecedores.id), // supplier the part goes back to
+  rmaUuid: varchar('rma_uuid', { length: 36 }), // RMA batch the part was sent back to its supplier in
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+});
+
+// Suppliers table
+export const fornecedores = pgTable('fornecedores', {
+  id: serial('id').primaryKey(),
+  uuid: varchar('uuid', { length: 36 }).unique(),
+  name: varchar('name', { length: 255 }).notNull(),
+  contact: varchar('contact', { length: 255 }),
+  phone: varchar('phone', { length: 20 }),
+  email: varchar('email', { length: 255 }),
+  address: text('address'),
+  doc: varchar('doc', { length: 20 }), // CNPJ
+  version: integer('version').default(1).notNull(), // bumped on every change; sync rejects writes based on an older version
+  createdBy: varchar('created_by', { length: 50 }),
+  updatedBy: varchar('updated_by', { length: 50 }),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+});
+
+// Warranty claims table
+export const garantias = pgTable('garantias', {
+  id: serial('id').primaryKey(),
+  uuid: varchar('uuid', { length: 36 }).unique(),
+  productId: varchar('product_id', { length: 100 }).notNull(), // part code
+  productDesc: text('product_desc'),
+  quantity: integer('quantity').default(1).notNull(),
+  defect: text('defect'),
+  purchaseInvoice: varchar('purchase_invoice', { length: 100 }),
+  value: numeric('value', { precision: 12, scale: 2 }),
+  returnInvoice: varchar('return_invoice', { length: 100 }),
+  salesRequestId: varchar('sales_request_id', { length: 100 }),
+  warrantyRequestId: varchar('warranty_request_id', { length: 100 }),
+  status: varchar('status', { length: 20 }).default('aberta').notNull(),
+  notes: text('notes'),
+  supplierId: integer('supplier_id').references(() => fornecedores.id),
+  clientId: integer('client_id').references(() => people.id),
+  mechanicId: integer('mechanic_id').references(() => people.id),
+  purchaseDate: timestamp('purchase_date'),
+  returnDate: timestamp('return_date'),
+  warrantyDeadline: timestamp('warranty_deadline'),
+  devolutionItemUuid: varchar('devolution_item_uuid', { length: 36 }), // returned part the claim was opened from
+  filialId: integer('filial_id').references(() => filiais.id),
+  version: integer('version').default(1).notNull(), // bumped on every change; sync rejects writes based on an older version
+  createdBy: varchar('created_by', { length: 50 }),
+  updatedBy: varchar('updated_by', { length: 50 }),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+});
+
+// Return-to-vendor (RMA) batches: returned parts sent back to one supplier
+// together, with the supplier's answer and the credit granted
+export const rmas = pgTable('rmas', {
+  id: serial('id').primaryKey(),
+  uuid: varchar('uuid', { length: 36 }).unique(),
+  supplierId: integer('supplier_id').references(() => fornecedores.id).notNull(),
+  status: varchar('status', { length: 20 }).default('aberto').notNull(),
+  shippingDate: timestamp('shipping_date'),
+  supplierResponse: text('supplier_response'),
+  creditAmount: numeric('credit_amount', { precision: 12, scale: 2 }),
+  notes: text('notes'),
+  filialId: integer('filial_id').references(() => filiais.id),
+  version: integer('version').default(1).notNull(), // bumped on every change; sync rejects writes based on an older version
+  createdBy: varchar('created_by', { length: 50 }),
+  updatedBy: varchar('updated_by', { length: 50 }),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+});
+
+// Parts in an RMA batch, as they were when included; the returned part is
+// kept by uuid, since devolution items are rewritten when their devolution changes
+export const rmaItems = pgTable('rma_items', {
+  id: serial('id').primaryKey(),
+  rmaId: integer('rma_id').references(() => rmas.id).notNull(),
+  devolutionItemUuid: varchar('devolution_item_uuid', { length: 36 }).notNull(),
+  productId: varchar('product_id', { length: 100 }).notNull(), // part code
+  productDesc: text('product_desc'),
+  quantity: integer('quantity').notNull(),
+});
+
+// Company settings used on printed documents: row id 1 holds the company's,
+// and a branch can have its own row (filial_id) that takes their place
+export const empresa = pgTable('empresa', {
+  id: integer('id').primaryKey(),
+  filialId: integer('filial_id').references(() => filiais.id).unique(),
+  name: varchar('name', { length: 255 }),
+  doc: varchar('doc', { length: 20 }), // CNPJ
+  phone: varchar('phone', { length: 20 }),
+  email: varchar('email', { length: 255 }),
+  address: text('address'),
+  logoUrl: text('logo_url'),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+});
+
+// Deleted records, kept until every device has pulled the deletion
+export const tombstones = pgTable('tombstones', {
+  id: serial('id').primaryKey(),
+  entidade: varchar('entidade', { length: 20 }).notNull(), // 'devolucao', 'item', 'pessoa'
+  uuid: varchar('uuid', { length: 36 }).notNull().unique(),
+  deviceId: varchar('device_id', { length: 36 }),
+  deletedBy: varchar('deleted_by', { length: 50 }),
+  deletedAt: timestamp('deleted_at').defaultNow().notNull(),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+});
+
+// Devices that sync with the server and up to when each has pulled changes
+export const syncDevices = pgTable('sync_devices', {
+  id: serial('id').primaryKey(),
+  deviceId: varchar('device_id', { length: 36 }).notNull().unique(),
+  acknowledgedAt: timestamp('acknowledged_at'),
+  lastSeenAt: timestamp('last_seen_at').defaultNow().notNull(),
+});
+
+// User accounts. Roles (papel), from least to most allowed: 'operador',
+// 'gerente', 'admin' (see server/auth.ts)
+export const usuarios = pgTable('usuarios', {
+  id: serial('id').primaryKey(),
+  usuario: varchar('usuario', { length: 50 }).notNull().unique(), // login name
+  nome: varchar('nome', { length: 255 }).notNull(),
+  papel: varchar('papel', { length: 20 }).default('operador').notNull(),
+  senhaHash: text('senha_hash').notNull(), // scrypt, never the password itself
+  ativo: boolean('ativo').default(true).notNull(),
   createdAt: timestamp('created_at').defaultNow().notNull(),
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
 });
 
+// Signed-in sessions. Only a hash of the token is stored, so the table
+// cannot be used to sign in.
+export const sessoes = pgTable('sessoes', {
+  id: serial('id').primaryKey(),
+  tokenHash: varchar('token_hash', { length: 64 }).notNull().unique(),
+  usuarioId: integer('usuario_id').references(() => usuarios.id).notNull(),
+  expiresAt: timestamp('expires_at').notNull(),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+});
+
 // Relations
+export const filiaisRelations = relations(filiais, ({ many }) => ({
+  devolutions: many(devolutions),
+  people: many(pessoaFiliais),
+  warranties: many(garantias),
+  rmas: many(rmas),
+}));
+
+export const pessoaFiliaisRelations = relations(pessoaFiliais, ({ one }) => ({
+  person: one(people, {
+    fields: [pessoaFiliais.personId],
+    references: [people.id],
+  }),
+  filial: one(filiais, {
+    fields: [pessoaFiliais.filialId],
+    references: [filiais.id],
+  }),
+}));
+
 export const peopleRelations = relations(people, ({ many }) => ({
+  filiais: many(pessoaFiliais),
   devolutionsAsClient: many(devolutions, { relationName: 'client' }),
   devolutionsAsMechanic: many(devolutions, { relationName: 'mechanic' }),
+  warrantiesAsClient: many(garantias, { relationName: 'warrantyClient' }),
+  warrantiesAsMechanic: many(garantias, { relationName: 'warrantyMechanic' }),
 }));
 
 export const devolutionsRelations = relations(devolutions, ({ one, many }) => ({
@@ -59,6 +266,10 @@ export const devolutionsRelations = relations(devolutions, ({ one, many }) => ({
     references: [people.id],
     relationName: 'mechanic',
   }),
+  filial: one(filiais, {
+    fields: [devolutions.filialId],
+    references: [filiais.id],
+  }),
   items: many(devolutionItems),
 }));
 
@@ -67,12 +278,76 @@ export const devolutionItemsRelations = relations(devolutionItems, ({ one }) =>
     fields: [devolutionItems.devolution_id],
     references: [devolutions.id],
   }),
+  supplier: one(fornecedores, {
+    fields: [devolutionItems.fornecedorId],
+    references: [fornecedores.id],
+  }),
+}));
+
+export const fornecedoresRelations = relations(fornecedores, ({ many }) => ({
+  warranties: many(garantias),
+  devolutionItems: many(devolutionItems),
+  rmas: many(rmas),
+}));
+
+export const garantiasRelations = relations(garantias, ({ one }) => ({
+  supplier: one(fornecedores, {
+    fields: [garantias.supplierId],
+    references: [fornecedores.id],
+  }),
+  client: one(people, {
+    fields: [garantias.clientId],
+    references: [people.id],
+    relationName: 'warrantyClient',
+  }),
+  mechanic: one(people, {
+    fields: [garantias.mechanicId],
+    references: [people.id],
+    relationName: 'warrantyMechanic',
+  }),
+  filial: one(filiais, {
+    fields: [garantias.filialId],
+    references: [filiais.id],
+  }),
+}));
+
+export const rmasRelations = relations(rmas, ({ one, many }) => ({
+  supplier: one(fornecedores, {
+    fields: [rmas.supplierId],
+    references: [fornecedores.id],
+  }),
+  filial: one(filiais, {
+    fields: [rmas.filialId],
+    references: [filiais.id],
+  }),
+  items: many(rmaItems),
+}));
+
+export const rmaItemsRelations = relations(rmaItems, ({ one }) => ({
+  rma: one(rmas, {
+    fields: [rmaItems.rmaId],
+    references: [rmas.id],
+  }),
 }));
 
 // Type exports
+export type Filial = typeof filiais.$inferSelect;
+export type InsertFilial = typeof filiais.$inferInsert;
 export type Person = typeof people.$inferSelect;
 export type InsertPerson = typeof people.$inferInsert;
 export type Devolution = typeof devolutions.$inferSelect;
 export type InsertDevolution = typeof devolutions.$inferInsert;
 export type DevolutionItem = typeof devolutionItems.$inferSelect;
-export type InsertDevolutionItem = typeof devolutionItems.$inferInsert;
\ No newline at end of file
+export type InsertDevolutionItem = typeof devolutionItems.$inferInsert;
+export type Fornecedor = typeof fornecedores.$inferSelect;
+export type InsertFornecedor = typeof fornecedores.$inferInsert;
+export type Garantia = typeof garantias.$inferSelect;
+export type InsertGarantia = typeof garantias.$inferInsert;
+export type Rma = typeof rmas.$inferSelect;
+export type RmaItem = typeof rmaItems.$inferSelect;
+export type Empresa = typeof empresa.$inferSelect;
+export type Tombstone = typeof tombstones.$inferSelect;
+export type SyncDevice = typeof syncDevices.$inferSelect;
+export type Usuario = typeof usuarios.$inferSelect;
+export type InsertUsuario = typeof usuarios.$inferInsert;
+export type Sessao = typeof sessoes.$inferSelect;
@@ -1,6 +1,15 @@
-importScripts('/js/sync.js');
+// database.js publishes its functions on window; in the worker that is the global scope
+self.window = self;
+importScripts(
+  'https://cdn.jsdelivr.net/npm/idb@7/build/umd.js',
+  '/js/validation.js',
+  '/js/database.js',
+  '/js/sync-mapping.js',
+  '/js/auth.js',
+  '/js/sync.js'
+);
 
-const CACHE_NAME = 'controle-pecas-v1.0.0';
+const CACHE_NAME = 'controle-pecas-v1.9.0';
 const urlsToCache = [
   '/',
   '/index.html',
@@ -9,9 +18,28 @@ const urlsToCache = [
   '/consulta.html',
   '/relatorio.html',
   '/backup.html',
+  '/lixeira.html',
+  '/conflitos.html',
+  '/login.html',
+  '/usuarios.html',
+  '/filiais.html',
+  '/pecas.html',
+  '/fornecedores.html',
+  '/garantias.html',
+  '/rmas.html',
+  '/empresa.html',
   '/css/styles.css',
+  '/js/validation.js',
   '/js/database.js',
+  '/js/sync-mapping.js',
+  '/js/auth.js',
+  '/js/sync.js',
   '/js/pessoas.js',
+  '/js/pecas.js',
+  '/js/fornecedores.js',
+  '/js/garantias.js',
+  '/js/rmas.js',
+  '/js/empresa.js',
   '/js/forms.js',
   '/js/reports.js',
   '/js/backup.js',
@@ -72,6 +100,7 @@ self.addEventListener('fetch', function(event) {
   // Skip requests to external APIs that need to be fresh
   if (event.request.url.includes('neon.tech') || 
       event.request.url.includes('api.') ||
+      event.request.url.includes('/api/') ||
       event.request.method !== 'GET') {
     return;
   }
@@ -123,7 +152,7 @@ self.addEventListener('fetch', function(event) {
 self.addEventListener('sync', function(event) {
   console.log('Service Worker: Background sync triggered:', event.tag);
   
-  if (event.tag === 'background-sync') {
+  if (event.tag === BACKGROUND_SYNC_TAG) {
     event.waitUntil(doBackgroundSync());
   }
 });
@@ -173,18 +202,20 @@ self.addEventListener('notificationclick', function(event) {
   }
 });
 
-// Background sync function
+// Background sync function: send the outbox straight from IndexedDB.
+// Progress reaches open pages through updateSyncStatus (postMessage).
 async function doBackgroundSync() {
   try {
     console.log('Service Worker: Performing background sync');
 
-    // Here you could implement data synchronization logic
-    // For example, sync pending devolutions or people data
+    const result = await triggerSync();
 
-    // For now, just log the sync attempt
-    console.log('Service Worker: Background sync completed');
+    // Rejecting makes the browser retry the sync later
+    if (result && result.error) {
+      throw new Error(result.error);
+    }
 
-    return Promise.resolve();
+    console.log('Service Worker: Background sync completed', result);
   } catch (error) {
     console.error('Service Worker: Background sync failed', error);
     throw error;
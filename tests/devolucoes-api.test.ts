@@ -0,0 +1,165 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { randomUUID } from "crypto";
+import { startApi, type ApiCall } from "./http";
+import { devolution, fornecedor, garantia, rma, upsert } from "./fixtures";
+
+// REST routes for devolutions (api/index.ts), through HTTP
+let api: Awaited<ReturnType<typeof startApi>>;
+let operador: ApiCall;
+let gerente: ApiCall;
+let cliente: { uuid: string };
+
+before(async () => {
+  api = await startApi();
+  operador = api.as('operador');
+  gerente = api.as('gerente');
+  cliente = (await operador('POST', '/pessoas', { nome: 'Cliente da API', tipo: 'Cliente' })).body;
+});
+
+after(async () => {
+  await api.close();
+});
+
+const create = async (fields: Record<string, unknown> = {}) => {
+  const answer = await operador('POST', '/devolucoes', devolution(cliente, fields));
+  assert.equal(answer.status, 201);
+  return answer.body;
+};
+
+test('routes need a session', async () => {
+  assert.equal((await api.anonymous('GET', '/devolucoes/1')).status, 401);
+});
+
+test('a created devolution is read by id or uuid', async () => {
+  const created = await create();
+  assert.equal(created.versao, 1);
+  assert.equal(created.status, 'Aberta');
+
+  for (const key of [created.id, created.uuid]) {
+    const answer = await operador('GET', `/devolucoes/${key}`);
+    assert.equal(answer.status, 200);
+    assert.equal(answer.body.uuid, created.uuid);
+  }
+});
+
+test('unknown devolutions answer 404', async () => {
+  const registro = devolution(cliente);
+  assert.equal((await operador('GET', '/devolucoes/999999')).status, 404);
+  assert.equal((await operador('PUT', '/devolucoes/999999', registro)).status, 404);
+  assert.equal((await operador('PATCH', '/devolucoes/999999', { observacoes: 'x' })).status, 404);
+  assert.equal((await gerente('DELETE', '/devolucoes/999999')).status, 404);
+});
+
+test('invalid devolutions answer 422 with the problem per field', async () => {
+  const answer = await operador('POST', '/devolucoes', devolution(cliente, { numero_pedido: '', itens: [] }));
+  assert.equal(answer.status, 422);
+  assert.equal(answer.body.campos.numero_pedido, 'Número da requisição de venda é obrigatório');
+  assert.equal(answer.body.campos.itens, 'Pelo menos uma peça deve ser informada');
+
+  const created = await create();
+  const patched = await operador('PATCH', `/devolucoes/${created.id}`, { data_devolucao: '2999-01-01' });
+  assert.equal(patched.status, 422);
+  assert.ok(patched.body.campos.data_devolucao);
+});
+
+test('a uuid that already exists answers 409', async () => {
+  const created = await create();
+  const answer = await operador('POST', '/devolucoes', devolution(cliente, { uuid: created.uuid }));
+  assert.equal(answer.status, 409);
+});
+
+test('replacing a version that changed since answers 409 with the current version', async () => {
+  const created = await create();
+  const { itens, ...header } = created;
+  assert.equal((await operador('PUT', `/devolucoes/${created.id}`, { ...header, itens, observacoes: 'Primeira', versao: 1 })).status, 200);
+
+  const stale = await operador('PUT', `/devolucoes/${created.id}`, { ...header, itens, observacoes: 'Antiga', versao: 1 });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.versao, 2);
+  assert.equal((await operador('GET', `/devolucoes/${created.id}`)).body.observacoes, 'Primeira');
+});
+
+test('status changes follow the workflow one step at a time and are kept in the history', async () => {
+  const created = await create();
+  const path = `/devolucoes/${created.id}`;
+
+  const skipped = await operador('PATCH', path, { status: 'Concluída', resolucao: 'Trocada' });
+  assert.equal(skipped.status, 400);
+  assert.equal(skipped.body.campos.status, 'Não é possível passar de "Aberta" para "Concluída"');
+  assert.equal((await operador('PUT', path, { ...created, status: 'Recusada', resolucao: 'Fora da garantia' })).status, 400);
+
+  const analysed = await operador('PATCH', path, { status: 'Em análise' });
+  assert.equal(analysed.status, 200);
+  assert.equal(analysed.body.status_historico.length, 1);
+  assert.equal(analysed.body.status_historico[0].operador, 'operador');
+
+  const unresolved = await operador('PATCH', path, { status: 'Concluída' });
+  assert.equal(unresolved.status, 400);
+  assert.equal(unresolved.body.campos.resolucao, 'Informe a resolução para encerrar a devolução');
+
+  const closed = await operador('PATCH', path, { status: 'Concluída', resolucao: 'Peça trocada' });
+  assert.equal(closed.status, 200);
+  assert.deepEqual(closed.body.status_historico.map((step: any) => [step.de, step.para, step.observacao]), [
+    ['Aberta', 'Em análise', ''],
+    ['Em análise', 'Concluída', 'Peça trocada'],
+  ]);
+
+  assert.equal((await operador('PATCH', path, { status: 'Aberta' })).status, 400);
+});
+
+test('only managers and admins delete devolutions', async () => {
+  const created = await create();
+  const path = `/devolucoes/${created.id}`;
+
+  const refused = await operador('DELETE', path);
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.error, 'Seu perfil não permite esta ação');
+  assert.equal((await operador('GET', path)).status, 200);
+
+  assert.equal((await gerente('DELETE', path)).status, 204);
+  assert.equal((await operador('GET', path)).status, 404);
+  assert.equal((await api.as('admin')('DELETE', `/devolucoes/${(await create()).id}`)).status, 204);
+});
+
+test('parts in an RMA batch or under warranty cannot be dropped', async () => {
+  const supplier = fornecedor();
+  const registro = devolution(cliente);
+  const [emGarantia] = registro.itens;
+  const emRma = { ...emGarantia, uuid: randomUUID(), codigo_peca: 'RMA-200' };
+  const created = await create({ itens: [emGarantia, emRma] });
+  const synced = await operador('POST', '/sync', {
+    changes: [
+      upsert('fornecedor', supplier),
+      upsert('garantia', garantia(emGarantia.uuid)),
+      upsert('rma', rma(supplier, [emRma.uuid])),
+    ].map((change, index) => ({ ...change, outbox_id: index + 1 })),
+  });
+  assert.equal(synced.body.acknowledged.length, 3);
+  const path = `/devolucoes/${created.id}`;
+
+  const replaced = await operador('PUT', path, { ...created, itens: [emRma] });
+  assert.equal(replaced.status, 422);
+  assert.deepEqual(replaced.body.erros, ['A peça AB-100 não pode ser removida: há uma garantia registrada para ela']);
+
+  const patched = await operador('PATCH', path, { itens: [emGarantia] });
+  assert.equal(patched.status, 422);
+  assert.deepEqual(patched.body.erros, ['A peça RMA-200 não pode ser removida: ela está em um lote de RMA']);
+
+  assert.equal((await operador('GET', path)).body.itens.length, 2);
+});
+
+test('a devolution whose parts an RMA batch refers to can be deleted, and its uuid stays taken', async () => {
+  const supplier = fornecedor();
+  const created = await create();
+  await operador('POST', '/sync', {
+    changes: [upsert('fornecedor', supplier), upsert('rma', rma(supplier, [created.itens[0].uuid]))]
+      .map((change, index) => ({ ...change, outbox_id: index + 1 })),
+  });
+
+  assert.equal((await gerente('DELETE', `/devolucoes/${created.id}`)).status, 204);
+  assert.equal((await gerente('DELETE', `/devolucoes/${created.id}`)).status, 404);
+  const search = await operador('GET', `/devolucoes/search?requisicao_venda=${created.numero_pedido}`);
+  assert.ok(!search.body.data.some((d: any) => d.uuid === created.uuid));
+  assert.equal((await operador('POST', '/devolucoes', devolution(cliente, { uuid: created.uuid }))).status, 409);
+});
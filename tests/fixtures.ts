@@ -0,0 +1,59 @@
+import { randomUUID } from "crypto";
+import type { ChangeActor, SyncChange } from "../server/storage";
+
+// Records in the sync format (see server/sync-mapping.ts) for the tests that
+// run against the embedded database
+
+export const actor: ChangeActor = { usuario: 'teste', deviceId: 'dispositivo-teste', filialId: null };
+
+let nextCode = 1;
+
+export function person(fields: Record<string, unknown> = {}) {
+  return {
+    uuid: randomUUID(),
+    codigo: `T${String(nextCode++).padStart(4, '0')}`,
+    nome: 'Cliente de Teste',
+    tipo: 'Ambos',
+    status: 'Ativo',
+    ...fields,
+  };
+}
+
+export function devolution(cliente: { uuid: string }, fields: Record<string, unknown> = {}) {
+  return {
+    uuid: randomUUID(),
+    cliente: { uuid: cliente.uuid },
+    numero_pedido: 'RV-1',
+    data_venda: '2024-03-01',
+    data_devolucao: '2024-03-05',
+    itens: [{ uuid: randomUUID(), codigo_peca: 'AB-100', descricao_peca: 'Filtro de óleo', quantidade_devolvida: 1, tipo_acao: 'Troca' }],
+    ...fields,
+  };
+}
+
+export function fornecedor(fields: Record<string, unknown> = {}) {
+  return { uuid: randomUUID(), name: 'Fornecedor de Teste', ...fields };
+}
+
+// A warranty claim opened from a returned part (item uuid)
+export function garantia(item: string, fields: Record<string, unknown> = {}) {
+  return { uuid: randomUUID(), productId: 'AB-100', productDesc: 'Filtro de óleo', quantity: 1, item, ...fields };
+}
+
+// An RMA batch sending returned parts (item uuids) back to a supplier
+export function rma(fornecedor: { uuid: string }, itens: string[], fields: Record<string, unknown> = {}) {
+  return {
+    uuid: randomUUID(),
+    fornecedor: fornecedor.uuid,
+    itens: itens.map(item => ({ item, productId: 'AB-100', productDesc: 'Filtro de óleo', quantity: 1 })),
+    ...fields,
+  };
+}
+
+export function upsert(entidade: SyncChange['entidade'], registro: { uuid: string; [campo: string]: unknown }, versao_base?: number): SyncChange {
+  return { outbox_id: 1, entidade, operacao: 'upsert', uuid: registro.uuid, versao_base, registro };
+}
+
+export function remove(entidade: SyncChange['entidade'], uuid: string, versao_base?: number): SyncChange {
+  return { outbox_id: 1, entidade, operacao: 'delete', uuid, versao_base };
+}
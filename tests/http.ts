@@ -0,0 +1,43 @@
+import { once } from "events";
+import type { AddressInfo } from "net";
+import app from "../api/index";
+
+// The API on a free local port, with a signed-in user for each role, for
+// tests that go through the routes (embedded database, like the others)
+
+export type Papel = 'operador' | 'gerente' | 'admin';
+export type ApiAnswer = { status: number; body: any };
+export type ApiCall = (method: string, path: string, body?: unknown) => Promise<ApiAnswer>;
+
+export async function startApi() {
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${(server.address() as AddressInfo).port}/api`;
+
+  const call = async (token: string | null, method: string, path: string, body?: unknown): Promise<ApiAnswer> => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  const senha = 'senha-de-teste';
+  const setup = await call(null, 'POST', '/auth/setup', { usuario: 'admin', nome: 'Administrador', senha });
+  const tokens: Record<Papel, string> = { admin: setup.body.token, gerente: '', operador: '' };
+  for (const papel of ['gerente', 'operador'] as const) {
+    await call(tokens.admin, 'POST', '/usuarios', { usuario: papel, nome: `Usuário ${papel}`, papel, senha });
+    tokens[papel] = (await call(null, 'POST', '/auth/login', { usuario: papel, senha })).body.token;
+  }
+
+  return {
+    as: (papel: Papel): ApiCall => (method, path, body) => call(tokens[papel], method, path, body),
+    anonymous: ((method, path, body) => call(null, method, path, body)) as ApiCall,
+    close: () => new Promise<void>(resolve => server.close(() => resolve())),
+  };
+}
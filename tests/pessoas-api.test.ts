@@ -0,0 +1,50 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApi, type ApiCall } from "./http";
+
+// REST routes for people (api/index.ts), through HTTP
+let api: Awaited<ReturnType<typeof startApi>>;
+let operador: ApiCall;
+
+before(async () => {
+  api = await startApi();
+  operador = api.as('operador');
+  for (const codigo of ['NORTE', 'SUL']) {
+    assert.equal((await api.as('admin')('POST', '/filiais', { codigo, nome: `Filial ${codigo}` })).status, 201);
+  }
+});
+
+after(async () => {
+  await api.close();
+});
+
+// People a device of the branch pulls on its first sync
+const pulledBy = async (filial: string) =>
+  (await operador('POST', '/sync', { changes: [], filial })).body.serverUpdates.people.map((person: any) => person.uuid);
+
+test('a person created with a branch is linked to it', async () => {
+  const created = await operador('POST', '/pessoas', { nome: 'Cliente do Norte', tipo: 'Cliente', filial: 'norte' });
+  assert.equal(created.status, 201);
+
+  assert.ok((await pulledBy('NORTE')).includes(created.body.uuid));
+  assert.ok(!(await pulledBy('SUL')).includes(created.body.uuid));
+});
+
+test('a person created without a branch is shared by every branch', async () => {
+  const created = await operador('POST', '/pessoas', { nome: 'Cliente de Todas', tipo: 'Cliente' });
+  assert.equal(created.status, 201);
+
+  assert.ok((await pulledBy('NORTE')).includes(created.body.uuid));
+  assert.ok((await pulledBy('SUL')).includes(created.body.uuid));
+});
+
+test('an unknown branch answers 422 without using up a code', async () => {
+  const first = (await operador('POST', '/pessoas', { nome: 'Cliente Anterior', tipo: 'Cliente' })).body.codigo;
+
+  const refused = await operador('POST', '/pessoas', { nome: 'Cliente Perdido', tipo: 'Cliente', filial: 'LESTE' });
+  assert.equal(refused.status, 422);
+  assert.equal(refused.body.campos.filial, 'Filial "LESTE" não encontrada');
+
+  const next = (await operador('POST', '/pessoas', { nome: 'Cliente Seguinte', tipo: 'Cliente' })).body.codigo;
+  assert.equal(Number(next.replace(/\D/g, '')), Number(first.replace(/\D/g, '')) + 1);
+});
@@ -0,0 +1,75 @@
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import { randomUUID } from "crypto";
+import { ready } from "../server/db";
+import { storage } from "../server/storage";
+import { actor, person, devolution, upsert } from "./fixtures";
+
+// Runs on the embedded database (DB_DRIVER=pglite, in memory), with five
+// devolutions of one customer: two parts each, quantities 1+1, 2+1, ... 5+1
+const cliente = person({ nome: 'Cliente da Pesquisa' });
+
+const part = (codigo_peca: string, quantidade_devolvida: number) => ({
+  uuid: randomUUID(), codigo_peca, descricao_peca: `Peça ${codigo_peca}`, quantidade_devolvida, tipo_acao: 'Troca',
+});
+
+before(async () => {
+  await ready;
+  await storage.applySyncChange(upsert('pessoa', cliente), actor);
+  for (let n = 1; n <= 5; n++) {
+    await storage.createDevolutionRecord(devolution(cliente, {
+      numero_pedido: `PESQ-${n}`,
+      data_devolucao: `2024-04-0${n}`,
+      data_venda: '2024-04-01',
+      itens: [part(n % 2 === 0 ? 'PAR-100' : 'IMP-100', n), part('COMUM-200', 1)],
+    }), actor);
+  }
+});
+
+test('pages split the matches and the totals cover every page', async () => {
+  const criteria = { cliente: 'Cliente da Pesquisa', pageSize: 2 };
+  const pages = await Promise.all([1, 2, 3].map(page => storage.searchDevolutions({ ...criteria, page })));
+
+  assert.deepEqual(pages.map(page => page.devolutions.length), [2, 2, 1]);
+  for (const page of pages) {
+    assert.equal(page.total, 5);
+    assert.equal(page.totalItens, 10);
+    assert.equal(page.totalQuantidade, 20);
+  }
+  const numeros = pages.flatMap(page => page.devolutions.map(d => d.numero_pedido));
+  assert.deepEqual(numeros, ['PESQ-5', 'PESQ-4', 'PESQ-3', 'PESQ-2', 'PESQ-1']);
+});
+
+test('a page past the end is empty but keeps the totals', async () => {
+  const result = await storage.searchDevolutions({ cliente: 'Cliente da Pesquisa', pageSize: 2, page: 4 });
+  assert.equal(result.devolutions.length, 0);
+  assert.equal(result.total, 5);
+});
+
+test('sorting by a field, ascending', async () => {
+  const result = await storage.searchDevolutions({ cliente: 'Cliente da Pesquisa', sort: 'data_devolucao' });
+  assert.deepEqual(result.devolutions.map(d => d.data_devolucao), ['2024-04-01', '2024-04-02', '2024-04-03', '2024-04-04', '2024-04-05']);
+});
+
+test('part criteria match devolutions and total all of their parts', async () => {
+  const result = await storage.searchDevolutions({ cliente: 'Cliente da Pesquisa', codigo_peca: 'par-1' });
+  assert.deepEqual(result.devolutions.map(d => d.numero_pedido).sort(), ['PESQ-2', 'PESQ-4']);
+  assert.equal(result.total, 2);
+  // Every part of a matching devolution counts, not only the matching ones
+  assert.equal(result.totalItens, 4);
+  assert.equal(result.totalQuantidade, 8);
+});
+
+test('date ranges include both ends', async () => {
+  const result = await storage.searchDevolutions({
+    cliente: 'Cliente da Pesquisa',
+    data_devolucao_inicio: '2024-04-02',
+    data_devolucao_fim: '2024-04-04',
+  });
+  assert.equal(result.total, 3);
+});
+
+test('no match gives empty totals', async () => {
+  const result = await storage.searchDevolutions({ cliente: 'Ninguém com este nome' });
+  assert.deepEqual(result, { devolutions: [], total: 0, totalItens: 0, totalQuantidade: 0 });
+});
@@ -0,0 +1,245 @@
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import { randomUUID } from "crypto";
+import { ready } from "../server/db";
+import { storage } from "../server/storage";
+import { ValidationError } from "../server/validation";
+import { actor, person, devolution, fornecedor, garantia, rma, upsert, remove } from "./fixtures";
+
+// Runs on the embedded database (DB_DRIVER=pglite, in memory)
+before(async () => {
+  await ready;
+});
+
+test('a new person is applied at version 1', async () => {
+  const registro = person();
+  assert.deepEqual(await storage.applySyncChange(upsert('pessoa', registro), actor), { status: 'applied', versao: 1 });
+  assert.equal((await storage.getPersonByCode(registro.codigo))?.nome, 'Cliente de Teste');
+});
+
+test('a change based on an older version is a conflict with the server record', async () => {
+  const registro = person();
+  await storage.applySyncChange(upsert('pessoa', registro), actor);
+  await storage.applySyncChange(upsert('pessoa', { ...registro, nome: 'Nome no servidor' }, 1), actor);
+
+  const result = await storage.applySyncChange(upsert('pessoa', { ...registro, nome: 'Nome antigo' }, 1), actor);
+  assert.equal(result.status, 'conflict');
+  assert.equal(result.status === 'conflict' && result.versao, 2);
+  assert.equal(result.status === 'conflict' && result.registro.nome, 'Nome no servidor');
+  assert.equal((await storage.getPersonByCode(registro.codigo))?.nome, 'Nome no servidor');
+});
+
+test('deleting a version that changed since is a conflict', async () => {
+  const registro = person();
+  await storage.applySyncChange(upsert('pessoa', registro), actor);
+  await storage.applySyncChange(upsert('pessoa', { ...registro, telefone: '1199999999' }, 1), actor);
+
+  const result = await storage.applySyncChange(remove('pessoa', registro.uuid, 1), actor);
+  assert.equal(result.status, 'conflict');
+  assert.equal((await storage.getPersonByCode(registro.codigo))?.deletedAt, null);
+});
+
+test('a stale devolution change or delete is a conflict with the server record', async () => {
+  const cliente = person();
+  await storage.applySyncChange(upsert('pessoa', cliente), actor);
+  const registro = devolution(cliente);
+  await storage.applySyncChange(upsert('devolucao', registro), actor);
+  await storage.applySyncChange(upsert('devolucao', { ...registro, observacoes: 'Alterada no servidor' }, 1), actor);
+
+  const staleChange = await storage.applySyncChange(upsert('devolucao', registro, 1), actor);
+  assert.equal(staleChange.status, 'conflict');
+  assert.equal(staleChange.status === 'conflict' && staleChange.registro.observacoes, 'Alterada no servidor');
+  assert.equal((await storage.applySyncChange(remove('devolucao', registro.uuid, 1), actor)).status, 'conflict');
+  assert.equal((await storage.getDevolutionRecord(registro.uuid))?.observacoes, 'Alterada no servidor');
+});
+
+test('a delete without a version (never synced on the device) is applied', async () => {
+  const cliente = person();
+  await storage.applySyncChange(upsert('pessoa', cliente), actor);
+  const registro = devolution(cliente);
+  await storage.applySyncChange(upsert('devolucao', registro), actor);
+  await storage.applySyncChange(upsert('devolucao', registro, 1), actor);
+
+  assert.equal((await storage.applySyncChange(remove('devolucao', registro.uuid), actor)).status, 'applied');
+  assert.equal(await storage.getDevolutionRecord(registro.uuid), undefined);
+});
+
+const everything = new Date(0);
+
+test('a deleted person stays stored but leaves listings and pulls, with a tombstone', async () => {
+  const registro = person({ nome: 'Pessoa Excluída' });
+  await storage.applySyncChange(upsert('pessoa', registro), actor);
+
+  assert.deepEqual(await storage.applySyncChange(remove('pessoa', registro.uuid, 1), actor), { status: 'applied', versao: 2 });
+
+  const stored = await storage.getPersonByCode(registro.codigo);
+  assert.ok(stored?.deletedAt, 'the row is kept, marked as deleted');
+  const { people } = await storage.listPeople({ nome: 'Pessoa Excluída' });
+  assert.equal(people.length, 0);
+
+  const updates = await storage.getSyncUpdates(everything);
+  assert.ok(!updates.people.some(p => p.uuid === registro.uuid));
+  assert.ok(updates.tombstones.some(t => t.entidade === 'pessoa' && t.uuid === registro.uuid));
+});
+
+test('writing a deleted person again restores them and clears the tombstone', async () => {
+  const registro = person();
+  await storage.applySyncChange(upsert('pessoa', registro), actor);
+  await storage.applySyncChange(remove('pessoa', registro.uuid, 1), actor);
+
+  assert.deepEqual(await storage.applySyncChange(upsert('pessoa', registro, 2), actor), { status: 'applied', versao: 3 });
+
+  assert.equal((await storage.getPersonByCode(registro.codigo))?.deletedAt, null);
+  const updates = await storage.getSyncUpdates(everything);
+  assert.ok(updates.people.some(p => p.uuid === registro.uuid));
+  assert.ok(!updates.tombstones.some(t => t.uuid === registro.uuid));
+});
+
+test('a deleted devolution leaves pulls and reaches the devices as a tombstone', async () => {
+  const cliente = person();
+  await storage.applySyncChange(upsert('pessoa', cliente), actor);
+  const registro = devolution(cliente);
+  await storage.applySyncChange(upsert('devolucao', registro), actor);
+
+  assert.equal((await storage.applySyncChange(remove('devolucao', registro.uuid, 1), actor)).status, 'applied');
+  const updates = await storage.getSyncUpdates(everything);
+  assert.ok(!updates.devolutions.some(d => d.uuid === registro.uuid));
+  assert.ok(updates.tombstones.some(t => t.entidade === 'devolucao' && t.uuid === registro.uuid));
+});
+
+test('only records changed and deleted since the last pull are sent', async () => {
+  const registro = person();
+  await storage.applySyncChange(upsert('pessoa', registro), actor);
+  const after = new Date(Date.now() + 1000);
+
+  const updates = await storage.getSyncUpdates(after);
+  assert.ok(!updates.people.some(p => p.uuid === registro.uuid));
+  assert.deepEqual(updates.tombstones, []);
+});
+
+test('a devolution refers to its people by uuid', async () => {
+  const cliente = person();
+  await storage.applySyncChange(upsert('pessoa', cliente), actor);
+  const registro = devolution(cliente);
+
+  assert.deepEqual(await storage.applySyncChange(upsert('devolucao', registro), actor), { status: 'applied', versao: 1 });
+
+  const [pulled] = (await storage.getSyncUpdates(everything)).devolutions.filter(d => d.uuid === registro.uuid);
+  assert.equal(pulled.cliente?.codigo, cliente.codigo);
+  assert.equal(pulled.itens.length, 1);
+});
+
+test('a devolution naming an unknown person is rejected', async () => {
+  const registro = devolution({ uuid: 'sem-pessoa' });
+  await assert.rejects(
+    storage.applySyncChange(upsert('devolucao', registro), actor),
+    (error: unknown) => error instanceof ValidationError && /não encontrado no servidor/.test(error.campos.cliente)
+  );
+});
+
+test('the status history sent by a device is stored and pulled back', async () => {
+  const cliente = person();
+  await storage.applySyncChange(upsert('pessoa', cliente), actor);
+  const status_historico = [
+    { de: 'Aberta', para: 'Em análise', operador: 'maria', data: '2024-03-06T12:00:00.000Z', observacao: '' },
+  ];
+  const registro = devolution(cliente, { status: 'Em análise', status_historico });
+  await storage.applySyncChange(upsert('devolucao', registro), actor);
+
+  assert.deepEqual((await storage.getDevolutionRecord(registro.uuid))?.status_historico, status_historico);
+
+  await assert.rejects(
+    storage.applySyncChange(upsert('devolucao', { ...registro, status_historico: 'Aberta' }, 1), actor),
+    (error: unknown) => error instanceof ValidationError && error.campos.status_historico === 'Histórico de status inválido'
+  );
+});
+
+test('synced status changes follow the workflow', async () => {
+  const cliente = person();
+  await storage.applySyncChange(upsert('pessoa', cliente), actor);
+  const registro = devolution(cliente);
+  await storage.applySyncChange(upsert('devolucao', registro), actor);
+
+  await assert.rejects(
+    storage.applySyncChange(upsert('devolucao', { ...registro, status: 'Concluída', resolucao: 'Trocada' }, 1), actor),
+    (error: unknown) => error instanceof ValidationError && error.campos.status === 'Não é possível passar de "Aberta" para "Concluída"'
+  );
+
+  const analysed = { ...registro, status: 'Em análise' };
+  assert.equal((await storage.applySyncChange(upsert('devolucao', analysed, 1), actor)).status, 'applied');
+  await assert.rejects(
+    storage.applySyncChange(upsert('devolucao', { ...analysed, status: 'Recusada' }, 2), actor),
+    (error: unknown) => error instanceof ValidationError && error.campos.resolucao === 'Informe a resolução para encerrar a devolução'
+  );
+
+  const closed = { ...analysed, status: 'Recusada', resolucao: 'Fora da garantia' };
+  assert.equal((await storage.applySyncChange(upsert('devolucao', closed, 2), actor)).status, 'applied');
+  await assert.rejects(
+    storage.applySyncChange(upsert('devolucao', { ...closed, status: 'Aberta' }, 3), actor),
+    (error: unknown) => error instanceof ValidationError && error.campos.status === 'Não é possível passar de "Recusada" para "Aberta"'
+  );
+  assert.equal((await storage.getDevolutionRecord(registro.uuid))?.status, 'Recusada');
+});
+
+test('steps taken offline are checked one by one from the status history', async () => {
+  const cliente = person();
+  await storage.applySyncChange(upsert('pessoa', cliente), actor);
+  const registro = devolution(cliente);
+  await storage.applySyncChange(upsert('devolucao', registro), actor);
+  const status_historico = [
+    { de: 'Aberta', para: 'Em análise', operador: 'maria', data: '2024-03-06T12:00:00.000Z', observacao: '' },
+    { de: 'Em análise', para: 'Concluída', operador: 'maria', data: '2024-03-07T12:00:00.000Z', observacao: 'Trocada' },
+  ];
+
+  const change = upsert('devolucao', { ...registro, status: 'Concluída', resolucao: 'Trocada', status_historico }, 1);
+  assert.equal((await storage.applySyncChange(change, actor)).status, 'applied');
+  assert.equal((await storage.getDevolutionRecord(registro.uuid))?.status, 'Concluída');
+});
+
+test('parts in an RMA batch or under warranty cannot be dropped by a sync', async () => {
+  const cliente = person();
+  const supplier = fornecedor();
+  await storage.applySyncChange(upsert('pessoa', cliente), actor);
+  await storage.applySyncChange(upsert('fornecedor', supplier), actor);
+  const registro = devolution(cliente);
+  const [emGarantia] = registro.itens;
+  const emRma = { ...emGarantia, uuid: randomUUID(), codigo_peca: 'RMA-200' };
+  const livre = { ...emGarantia, uuid: randomUUID(), codigo_peca: 'LIVRE-300' };
+  registro.itens = [emGarantia, emRma, livre];
+  await storage.applySyncChange(upsert('devolucao', registro), actor);
+  assert.equal((await storage.applySyncChange(upsert('garantia', garantia(emGarantia.uuid)), actor)).status, 'applied');
+  assert.equal((await storage.applySyncChange(upsert('rma', rma(supplier, [emRma.uuid])), actor)).status, 'applied');
+
+  const error = await storage.applySyncChange(upsert('devolucao', { ...registro, itens: [livre] }, 1), actor).catch(error => error);
+  assert.ok(error instanceof ValidationError);
+  assert.deepEqual(error.erros, [
+    'A peça AB-100 não pode ser removida: há uma garantia registrada para ela',
+    'A peça RMA-200 não pode ser removida: ela está em um lote de RMA',
+  ]);
+  assert.equal((await storage.getDevolutionRecord(registro.uuid))?.itens.length, 3);
+
+  const kept = await storage.applySyncChange(upsert('devolucao', { ...registro, itens: [emGarantia, emRma] }, 1), actor);
+  assert.equal(kept.status, 'applied');
+  assert.deepEqual((await storage.getDevolutionRecord(registro.uuid))?.itens.map(item => item.uuid), [emGarantia.uuid, emRma.uuid]);
+});
+
+test('a deleted devolution keeps its parts for RMA batches and warranty claims, and a sync restores it', async () => {
+  const cliente = person();
+  await storage.applySyncChange(upsert('pessoa', cliente), actor);
+  const registro = devolution(cliente);
+  await storage.applySyncChange(upsert('devolucao', registro), actor);
+  assert.equal((await storage.applySyncChange(upsert('garantia', garantia(registro.itens[0].uuid)), actor)).status, 'applied');
+
+  assert.deepEqual(await storage.applySyncChange(remove('devolucao', registro.uuid, 1), actor), { status: 'applied', versao: 2 });
+  assert.equal(await storage.getDevolutionRecord(registro.uuid), undefined);
+  assert.ok(!(await storage.getAllDevolutions()).some(d => d.uuid === registro.uuid));
+  assert.equal((await storage.searchDevolutions({ cliente: cliente.nome })).devolutions.some(d => d.uuid === registro.uuid), false);
+
+  // Deleting again (another device) changes nothing
+  assert.equal((await storage.applySyncChange(remove('devolucao', registro.uuid, 1), actor)).status, 'applied');
+
+  assert.equal((await storage.applySyncChange(upsert('devolucao', registro, 3), actor)).status, 'applied');
+  const restored = await storage.getDevolutionRecord(registro.uuid);
+  assert.deepEqual(restored?.itens.map(item => item.uuid), [registro.itens[0].uuid]);
+  assert.ok(!(await storage.getSyncUpdates(everything)).tombstones.some(t => t.uuid === registro.uuid));
+});
@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ValidationError,
+  StatusChangeError,
+  assertValid,
+  validateRecord,
+  validateDevolution,
+  validateStatusChange,
+  toFilialValues,
+  toEmpresaValues,
+} from "../server/validation";
+
+// The browser reads these from window; here they come through require, like
+// server/validation.ts does
+const shared = require("../js/validation.js");
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const part = (fields: Record<string, unknown> = {}) => ({
+  codigo_peca: 'AB-100',
+  descricao_peca: 'Filtro de óleo',
+  quantidade_devolvida: 1,
+  tipo_acao: 'Troca',
+  ...fields,
+});
+
+test('a valid person has no errors', () => {
+  assert.deepEqual(validateRecord('pessoa', { codigo: 'P0001', nome: 'Maria Silva', tipo: 'Cliente' }), {});
+});
+
+test('person errors are keyed by field, in Portuguese', () => {
+  const erros = validateRecord('pessoa', { codigo: '', nome: 'M', tipo: 'Fornecedor', email: 'maria@' });
+  assert.deepEqual(erros, {
+    codigo: 'Código é obrigatório',
+    nome: 'Nome deve ter pelo menos 2 caracteres',
+    tipo: 'Tipo deve ser "Cliente", "Mecânico" ou "Ambos"',
+    email: 'Formato de e-mail inválido',
+  });
+});
+
+test('documents must be a valid CPF or CNPJ', () => {
+  assert.equal(validateRecord('pessoa', { codigo: 'P1', nome: 'Ana', tipo: 'Cliente', documento: '529.982.247-25' }).documento, undefined);
+  assert.equal(validateRecord('pessoa', { codigo: 'P1', nome: 'Ana', tipo: 'Cliente', documento: '111.111.111-11' }).documento, 'CPF inválido');
+  assert.equal(validateRecord('pessoa', { codigo: 'P1', nome: 'Ana', tipo: 'Cliente', documento: '11.222.333/0001-81' }).documento, undefined);
+  assert.equal(
+    validateRecord('pessoa', { codigo: 'P1', nome: 'Ana', tipo: 'Cliente', documento: '123' }).documento,
+    'Documento deve ser um CPF (11 dígitos) ou CNPJ (14 dígitos)'
+  );
+});
+
+test('a devolution needs at least one part', () => {
+  const erros = validateDevolution({ cliente: 'Maria Silva', requisicao_venda: 'RV-1', data_devolucao: today() }, []);
+  assert.deepEqual(erros, { itens: 'Pelo menos uma peça deve ser informada' });
+});
+
+test('part errors name the part and are keyed by its index', () => {
+  const erros = validateDevolution(
+    { cliente: 'Maria Silva', requisicao_venda: 'RV-1', data_devolucao: today() },
+    [part(), part({ quantidade_devolvida: 0, tipo_acao: '' })]
+  );
+  assert.deepEqual(erros, {
+    'itens.1.quantidade_devolvida': 'Peça 2: Quantidade deve ser maior que zero',
+    'itens.1.tipo_acao': 'Peça 2: Tipo de ação é obrigatório',
+  });
+});
+
+test('devolution dates cannot be in the future or before the sale', () => {
+  const erros = validateRecord('devolucao', {
+    cliente: 'Maria Silva',
+    requisicao_venda: 'RV-1',
+    data_venda: '2024-03-10',
+    data_devolucao: '2024-03-01',
+  });
+  assert.equal(erros.data_devolucao, 'Data da devolução não pode ser anterior à data da venda');
+
+  const future = validateRecord('devolucao', { cliente: 'Maria Silva', requisicao_venda: 'RV-1', data_devolucao: '2999-01-01' });
+  assert.equal(future.data_devolucao, 'Data da devolução não pode ser no futuro');
+});
+
+test('status changes follow STATUS_TRANSITIONS one step at a time', () => {
+  assert.deepEqual(validateStatusChange('Aberta', 'Em análise'), {});
+  assert.deepEqual(validateStatusChange('Aberta', 'Concluída', 'Trocada'), {
+    status: 'Não é possível passar de "Aberta" para "Concluída"',
+  });
+  assert.deepEqual(validateStatusChange('Concluída', 'Aberta'), {
+    status: 'Não é possível passar de "Concluída" para "Aberta"',
+  });
+  for (const [from, targets] of Object.entries(shared.STATUS_TRANSITIONS as Record<string, string[]>)) {
+    for (const to of targets) {
+      assert.equal(validateStatusChange(from, to, 'Resolvida').status, undefined, `${from} -> ${to}`);
+    }
+  }
+});
+
+test('closing a devolution requires resolution notes', () => {
+  for (const status of shared.CLOSED_STATUSES as string[]) {
+    assert.deepEqual(validateStatusChange('Em análise', status, '  '), {
+      resolucao: 'Informe a resolução para encerrar a devolução',
+    });
+    assert.deepEqual(validateStatusChange('Em análise', status, 'Peça trocada'), {});
+  }
+});
+
+test('the browser and the API share the same rules', () => {
+  assert.equal(validateRecord, shared.validateRecord);
+  assert.equal(validateStatusChange, shared.validateStatusChange);
+});
+
+test('assertValid throws every message with its field', () => {
+  assert.doesNotThrow(() => assertValid({}));
+  assert.throws(
+    () => assertValid({ nome: 'Nome é obrigatório', tipo: 'Tipo é obrigatório' }),
+    (error: unknown) => error instanceof ValidationError
+      && error.message === 'Nome é obrigatório; Tipo é obrigatório'
+      && error.campos.tipo === 'Tipo é obrigatório'
+  );
+});
+
+test('status change errors are validation errors', () => {
+  const error = new StatusChangeError(['Não é possível passar de "Aberta" para "Concluída"']);
+  assert.ok(error instanceof ValidationError);
+  assert.equal(error.name, 'StatusChangeError');
+});
+
+test('branch codes are stored in capitals', () => {
+  assert.deepEqual(toFilialValues({ codigo: ' sp01 ', nome: 'São Paulo' }), { codigo: 'SP01', nome: 'São Paulo', ativo: true });
+  assert.throws(() => toFilialValues({ codigo: '', nome: 'São Paulo' }), ValidationError);
+});
+
+test('company logos must be a data: URL or an http(s) address', () => {
+  assert.equal(toEmpresaValues({ name: 'Oficina', logoUrl: 'https://example.com/logo.png' }).logoUrl, 'https://example.com/logo.png');
+  assert.throws(
+    () => toEmpresaValues({ name: 'Oficina', logoUrl: 'javascript:alert(1)' }),
+    (error: unknown) => error instanceof ValidationError && error.campos.logoUrl === 'Logotipo inválido'
+  );
+});